@@ -26,11 +26,13 @@ var srcHeader = '/**\n\
 process.env.NODE_ENV = gutil.env.production ? 'production' : 'development'
 
 var jsSrcPath = './src/**/*.js*'
+var localeSrcPath = './src/locales/*.js'
 var jsLibPath = './lib/*.js*'
+var localeLibPath = './lib/locales/*.js'
 var jsEntryPoint = './lib/newforms.js'
 
 gulp.task('transpile-js', function() {
-  return gulp.src(jsSrcPath)
+  return gulp.src([jsSrcPath, '!' + localeSrcPath])
     .pipe(plumber())
     .pipe(react({harmony: true}))
     .pipe(flatten())
@@ -38,8 +40,17 @@ gulp.task('transpile-js', function() {
     .pipe(gulp.dest('./lib'))
 })
 
-gulp.task('lint', ['transpile-js'], function() {
-  return gulp.src(jsLibPath)
+// Locales aren't flattened so they can be required individually, e.g.
+// require('newforms/locales/de')
+gulp.task('transpile-locales', function() {
+  return gulp.src(localeSrcPath)
+    .pipe(plumber())
+    .pipe(react({harmony: true}))
+    .pipe(gulp.dest('./lib/locales'))
+})
+
+gulp.task('lint', ['transpile-js', 'transpile-locales'], function() {
+  return gulp.src([jsLibPath, localeLibPath])
     .pipe(jshint('./.jshintrc'))
     .pipe(jshint.reporter('jshint-stylish'))
 })
@@ -73,7 +84,12 @@ gulp.task('npm-copy', ['lint'], function() {
     .pipe(gulp.dest('./npm-newforms'))
 })
 
-gulp.task('npm', ['npm-copy'], function(cb) {
+gulp.task('npm-copy-locales', ['lint'], function() {
+  return gulp.src(localeLibPath)
+    .pipe(gulp.dest('./npm-newforms/locales'))
+})
+
+gulp.task('npm', ['npm-copy', 'npm-copy-locales'], function(cb) {
   var pkg = require('./package.json')
   pkg.main = './newforms.js'
   delete pkg.devDependencies
@@ -9,9 +9,11 @@ var React = require('react')
 var TextInput = require('./widgets/TextInput')
 var Textarea = require('./widgets/Textarea')
 
-var {prettyName} = require('./util')
+var {inheritWith, prettyName} = require('./util')
 
 var SUFFIX_CHARS = ':?.!'
+// Statuses which have their own CSS classes regardless of validation status
+var INTERACTION_STATUSES = object.lookup(['dirty', 'touched', 'visited'])
 
 /**
  * A helper for rendering a field.
@@ -65,12 +67,38 @@ BoundField.prototype.isHidden = function() {
   return this.field.widget.isHidden
 }
 
+/**
+ * @return {boolean} true if the user has focused the field's widget.
+ */
+BoundField.prototype.isVisited = function() {
+  return !!this.form._visited[this.name]
+}
+
+/**
+ * @return {boolean} true if the user has left the field's widget after
+ *   focusing it.
+ */
+BoundField.prototype.isTouched = function() {
+  return !!this.form._touched[this.name]
+}
+
+/**
+ * @return {boolean} true if the field's input data differs from its initial
+ *   data.
+ */
+BoundField.prototype.isDirty = function() {
+  return this.form._fieldHasChanged(this.name)
+}
+
 /**
  * Determines the field's curent status in the form. Statuses are determined in
  * the following order:
  * * 'pending' - the field has a pending async validation.
  * * 'error' - the field has a validation error.
  * * 'valid' - the field has a value in form.cleanedData.
+ * * 'dirty' - the field's input data differs from its initial data.
+ * * 'touched' - the user has left the field's widget after focusing it.
+ * * 'visited' - the user has focused the field's widget.
  * * 'default' - the field meets none of the above criteria, e.g. it's been
  *   rendered but hasn't been interacted with or validated yet.
  * @return {string}
@@ -79,6 +107,9 @@ BoundField.prototype.status = function() {
   if (this.isPending()) { return 'pending' }
   if (this.errors().isPopulated()) { return 'error' }
   if (this.isCleaned()) { return 'valid' }
+  if (this.isDirty()) { return 'dirty' }
+  if (this.isTouched()) { return 'touched' }
+  if (this.isVisited()) { return 'visited' }
   return 'default'
 }
 
@@ -171,6 +202,13 @@ BoundField.prototype.initialValue = function() {
   return value
 }
 
+/**
+ * @return {(Form|FormSet)} the nested form or formset for a FormField.
+ */
+BoundField.prototype.nestedForm = function() {
+  return this.form.nestedForm(this.name)
+}
+
 // =============================================================== Rendering ===
 
 /**
@@ -187,6 +225,11 @@ BoundField.prototype.asWidget = function(kwargs) {
     widget: null, attrs: null, onlyInitial: false
   }, kwargs)
   var widget = (kwargs.widget !== null ? kwargs.widget : this.field.widget)
+  // Widgets for fields with a requiredIf condition display for its current
+  // result.
+  if (this.field.requiredIf !== null) {
+    widget = inheritWith(widget, {isRequired: this.form.isFieldRequired(this.name)})
+  }
   var attrs = (kwargs.attrs !== null ? kwargs.attrs : {})
   var autoId = this.autoId()
   var name = !kwargs.onlyInitial ? this.htmlName : this.htmlInitialName
@@ -201,6 +244,9 @@ BoundField.prototype.asWidget = function(kwargs) {
 
   var validation = this._getValidation(widget)
 
+  // Fields which depend on other fields' input may display differently for it
+  this.form._setDependencyData(this.field)
+
   // Always Add an onChange event handler to update form.data when the field is
   // changed.
   attrs.onChange = this.form._handleFieldEvent.bind(this.form, {
@@ -219,6 +265,11 @@ BoundField.prototype.asWidget = function(kwargs) {
     }
   }
 
+  // Track the field being visited and touched, before any validation which is
+  // triggered by the same events.
+  attrs.onFocus = this._trackInteraction('onFocus', attrs.onFocus)
+  attrs.onBlur = this._trackInteraction('onBlur', attrs.onBlur)
+
   var renderKwargs = {attrs, controlled: this._isControlled(widget)}
   if (widget.needsInitialValue) {
     renderKwargs.initialValue = this.initialValue()
@@ -226,6 +277,23 @@ BoundField.prototype.asWidget = function(kwargs) {
   return widget.render(name, this.value(), renderKwargs)
 }
 
+/**
+ * Creates an event handler which tracks user interaction with the field.
+ * @param {string} eventName 'onFocus' or 'onBlur'.
+ * @param {function=} handler an existing handler for the event.
+ * @return {function}
+ */
+BoundField.prototype._trackInteraction = function(eventName, handler) {
+  var trackInteraction = this.form._handleFieldInteraction.bind(this.form, eventName)
+  if (!is.Function(handler)) {
+    return trackInteraction
+  }
+  return function(e) {
+    trackInteraction(e)
+    handler(e)
+  }
+}
+
 /**
  * Renders the field as a hidden field.
  * @param {Object=} kwargs widget options.
@@ -273,14 +341,26 @@ BoundField.prototype.cssClasses = function(extraCssClasses) {
     cssClasses.push(this.form.rowCssClass)
   }
 
-  // Status class
+  // Validation status class
   var status = this.status()
-  if (typeof this.form[status + 'CssClass'] != 'undefined') {
+  if (!INTERACTION_STATUSES[status] &&
+      typeof this.form[status + 'CssClass'] != 'undefined') {
     cssClasses.push(this.form[status + 'CssClass'])
   }
 
+  // Interaction classes, which aren't exclusive of validation status
+  if (typeof this.form.visitedCssClass != 'undefined' && this.isVisited()) {
+    cssClasses.push(this.form.visitedCssClass)
+  }
+  if (typeof this.form.touchedCssClass != 'undefined' && this.isTouched()) {
+    cssClasses.push(this.form.touchedCssClass)
+  }
+  if (typeof this.form.dirtyCssClass != 'undefined' && this.isDirty()) {
+    cssClasses.push(this.form.dirtyCssClass)
+  }
+
   // Required-ness classes
-  if (this.field.required) {
+  if (this.form.isFieldRequired(this.name)) {
     if (typeof this.form.requiredCssClass != 'undefined') {
       cssClasses.push(this.form.requiredCssClass)
     }
@@ -1,6 +1,7 @@
 'use strict';
 
 var Concur = require('Concur')
+var is = require('isomorph/is')
 var object = require('isomorph/object')
 var React = require('react')
 
@@ -88,6 +89,28 @@ ErrorObject.prototype.isPopulated = function() {
   return (this.length() > 0)
 }
 
+/**
+ * @return {Array.<string>} error messages for all fields, for use when the
+ *   object holds the errors of a nested form.
+ */
+ErrorObject.prototype.messages = function() {
+  var messages = []
+  Object.keys(this.errors).forEach(function(fieldName) {
+    messages.push.apply(messages, this.errors[fieldName].messages())
+  }.bind(this))
+  return messages
+}
+
+/**
+ * @return {string|undefined} the first error message for any field.
+ */
+ErrorObject.prototype.first = function() {
+  var messages = this.messages()
+  if (messages.length > 0) {
+    return messages[0]
+  }
+}
+
 /**
  * Default display is as a list.
  * @return {ReactElement}
@@ -154,7 +177,10 @@ ErrorObject.prototype.fromJSON = function(jsonObj, errorConstructor) {
   var fieldNames = Object.keys(jsonObj)
   for (var i = 0, l = fieldNames.length; i < l ; i++) {
     var fieldName = fieldNames[i]
-    this.errors[fieldName] = errorConstructor.fromJSON(jsonObj[fieldName])
+    // Errors for nested forms are objects rather than lists
+    this.errors[fieldName] = (is.Array(jsonObj[fieldName])
+                              ? errorConstructor.fromJSON(jsonObj[fieldName])
+                              : ErrorObject.fromJSON(jsonObj[fieldName], errorConstructor))
   }
 }
 
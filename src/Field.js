@@ -36,9 +36,11 @@ var Field = Concur.extend({
       required: true, widget: null, label: null, initial: null,
       helpText: null, errorMessages: null, showHiddenInitial: false,
       validators: [], cssClass: null, validation: null, controlled: null,
-      custom: null, widgetAttrs: {}
+      custom: null, widgetAttrs: {}, showIf: null, requiredIf: null
     }, kwargs)
-    this.required = kwargs.required
+    // When required-ness depends on a condition, forms determine if the field
+    // is required when it's cleaned or rendered.
+    this.required = (kwargs.requiredIf !== null ? false : kwargs.required)
     this.label = kwargs.label
     this.initial = kwargs.initial
     this.showHiddenInitial = kwargs.showHiddenInitial
@@ -48,6 +50,8 @@ var Field = Concur.extend({
     this.controlled = kwargs.controlled
     this.custom = kwargs.custom
     this.widgetAttrs = kwargs.widgetAttrs
+    this.showIf = kwargs.showIf
+    this.requiredIf = kwargs.requiredIf
 
     var widget = kwargs.widget || this.widget
     if (!(widget instanceof Widget)) {
@@ -73,6 +77,10 @@ var Field = Concur.extend({
     messages.push(kwargs.errorMessages)
     this.errorMessages = object.extend.apply(object, messages)
 
+    // Language code of the locale used to parse input and display widget
+    // text - null for the default locale.
+    this.locale = null
+
     this.validators = this.defaultValidators.concat(kwargs.validators)
   }
 })
@@ -82,6 +90,16 @@ var Field = Concur.extend({
  */
 Field.creationCounter = 0
 
+/**
+ * Sets the locale the field parses input with, also setting its widget's
+ * locale.
+ * @param {?string} lang a language code, or null for the default locale.
+ */
+Field.prototype.setLocale = function(lang) {
+  this.locale = lang
+  this.widget.setLocale(lang)
+}
+
 Field.prototype.prepareValue = function(value) {
   return value
 }
@@ -170,6 +188,22 @@ Field.prototype.getWidgetAttrs = function(widget) {
   return object.extend({}, this.widgetAttrs)
 }
 
+/**
+ * Specifies names of other fields in the same form whose input this field
+ * depends on. Forms pass their input to setDependencyData() before the field
+ * is cleaned or rendered, and clean the field again when it changes.
+ * @return {Array.<string>} field names.
+ */
+Field.prototype.getDependencies = function() {
+  return []
+}
+
+/**
+ * Hook for receiving input data for fields this field depends on.
+ * @param {Object.<string,*>} data input data, keyed by field name.
+ */
+Field.prototype.setDependencyData = function(data) {}
+
 /**
  * @return {boolean} true if data differs from initial.
  */
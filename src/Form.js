@@ -14,16 +14,32 @@ var DeclarativeFieldsMeta = require('./forms/DeclarativeFieldsMeta')
 var ErrorList = require('./ErrorList')
 var ErrorObject = require('./ErrorObject')
 var FileField = require('./fields/FileField')
+var FormField = require('./fields/FormField')
+var History = require('./History')
 var MultipleFileField = require('./fields/MultipleFileField')
 
+var {fromJSONSafe, normaliseAutosave, stateWithDefaults, toJSONSafe} =
+  require('./forms/formState')
+var {formSchema} = require('./forms/toJSONSchema')
+var {translateError} = require('./locales')
 var {ValidationError} = require('validators')
-var {cancellable, debounce, info, warning, normaliseValidation} = require('./util')
+var {cancellable, debounce, info, inheritWith, isPromise, normaliseValidation,
+     settleWithPromise, validationPromise, warning} = require('./util')
 
 function noop() {}
 var sentinel = {}
 
 var NON_FIELD_ERRORS = constants.NON_FIELD_ERRORS
 
+/**
+ * @param {string} name the name of a cross-field validator.
+ * @return {string} the name used to track the validator's progress alongside
+ *   fields which are being cleaned.
+ */
+function validatorKey(name) {
+  return NON_FIELD_ERRORS + '.' + name
+}
+
 /**
  * Checks if a field's view of raw input data (via its Widget) has changed.
  */
@@ -38,6 +54,44 @@ function fieldDataHasChanged(previous, current) {
   return previous != current
 }
 
+/**
+ * Determines if a field's showIf or requiredIf condition has been met.
+ * @param {(function(Object.<string,*>, Form)|Object.<string,*>)} condition
+ *   either a predicate function, which will be called with the form's
+ *   unprefixed input data and the form itself, or an object mapping field names
+ *   to the input value (or list of input values) they must have.
+ * @param {Object.<string,*>} data unprefixed input data.
+ * @param {Form} form
+ * @return {boolean}
+ */
+function conditionMet(condition, data, form) {
+  if (is.Function(condition)) {
+    return !!condition(data, form)
+  }
+  var fieldNames = Object.keys(condition)
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    var expected = condition[fieldNames[i]]
+    if (!is.Array(expected)) {
+      expected = [expected]
+    }
+    var value = data[fieldNames[i]]
+    var values = (is.Array(value) ? value : [value])
+    var matched = false
+    for (var j = 0, m = values.length; j < m && !matched; j++) {
+      for (var k = 0, n = expected.length; k < n; k++) {
+        if (values[j] == expected[k]) {
+          matched = true
+          break
+        }
+      }
+    }
+    if (!matched) {
+      return false
+    }
+  }
+  return true
+}
+
 if ('production' !== process.env.NODE_ENV) {
   var warnedOnImpliedValidateAuto = false
 }
@@ -58,7 +112,8 @@ var Form = Concur.extend({
       data: null, files: null, autoId: 'id_{name}', prefix: null,
       initial: null, errorConstructor: ErrorList, labelSuffix: ':',
       emptyPermitted: false, validation: null, controlled: false,
-      onChange: null, errors: null
+      onChange: null, errors: null, history: null, autosave: null,
+      hydrate: null, locale: null, timezone: null
     }, kwargs)
     this.isInitialRender = (kwargs.data == null && kwargs.files == null)
     this.data = kwargs.data || {}
@@ -72,6 +127,15 @@ var Form = Concur.extend({
     this.emptyPermitted = kwargs.emptyPermitted
     this.controlled = kwargs.controlled
     this.onChange = kwargs.onChange
+    // Language code of the locale the form's error messages are translated
+    // for and its fields use - null for the default locale.
+    this.locale = kwargs.locale
+    // Timezone date/time fields without a timezone of their own interpret input
+    // in - null for local time.
+    this.timezone = kwargs.timezone
+    // Identity of a formset's form which is kept when forms are inserted,
+    // removed or moved - null for forms which aren't in a formset.
+    this.key = null
 
     // Auto validation is implied when onChange is passed
     if (is.Function(kwargs.onChange)) {
@@ -89,6 +153,17 @@ var Form = Concur.extend({
     }
     this.validation = normaliseValidation(kwargs.validation || 'manual')
 
+    // Undo/redo history of input data - a FormSet's forms share its history
+    if (kwargs.history instanceof History) {
+      this._history = kwargs.history
+    }
+    else if (kwargs.history) {
+      this._history = new History(this, kwargs.history === true ? null : kwargs.history)
+    }
+    else {
+      this._history = null
+    }
+
     this._errors = kwargs.errors
 
     // Cancellable debounced functions for delayed event validation
@@ -97,6 +172,10 @@ var Form = Concur.extend({
     this._lastValidatedData = {}
     // Cached result of the last call to hasChanged()
     this._lastHasChanged = null
+    // Lookups for names of fields which have been focused (visited) and
+    // blurred (touched) by the user
+    this._visited = {}
+    this._touched = {}
 
     // Lookup for names of fields pending validation
     this._pendingValidation = {}
@@ -104,14 +183,39 @@ var Form = Concur.extend({
     this._pendingAsyncValidation = {}
     // Lookup for names of fields pending validation which clean() depends on
     this._runCleanAfter = {}
-    // Callback to be run the next time validation finishes
-    this._onValidate = null
+    // Lookups for names of fields pending validation which cross-field
+    // validators depend on, by validator name
+    this._runValidatorAfter = {}
+    // Errors added by cross-field validators, by validator name
+    this._validatorErrors = {}
+    // Callbacks to be run the next time validation finishes
+    this._onValidate = []
+    // Lookup for names of custom cleaning methods which have returned a Promise
+    this._promiseCleans = {}
+    // Nested form and formset instances for FormFields, created when first used
+    this._nestedForms = {}
+    // Input data for conditions, computed once for the duration of a clean or
+    // render pass.
+    this._passConditionData = null
 
     // The baseFields attribute is the *prototype-wide* definition of fields.
     // Because a particular *instance* might want to alter this.fields, we
     // create this.fields here by deep copying baseFields. Instances should
     // always modify this.fields; they should not modify baseFields.
     this.fields = copy.deepCopy(this.baseFields)
+    if (this.locale !== null) {
+      Object.keys(this.fields).forEach(function(name) {
+        this.fields[name].setLocale(this.locale)
+      }.bind(this))
+    }
+    if (this.timezone !== null) {
+      Object.keys(this.fields).forEach(function(name) {
+        var field = this.fields[name]
+        if (is.Function(field.setTimezone) && field.timezone === null) {
+          field.setTimezone(this.timezone)
+        }
+      }.bind(this))
+    }
 
     if ('production' !== process.env.NODE_ENV) {
       // Now that form.fields exists, we can check if there's any configuration
@@ -129,13 +233,39 @@ var Form = Concur.extend({
     if (this.isInitialRender) {
       this._copyInitialToData()
     }
+
+    // Restore state the form was rendered with on the server, so the first
+    // render on the client matches it, or any previously autosaved state unless
+    // data was given. State will be saved again every time it changes.
+    this._autosave = normaliseAutosave(kwargs.autosave, this.prefix, this._formName())
+    if (kwargs.hydrate !== null) {
+      this.restoreState(kwargs.hydrate, {_triggerStateChange: false})
+    }
+    else if (this._autosave !== null && this.isInitialRender) {
+      var savedState = this._autosave.storage.get(this._autosave.key)
+      if (savedState) {
+        this.restoreState(savedState, {_triggerStateChange: false})
+      }
+    }
   }
 })
 
+/**
+ * Creates a JSON Schema document describing the data the form's fields clean
+ * to. Validation which can't be represented is listed in the document's
+ * 'x-unsupported' property.
+ * @param {Object=} kwargs schema options.
+ * @return {Object}
+ */
+Form.toJSONSchema = function(kwargs) {
+  return formSchema(this.prototype, this.prototype.baseFields, kwargs)
+}
+
 // XXX Don't alter form extension arguments - fix this in Concur
 var _extend = Form.extend
 Form.extend = function(prototypeProps, constructorProps) {
-  return _extend.call(this, object.extend({}, prototypeProps), constructorProps)
+  return _extend.call(this, object.extend({}, prototypeProps),
+                      object.extend({toJSONSchema: Form.toJSONSchema}, constructorProps))
 }
 
 /**
@@ -143,6 +273,9 @@ Form.extend = function(prototypeProps, constructorProps) {
  * every time the form makes a change to its state which requires redisplay.
  */
 Form.prototype._stateChanged = function() {
+  if (this._autosave !== null) {
+    this._autosave.storage.set(this._autosave.key, this.serializeState())
+  }
   if (typeof this.onChange == 'function') {
     this.onChange()
   }
@@ -159,6 +292,8 @@ Form.prototype._copyInitialToData = function() {
   for (var i = 0, l = initialFieldNames.length; i < l; i++) {
     var fieldName = initialFieldNames[i]
     if (typeof this.fields[fieldName] == 'undefined') { continue }
+    // Nested forms take care of their own initial data
+    if (this.fields[fieldName] instanceof FormField) { continue }
     // Don't copy initial to input data for fields which can't have the
     // initial data set as their current value.
     if (!this.fields[fieldName].widget.isValueSettable) { continue }
@@ -220,10 +355,12 @@ Form.prototype._needsOnChange = function() {
  * <form> DOM node.
  * @param {function(err, isValid, cleanedData)=} cb callback for asynchronous
  *   validation.
- * @return {boolean|undefined} true if the form only has synchronous validation
- *   and is valid.
- * @throws if the form has asynchronous validation and a callback is not
- *   provided.
+ * @return {boolean|Promise|undefined} true if the form only has synchronous
+ *   validation and is valid. If the form has asynchronous validation and a
+ *   callback is not provided, a Promise which will be resolved with the result
+ *   of validation.
+ * @throws if the form has asynchronous validation, a callback is not provided
+ *   and Promise is not available.
  */
 Form.prototype.validate = function(form, cb) {
   this._cancelPendingOperations()
@@ -236,21 +373,29 @@ Form.prototype.validate = function(form, cb) {
       form = form.getDOMNode()
     }
     this.data = getFormData(form)
+    this._nestedForms = {}
   }
-  return (this.isAsync() ? this._validateAsync(cb) : this._validateSync())
+  if (this.isAsync()) {
+    return this._validateAsync(cb)
+  }
+  var isValid = this._validateSync()
+  // A custom cleaning method which returns a Promise can only be detected as
+  // asynchronous once it's been called.
+  if (this.isPending()) {
+    return this._awaitValidation(cb)
+  }
+  this._settleValidation(null)
+  return isValid
 }
 
 Form.prototype._validateAsync = function(cb) {
   if (!is.Function(cb)) {
-    throw new Error(
-      'You must provide a callback to validate() when a form has ' +
-      'asynchronous validation.'
-    )
+    return validationPromise(this._validateAsync.bind(this), 'a form')
   }
   if (this.isInitialRender) {
     this.isInitialRender = false
   }
-  this._onValidate = cb
+  this._onValidate.push(cb)
   this.fullClean()
   // Display async progress indicators
   this._stateChanged()
@@ -266,11 +411,26 @@ Form.prototype._validateSync = function() {
   return this.isValid()
 }
 
+/**
+ * Waits for validation which is already in progress to finish.
+ * @param {function(err, isValid, cleanedData)=} cb callback for the end of
+ *   validation.
+ * @return {Promise|undefined} if a callback is not provided, a Promise which
+ *   will be resolved with the result of validation.
+ */
+Form.prototype._awaitValidation = function(cb) {
+  if (!is.Function(cb)) {
+    return validationPromise(this._awaitValidation.bind(this), 'a form')
+  }
+  this._onValidate.push(cb)
+}
+
 /**
  * Cleans data for all fields and triggers cross-form cleaning.
  */
 Form.prototype.fullClean = function() {
   this._errors = new ErrorObject()
+  this._validatorErrors = {}
   if (this.isInitialRender) {
     return // Stop further processing
   }
@@ -284,15 +444,17 @@ Form.prototype.fullClean = function() {
     return
   }
 
-  this._cleanFields()
+  this._withConditionData(this._cleanFields.bind(this))
 }
 
 /**
- * Cleans data for the given field names and triggers cross-form cleaning in
- * case any cleanedData it uses has changed.
+ * Cleans data for the given field names, plus any conditional fields which
+ * have already been validated, and triggers cross-form cleaning in case any
+ * cleanedData it uses has changed.
  * @param {Array.<string>} fields field names.
  */
 Form.prototype.partialClean = function(fields) {
+  fields = fields.concat(this._conditionalFieldsToClean(fields))
   this._removeErrors(fields)
 
   // If the form is permitted to be empty, and none of the form data has
@@ -305,9 +467,37 @@ Form.prototype.partialClean = function(fields) {
   }
 
   this._preCleanFields(fields)
-  for (var i = 0, l = fields.length; i < l; i++) {
-    this._cleanField(fields[i])
+  this._withConditionData(function() {
+    for (var i = 0, l = fields.length; i < l; i++) {
+      this._cleanField(fields[i])
+    }
+  }.bind(this))
+}
+
+/**
+ * When some fields are being cleaned, the input data conditional fields (and
+ * fields which depend on other fields' input) depend on may have changed, so
+ * any such fields which have already been validated need to be cleaned again.
+ * @param {Array.<string>} fields field names which are being cleaned.
+ * @return {Array.<string>} names of additional conditional fields to be cleaned.
+ */
+Form.prototype._conditionalFieldsToClean = function(fields) {
+  var toClean = []
+  var fieldLookup = object.lookup(fields)
+  var fieldNames = Object.keys(this.fields)
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    var name = fieldNames[i]
+    var field = this.fields[name]
+    if (fieldLookup[name] || (field.showIf === null && field.requiredIf === null &&
+                              field.getDependencies().length === 0)) {
+      continue
+    }
+    if ((this._errors != null && this._errors.hasField(name)) ||
+        object.hasOwn(this.cleanedData, name)) {
+      toClean.push(name)
+    }
   }
+  return toClean
 }
 
 /**
@@ -348,6 +538,22 @@ Form.prototype._preCleanFields = function(fieldNames) {
       }
     }
   }
+
+  // Cross-field validators run after the fields they depend on
+  var validatorNames = Object.keys(this.crossFieldValidators)
+  for (i = 0, l = validatorNames.length; i < l; i++) {
+    var name = validatorNames[i]
+    var validator = this.crossFieldValidators[name]
+    for (var j = 0, m = fieldNames.length; j < m; j++) {
+      if (typeof validator.fields != 'undefined' ? validator.fields[fieldNames[j]]
+                                                  : this.fields[fieldNames[j]]) {
+        if (!object.hasOwn(this._runValidatorAfter, name)) {
+          this._runValidatorAfter[name] = {}
+        }
+        this._runValidatorAfter[name][fieldNames[j]] = true
+      }
+    }
+  }
 }
 
 /**
@@ -361,6 +567,24 @@ Form.prototype._cleanField = function(name) {
   }
 
   var field = this.fields[name]
+
+  // Fields which aren't currently shown don't get any cleaned data
+  if (!this.isFieldShown(name)) {
+    delete this.cleanedData[name]
+    this._fieldCleaned(name, null)
+    return
+  }
+  // Fields with a requiredIf condition are cleaned as if they were configured
+  // with its current result.
+  if (field.requiredIf !== null) {
+    field = inheritWith(field, {required: this.isFieldRequired(name)})
+  }
+  this._setDependencyData(field)
+  if (field instanceof FormField) {
+    this._cleanNestedForm(name)
+    return
+  }
+
   // valueFromData() gets the data from the data objects.
   // Each widget type knows how to retrieve its own data, because some widgets
   // split data over several HTML fields.
@@ -397,6 +621,26 @@ Form.prototype._cleanField = function(name) {
   }
 }
 
+/**
+ * Passes current input data for the fields a field depends on to it.
+ * @param {Field} field
+ */
+Form.prototype._setDependencyData = function(field) {
+  var names = field.getDependencies()
+  if (names.length === 0) {
+    return
+  }
+  var data = {}
+  names.forEach(function(name) {
+    if (!object.hasOwn(this.fields, name)) {
+      throw new Error(this._formName() + " has no field named '" + name + "'")
+    }
+    data[name] = this.fields[name].widget.valueFromData(this.data, this.files,
+                                                        this.addPrefix(name))
+  }.bind(this))
+  field.setDependencyData(data)
+}
+
 /**
  * Gets the custom cleaning method for a field. These can be named clean<Name>
  * or clean_<name>.
@@ -410,7 +654,7 @@ Form.prototype._getCustomClean = function(fieldName) {
 
 /**
  * Calls a custom cleaning method, expecting synchronous or asynchronous
- * behaviour, depending on its arity.
+ * behaviour, depending on its arity or whether or not it returns a Promise.
  * @param {string} fieldName a field name.
  * @param {(function()|function(function(Error, string, string|ValidationError)))} customClean
  *   the custom cleaning method for the field.
@@ -418,11 +662,15 @@ Form.prototype._getCustomClean = function(fieldName) {
  *   ran synchronously.
  */
 Form.prototype._runCustomClean = function(fieldName, customClean) {
+  var returnValue
   // Check arity to see if we have a callback in the function signature
   if (customClean.length === 0) {
-    // Synchronous processing only expected
-    customClean.call(this)
-    return false
+    // Synchronous processing is expected unless a Promise is returned
+    returnValue = customClean.call(this)
+    if (!isPromise(returnValue)) {
+      return false
+    }
+    this._promiseCleans[fieldName] = true
   }
 
   // If custom validation is async and there's one pending, prevent its
@@ -435,7 +683,7 @@ Form.prototype._runCustomClean = function(fieldName, customClean) {
   // from completely ignoring the callback if validation fires again.
   var callback = function(err, validationError) {
     if (validationError) {
-      this.addError(fieldName == NON_FIELD_ERRORS ? null : fieldName, validationError)
+      this._addCustomCleanError(fieldName, validationError)
     }
     this._fieldCleaned(fieldName, err)
     this._stateChanged()
@@ -444,18 +692,41 @@ Form.prototype._runCustomClean = function(fieldName, customClean) {
 
   // An explicit return value of false indicates that async processing is
   // being skipped (e.g. because sync checks in the method failed first)
-  var returnValue = customClean.call(this, cancellableCallback)
+  if (customClean.length !== 0) {
+    returnValue = customClean.call(this, cancellableCallback)
+  }
   if (returnValue !== false) {
     // Async processing is happening! Make the callback cancellable and
     // hook up any custom onCancel handling provided.
     if (returnValue && typeof returnValue.onCancel == 'function') {
       callback.onCancel = returnValue.onCancel
     }
+    if (isPromise(returnValue)) {
+      settleWithPromise(returnValue, cancellableCallback)
+    }
     this._pendingAsyncValidation[fieldName] = cancellableCallback
     return true
   }
 }
 
+/**
+ * Adds an error from a custom cleaning method or cross-field validator.
+ * @param {string} fieldName the name the cleaning is being tracked by.
+ * @param {(string|ValidationError)} validationError
+ */
+Form.prototype._addCustomCleanError = function(fieldName, validationError) {
+  if (fieldName == NON_FIELD_ERRORS) {
+    this.addError(null, validationError)
+  }
+  else if (fieldName.indexOf(NON_FIELD_ERRORS + '.') === 0) {
+    this._addValidatorError(fieldName.substr(NON_FIELD_ERRORS.length + 1),
+                            validationError)
+  }
+  else {
+    this.addError(fieldName, validationError)
+  }
+}
+
 /**
  * Callback for completion of field cleaning. Triggers further field cleaning or
  * signals the end of validation, as necessary.
@@ -476,17 +747,35 @@ Form.prototype._fieldCleaned = function(fieldName, err) {
     // Stop tracking validation progress on error, and don't call clean()
     this._pendingValidation = {}
     this._runCleanAfter = {}
+    this._runValidatorAfter = {}
     this._finishedValidation(err)
     return
   }
 
-  // Run clean() if this was the last field it was waiting for
+  // Run clean() and any cross-field validators if this was the last field they
+  // were waiting for.
+  var runClean = false
   if (this._runCleanAfter[fieldName]) {
     delete this._runCleanAfter[fieldName]
-    if (is.Empty(this._runCleanAfter)) {
+    runClean = is.Empty(this._runCleanAfter)
+  }
+  var validatorNames = this._readyValidators(fieldName)
+  if (runClean || validatorNames.length > 0) {
+    // Track cross-field validation as pending so validation doesn't finish
+    // until all of it has run.
+    for (var i = 0, l = validatorNames.length; i < l; i++) {
+      this._pendingValidation[validatorKey(validatorNames[i])] = true
+    }
+    if (runClean) {
+      this._pendingValidation[NON_FIELD_ERRORS] = true
+    }
+    for (i = 0, l = validatorNames.length; i < l; i++) {
+      this._runValidator(validatorNames[i])
+    }
+    if (runClean) {
       this._cleanForm()
-      return
     }
+    return
   }
 
   // Signal the end of validation if this was the last field we were waiting for
@@ -505,6 +794,15 @@ Form.prototype._fieldCleaned = function(fieldName, err) {
  */
 Form.prototype.clean = noop
 
+/**
+ * Named cross-field validators, which are run with the form as their context
+ * after the fields they depend on have been cleaned, in the same way as
+ * clean(). When extending a form, these can be specified as
+ * [field1, field2, ..., validatorFunction] to declare their dependencies.
+ * @type {Object.<string,function>}
+ */
+Form.prototype.crossFieldValidators = {}
+
 /**
  * Calls the clean() hook.
  */
@@ -530,6 +828,175 @@ Form.prototype._cleanForm = function() {
   }
 }
 
+// ================================================== Cross-field Validation ===
+
+/**
+ * Updates tracking of the fields cross-field validators are waiting for.
+ * @param {string} fieldName the name of a field which has been cleaned.
+ * @return {Array.<string>} names of validators which were waiting for this
+ *   field and are now ready to run.
+ */
+Form.prototype._readyValidators = function(fieldName) {
+  var ready = []
+  var validatorNames = Object.keys(this._runValidatorAfter)
+  for (var i = 0, l = validatorNames.length; i < l; i++) {
+    var name = validatorNames[i]
+    var runAfter = this._runValidatorAfter[name]
+    if (runAfter[fieldName]) {
+      delete runAfter[fieldName]
+      if (is.Empty(runAfter)) {
+        delete this._runValidatorAfter[name]
+        ready.push(name)
+      }
+    }
+  }
+  return ready
+}
+
+/**
+ * @param {Array.<string>} fields field names.
+ * @return {Object.<string,boolean>} a lookup for names of cross-field
+ *   validators which depend on any of the given fields.
+ */
+Form.prototype._validatorsDependingOn = function(fields) {
+  var dependent = {}
+  var validatorNames = Object.keys(this.crossFieldValidators)
+  for (var i = 0, l = validatorNames.length; i < l; i++) {
+    var validator = this.crossFieldValidators[validatorNames[i]]
+    for (var j = 0, m = fields.length; j < m; j++) {
+      if (typeof validator.fields == 'undefined' || validator.fields[fields[j]]) {
+        dependent[validatorNames[i]] = true
+        break
+      }
+    }
+  }
+  return dependent
+}
+
+/**
+ * Calls a cross-field validator, replacing any errors it previously added.
+ * Validators which declare the fields they depend on are skipped if any of
+ * those fields don't have cleaned data.
+ * @param {string} name the name of a cross-field validator.
+ */
+Form.prototype._runValidator = function(name) {
+  var key = validatorKey(name)
+  var validator = this.crossFieldValidators[name]
+  this._removeValidatorErrors(name)
+
+  if (typeof validator.fields != 'undefined') {
+    var fieldNames = Object.keys(validator.fields)
+    for (var i = 0, l = fieldNames.length; i < l; i++) {
+      if (!object.hasOwn(this.cleanedData, fieldNames[i])) {
+        this._fieldCleaned(key, null)
+        return
+      }
+    }
+  }
+
+  var async = false
+  var error = null
+  try {
+    async = this._runCustomClean(key, validator)
+  }
+  catch (e) {
+    if (e instanceof ValidationError) {
+      this._addValidatorError(name, e)
+    }
+    else {
+      error = e
+    }
+  }
+
+  if (!async) {
+    this._fieldCleaned(key, error)
+  }
+}
+
+/**
+ * Adds errors from a cross-field validator, keeping track of them so they can
+ * be replaced when it runs again. Errors will be treated as NON_FIELD_ERRORS
+ * unless they were given as an object mapping field names to errors.
+ * @param {string} name the name of a cross-field validator.
+ * @param {(string|ValidationError|Array|Object)} error
+ */
+Form.prototype._addValidatorError = function(name, error) {
+  if (!(error instanceof ValidationError)) {
+    error = ValidationError(error)
+  }
+  var errors = {}
+  if (object.hasOwn(error, 'errorObj')) {
+    object.extend(errors, error.errorObj)
+  }
+  else {
+    errors[NON_FIELD_ERRORS] = error.errorList
+  }
+  // Adding errors removes fields' cleanedData, which will be needed again if
+  // the errors are removed without the fields being cleaned again.
+  var cleanedData = {}
+  Object.keys(errors).forEach(function(field) {
+    if (object.hasOwn(this.cleanedData, field)) {
+      cleanedData[field] = this.cleanedData[field]
+    }
+  }.bind(this))
+  this._validatorErrors[name] = {errors: errors, cleanedData: cleanedData}
+  this._restoreValidatorErrors(name)
+}
+
+/**
+ * Adds tracked errors from a cross-field validator to the form's errors.
+ * @param {string} name the name of a cross-field validator.
+ */
+Form.prototype._restoreValidatorErrors = function(name) {
+  var errors = this._validatorErrors[name].errors
+  var fields = Object.keys(errors)
+  for (var i = 0, l = fields.length; i < l; i++) {
+    // addError() modifies the list it's given when filtering duplicates
+    this.addError(fields[i] == NON_FIELD_ERRORS ? null : fields[i],
+                  ValidationError(errors[fields[i]].slice()))
+  }
+}
+
+/**
+ * Removes errors previously added by a cross-field validator, restoring
+ * cleanedData for fields which no longer have any errors. Errors are identified
+ * by the ValidationError instances the validator added, so the same messages
+ * from other sources are kept.
+ * @param {string} name the name of a cross-field validator.
+ */
+Form.prototype._removeValidatorErrors = function(name) {
+  if (!object.hasOwn(this._validatorErrors, name)) { return }
+  var {errors, cleanedData} = object.pop(this._validatorErrors, name)
+  var fields = Object.keys(errors)
+  var i, l, field
+  for (i = 0, l = fields.length; i < l; i++) {
+    field = fields[i]
+    if (this._errors.hasField(field)) {
+      var added = errors[field]
+      var errorList = this._errors.get(field)
+      errorList.data = errorList.data.filter(function(error) {
+        return (added.indexOf(error) == -1)
+      })
+      if (!errorList.isPopulated()) {
+        this._errors.remove(field)
+      }
+    }
+  }
+
+  // Errors from other validators which were filtered out as duplicates of the
+  // removed errors are added again.
+  Object.keys(this._validatorErrors).forEach(this._restoreValidatorErrors.bind(this))
+
+  for (i = 0, l = fields.length; i < l; i++) {
+    field = fields[i]
+    if (!this._errors.hasField(field) &&
+        object.hasOwn(cleanedData, field) &&
+        !object.hasOwn(this.cleanedData, field)) {
+      this.cleanedData[field] = cleanedData[field]
+    }
+  }
+}
+
 Form.prototype._finishedValidation = function(err) {
   if (!this.isAsync()) {
     if (err) {
@@ -539,15 +1006,27 @@ Form.prototype._finishedValidation = function(err) {
     // call which triggered validation.
     return
   }
-  if (is.Function(this._onValidate)) {
-    var callback = this._onValidate
-    this._onValidate = null
+  this._settleValidation(err)
+}
+
+/**
+ * Calls back everything waiting for validation to finish, including callers of
+ * validate() whose validation was superseded by a later call.
+ * @param {?Error} err an error caught while validating.
+ */
+Form.prototype._settleValidation = function(err) {
+  if (this._onValidate.length === 0) {
+    return
+  }
+  var callbacks = this._onValidate
+  this._onValidate = []
+  var isValid = (err ? false : this.isValid())
+  callbacks.forEach(function(callback) {
     if (err) {
       return callback(err)
     }
-    var isValid = this.isValid()
     callback(null, isValid, isValid ? this.cleanedData : null)
-  }
+  }.bind(this))
 }
 
 /**
@@ -578,6 +1057,10 @@ Form.prototype._handleFieldEvent = function(validation, e) {
   var fieldName = this.removePrefix(e.target.getAttribute('data-newforms-field') || htmlName)
   var field = this.fields[fieldName]
   var targetData = getFormData.getNamedFormElementData(e.target.form, htmlName)
+  if (this._history !== null &&
+      fieldDataHasChanged(object.get(this.data, htmlName, ''), targetData)) {
+    this._history.record(htmlName)
+  }
   this.data[htmlName] = targetData
   if (field instanceof FileField && 'files' in e.target) {
     var files = e.target.files
@@ -606,7 +1089,7 @@ Form.prototype._handleFieldEvent = function(validation, e) {
     }
     // Always validate if the field is required and the input which was blurred
     // was empty (some fields have multiple inputs).
-    validate = (field.required && field.isEmptyValue(targetData))
+    validate = (this.isFieldRequired(fieldName) && field.isEmptyValue(targetData))
   }
 
   // Always validate if this is the first time the field has been interacted
@@ -641,6 +1124,22 @@ Form.prototype._handleFieldEvent = function(validation, e) {
   }
 }
 
+/**
+ * Tracks the user visiting (focusing) or touching (blurring) the field which is
+ * the target of the given event, notifying of the state change the first time
+ * this happens.
+ * @param {string} event 'onFocus' or 'onBlur'.
+ * @param {SyntheticEvent} e the event being handled.
+ */
+Form.prototype._handleFieldInteraction = function(event, e) {
+  var fieldName = this.removePrefix(e.target.getAttribute('data-newforms-field') || e.target.name)
+  var lookup = (event == 'onFocus' ? this._visited : this._touched)
+  if (!lookup[fieldName]) {
+    lookup[fieldName] = true
+    this._stateChanged()
+  }
+}
+
 /**
  * Sets up delayed validation of a field with a debounced function and calls it,
  * or just calls the function again if it already exists, to reset the delay.
@@ -683,6 +1182,9 @@ Form.prototype._immediateFieldValidation = function(fieldName) {
  */
 Form.prototype.reset = function(newInitial) {
   this._cancelPendingOperations()
+  if (this._history !== null && !this.isInitialRender) {
+    this._history.record()
+  }
 
   if (typeof newInitial != 'undefined') {
     this.initial = newInitial
@@ -691,13 +1193,18 @@ Form.prototype.reset = function(newInitial) {
   this.data = {}
   this.cleanedData = {}
   this.isInitialRender = true
+  this._nestedForms = {}
 
   this._errors = null
   this._lastHasChanged = null
+  this._visited = {}
+  this._touched = {}
   this._pendingValidation = {}
   this._runCleanAfter = {}
+  this._runValidatorAfter = {}
+  this._validatorErrors = {}
   this._lastValidatedData = {}
-  this._onValidate = null
+  this._onValidate = []
 
   this._copyInitialToData()
   this._stateChanged()
@@ -713,10 +1220,17 @@ Form.prototype.reset = function(newInitial) {
  */
 Form.prototype.setData = function(data, kwargs) {
   kwargs = object.extend({
-    prefixed: false, validate: true, _triggerStateChange: true
+    prefixed: false, validate: true, _triggerStateChange: true,
+    _recordHistory: true
   }, kwargs)
 
-  this.data = (kwargs.prefixed ? data : this._prefixData(data))
+  data = (kwargs.prefixed ? data : this._prefixData(data))
+  if (this._history !== null && kwargs._recordHistory &&
+      this._changedInputFields(data).length > 0) {
+    this._history.record()
+  }
+  this.data = data
+  this._nestedForms = {}
 
   if (this.isInitialRender) {
     this.isInitialRender = false
@@ -759,10 +1273,16 @@ Form.prototype.setFormData = function(formData, kwargs) {
  */
 Form.prototype.updateData = function(data, kwargs) {
   kwargs = object.extend({
-    prefixed: false, validate: true, clearValidation: true
+    prefixed: false, validate: true, clearValidation: true,
+    _triggerStateChange: true, _recordHistory: true
   }, kwargs)
 
-  object.extend(this.data, (kwargs.prefixed ? data : this._prefixData(data)))
+  var prefixedData = (kwargs.prefixed ? data : this._prefixData(data))
+  if (this._history !== null && kwargs._recordHistory &&
+      this._changedInputFields(object.extend({}, this.data, prefixedData)).length > 0) {
+    this._history.record()
+  }
+  object.extend(this.data, prefixedData)
   if (this.isInitialRender) {
     this.isInitialRender = false
   }
@@ -771,6 +1291,10 @@ Form.prototype.updateData = function(data, kwargs) {
   if (kwargs.prefixed) {
     fields = fields.map(this.removePrefix.bind(this))
   }
+  // Nested forms will be recreated with the updated input data
+  for (var i = 0, l = fields.length; i < l; i++) {
+    delete this._nestedForms[fields[i]]
+  }
 
   if (kwargs.validate) {
     this.partialClean(fields)
@@ -781,7 +1305,9 @@ Form.prototype.updateData = function(data, kwargs) {
     this._cleanForm()
   }
 
-  this._stateChanged()
+  if (kwargs._triggerStateChange) {
+    this._stateChanged()
+  }
 }
 
 /**
@@ -794,6 +1320,225 @@ Form.prototype._removeCleanedData = function(fields) {
   }
 }
 
+// ================================================================= History ===
+
+/**
+ * Restores input data from before the last recorded change, re-validating
+ * affected fields.
+ * @return {boolean} true if there was a change to undo.
+ */
+Form.prototype.undo = function() {
+  return (this._history !== null && this._history.undo())
+}
+
+/**
+ * Restores input data from before the last undo, re-validating affected fields.
+ * @return {boolean} true if there was a change to redo.
+ */
+Form.prototype.redo = function() {
+  return (this._history !== null && this._history.redo())
+}
+
+/**
+ * @return {boolean} true if history is enabled and there's a change which can
+ *   be undone.
+ */
+Form.prototype.canUndo = function() {
+  return (this._history !== null && this._history.canUndo())
+}
+
+/**
+ * @return {boolean} true if history is enabled and there's an undone change
+ *   which can be redone.
+ */
+Form.prototype.canRedo = function() {
+  return (this._history !== null && this._history.canRedo())
+}
+
+/**
+ * @return {Object} a snapshot of the form's input data for its history.
+ */
+Form.prototype._historyState = function() {
+  return {data: copy.deepCopy(this.data), isInitialRender: this.isInitialRender}
+}
+
+/**
+ * Restores input data from a history snapshot and re-validates fields whose
+ * input data changed.
+ * @param {Object} state a snapshot created by _historyState().
+ * @param {Object=} kwargs restoring options.
+ */
+Form.prototype._restoreHistoryState = function(state, kwargs) {
+  kwargs = object.extend({_triggerStateChange: true}, kwargs)
+  var fields = this._changedInputFields(state.data)
+  for (var i = 0, l = fields.length; i < l; i++) {
+    if (typeof this._pendingEventValidation[fields[i]] != 'undefined') {
+      object.pop(this._pendingEventValidation, fields[i]).cancel()
+    }
+    delete this._nestedForms[fields[i]]
+  }
+
+  this.data = state.data
+  if (state.isInitialRender) {
+    this._cancelPendingOperations()
+    this.isInitialRender = true
+    this.cleanedData = {}
+    this._errors = null
+    this._nestedForms = {}
+    this._lastValidatedData = {}
+  }
+  else {
+    if (this.isInitialRender) {
+      this.isInitialRender = false
+    }
+    for (i = 0, l = fields.length; i < l; i++) {
+      this._lastValidatedData[fields[i]] =
+          this.fields[fields[i]].widget.valueFromData(this.data, this.files,
+                                                      this.addPrefix(fields[i]))
+    }
+    if (fields.length > 0) {
+      this.partialClean(fields)
+    }
+  }
+
+  if (kwargs._triggerStateChange) {
+    this._stateChanged()
+  }
+}
+
+/**
+ * Determines which fields' input data would change if the form had the given
+ * input data.
+ * @param {Object.<string,*>} data prefixed input data.
+ * @return {Array.<string>} field names.
+ */
+Form.prototype._changedInputFields = function(data) {
+  var changed = []
+  var fieldNames = Object.keys(this.fields)
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    var name = fieldNames[i]
+    var prefixedName = this.addPrefix(name)
+    var field = this.fields[name]
+    if (field instanceof FormField) {
+      // Nested input data is prefixed with the field's prefixed name
+      var keys = Object.keys(object.extend({}, this.data, data))
+      for (var j = 0, m = keys.length; j < m; j++) {
+        if (keys[j].indexOf(prefixedName + '-') === 0 &&
+            fieldDataHasChanged(this.data[keys[j]], data[keys[j]])) {
+          changed.push(name)
+          break
+        }
+      }
+    }
+    else if (fieldDataHasChanged(
+               field.widget.valueFromData(this.data, this.files, prefixedName),
+               field.widget.valueFromData(data, this.files, prefixedName))) {
+      changed.push(name)
+    }
+  }
+  return changed
+}
+
+// =================================================================== State ===
+
+/**
+ * Creates a JSON-safe snapshot of the form's state, which can be used to
+ * restore it later, e.g. to recover a draft after the page is reloaded.
+ * @return {Object}
+ */
+Form.prototype.serializeState = function() {
+  return {
+    data: toJSONSafe(this.data)
+  , initial: toJSONSafe(this.initial)
+  , isInitialRender: this.isInitialRender
+  , cleanedData: toJSONSafe(this.cleanedData)
+  , errors: (this._errors != null ? this._errors.toJSON() : null)
+  , touched: Object.keys(this._touched)
+  , visited: Object.keys(this._visited)
+  , pending: Object.keys(this._pendingValidation)
+  }
+}
+
+/**
+ * Restores the form's state from a snapshot created by serializeState(),
+ * cancelling any pending validation. Validation which was pending when the
+ * snapshot was created is run again.
+ * @param {Object} state
+ * @param {Object=} kwargs state restoring options.
+ */
+Form.prototype.restoreState = function(state, kwargs) {
+  kwargs = object.extend({_triggerStateChange: true, _validatePending: true}, kwargs)
+  state = stateWithDefaults(state, {
+    data: {}, isInitialRender: (state.data == null)
+  , cleanedData: {}, errors: null, touched: [], visited: [], pending: []
+  })
+  this._cancelPendingOperations()
+
+  this.data = fromJSONSafe(state.data)
+  if (state.initial != null) {
+    this.initial = fromJSONSafe(state.initial)
+  }
+  this.isInitialRender = state.isInitialRender
+  this.cleanedData = fromJSONSafe(state.cleanedData)
+  this._errors = (state.errors !== null
+                  ? ErrorObject.fromJSON(state.errors, this.errorConstructor)
+                  : null)
+  this._touched = object.lookup(state.touched)
+  this._visited = object.lookup(state.visited)
+  this._nestedForms = {}
+
+  this._lastHasChanged = null
+  this._pendingValidation = {}
+  this._runCleanAfter = {}
+  this._runValidatorAfter = {}
+  this._validatorErrors = {}
+  this._lastValidatedData = {}
+  this._onValidate = []
+
+  // Fields in a validated form don't need to be validated again until their
+  // data changes.
+  if (this._errors !== null) {
+    Object.keys(this.fields).forEach(function(name) {
+      this._lastValidatedData[name] =
+          this.fields[name].widget.valueFromData(this.data, this.files, this.addPrefix(name))
+    }.bind(this))
+  }
+
+  if (kwargs._validatePending && state.pending.length > 0) {
+    this._validatePending(state.pending)
+  }
+
+  if (kwargs._triggerStateChange) {
+    this._stateChanged()
+  }
+}
+
+/**
+ * Runs validation which was pending when state was serialized. If form-wide
+ * cleaning was pending, all fields are cleaned again.
+ * @param {Array.<string>} pending names of fields and form-wide cleaning which
+ *   were pending validation.
+ */
+Form.prototype._validatePending = function(pending) {
+  var fields = pending.filter(function(name) {
+    return object.hasOwn(this.fields, name)
+  }.bind(this))
+  if (fields.length < pending.length) {
+    fields = Object.keys(this.fields)
+  }
+  this.partialClean(fields)
+}
+
+/**
+ * Removes the form's autosaved state from storage, e.g. once it has been
+ * successfully submitted.
+ */
+Form.prototype.clearSavedState = function() {
+  if (this._autosave !== null) {
+    this._autosave.storage.remove(this._autosave.key)
+  }
+}
+
 // ============================================================= BoundFields ===
 
 /**
@@ -848,9 +1593,11 @@ Form.prototype.boundFieldsObj = function() {
  * @return {Array.<BoundField>}
  */
 Form.prototype.hiddenFields = function() {
-  return this.boundFields(function(field) {
-    return field.widget.isHidden
-  })
+  return this._withConditionData(function() {
+    return this.boundFields(function(field, name) {
+      return field.widget.isHidden && this.isFieldShown(name)
+    }.bind(this))
+  }.bind(this))
 }
 
 /**
@@ -859,9 +1606,247 @@ Form.prototype.hiddenFields = function() {
  * @return {Array.<BoundField>}
  */
 Form.prototype.visibleFields = function() {
-  return this.boundFields(function(field) {
-    return !field.widget.isHidden
+  return this._withConditionData(function() {
+    return this.boundFields(function(field, name) {
+      return !field.widget.isHidden && this.isFieldShown(name)
+    }.bind(this))
+  }.bind(this))
+}
+
+// ====================================================== Conditional Fields ===
+
+/**
+ * Gets input data for each of the form's fields, keyed by unprefixed field
+ * name, for use in determining if conditions have been met.
+ * @return {Object.<string,*>}
+ */
+Form.prototype._conditionData = function() {
+  if (this._passConditionData !== null) {
+    return this._passConditionData
+  }
+  var data = {}
+  var fieldNames = Object.keys(this.fields)
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    var name = fieldNames[i]
+    data[name] = this.fields[name].widget.valueFromData(this.data, this.files,
+                                                        this.addPrefix(name))
+  }
+  return data
+}
+
+/**
+ * Runs a function with input data for conditions computed once, for clean and
+ * render passes which check conditions for many fields against the same data.
+ * @param {function()} func
+ * @return {*} the function's return value.
+ */
+Form.prototype._withConditionData = function(func) {
+  if (this._passConditionData !== null) {
+    return func()
+  }
+  this._passConditionData = this._conditionData()
+  try {
+    return func()
+  }
+  finally {
+    this._passConditionData = null
+  }
+}
+
+/**
+ * Determines if a field should currently be displayed and validated, based on
+ * its showIf condition, if it has one.
+ * @param {string} name a field name.
+ * @return {boolean}
+ */
+Form.prototype.isFieldShown = function(name) {
+  var showIf = this.fields[name].showIf
+  return (showIf === null || conditionMet(showIf, this._conditionData(), this))
+}
+
+/**
+ * Determines if a field is currently required, based on its requiredIf
+ * condition, if it has one. Fields which aren't shown are never required.
+ * @param {string} name a field name.
+ * @return {boolean}
+ */
+Form.prototype.isFieldRequired = function(name) {
+  var field = this.fields[name]
+  if (field.showIf === null && field.requiredIf === null) {
+    return field.required
+  }
+  return this._withConditionData(function() {
+    if (!this.isFieldShown(name)) {
+      return false
+    }
+    if (field.requiredIf !== null) {
+      return conditionMet(field.requiredIf, this._conditionData(), this)
+    }
+    return field.required
+  }.bind(this))
+}
+
+// ============================================================ Nested Forms ===
+
+/**
+ * Gets the nested form or formset for a FormField, creating it if necessary.
+ * Nested forms use this form's input data, with their fields prefixed with the
+ * FormField's (prefixed) name.
+ * @param {string} name the name of a FormField.
+ * @return {(Form|FormSet)}
+ */
+Form.prototype.nestedForm = function(name) {
+  var field = this.fields[name]
+  if (!(field instanceof FormField)) {
+    throw new Error(this._formName() + " does not have a nested form field " +
+                    "named '" + name + "'")
+  }
+  if (object.hasOwn(this._nestedForms, name)) {
+    return this._nestedForms[name]
+  }
+  var initial = object.get(this.initial, name, field.initial)
+  if (is.Function(initial)) {
+    initial = initial()
+  }
+  var nested = field.createNested({
+    data: (this.isInitialRender ? null : this.data)
+  , files: (this.isInitialRender ? null : this.files)
+  , autoId: this.autoId
+  , prefix: this.addPrefix(name)
+  , initial: initial
+  , errorConstructor: this.errorConstructor
+  , validation: this.validation
+  , controlled: this.controlled
+  , onChange: this._nestedFormChanged.bind(this, name)
+  , locale: this.locale
+  , timezone: this.timezone
   })
+  // A nested form's initial input data is made part of this form's input data
+  if (nested.isInitialRender && nested instanceof Form) {
+    object.extend(this.data, nested.data)
+    nested.data = this.data
+  }
+  this._nestedForms[name] = nested
+  return nested
+}
+
+/**
+ * Validates a FormField's nested form or formset, then runs any custom
+ * validation function that's been provided for the field if it was valid.
+ * @param {string} name the name of a FormField.
+ */
+Form.prototype._cleanNestedForm = function(name) {
+  var nested = this.nestedForm(name)
+  var finished = this._nestedFormCleaned.bind(this, name)
+
+  var awaitNested = function(validate) {
+    var callback = function(err) {
+      delete this._pendingAsyncValidation[name]
+      finished(err)
+      this._stateChanged()
+    }.bind(this)
+    callback.onCancel = nested._cancelPendingOperations.bind(nested)
+    var cancellableCallback = cancellable(callback)
+    this._pendingAsyncValidation[name] = cancellableCallback
+    validate(cancellableCallback)
+  }.bind(this)
+
+  if (nested.isAsync()) {
+    awaitNested(nested.validate.bind(nested))
+    return
+  }
+  try {
+    nested.validate()
+  }
+  catch (e) {
+    finished(e)
+    return
+  }
+  // Nested custom cleaning methods may have returned Promises
+  if (nested.isPending()) {
+    awaitNested(nested._awaitValidation.bind(nested))
+  }
+  else {
+    finished(null)
+  }
+}
+
+/**
+ * Callback for completion of nested form or formset validation. Copies its
+ * results and runs any custom validation function for the field.
+ * @param {string} name the name of a FormField.
+ * @param {Error=} err an error caught while validating the nested form.
+ */
+Form.prototype._nestedFormCleaned = function(name, err) {
+  this._updateNestedResults(name)
+  var async = false
+  if (!err && object.hasOwn(this.cleanedData, name)) {
+    var customClean = this._getCustomClean(name)
+    try {
+      if (is.Function(customClean)) {
+        async = this._runCustomClean(name, customClean)
+      }
+    }
+    catch (e) {
+      if (e instanceof ValidationError) {
+        this.addError(name, e)
+      }
+      else {
+        err = e
+      }
+    }
+  }
+  if (!async) {
+    this._fieldCleaned(name, err)
+  }
+}
+
+/**
+ * Copies a nested form or formset's errors or cleaned data into this form's
+ * errors or cleanedData.
+ * @param {string} name the name of a FormField.
+ */
+Form.prototype._updateNestedResults = function(name) {
+  var field = this.fields[name]
+  var nested = this._nestedForms[name]
+  this._errors.remove(name)
+  delete this.cleanedData[name]
+  if (nested.isInitialRender) { return }
+  var errors = field.nestedErrors(nested)
+  if (errors.isPopulated()) {
+    this._errors.set(name, errors)
+  }
+  else if (!nested.isPending()) {
+    this.cleanedData[name] = field.nestedCleanedData(nested)
+  }
+}
+
+/**
+ * Handles a nested form or formset's onChange, updating this form's validation
+ * state if the user interacted with it, then notifying of the state change.
+ * @param {string} name the name of a FormField.
+ */
+Form.prototype._nestedFormChanged = function(name) {
+  // This form will notify of changes once it's finished validating the field
+  if (this._pendingValidation[name]) { return }
+  var nested = this._nestedForms[name]
+  if (this.isInitialRender && !nested.isInitialRender) {
+    this.isInitialRender = false
+  }
+  if (this._errors != null && !this.isInitialRender) {
+    this._nestedFormCleaned(name, null)
+    // Cross-field cleaning may depend on the nested form's cleaned data
+    var validatorNames = Object.keys(this._validatorsDependingOn([name]))
+    for (var i = 0, l = validatorNames.length; i < l; i++) {
+      this._runValidator(validatorNames[i])
+    }
+    if (typeof this.clean.fields == 'undefined' || this.clean.fields[name]) {
+      this._errors.remove(NON_FIELD_ERRORS)
+      Object.keys(this._validatorErrors).forEach(this._restoreValidatorErrors.bind(this))
+      this._cleanForm()
+    }
+  }
+  this._stateChanged()
 }
 
 // ================================================================== Errors ===
@@ -878,6 +1863,7 @@ Form.prototype.visibleFields = function() {
  * property set.
  * If error is an object, the field argument *must* be null and errors will be
  * added to the fields that correspond to the properties of the object.
+ * Messages are translated for the form's locale as they're added.
  * @param {?string} field the name of a form field.
  * @param {(string|ValidationError|Array.<(string|ValidationError)>|Object<string,(string|ValidationError|Array.<(string|ValidationError)>))} error
  */
@@ -887,6 +1873,7 @@ Form.prototype.addError = function(field, error) {
     // making sense of the input.
     error = ValidationError(error)
   }
+  translateError(error, this.locale)
 
   if (object.hasOwn(error, 'errorObj')) {
     if (field !== null) {
@@ -981,6 +1968,17 @@ Form.prototype._removeErrors = function(fields) {
     // TODO use clean.fields if available
     this._errors.remove(NON_FIELD_ERRORS)
     this._errors.removeAll(fields)
+    // Cross-field validators which won't run again for these fields keep
+    // their errors.
+    var rerun = this._validatorsDependingOn(fields)
+    Object.keys(this._validatorErrors).forEach(function(name) {
+      if (rerun[name]) {
+        this._removeValidatorErrors(name)
+      }
+      else {
+        this._restoreValidatorErrors(name)
+      }
+    }.bind(this))
   }
 }
 
@@ -995,7 +1993,6 @@ Form.prototype._removeErrors = function(fields) {
  */
 Form.prototype.changedData = function(_hasChangedCheck) {
   var changedData = []
-  var initialValue
   // XXX: For now we're asking the individual fields whether or not
   // the data has changed. It would probably be more efficient to hash
   // the initial data, store it in a hidden field, and compare a hash
@@ -1004,38 +2001,11 @@ Form.prototype.changedData = function(_hasChangedCheck) {
   // in the render method of each field's widget.
   var fieldNames = Object.keys(this.fields)
   for (var i = 0, l = fieldNames.length; i < l ; i++) {
-    var name = fieldNames[i]
-    var field = this.fields[name]
-    var prefixedName = this.addPrefix(name)
-    var dataValue = field.widget.valueFromData(this.data, this.files, prefixedName)
-    if (!field.showHiddenInitial) {
-      initialValue = object.get(this.initial, name, field.initial)
-      if (is.Function(initialValue)) {
-        initialValue = initialValue()
-      }
-    }
-    else {
-      var initialPrefixedName = this.addInitialPrefix(name)
-      var hiddenWidget = new field.hiddenWidget()
-      try {
-        initialValue = hiddenWidget.valueFromData(
-                this.data, this.files, initialPrefixedName)
-      }
-      catch (e) {
-        if (!(e instanceof ValidationError)) { throw e }
-        // Always assume data has changed if validation fails
-        if (_hasChangedCheck) {
-          return true
-        }
-        changedData.push(name)
-        continue
-      }
-    }
-    if (field._hasChanged(initialValue, dataValue)) {
+    if (this._fieldHasChanged(fieldNames[i])) {
       if (_hasChangedCheck) {
         return true
       }
-      changedData.push(name)
+      changedData.push(fieldNames[i])
     }
   }
   if (_hasChangedCheck) {
@@ -1044,6 +2014,41 @@ Form.prototype.changedData = function(_hasChangedCheck) {
   return changedData
 }
 
+/**
+ * Determines if a field's input data has changed from its initial data.
+ * @param {string} name a field name.
+ * @return {boolean}
+ */
+Form.prototype._fieldHasChanged = function(name) {
+  var field = this.fields[name]
+  if (field instanceof FormField) {
+    return this.nestedForm(name).hasChanged()
+  }
+  var initialValue
+  var prefixedName = this.addPrefix(name)
+  var dataValue = field.widget.valueFromData(this.data, this.files, prefixedName)
+  if (!field.showHiddenInitial) {
+    initialValue = object.get(this.initial, name, field.initial)
+    if (is.Function(initialValue)) {
+      initialValue = initialValue()
+    }
+  }
+  else {
+    var initialPrefixedName = this.addInitialPrefix(name)
+    var hiddenWidget = new field.hiddenWidget()
+    try {
+      initialValue = hiddenWidget.valueFromData(
+              this.data, this.files, initialPrefixedName)
+    }
+    catch (e) {
+      if (!(e instanceof ValidationError)) { throw e }
+      // Always assume data has changed if validation fails
+      return true
+    }
+  }
+  return field._hasChanged(initialValue, dataValue)
+}
+
 /**
  * @return {boolean} true if input data differs from initial data.
  */
@@ -1052,6 +2057,16 @@ Form.prototype.hasChanged = function() {
   return this._lastHasChanged
 }
 
+/**
+ * @return {Array.<string>} names of fields which the user has touched, i.e.
+ *   focused and then left.
+ */
+Form.prototype.touchedFields = function() {
+  return Object.keys(this.fields).filter(function(name) {
+    return !!this._touched[name]
+  }.bind(this))
+}
+
 // ================================================================== Status ===
 
 /**
@@ -1060,12 +2075,29 @@ Form.prototype.hasChanged = function() {
  */
 Form.prototype.isAsync = function() {
   if (this.clean.length == 1) { return true }
+  if (!is.Empty(this._promiseCleans)) { return true }
+  var validatorNames = Object.keys(this.crossFieldValidators)
+  for (var i = 0, l = validatorNames.length; i < l; i++) {
+    if (this.crossFieldValidators[validatorNames[i]].length == 1) {
+      return true
+    }
+  }
   var fieldNames = Object.keys(this.fields)
-  for (var i = 0, l = fieldNames.length; i < l ; i++) {
+  for (i = 0, l = fieldNames.length; i < l ; i++) {
     var customClean = this._getCustomClean(fieldNames[i])
     if (is.Function(customClean) && customClean.length == 1) {
       return true
     }
+    var field = this.fields[fieldNames[i]]
+    if (field instanceof FormField && field.isAsync()) {
+      return true
+    }
+  }
+  var nestedNames = Object.keys(this._nestedForms)
+  for (i = 0, l = nestedNames.length; i < l; i++) {
+    if (this._nestedForms[nestedNames[i]].isAsync()) {
+      return true
+    }
   }
   return false
 }
@@ -1080,7 +2112,7 @@ Form.prototype.isComplete = function() {
   var fieldNames = Object.keys(this.fields)
   for (var i = 0, l = fieldNames.length; i < l; i++) {
     var fieldName = fieldNames[i]
-    if (this.fields[fieldName].required &&
+    if (this.isFieldRequired(fieldName) &&
         typeof this.cleanedData[fieldName] == 'undefined') {
       return false
     }
@@ -1095,7 +2127,10 @@ Form.prototype.isComplete = function() {
 Form.prototype.isMultipart = function() {
   var fieldNames = Object.keys(this.fields)
   for (var i = 0, l = fieldNames.length; i < l ; i++) {
-    if (this.fields[fieldNames[i]].widget.needsMultipartForm) {
+    var field = this.fields[fieldNames[i]]
+    if (field instanceof FormField
+        ? this.nestedForm(fieldNames[i]).isMultipart()
+        : field.widget.needsMultipartForm) {
       return true
     }
   }
@@ -1137,6 +2172,18 @@ Form.prototype.notEmpty = function() {
   return (this.emptyPermitted && this._lastHasChanged === true)
 }
 
+// ================================================================== Schema ===
+
+/**
+ * Creates a JSON Schema document describing the data this form instance's
+ * fields clean to.
+ * @param {Object=} kwargs schema options.
+ * @return {Object}
+ */
+Form.prototype.toJSONSchema = function(kwargs) {
+  return formSchema(this, this.fields, kwargs)
+}
+
 // ================================================================ Prefixes ===
 
 /**
@@ -1197,16 +2244,27 @@ Form.prototype._deprefixData = function(data) {
 /**
  * Creates a version of the given data object with prefixes added to the
  * property names if this form has a prefix, otherwise returns the object
- * itself.
+ * itself. Data for nested forms is flattened into prefixed properties.
  * @param {object.<string,*>} data
  * @return {Object.<string,*>}
  */
 Form.prototype._prefixData = function(data) {
-  if (this.prefix == null) { return data }
-  var prefixedData = {}
   var fieldNames = Object.keys(data)
+  var hasNestedData = fieldNames.some(function(fieldName) {
+    return (this.fields[fieldName] instanceof FormField)
+  }.bind(this))
+  if (this.prefix == null && !hasNestedData) { return data }
+  var prefixedData = {}
   for (var i = 0, l = fieldNames.length; i < l; i++) {
-    prefixedData[this.addPrefix(fieldNames[i])] = data[fieldNames[i]]
+    var fieldName = fieldNames[i]
+    var field = this.fields[fieldName]
+    if (field instanceof FormField) {
+      object.extend(prefixedData, field.prefixData(this.addPrefix(fieldName),
+                                                   data[fieldName]))
+    }
+    else {
+      prefixedData[this.addPrefix(fieldName)] = data[fieldName]
+    }
   }
   return prefixedData
 }
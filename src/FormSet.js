@@ -3,6 +3,7 @@
 var Concur = require('Concur')
 var getFormData = require('get-form-data')
 var is = require('isomorph/is')
+var copy = require('isomorph/copy')
 var {formatObj} = require('isomorph/format')
 var object = require('isomorph/object')
 
@@ -10,23 +11,55 @@ var constants = require('./constants')
 var env = require('./env')
 
 var BooleanField = require('./fields/BooleanField')
+var CharField = require('./fields/CharField')
 var ErrorList = require('./ErrorList')
+var ErrorObject = require('./ErrorObject')
 var Form = require('./Form')
+var History = require('./History')
 var HiddenInput = require('./widgets/HiddenInput')
 var IntegerField = require('./fields/IntegerField')
 var isFormAsync = require('./forms/isFormAsync')
+var {fromJSONSafe, normaliseAutosave, stateWithDefaults, toJSONSafe} =
+  require('./forms/formState')
+var {formsetSchema} = require('./forms/toJSONSchema')
+var {translateError} = require('./locales')
 
 var {ValidationError} = require('validators')
-var {cancellable} = require('./util')
+var {cancellable, isPromise, settleWithPromise, validationPromise} = require('./util')
 
 function noop() {}
 
+/**
+ * @param {number} count
+ * @return {Array.<number>} form indexes from 0 to count - 1.
+ */
+function formIndexes(count) {
+  var indexes = []
+  for (var i = 0; i < count; i++) {
+    indexes.push(i)
+  }
+  return indexes
+}
+
+/**
+ * @param {number} index
+ * @param {number} totalFormCount
+ * @throws {Error} if the index isn't the index of a form in the formset.
+ */
+function checkFormIndex(index, totalFormCount) {
+  if (!(index >= 0 && index < totalFormCount)) {
+    throw new Error('Invalid form index: ' + index + ' - the formset has ' +
+                    totalFormCount + ' form' + (totalFormCount == 1 ? '' : 's'))
+  }
+}
+
 // Name associated with clean() validation
 var CLEAN_VALIDATION = 'clean'
 
 // Special field names
 var DELETION_FIELD_NAME = 'DELETE'
 var INITIAL_FORM_COUNT = 'INITIAL_FORMS'
+var KEY_FIELD_NAME = 'KEY'
 var MAX_NUM_FORM_COUNT = 'MAX_NUM_FORMS'
 var MIN_NUM_FORM_COUNT = 'MIN_NUM_FORMS'
 var ORDERING_FIELD_NAME = 'ORDER'
@@ -56,6 +89,26 @@ var ManagementForm = (function() {
   return Form.extend(fields)
 })()
 
+/**
+ * Compares [form index, ordering value] pairs. Null ordering values are sorted
+ * after anything else, by form index, so ordering fields can be left blank.
+ * @param {Array} x
+ * @param {Array} y
+ * @return {number}
+ */
+function compareOrdering(x, y) {
+  if (x[1] === null && y[1] === null) {
+    return x[0] - y[0]
+  }
+  if (x[1] === null) {
+    return 1
+  }
+  if (y[1] === null) {
+    return -1
+  }
+  return x[1] - y[1]
+}
+
 /**
  * A collection of instances of the same Form.
  * @constructor
@@ -70,6 +123,9 @@ var FormSet = Concur.extend({
       // Formset options
       form: this.form || null, extra: is.Number(this.extra) ? this.extra : 1,
       canOrder: this.canOrder || false, canDelete: this.canDelete || false,
+      orderingWidget: this.orderingWidget || null,
+      initialForExtra: this.initialForExtra || null,
+      useKeyField: this.useKeyField || false,
       maxNum: is.Number(this.maxNum) ? this.maxNum : DEFAULT_MAX_NUM,
       validateMax: this.validateMax || false,
       minNum: is.Number(this.minNum) ? this.minNum : DEFAULT_MIN_NUM,
@@ -78,7 +134,8 @@ var FormSet = Concur.extend({
       // Form options
       data: null, files: null, autoId: 'id_{name}', prefix: null,
       initial: null, errorConstructor: ErrorList, validation: null,
-      controlled: false, onChange: null
+      controlled: false, onChange: null, history: null, autosave: null,
+      hydrate: null, locale: null, timezone: null
     }, kwargs)
 
     if (!is.Function(kwargs.form)) {
@@ -93,6 +150,9 @@ var FormSet = Concur.extend({
     this.extra = kwargs.extra + kwargs.minNum
     this.canOrder = kwargs.canOrder
     this.canDelete = kwargs.canDelete
+    this.orderingWidget = kwargs.orderingWidget
+    this.initialForExtra = kwargs.initialForExtra
+    this.useKeyField = kwargs.useKeyField
     this.maxNum = kwargs.maxNum
     this.validateMax = kwargs.validateMax
     this.minNum = kwargs.minNum
@@ -113,10 +173,24 @@ var FormSet = Concur.extend({
     this.validation = kwargs.validation
     this.controlled = kwargs.controlled
     this.onChange = kwargs.onChange
+    // Language code of the locale the formset and its forms translate error
+    // messages for - null for the default locale.
+    this.locale = kwargs.locale
+    // Timezone passed to the formset's forms
+    this.timezone = kwargs.timezone
+    // Undo/redo history of input data, shared with the formset's forms
+    this._history = (kwargs.history
+                     ? new History(this, kwargs.history === true ? null : kwargs.history)
+                     : null)
 
     this._forms = null
+    // Forms which are being constructed, for use by hooks before this._forms
+    // is set.
+    this._formsBeingBuilt = null
     this._errors = null
     this._nonFormErrors = null
+    // Next key to be given to a form
+    this._nextFormKey = 0
 
     // Lookup for pending validation
     this._pendingValidation = {}
@@ -124,11 +198,44 @@ var FormSet = Concur.extend({
     this._pendingAsyncValidation = {}
     // Lookup for pending validation which formset cleaning depends on
     this._cleanFormsetAfter = {}
-    // Callback to be run the next time validation finishes
-    this._onValidate = null
+    // Callbacks to be run the next time validation finishes
+    this._onValidate = []
+    // Lookup for names of custom cleaning methods which have returned a Promise
+    this._promiseCleans = {}
+
+    // Restore state the formset was rendered with on the server, or any
+    // previously autosaved state unless data was given. State will be saved
+    // again every time the formset's state or any of its forms' state changes.
+    this._autosave = normaliseAutosave(kwargs.autosave, this.prefix, this._formsetName())
+    if (kwargs.hydrate !== null) {
+      this.restoreState(kwargs.hydrate, {_triggerStateChange: false})
+    }
+    else if (this._autosave !== null && this.isInitialRender) {
+      var savedState = this._autosave.storage.get(this._autosave.key)
+      if (savedState) {
+        this.restoreState(savedState, {_triggerStateChange: false})
+      }
+    }
   }
 })
 
+/**
+ * Creates a JSON Schema document describing the list of data the formset's
+ * forms clean to.
+ * @param {Object=} kwargs formset options, which will be used to create a
+ *   formset to describe, and schema options.
+ * @return {Object}
+ */
+FormSet.toJSONSchema = function(kwargs) {
+  return new this(kwargs).toJSONSchema(kwargs)
+}
+
+var _extend = FormSet.extend
+FormSet.extend = function(prototypeProps, constructorProps) {
+  return _extend.call(this, prototypeProps,
+                      object.extend({toJSONSchema: FormSet.toJSONSchema}, constructorProps))
+}
+
 /**
  * Tries to construct a display name for the formset for display in messages.
  * @return {string}
@@ -143,6 +250,9 @@ FormSet.prototype._formsetName = function() {
  * every time the formset makes a change to its state which requires redisplay.
  */
 FormSet.prototype._stateChanged = function() {
+  if (this._autosave !== null) {
+    this._autosave.storage.set(this._autosave.key, this.serializeState())
+  }
   if (typeof this.onChange == 'function') {
     this.onChange()
   }
@@ -159,10 +269,12 @@ FormSet.prototype._stateChanged = function() {
  *   <form> DOM node.
  * @param {function(err, isValid, cleanedData)=} cb callback for asynchronous
  *   validation.
- * @return {boolean|undefined} true if the form only has synchronous validation
- *   and is valid.
- * @throws if the formset or its form has asynchronous validation and a callback
- *   is not provided.
+ * @return {boolean|Promise|undefined} true if the form only has synchronous
+ *   validation and is valid. If the formset or its form has asynchronous
+ *   validation and a callback is not provided, a Promise which will be resolved
+ *   with the result of validation.
+ * @throws if the formset or its form has asynchronous validation, a callback
+ *   is not provided and Promise is not available.
  */
 FormSet.prototype.validate = function(form, cb) {
   this._cancelPendingOperations()
@@ -179,20 +291,28 @@ FormSet.prototype.validate = function(form, cb) {
     , _triggerStateChange: false
     })
   }
-  return (this.isAsync() ? this._validateAsync(cb) : this._validateSync())
+  if (this.isAsync()) {
+    return this._validateAsync(cb)
+  }
+  var isValid = this._validateSync()
+  // A custom cleaning method which returns a Promise can only be detected as
+  // asynchronous once it's been called.
+  if (this.isPending()) {
+    return this._awaitValidation(cb)
+  }
+  this._settleValidation(null)
+  return isValid
 }
 
 FormSet.prototype._validateAsync = function(cb) {
   if (!is.Function(cb)) {
-    throw new Error(
-      'You must provide a callback to validate() when a formset or its form ' +
-      'has asynchronous validation.'
-    )
+    return validationPromise(this._validateAsync.bind(this),
+                             'a formset or its form')
   }
   if (this.isInitialRender) {
     this.isInitialRender = false
   }
-  this._onValidate = cb
+  this._onValidate.push(cb)
   this.fullClean()
   // Update state to display async progress indicators
   this._stateChanged()
@@ -208,6 +328,21 @@ FormSet.prototype._validateSync = function() {
   return this.isValid()
 }
 
+/**
+ * Waits for validation which is already in progress to finish.
+ * @param {function(err, isValid, cleanedData)=} cb callback for the end of
+ *   validation.
+ * @return {Promise|undefined} if a callback is not provided, a Promise which
+ *   will be resolved with the result of validation.
+ */
+FormSet.prototype._awaitValidation = function(cb) {
+  if (!is.Function(cb)) {
+    return validationPromise(this._awaitValidation.bind(this),
+                             'a formset or its form')
+  }
+  this._onValidate.push(cb)
+}
+
 /**
  * Cleans all of this.data and populates this._errors and this._nonFormErrors.
  */
@@ -246,11 +381,17 @@ FormSet.prototype._cleanForms = function() {
  * @param {Form} form
  */
 FormSet.prototype._cleanForm = function(index, form) {
+  var validating = false
   if (!form.isAsync()) {
     form.validate()
-    this._errors[index] = form.errors()
-    this._formCleaned(index, null)
-    return
+    if (!form.isPending()) {
+      this._errors[index] = this._formErrors(form)
+      this._formCleaned(index, null)
+      return
+    }
+    // One of the form's custom cleaning methods returned a Promise, so its
+    // validation has turned out to be asynchronous.
+    validating = true
   }
 
   // If the form is async and there's one pending, prevent its callback from
@@ -261,7 +402,7 @@ FormSet.prototype._cleanForm = function(index, form) {
   // Set up callback for async processing
   var callback = function(err) {
     if (!err) {
-      this._errors[index] = form.errors()
+      this._errors[index] = this._formErrors(form)
     }
     this._formCleaned(index, err)
     this._stateChanged()
@@ -270,7 +411,25 @@ FormSet.prototype._cleanForm = function(index, form) {
     form._cancelPendingOperations()
   }
   this._pendingAsyncValidation[index] = cancellable(callback)
-  form.validate(callback)
+  if (validating) {
+    form._awaitValidation(callback)
+  }
+  else {
+    form.validate(callback)
+  }
+}
+
+/**
+ * Gets the errors to be reported for a form. Forms marked for deletion are
+ * still cleaned, but their errors are ignored.
+ * @param {Form} form
+ * @return {ErrorObject}
+ */
+FormSet.prototype._formErrors = function(form) {
+  if (this.canDelete && this._shouldDeleteForm(form)) {
+    return new ErrorObject()
+  }
+  return form.errors()
 }
 
 /**
@@ -319,6 +478,15 @@ FormSet.prototype._formCleaned = function(name, err) {
  */
 FormSet.prototype.clean = noop
 
+/**
+ * Messages for errors raised when validating the number of forms.
+ * @type {Object.<string,string>}
+ */
+FormSet.prototype.defaultErrorMessages = {
+  tooManyForms: 'Please submit {maxNum} or fewer forms.'
+, tooFewForms: 'Please submit {minNum} or more forms.'
+}
+
 /**
  * Validates the number of forms and calls the clean() hook.
  */
@@ -327,15 +495,15 @@ FormSet.prototype._cleanFormset = function() {
   var error = null
   try {
     var totalFormCount = this.totalFormCount()
-    var deletedFormCount = this.deletedForms().length
+    var deletedFormCount = (this.canDelete ? this._deletedFormIndexes().length : 0)
     if ((this.validateMax && totalFormCount - deletedFormCount > this.maxNum) ||
         (!env.browser && this.managementForm().cleanedData[TOTAL_FORM_COUNT] > this.absoluteMax)) {
-      throw ValidationError('Please submit ' + this.maxNum + ' or fewer forms.',
-                            {code: 'tooManyForms'})
+      throw ValidationError(this.defaultErrorMessages.tooManyForms,
+                            {code: 'tooManyForms', params: {maxNum: this.maxNum}})
     }
     if (this.validateMin && totalFormCount - deletedFormCount < this.minNum) {
-      throw ValidationError('Please submit ' + this.minNum + ' or more forms.',
-                            {code: 'tooFewForms'})
+      throw ValidationError(this.defaultErrorMessages.tooFewForms,
+                            {code: 'tooFewForms', params: {minNum: this.minNum}})
     }
     // Give this.clean() a chance to do cross-form validation.
     if (this.clean !== noop) {
@@ -344,6 +512,7 @@ FormSet.prototype._cleanFormset = function() {
   }
   catch (e) {
     if (e instanceof ValidationError) {
+      translateError(e, this.locale)
       this._nonFormErrors = new this.errorConstructor(e.messages())
     }
     else {
@@ -358,18 +527,22 @@ FormSet.prototype._cleanFormset = function() {
 
 /**
  * Calls a custom cleaning method, expecting synchronous or asynchronous
- * behaviour, depending on its arity.
+ * behaviour, depending on its arity or whether or not it returns a Promise.
  * @param {string} name a name to associate with the cleaning method.
  * @param {function} customClean
  * @return {boolean} true if cleaning is running asynchronously, false if it just
  *   ran synchronously.
  */
 FormSet.prototype._runCustomClean = function(name, customClean) {
+  var returnValue
   // Check arity to see if we have a callback in the function signature
   if (customClean.length === 0) {
-    // Synchronous processing only expected
-    customClean.call(this)
-    return false
+    // Synchronous processing is expected unless a Promise is returned
+    returnValue = customClean.call(this)
+    if (!isPromise(returnValue)) {
+      return false
+    }
+    this._promiseCleans[name] = true
   }
 
   // If custom validation is async and there's one pending, prevent its
@@ -390,7 +563,9 @@ FormSet.prototype._runCustomClean = function(name, customClean) {
 
   // An explicit return value of false indicates that async processing is
   // being skipped (e.g. because sync checks in the method failed first)
-  var returnValue = customClean.call(this, callback)
+  if (customClean.length !== 0) {
+    returnValue = customClean.call(this, callback)
+  }
   if (returnValue !== false) {
     // Async processing is happening! Make the callback cancellable and
     // hook up any custom onCancel handling provided.
@@ -398,6 +573,9 @@ FormSet.prototype._runCustomClean = function(name, customClean) {
       callback.onCancel = returnValue.onCancel
     }
     this._pendingAsyncValidation[name] = cancellable(callback)
+    if (isPromise(returnValue)) {
+      settleWithPromise(returnValue, this._pendingAsyncValidation[name])
+    }
     return true
   }
 }
@@ -411,15 +589,27 @@ FormSet.prototype._finishedValidation = function(err) {
     // call which triggered validation.
     return
   }
-  if (is.Function(this._onValidate)) {
-    var callback = this._onValidate
-    this._onValidate = null
+  this._settleValidation(err)
+}
+
+/**
+ * Calls back everything waiting for validation to finish, including callers of
+ * validate() whose validation was superseded by a later call.
+ * @param {?Error} err an error caught while validating.
+ */
+FormSet.prototype._settleValidation = function(err) {
+  if (this._onValidate.length === 0) {
+    return
+  }
+  var callbacks = this._onValidate
+  this._onValidate = []
+  var isValid = (err ? false : this.isValid())
+  callbacks.forEach(function(callback) {
     if (err) {
       return callback(err)
     }
-    var isValid = this.isValid()
     callback(null, isValid, isValid ? this.cleanedData() : null)
-  }
+  }.bind(this))
 }
 
 /**
@@ -440,6 +630,12 @@ FormSet.prototype.cleanedData = function() {
   forms.push.apply(forms, this.extraForms().filter(function(form) {
     return form.hasChanged() && form.isComplete()
   }))
+  // Don't include forms marked for deletion
+  if (this.canDelete) {
+    forms = forms.filter(function(form) {
+      return !this._shouldDeleteForm(form)
+    }.bind(this))
+  }
   return forms.map(function(form) { return form.cleanedData })
 }
 
@@ -457,9 +653,14 @@ FormSet.prototype.cleanedData = function() {
 FormSet.prototype.setData = function(data, kwargs) {
   kwargs = object.extend({validate: true, _triggerStateChange: true}, kwargs)
 
+  if (this._history !== null && this._changedInputForms(data).length > 0) {
+    this._history.record()
+  }
   this.data = data
+  delete this._ordering
   var formDataSettingOptions = {
-    prefixed: true, validate: kwargs.validate, _triggerStateChange: false
+    prefixed: true, validate: kwargs.validate, _triggerStateChange: false,
+    _recordHistory: false
   }
   this.forms().forEach(function(form) {
     form.setData(data, formDataSettingOptions)
@@ -488,11 +689,210 @@ FormSet.prototype.setData = function(data, kwargs) {
   }
 }
 
+/**
+ * @param {Object.<string,*>} data prefixed input data.
+ * @return {Array.<Form>} forms whose input data differs in the given data.
+ */
+FormSet.prototype._changedInputForms = function(data) {
+  return this.forms().filter(function(form) {
+    return form._changedInputFields(data).length > 0
+  })
+}
+
 /**
  * Alias to keep the FormSet data setting API the same as Form's.
  */
 FormSet.prototype.setFormData = FormSet.prototype.setData
 
+// ================================================================= History ===
+
+/**
+ * Restores input data and forms from before the last recorded change,
+ * re-validating affected fields.
+ * @return {boolean} true if there was a change to undo.
+ */
+FormSet.prototype.undo = function() {
+  return (this._history !== null && this._history.undo())
+}
+
+/**
+ * Restores input data and forms from before the last undo, re-validating
+ * affected fields.
+ * @return {boolean} true if there was a change to redo.
+ */
+FormSet.prototype.redo = function() {
+  return (this._history !== null && this._history.redo())
+}
+
+/**
+ * @return {boolean} true if history is enabled and there's a change which can
+ *   be undone.
+ */
+FormSet.prototype.canUndo = function() {
+  return (this._history !== null && this._history.canUndo())
+}
+
+/**
+ * @return {boolean} true if history is enabled and there's an undone change
+ *   which can be redone.
+ */
+FormSet.prototype.canRedo = function() {
+  return (this._history !== null && this._history.canRedo())
+}
+
+/**
+ * @return {Object} a snapshot of the formset's input data and forms for its
+ *   history.
+ */
+FormSet.prototype._historyState = function() {
+  var forms = this.forms()
+  return {
+    data: copy.deepCopy(this.data)
+    // Files are moved when forms are inserted, removed or moved
+  , files: object.extend({}, this.files)
+  , formFiles: forms.map(function(form) { return object.extend({}, form.files) })
+  , isInitialRender: this.isInitialRender
+  , extra: this.extra
+  , initial: this.initial
+  , forms: forms.slice()
+  , formStates: forms.map(function(form) { return form._historyState() })
+  }
+}
+
+/**
+ * Restores input data and forms from a history snapshot, re-validating forms'
+ * changed fields and re-running formset cleaning if the formset has been
+ * validated.
+ * @param {Object} state a snapshot created by _historyState().
+ */
+FormSet.prototype._restoreHistoryState = function(state) {
+  this._cancelPendingOperations()
+  this.data = state.data
+  this.files = state.files
+  this.isInitialRender = state.isInitialRender
+  this.extra = state.extra
+  this.initial = state.initial
+  this._forms = state.forms
+  for (var i = 0, l = this._forms.length; i < l; i++) {
+    // Forms may have been moved since the snapshot was taken
+    this._setFormIndex(this._forms[i], i)
+    this._forms[i]._restoreHistoryState(state.formStates[i], {
+      _triggerStateChange: false
+    })
+    this._forms[i].files = state.formFiles[i]
+    // Forms share the formset's input data once it's no longer initial
+    if (!this.isInitialRender) {
+      this._forms[i].data = this.data
+      this._forms[i].files = this.files
+    }
+  }
+  if (!this.isInitialRender && this._errors !== null) {
+    this._errors = this._forms.map(this._formErrors.bind(this))
+    this._nonFormErrors = new this.errorConstructor()
+    this._cleanFormset()
+  }
+  this._stateChanged()
+}
+
+// =================================================================== State ===
+
+/**
+ * Creates a JSON-safe snapshot of the formset's state, including its
+ * management form counts and the state of each of its forms.
+ * @return {Object}
+ */
+FormSet.prototype.serializeState = function() {
+  return {
+    data: toJSONSafe(this.data)
+  , initial: toJSONSafe(this.initial)
+  , isInitialRender: this.isInitialRender
+  , totalFormCount: this.totalFormCount()
+  , initialFormCount: this.initialFormCount()
+  , forms: this.forms().map(function(form) { return form.serializeState() })
+  , formKeys: this.forms().map(function(form) { return form.key })
+  , nextFormKey: this._nextFormKey
+  , nonFormErrors: (this._nonFormErrors !== null ? this._nonFormErrors.toJSON() : null)
+  , pending: Object.keys(this._pendingValidation)
+  }
+}
+
+/**
+ * Restores the formset's state from a snapshot created by serializeState(),
+ * cancelling any pending validation. If formset validation was pending when the
+ * snapshot was created, the formset is validated again.
+ * @param {Object} state
+ * @param {Object=} kwargs state restoring options.
+ */
+FormSet.prototype.restoreState = function(state, kwargs) {
+  kwargs = object.extend({_triggerStateChange: true}, kwargs)
+  state = stateWithDefaults(state, {
+    data: {}, isInitialRender: (state.data == null)
+  , forms: [], nonFormErrors: null, pending: []
+  })
+  this._cancelPendingOperations()
+  if (this._forms !== null) {
+    this._forms.forEach(function(form) { form._cancelPendingOperations() })
+  }
+
+  this.data = fromJSONSafe(state.data)
+  if (state.initial != null) {
+    this.initial = fromJSONSafe(state.initial)
+  }
+  this.isInitialRender = state.isInitialRender
+  if (state.totalFormCount != null && state.initialFormCount != null) {
+    this.extra = state.totalFormCount - state.initialFormCount
+  }
+  this._forms = null
+  var forms = this.forms()
+  var validatePending = (state.pending.length > 0)
+  if (state.formKeys) {
+    for (var i = 0, l = forms.length; i < l; i++) {
+      this._setFormKey(forms[i], state.formKeys[i])
+    }
+    this._nextFormKey = state.nextFormKey
+  }
+  for (i = 0, l = forms.length; i < l; i++) {
+    forms[i].restoreState(state.forms[i] || {isInitialRender: this.isInitialRender}, {
+      _triggerStateChange: false, _validatePending: !validatePending
+    })
+    // Forms share the formset's input data once it's no longer initial
+    if (!this.isInitialRender) {
+      forms[i].data = this.data
+    }
+  }
+
+  if (state.nonFormErrors !== null) {
+    this._errors = forms.map(this._formErrors.bind(this))
+    this._nonFormErrors = new this.errorConstructor()
+    this._nonFormErrors.fromJSON(state.nonFormErrors)
+  }
+  else {
+    this._errors = null
+    this._nonFormErrors = null
+  }
+  this._pendingValidation = {}
+  this._cleanFormsetAfter = {}
+  this._onValidate = []
+
+  if (validatePending) {
+    this.fullClean()
+  }
+
+  if (kwargs._triggerStateChange) {
+    this._stateChanged()
+  }
+}
+
+/**
+ * Removes the formset's autosaved state from storage, e.g. once it has been
+ * successfully submitted.
+ */
+FormSet.prototype.clearSavedState = function() {
+  if (this._autosave !== null) {
+    this._autosave.storage.remove(this._autosave.key)
+  }
+}
+
 // =================================================================== Forms ===
 
 /**
@@ -572,17 +972,47 @@ FormSet.prototype.initialFormCount = function() {
   }
 }
 
+/**
+ * A hook for providing additional constructor options for each form.
+ * @param {?number} index the index of the form being created, or null for
+ *   emptyForm().
+ * @return {Object} form constructor options, which take precedence over those
+ *   given to forms by default.
+ */
+FormSet.prototype.formKwargs = function(index) {
+  return {}
+}
+
 /**
  * Instantiates forms when first accessed.
  */
 FormSet.prototype.forms = function() {
   if (this._forms !== null) { return this._forms }
+  if (this._formsBeingBuilt !== null) { return this._formsBeingBuilt }
+  this._forms = this._buildForms(this.totalFormCount(),
+                                 this._constructForm.bind(this))
+  return this._forms
+}
+
+/**
+ * Builds a list of forms. While this is in progress, forms() returns the forms
+ * which have been built so far, so hooks called when constructing a form can
+ * use the forms before it.
+ * @param {number} count the number of forms.
+ * @param {function(number): Form} getForm gets the form for an index.
+ * @return {Array.<Form>}
+ */
+FormSet.prototype._buildForms = function(count, getForm) {
   var forms = []
-  var totalFormCount = this.totalFormCount()
-  for (var i = 0; i < totalFormCount; i++) {
-    forms.push(this._constructForm(i))
+  this._formsBeingBuilt = forms
+  try {
+    for (var i = 0; i < count; i++) {
+      forms.push(getForm(i))
+    }
+  }
+  finally {
+    this._formsBeingBuilt = null
   }
-  this._forms = forms
   return forms
 }
 
@@ -590,6 +1020,9 @@ FormSet.prototype.forms = function() {
  * Adds another form and increments extra.
  */
 FormSet.prototype.addAnother = function() {
+  if (this._history !== null) {
+    this._history.record()
+  }
   var currentFormCount = this.totalFormCount()
   this.extra++
   if (this._forms !== null) {
@@ -598,19 +1031,187 @@ FormSet.prototype.addAnother = function() {
  this._stateChanged()
 }
 
-// Assumption - the UI will only let the user remove extra forms
+/**
+ * Inserts a new extra form, re-indexing the input data of any forms after it.
+ * @param {number=} index the index to insert the form at, which must not be
+ *   before any initial forms - defaults to the end of the formset.
+ */
+FormSet.prototype.insertForm = function(index) {
+  var totalFormCount = this.totalFormCount()
+  var initialFormCount = this.initialFormCount()
+  if (typeof index == 'undefined') {
+    index = totalFormCount
+  }
+  if (index < initialFormCount || index > totalFormCount) {
+    throw new Error("Can't insert an extra form at index " + index +
+                    ' - it must be from ' + initialFormCount + ' to ' +
+                    totalFormCount)
+  }
+  if (this._history !== null) {
+    this._history.record()
+  }
+  var oldIndexes = formIndexes(totalFormCount)
+  oldIndexes.splice(index, 0, null)
+  this._reindexForms(oldIndexes, initialFormCount)
+  this._stateChanged()
+}
+
+/**
+ * Removes a form, re-indexing the input data of any forms after it. Removing an
+ * initial form also removes its initial data.
+ * @param {number} index the index of the form to remove.
+ */
 FormSet.prototype.removeForm = function(index) {
-  if (this.extra === 0) {
-    throw new Error("Can't remove a form when there are no extra forms")
+  var totalFormCount = this.totalFormCount()
+  var initialFormCount = this.initialFormCount()
+  checkFormIndex(index, totalFormCount)
+  if (this._history !== null) {
+    this._history.record()
   }
-  this.extra--
-  if (this._forms !== null) {
-    this._forms.splice(index, 1)
+  // Forms must be created from initial data before it's rearranged
+  this.forms()
+  if (index < initialFormCount) {
+    if (this.initial !== null) {
+      this.initial = this.initial.slice()
+      this.initial.splice(index, 1)
+    }
+    initialFormCount--
   }
-  if (this._errors !== null) {
-    this._errors.splice(index, 1)
+  var oldIndexes = formIndexes(totalFormCount)
+  oldIndexes.splice(index, 1)
+  this._reindexForms(oldIndexes, initialFormCount)
+  this._stateChanged()
+}
+
+/**
+ * Moves a form to a different index, re-indexing the input data of the forms
+ * in between. Initial forms can only be moved among initial forms, and extra
+ * forms among extra forms.
+ * @param {number} from the index of the form to move.
+ * @param {number} to the index to move the form to.
+ */
+FormSet.prototype.moveForm = function(from, to) {
+  var totalFormCount = this.totalFormCount()
+  var initialFormCount = this.initialFormCount()
+  checkFormIndex(from, totalFormCount)
+  checkFormIndex(to, totalFormCount)
+  if ((from < initialFormCount) !== (to < initialFormCount)) {
+    throw new Error("Can't move a form between initial and extra forms")
+  }
+  if (from === to) {
+    return
+  }
+  if (this._history !== null) {
+    this._history.record()
+  }
+  // Forms must be created from initial data before it's rearranged
+  this.forms()
+  if (from < initialFormCount && this.initial !== null) {
+    this.initial = this.initial.slice()
+    this.initial.splice(to, 0, this.initial.splice(from, 1)[0])
+  }
+  var oldIndexes = formIndexes(totalFormCount)
+  oldIndexes.splice(to, 0, oldIndexes.splice(from, 1)[0])
+  this._reindexForms(oldIndexes, initialFormCount)
+  this._stateChanged()
+}
+
+/**
+ * Rearranges the formset's forms, moving their input data, files and any
+ * submitted management form counts to their new indexes and re-running
+ * formset cleaning if the formset has been validated.
+ * @param {Array.<?number>} oldIndexes the current index of the form to be
+ *   placed at each new index, or null where a new form should be created.
+ * @param {number} initialFormCount the number of initial forms once forms have
+ *   been rearranged.
+ */
+FormSet.prototype._reindexForms = function(oldIndexes, initialFormCount) {
+  this._cancelPendingOperations()
+  var forms = this.forms()
+  var oldPrefixes = forms.map(function(form, i) {
+    return this.addPrefix(i) + '-'
+  }.bind(this))
+  var newPrefixes = {}
+  oldIndexes.forEach(function(oldIndex, i) {
+    if (oldIndex !== null) {
+      newPrefixes[oldIndex] = this.addPrefix(i) + '-'
+    }
+  }.bind(this))
+
+  // Moves forms' prefixed input to their new prefixes, dropping input for
+  // forms which aren't being kept.
+  function reindexData(data) {
+    var reindexed = {}
+    Object.keys(data).forEach(function(key) {
+      for (var i = 0, l = oldPrefixes.length; i < l; i++) {
+        if (key.indexOf(oldPrefixes[i]) === 0) {
+          if (object.hasOwn(newPrefixes, i)) {
+            reindexed[newPrefixes[i] + key.substr(oldPrefixes[i].length)] = data[key]
+          }
+          return
+        }
+      }
+      reindexed[key] = data[key]
+    })
+    return reindexed
+  }
+
+  var data = reindexData(this.data)
+  var files = reindexData(this.files)
+  var managementForm = new ManagementForm({prefix: this.prefix})
+  var totalFormCountKey = managementForm.addPrefix(TOTAL_FORM_COUNT)
+  if (object.hasOwn(data, totalFormCountKey)) {
+    data[totalFormCountKey] = ''+oldIndexes.length
+  }
+  var initialFormCountKey = managementForm.addPrefix(INITIAL_FORM_COUNT)
+  if (object.hasOwn(data, initialFormCountKey)) {
+    data[initialFormCountKey] = ''+initialFormCount
+  }
+
+  // Forms share the formset's input data once it's no longer initial
+  var formsetData = this.data
+  var formsetFiles = this.files
+  this.data = data
+  this.files = files
+  this.extra = oldIndexes.length - initialFormCount
+  // Forms are constructed in their new order
+  this._forms = null
+  this._forms = this._buildForms(oldIndexes.length, function(i) {
+    var oldIndex = oldIndexes[i]
+    if (oldIndex === null) {
+      return this._constructForm(i)
+    }
+    var form = forms[oldIndex]
+    form.data = (form.data === formsetData ? data : reindexData(form.data))
+    form.files = (form.files === formsetFiles ? files : reindexData(form.files))
+    this._setFormIndex(form, i)
+    return form
+  }.bind(this))
+
+  delete this._ordering
+  this._pendingValidation = {}
+  this._cleanFormsetAfter = {}
+  if (!this.isInitialRender && this._errors !== null) {
+    this._errors = this._forms.map(this._formErrors.bind(this))
+    this._nonFormErrors = new this.errorConstructor()
+    this._cleanFormset()
+  }
+}
+
+/**
+ * Updates the prefix and any index-dependent fields of a form which has been
+ * moved to a different index.
+ * @param {Form} form
+ * @param {number} index the form's new index.
+ */
+FormSet.prototype._setFormIndex = function(form, index) {
+  var prefix = this.addPrefix(index)
+  if (form.prefix !== prefix) {
+    form.prefix = prefix
+    // Nested forms are prefixed with the form's prefix
+    form._nestedForms = {}
+    this.addFields(form, index)
   }
- this._stateChanged()
 }
 
 /**
@@ -624,6 +1225,16 @@ FormSet.prototype._constructForm = function(i) {
   , validation: this.validation
   , controlled: this.controlled
   , onChange: this.onChange
+  , history: this._history
+  , locale: this.locale
+  , timezone: this.timezone
+  }
+  // Changes to an autosaved formset's forms must go through the formset
+  if (this._autosave !== null) {
+    defaults.onChange = this._stateChanged.bind(this)
+    if (this.validation === null && !is.Function(this.onChange)) {
+      defaults.validation = 'manual'
+    }
   }
   if (!this.isInitialRender) {
     defaults.data = this.data
@@ -637,13 +1248,38 @@ FormSet.prototype._constructForm = function(i) {
   // Allow extra forms to be empty
   if (i >= this.initialFormCount()) {
     defaults.emptyPermitted = true
+    if (typeof defaults.initial == 'undefined' && this.initialForExtra !== null) {
+      defaults.initial = this.initialForExtra(i, this)
+    }
   }
+  object.extend(defaults, this.formKwargs(i))
 
   var form = new this.form(defaults)
+  // Use the key the form was given when it was rendered, if it's been posted
+  var key = null
+  if (this.useKeyField && !form.isInitialRender) {
+    key = form.data[form.addPrefix(KEY_FIELD_NAME)] || null
+  }
+  if (key !== null && /^\d+$/.test(key)) {
+    this._nextFormKey = Math.max(this._nextFormKey, Number(key) + 1)
+  }
+  form.key = (key !== null ? ''+key : ''+this._nextFormKey++)
   this.addFields(form, i)
   return form
 }
 
+/**
+ * Sets a form's key, also updating the initial value of its key field.
+ * @param {Form} form
+ * @param {string} key
+ */
+FormSet.prototype._setFormKey = function(form, key) {
+  form.key = key
+  if (this.useKeyField) {
+    form.fields[KEY_FIELD_NAME].initial = key
+  }
+}
+
 /**
  * Returns a list of all the initial forms in this formset.
  */
@@ -662,8 +1298,11 @@ FormSet.prototype.emptyForm = function() {
   var kwargs = {
     autoId: this.autoId,
     prefix: this.addPrefix('__prefix__'),
-    emptyPermitted: true
+    emptyPermitted: true,
+    locale: this.locale,
+    timezone: this.timezone
   }
+  object.extend(kwargs, this.formKwargs(null))
   var form = new this.form(kwargs)
   this.addFields(form, null)
   return form
@@ -674,26 +1313,64 @@ FormSet.prototype.emptyForm = function() {
  */
 FormSet.prototype.deletedForms = function() {
   if (!this.isValid() || !this.canDelete) { return [] }
-
   var forms = this.forms()
+  return this._deletedFormIndexes().map(function(i) { return forms[i] })
+}
 
-  // Construct _deletedFormIndexes, which is just a list of form indexes
-  // that have had their deletion widget set to true.
-  if (typeof this._deletedFormIndexes == 'undefined') {
-    this._deletedFormIndexes = []
-    for (var i = 0, l = forms.length; i < l; i++) {
-      var form = forms[i]
-      // If this is an extra form and hasn't changed, ignore it
-      if (i >= this.initialFormCount() && !form.hasChanged()) {
-        continue
-      }
-      if (this._shouldDeleteForm(form)) {
-        this._deletedFormIndexes.push(i)
-      }
+/**
+ * Determines which forms have had their deletion widget set to true, which
+ * doesn't depend on whether or not the formset is valid.
+ * @return {Array.<number>} indexes of forms marked for deletion.
+ */
+FormSet.prototype._deletedFormIndexes = function() {
+  var forms = this.forms()
+  var indexes = []
+  for (var i = 0, l = forms.length; i < l; i++) {
+    // If this is an extra form and hasn't changed, ignore it
+    if (i >= this.initialFormCount() && !forms[i].hasChanged()) {
+      continue
+    }
+    if (this._shouldDeleteForm(forms[i])) {
+      indexes.push(i)
     }
   }
+  return indexes
+}
 
-  return this._deletedFormIndexes.map(function(i) { return forms[i] })
+/**
+ * Determines if the form at the given index has been marked for deletion.
+ * @param {number} index
+ * @return {boolean}
+ */
+FormSet.prototype.isFormDeleted = function(index) {
+  var forms = this.forms()
+  checkFormIndex(index, forms.length)
+  return (this.canDelete && this._shouldDeleteForm(forms[index]))
+}
+
+/**
+ * Marks or unmarks the form at the given index for deletion, re-running formset
+ * cleaning if the formset has been validated. Errors from forms marked for
+ * deletion are ignored.
+ * @param {number} index
+ * @param {boolean} deleted
+ */
+FormSet.prototype.setFormDeleted = function(index, deleted) {
+  if (!this.canDelete) {
+    throw new Error(this.constructor.name +
+                    " object has no attribute 'setFormDeleted'")
+  }
+  var forms = this.forms()
+  checkFormIndex(index, forms.length)
+  var data = {}
+  data[DELETION_FIELD_NAME] = deleted
+  forms[index].updateData(data)
+  if (!this.isInitialRender && this._errors !== null) {
+    this._cleanForm(index, forms[index])
+    this._nonFormErrors = new this.errorConstructor()
+    this._cleanFormset()
+  }
+  this._stateChanged()
 }
 
 /**
@@ -727,26 +1404,92 @@ FormSet.prototype.orderedForms = function() {
       this._ordering.push([i, form.cleanedData[ORDERING_FIELD_NAME]])
     }
 
-    // Null should be sorted below anything else. Allowing null as a
-    // comparison value makes it so we can leave ordering fields blank.
-    this._ordering.sort(function(x, y) {
-      if (x[1] === null && y[1] === null) {
-        // Sort by form index if both order field values are null
-        return x[0] - y[0]
-      }
-      if (x[1] === null) {
-        return 1
-      }
-      if (y[1] === null) {
-        return -1
-      }
-      return x[1] - y[1]
-    })
+    this._ordering.sort(compareOrdering)
   }
 
   return this._ordering.map(function(ordering) { return forms[ordering[0]]})
 }
 
+/**
+ * Returns all forms in the order given by the current input in their ordering
+ * fields, which doesn't require the formset to be valid. As with
+ * orderedForms(), forms with blank ordering fields come last.
+ * @return {Array.<Form>}
+ */
+FormSet.prototype.formsInOrder = function() {
+  if (!this.canOrder) {
+    throw new Error(this.constructor.name +
+                    " object has no attribute 'formsInOrder'")
+  }
+  var forms = this.forms()
+  var ordering = forms.map(function(form, i) {
+    var order = parseInt(form.boundField(ORDERING_FIELD_NAME).value(), 10)
+    return [i, (isNaN(order) ? null : order)]
+  })
+  ordering.sort(compareOrdering)
+  return ordering.map(function(ordering) { return forms[ordering[0]] })
+}
+
+/**
+ * Moves a form to a different position in formsInOrder(), writing forms' new
+ * positions to their ordering fields. Extra forms which haven't been given any
+ * other input have their ordering fields cleared instead, so they're still
+ * ignored when the formset is submitted. Only ordering fields are updated, so
+ * other fields aren't validated by moving forms.
+ * @param {number} from the position of the form to move.
+ * @param {number} to the position to move the form to.
+ */
+FormSet.prototype.moveFormInOrder = function(from, to) {
+  var ordered = this.formsInOrder()
+  checkFormIndex(from, ordered.length)
+  checkFormIndex(to, ordered.length)
+  if (from === to) {
+    return
+  }
+  ordered.splice(to, 0, ordered.splice(from, 1)[0])
+
+  var forms = this.forms()
+  var initialFormCount = this.initialFormCount()
+  var updates = []
+  var order = 1
+  ordered.forEach(function(form) {
+    var hasInput = (forms.indexOf(form) < initialFormCount ||
+                    form.changedData().some(function(name) {
+                      return name != ORDERING_FIELD_NAME
+                    }))
+    var value = (hasInput ? ''+order++ : '')
+    if (form.boundField(ORDERING_FIELD_NAME).value() != value) {
+      updates.push([form, value])
+    }
+  })
+  if (updates.length === 0) {
+    return
+  }
+
+  if (this._history !== null) {
+    this._history.record()
+  }
+  delete this._ordering
+  // Ordering fields are only validated if the formset already has been
+  var validated = (!this.isInitialRender && this._errors !== null)
+  var updateOptions = {
+    validate: validated, _recordHistory: false, _triggerStateChange: false
+  }
+  updates.forEach(function(update) {
+    var data = {}
+    data[ORDERING_FIELD_NAME] = update[1]
+    update[0].updateData(data, updateOptions)
+    if (validated) {
+      this._errors[forms.indexOf(update[0])] = this._formErrors(update[0])
+    }
+  }.bind(this))
+  if (validated) {
+    this._nonFormErrors = new this.errorConstructor()
+    this._cleanFormset()
+  }
+  this._stateChanged()
+}
+
 /**
  * A hook for adding extra fields on to each form instance.
  * @param {Form} form the form fields are to be added to.
@@ -758,24 +1501,31 @@ FormSet.prototype.addFields = function(form, index) {
     if (index != null && index < this.initialFormCount()) {
       form.fields[ORDERING_FIELD_NAME] =
           IntegerField({label: 'Order', initial: index + 1,
-                        required: false})
+                        required: false, widget: this.orderingWidget})
     }
     else {
       form.fields[ORDERING_FIELD_NAME] =
-          IntegerField({label: 'Order', required: false})
+          IntegerField({label: 'Order', required: false,
+                        widget: this.orderingWidget})
     }
   }
   if (this.canDelete) {
     form.fields[DELETION_FIELD_NAME] =
         BooleanField({label: 'Delete', required: false})
   }
+  if (this.useKeyField) {
+    form.fields[KEY_FIELD_NAME] =
+        CharField({widget: HiddenInput, initial: form.key, required: false})
+  }
 }
 
 /**
- * Returns whether or not the form was marked for deletion.
+ * Returns whether or not the form was marked for deletion, based on the input
+ * for its deletion field so it doesn't depend on the form being valid.
  */
 FormSet.prototype._shouldDeleteForm = function(form) {
-  return object.get(form.cleanedData, DELETION_FIELD_NAME, false)
+  var field = form.fields[DELETION_FIELD_NAME]
+  return field.clean(form.boundField(DELETION_FIELD_NAME).value())
 }
 
 // ================================================================== Errors ===
@@ -786,6 +1536,7 @@ FormSet.prototype.addError = function(error) {
     // making sense of the input.
     error = ValidationError(error)
   }
+  translateError(error, this.locale)
 
   this._nonFormErrors.extend(error.errorList)
 }
@@ -842,7 +1593,14 @@ FormSet.prototype.hasChanged = function() {
  *   validation.
  */
 FormSet.prototype.isAsync = function() {
-  return (this.clean.length == 1 || isFormAsync(this.form))
+  if (this.clean.length == 1 || !is.Empty(this._promiseCleans) ||
+      isFormAsync(this.form)) {
+    return true
+  }
+  // Forms may have custom cleaning methods which have returned a Promise
+  return (this._forms !== null && this._forms.some(function(form) {
+    return form.isAsync()
+  }))
 }
 
 /**
@@ -893,6 +1651,18 @@ FormSet.prototype.nonFormPending = function() {
   return typeof this._pendingAsyncValidation[CLEAN_VALIDATION] != 'undefined'
 }
 
+// ================================================================== Schema ===
+
+/**
+ * Creates a JSON Schema document describing the list of data this formset's
+ * forms clean to.
+ * @param {Object=} kwargs schema options.
+ * @return {Object}
+ */
+FormSet.prototype.toJSONSchema = function(kwargs) {
+  return formsetSchema(this, kwargs)
+}
+
 // ================================================================ Prefixes ===
 
 /**
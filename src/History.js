@@ -0,0 +1,87 @@
+'use strict';
+
+var Concur = require('Concur')
+var object = require('isomorph/object')
+
+/**
+ * Undo and redo stacks of snapshots of a form or formset's input data. The
+ * owner provides snapshots via its _historyState() method and restores them
+ * via its _restoreHistoryState() method.
+ * @constructor
+ * @param {(Form|FormSet)} owner
+ * @param {Object=} kwargs history options.
+ */
+var History = Concur.extend({
+  constructor: function History(owner, kwargs) {
+    if (!(this instanceof History)) { return new History(owner, kwargs) }
+    kwargs = object.extend({depth: 100, coalesce: 1000}, kwargs)
+    this.owner = owner
+    this.depth = kwargs.depth
+    this.coalesce = kwargs.coalesce
+    this._undo = []
+    this._redo = []
+    // Key and time of the last recorded change, for coalescing
+    this._lastKey = null
+    this._lastTime = null
+  }
+})
+
+/**
+ * Records the owner's current state before it's changed. Changes with the same
+ * key made within the coalescing delay of each other are recorded as one.
+ * @param {?string=} key identifies the thing being changed, e.g. a field's
+ *   input name - changes without a key are never coalesced.
+ */
+History.prototype.record = function(key) {
+  var now = Date.now()
+  var coalesce = (key != null && key === this._lastKey &&
+                  now - this._lastTime < this.coalesce)
+  this._lastKey = (key != null ? key : null)
+  this._lastTime = now
+  this._redo = []
+  if (coalesce) { return }
+  this._undo.push(this.owner._historyState())
+  if (this._undo.length > this.depth) {
+    this._undo.shift()
+  }
+}
+
+/**
+ * @return {boolean} true if there's a change which can be undone.
+ */
+History.prototype.canUndo = function() {
+  return this._undo.length > 0
+}
+
+/**
+ * @return {boolean} true if there's an undone change which can be redone.
+ */
+History.prototype.canRedo = function() {
+  return this._redo.length > 0
+}
+
+/**
+ * Restores the owner's state from before the last recorded change.
+ * @return {boolean} true if there was a change to undo.
+ */
+History.prototype.undo = function() {
+  if (!this.canUndo()) { return false }
+  this._lastKey = null
+  this._redo.push(this.owner._historyState())
+  this.owner._restoreHistoryState(this._undo.pop())
+  return true
+}
+
+/**
+ * Restores the owner's state from before the last undo.
+ * @return {boolean} true if there was a change to redo.
+ */
+History.prototype.redo = function() {
+  if (!this.canRedo()) { return false }
+  this._lastKey = null
+  this._undo.push(this.owner._historyState())
+  this.owner._restoreHistoryState(this._redo.pop())
+  return true
+}
+
+module.exports = History
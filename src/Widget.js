@@ -4,6 +4,8 @@ var Concur = require('Concur')
 var object = require('isomorph/object')
 var SubWidget = require('./widgets/SubWidget')
 
+var {translate} = require('./locales')
+
 /**
  * An HTML form widget.
  * @constructor
@@ -13,6 +15,9 @@ var Widget = Concur.extend({
   constructor: function Widget(kwargs) {
     kwargs = object.extend({attrs: null}, kwargs)
     this.attrs = object.extend({}, kwargs.attrs)
+    // Language code of the locale any text is taken from - null for the
+    // default locale.
+    this.locale = null
   }
   /** Determines whether this corresponds to an <input type="hidden">. */
 , isHidden: false
@@ -49,10 +54,23 @@ Widget.prototype.render = function(name, value, kwargs) {
 }
 
 /**
- * Helper function for building an HTML attributes object.
+ * Sets the locale the widget translates any text it displays for.
+ * @param {?string} lang a language code, or null for the default locale.
+ */
+Widget.prototype.setLocale = function(lang) {
+  this.locale = lang
+}
+
+/**
+ * Helper function for building an HTML attributes object. Placeholder text is
+ * translated for the widget's locale.
  */
 Widget.prototype.buildAttrs = function(kwargAttrs, renderAttrs) {
-  return object.extend({}, this.attrs, renderAttrs, kwargAttrs)
+  var attrs = object.extend({}, this.attrs, renderAttrs, kwargAttrs)
+  if (typeof attrs.placeholder == 'string') {
+    attrs.placeholder = translate(attrs.placeholder, this.locale)
+  }
+  return attrs
 }
 
 /**
@@ -5,6 +5,7 @@ var React = require('react')
 
 var ErrorObject = require('../ErrorObject')
 var Form = require('../Form')
+var FormField = require('../fields/FormField')
 var FormRow = require('./FormRow')
 var ProgressMixin = require('./ProgressMixin')
 
@@ -19,10 +20,17 @@ var formProps = {
 , errorConstructor: React.PropTypes.func
 , errors: React.PropTypes.instanceOf(ErrorObject)
 , files: React.PropTypes.object
+, hydrate: React.PropTypes.object
 , initial: React.PropTypes.object
 , labelSuffix: React.PropTypes.string
+, locale: React.PropTypes.string
 , onChange: React.PropTypes.func
 , prefix: React.PropTypes.string
+, timezone: React.PropTypes.oneOfType([
+    React.PropTypes.string
+  , React.PropTypes.number
+  , React.PropTypes.object
+  ])
 , validation: React.PropTypes.oneOfType([
     React.PropTypes.string
   , React.PropTypes.object
@@ -43,6 +51,7 @@ var RenderForm = React.createClass({
       React.PropTypes.func,
       React.PropTypes.instanceOf(Form)
     ]).isRequired
+  , hiddenFieldNames: React.PropTypes.arrayOf(React.PropTypes.string) // Fields to render as hidden inputs
   , row: React.PropTypes.any               // Component to render form rows
   , rowComponent: React.PropTypes.any      // Component to wrap each row
   }),
@@ -58,6 +67,7 @@ var RenderForm = React.createClass({
   getDefaultProps() {
     return {
       component: 'div'
+    , hiddenFieldNames: []
     , row: FormRow
     , rowComponent: 'div'
     }
@@ -78,6 +88,39 @@ var RenderForm = React.createClass({
     return this.form
   },
 
+  /**
+   * Renders a FormField's nested form or formset inline, in a fieldset.
+   */
+  renderNested(bf) {
+    var {props} = this
+    var nested = bf.nestedForm()
+    var rendered
+    if (nested instanceof Form) {
+      rendered = <RenderForm
+        form={nested}
+        progress={props.progress}
+        row={props.row}
+        rowComponent={props.rowComponent}
+      />
+    }
+    else {
+      // Required here to avoid a circular import, as RenderFormSet uses us
+      var RenderFormSet = require('./RenderFormSet')
+      rendered = <RenderFormSet
+        formset={nested}
+        progress={props.progress}
+        row={props.row}
+        rowComponent={props.rowComponent}
+        useManagementForm={true}
+      />
+    }
+    return <fieldset>
+      {bf.label && <legend>{bf.label}</legend>}
+      {rendered}
+      {bf.helpTextTag()}
+    </fieldset>
+  },
+
   render() {
     // Allow a single child to be passed for custom rendering - passing any more
     // will throw an error.
@@ -86,21 +129,37 @@ var RenderForm = React.createClass({
       return React.cloneElement(React.Children.only(this.props.children), {form: this.form})
     }
 
-    // Default rendering
+    // Default rendering checks conditions for every field against the same
+    // input data.
+    return this.form._withConditionData(this.renderFields)
+  },
+
+  renderFields() {
     var {form, props} = this
     var attrs = {}
     if (this.props.className) {
       attrs.className = props.className
     }
     var topErrors = form.nonFieldErrors()
-    var hiddenFields = form.hiddenFields().map(bf => {
+    // Visible fields can also be rendered as hidden inputs by name
+    var visibleFields = []
+    var forceHidden = []
+    form.visibleFields().forEach(bf => {
+      if (props.hiddenFieldNames.indexOf(bf.name) != -1) {
+        forceHidden.push(bf)
+      }
+      else {
+        visibleFields.push(bf)
+      }
+    })
+    var hiddenFields = form.hiddenFields().concat(forceHidden).map(bf => {
       var errors = bf.errors()
       if (errors.isPopulated) {
         topErrors.extend(errors.messages().map(error => {
           return '(Hidden field ' + bf.name + ') ' + error
         }))
       }
-      return bf.render()
+      return (bf.isHidden() ? bf.render() : bf.asHidden())
     })
 
     return <props.component {...attrs}>
@@ -110,13 +169,21 @@ var RenderForm = React.createClass({
         content={topErrors.render()}
         key={form.addPrefix(NON_FIELD_ERRORS)}
       />}
-      {form.visibleFields().map(bf => <props.row
-        bf={bf}
-        className={bf.cssClasses()}
-        component={props.rowComponent}
-        key={bf.htmlName}
-        progress={props.progress}
-      />)}
+      {visibleFields.map(bf => bf.field instanceof FormField
+        ? <props.row
+            className={bf.cssClasses()}
+            component={props.rowComponent}
+            content={this.renderNested(bf)}
+            key={bf.htmlName}
+          />
+        : <props.row
+            bf={bf}
+            className={bf.cssClasses()}
+            component={props.rowComponent}
+            key={bf.htmlName}
+            progress={props.progress}
+          />
+      )}
       {form.nonFieldPending() && <props.row
         className={form.pendingRowCssClass}
         component={props.rowComponent}
@@ -3,6 +3,7 @@
 var object = require('isomorph/object')
 var React = require('react')
 
+var FormField = require('../fields/FormField')
 var FormRow = require('./FormRow')
 var FormSet = require('../FormSet')
 var ProgressMixin = require('./ProgressMixin')
@@ -18,6 +19,7 @@ var formsetProps = {
 , form: React.PropTypes.func
 , maxNum: React.PropTypes.number
 , minNum: React.PropTypes.number
+, orderingWidget: React.PropTypes.any
 , validateMax: React.PropTypes.bool
 , validateMin: React.PropTypes.bool
 
@@ -26,9 +28,16 @@ var formsetProps = {
 , data: React.PropTypes.object
 , errorConstructor: React.PropTypes.func
 , files: React.PropTypes.object
+, hydrate: React.PropTypes.object
 , initial: React.PropTypes.object
+, locale: React.PropTypes.string
 , onChange: React.PropTypes.func
 , prefix: React.PropTypes.string
+, timezone: React.PropTypes.oneOfType([
+    React.PropTypes.string
+  , React.PropTypes.number
+  , React.PropTypes.object
+  ])
 , validation: React.PropTypes.oneOfType([
     React.PropTypes.string
   , React.PropTypes.object
@@ -51,6 +60,7 @@ var RenderFormSet = React.createClass({
       React.PropTypes.func,
       React.PropTypes.instanceOf(FormSet)
     ])
+  , orderingControls: React.PropTypes.bool    // Should forms be ordered with controls instead of ORDER inputs?
   , row: React.PropTypes.any                  // Component to render form rows
   , rowComponent: React.PropTypes.any         // Component to wrap each form row
   , useManagementForm: React.PropTypes.bool   // Should ManagementForm hidden fields be rendered?
@@ -69,6 +79,7 @@ var RenderFormSet = React.createClass({
       component: 'div'
     , formComponent: 'div'
     , formset: FormSet
+    , orderingControls: false
     , row: FormRow
     , rowComponent: 'div'
     , useManagementForm: false
@@ -80,16 +91,138 @@ var RenderFormSet = React.createClass({
       this.formset = this.props.formset
     }
     else {
-      this.formset = new this.props.formset(object.extend({
-        onChange: this.forceUpdate.bind(this)
-      }, getProps(this.props, Object.keys(formsetProps))))
+      var kwargs = {onChange: this.forceUpdate.bind(this)}
+      if (this.props.orderingControls) {
+        kwargs.canOrder = true
+      }
+      this.formset = new this.props.formset(object.extend(kwargs,
+        getProps(this.props, Object.keys(formsetProps))))
     }
+    // Position of the form being dragged by its handle
+    this.dragPosition = null
   },
 
   getFormset() {
     return this.formset
   },
 
+  moveForm(from, to) {
+    this.formset.moveFormInOrder(from, to)
+  },
+
+  onDragStart(position, e) {
+    this.dragPosition = position
+    e.dataTransfer.effectAllowed = 'move'
+    // Firefox won't start dragging without some data being set
+    e.dataTransfer.setData('text', '' + position)
+  },
+
+  onDragOver(e) {
+    if (this.dragPosition !== null) {
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+    }
+  },
+
+  onDrop(position, e) {
+    if (this.dragPosition !== null) {
+      e.preventDefault()
+      var from = this.dragPosition
+      this.dragPosition = null
+      this.moveForm(from, position)
+    }
+  },
+
+  onDragEnd() {
+    this.dragPosition = null
+  },
+
+  undoDelete(form) {
+    this.formset.setFormDeleted(this.formset.forms().indexOf(form), false)
+  },
+
+  renderForm(form, hiddenFieldNames) {
+    var {formset, props} = this
+    if (formset.canDelete && formset.isFormDeleted(formset.forms().indexOf(form))) {
+      return this.renderDeletedForm(form)
+    }
+    return <RenderForm
+      key={form.key}
+      form={form}
+      component={props.formComponent}
+      hiddenFieldNames={hiddenFieldNames}
+      progress={props.progress}
+      row={props.row}
+      rowComponent={props.rowComponent}
+    />
+  },
+
+  /**
+   * Renders a form marked for deletion collapsed, with a button to undo its
+   * deletion. Its input data is kept in hidden fields.
+   */
+  renderDeletedForm(form) {
+    var {formset, props} = this
+    var hiddenFields = form.boundFields()
+      .filter(bf => !(bf.field instanceof FormField))
+      .map(bf => bf.asHidden())
+    return <props.formComponent
+      key={form.key}
+      className={formset.deletedFormCssClass}>
+      <props.row
+        component={props.rowComponent}
+        content={<button type="button" onClick={this.undoDelete.bind(this, form)}>
+          Undo delete
+        </button>}
+        key={form.addPrefix('__undelete__')}
+      />
+      <props.row
+        component={props.rowComponent}
+        content={hiddenFields}
+        hidden={true}
+        key={form.addPrefix('__hidden__')}
+      />
+    </props.formComponent>
+  },
+
+  /**
+   * Renders a form with a drag handle and buttons to move it up and down. The
+   * controls replace its ORDER input, which is still used to submit the order
+   * forms are in, so it's rendered as a hidden input.
+   */
+  renderOrderableForm(form, position, count) {
+    var {formset} = this
+    return <div
+      key={form.key}
+      className={formset.orderableCssClass}
+      onDragOver={this.onDragOver}
+      onDrop={this.onDrop.bind(this, position)}>
+      <div>
+        <span
+          aria-hidden="true"
+          draggable="true"
+          onDragEnd={this.onDragEnd}
+          onDragStart={this.onDragStart.bind(this, position)}
+          title="Drag to reorder">
+          {'\u2630'}
+        </span>
+        <button
+          type="button"
+          disabled={position === 0}
+          onClick={this.moveForm.bind(this, position, position - 1)}>
+          Move up
+        </button>
+        <button
+          type="button"
+          disabled={position === count - 1}
+          onClick={this.moveForm.bind(this, position, position + 1)}>
+          Move down
+        </button>
+      </div>
+      {this.renderForm(form, ['ORDER'])}
+    </div>
+  },
+
   render() {
     var {formset, props} = this
     var attrs = {}
@@ -97,6 +230,8 @@ var RenderFormSet = React.createClass({
       attrs.className = props.className
     }
     var topErrors = formset.nonFormErrors()
+    var orderingControls = (props.orderingControls && formset.canOrder)
+    var forms = (orderingControls ? formset.formsInOrder() : formset.forms())
 
     return <props.component {...attrs}>
       {topErrors.isPopulated() && <props.row
@@ -105,13 +240,9 @@ var RenderFormSet = React.createClass({
         key={formset.addPrefix(NON_FIELD_ERRORS)}
         rowComponent={props.rowComponent}
       />}
-      {formset.forms().map(form => <RenderForm
-        form={form}
-        component={props.formComponent}
-        progress={props.progress}
-        row={props.row}
-        rowComponent={props.rowComponent}
-      />)}
+      {orderingControls
+       ? forms.map((form, i) => this.renderOrderableForm(form, i, forms.length))
+       : forms.map(form => this.renderForm(form, []))}
       {formset.nonFormPending() && <props.row
         className={formset.pendingRowCssClass}
         content={this.renderProgress()}
@@ -0,0 +1,181 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var {strip} = require('./util')
+
+/** Milliseconds in each unit of time a duration can be given in. */
+var UNITS = {
+  w: 604800000
+, d: 86400000
+, h: 3600000
+, m: 60000
+, s: 1000
+, ms: 1
+}
+
+/** Names which can be used for each unit in duration input, e.g. '1d 2h'. */
+var UNIT_NAMES = {
+  w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w'
+, d: 'd', day: 'd', days: 'd'
+, h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h'
+, m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm'
+, s: 's', sec: 's', secs: 's', second: 's', seconds: 's'
+, ms: 'ms', millisecond: 'ms', milliseconds: 'ms'
+}
+
+/**
+ * Clock durations with optional days and fractional seconds, e.g. '30',
+ * '10:30', '02:10:30', '1 02:10:30.5', '3 days, 02:10:30'.
+ */
+var CLOCK_RE = /^(?:(\d+) (?:days?,? )?)?(?:(?:(\d+):)?(\d+):)?(\d+)(?:[.,](\d{1,3})\d*)?$/
+
+/** Durations made up of numbers of units, e.g. '1d 2h', '1 day, 2 hours'. */
+var UNITS_RE = /^(?:\d+(?:[.,]\d+)?\s*[a-z]+\s*,?\s*)+$/
+var UNIT_RE = /(\d+(?:[.,]\d+)?)\s*([a-z]+)/g
+
+/**
+ * ISO 8601 durations without years or months, as their length varies, e.g.
+ * 'P1DT2H', 'PT30M', 'P2W'.
+ */
+var ISO_RE = /^P(?!$)(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?=\d)(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/
+
+/**
+ * Parses a number which may use a comma as a decimal separator.
+ * @param {?string} value
+ * @return {number}
+ */
+function parseNumber(value) {
+  return (value ? parseFloat(value.replace(',', '.')) : 0)
+}
+
+/**
+ * Parses duration input in clock ('02:10:30'), unit ('1d 2h') or ISO 8601
+ * ('P1DT2H') format, optionally preceded by a sign.
+ * @param {string} value
+ * @return {?number} the duration in milliseconds, or null if the input isn't
+ *   in a recognised format.
+ */
+function parseDuration(value) {
+  value = strip(value)
+  var sign = 1
+  if (value.charAt(0) == '-' || value.charAt(0) == '+') {
+    sign = (value.charAt(0) == '-' ? -1 : 1)
+    value = strip(value.substr(1))
+  }
+
+  var match = CLOCK_RE.exec(value)
+  if (match) {
+    return sign * (parseNumber(match[1]) * UNITS.d +
+                   parseNumber(match[2]) * UNITS.h +
+                   parseNumber(match[3]) * UNITS.m +
+                   parseNumber(match[4]) * UNITS.s +
+                   (match[5] ? Number((match[5] + '00').substr(0, 3)) : 0))
+  }
+
+  match = ISO_RE.exec(value.toUpperCase())
+  if (match) {
+    return sign * Math.round(parseNumber(match[1]) * UNITS.w +
+                             parseNumber(match[2]) * UNITS.d +
+                             parseNumber(match[3]) * UNITS.h +
+                             parseNumber(match[4]) * UNITS.m +
+                             parseNumber(match[5]) * UNITS.s)
+  }
+
+  value = value.toLowerCase()
+  if (UNITS_RE.test(value)) {
+    var duration = 0
+    UNIT_RE.lastIndex = 0
+    while ((match = UNIT_RE.exec(value)) !== null) {
+      if (!object.hasOwn(UNIT_NAMES, match[2])) {
+        return null
+      }
+      duration += parseNumber(match[1]) * UNITS[UNIT_NAMES[match[2]]]
+    }
+    return sign * Math.round(duration)
+  }
+
+  return null
+}
+
+/**
+ * Pads a number with leading zeros.
+ * @param {number} n
+ * @param {number} length
+ * @return {string}
+ */
+function pad(n, length) {
+  var s = '' + n
+  while (s.length < length) {
+    s = '0' + s
+  }
+  return s
+}
+
+/**
+ * Formats a duration in clock format, with days if it's a day or more and
+ * milliseconds if it has any, e.g. '02:10:30', '1 02:10:30.500'.
+ * @param {number} duration a duration in milliseconds.
+ * @return {string}
+ */
+function formatDuration(duration) {
+  var sign = (duration < 0 ? '-' : '')
+  duration = Math.abs(duration)
+  var days = Math.floor(duration / UNITS.d)
+  var hours = Math.floor(duration % UNITS.d / UNITS.h)
+  var minutes = Math.floor(duration % UNITS.h / UNITS.m)
+  var seconds = Math.floor(duration % UNITS.m / UNITS.s)
+  var milliseconds = duration % UNITS.s
+  return (sign +
+          (days ? days + ' ' : '') +
+          pad(hours, 2) + ':' + pad(minutes, 2) + ':' + pad(seconds, 2) +
+          (milliseconds ? '.' + pad(milliseconds, 3) : ''))
+}
+
+/**
+ * Formats a duration in ISO 8601 format, e.g. 'P1DT2H10M30S'.
+ * @param {number} duration a duration in milliseconds.
+ * @return {string}
+ */
+function formatISODuration(duration) {
+  var sign = (duration < 0 ? '-' : '')
+  duration = Math.abs(duration)
+  var days = Math.floor(duration / UNITS.d)
+  var hours = Math.floor(duration % UNITS.d / UNITS.h)
+  var minutes = Math.floor(duration % UNITS.h / UNITS.m)
+  var seconds = duration % UNITS.m / UNITS.s
+  var time = ((hours ? hours + 'H' : '') +
+              (minutes ? minutes + 'M' : '') +
+              (seconds ? seconds + 'S' : ''))
+  if (!days && !time) {
+    return 'PT0S'
+  }
+  return sign + 'P' + (days ? days + 'D' : '') + (time ? 'T' + time : '')
+}
+
+/**
+ * Normalises a duration given as an option to milliseconds.
+ * @param {?(number|string)} value a duration in milliseconds or a duration
+ *   String.
+ * @return {?number}
+ * @throws {Error} if the value isn't a valid duration.
+ */
+function toMilliseconds(value) {
+  if (value === null || is.Number(value)) {
+    return value
+  }
+  var duration = parseDuration(value)
+  if (duration === null) {
+    throw new Error("Invalid duration: '" + value + "'")
+  }
+  return duration
+}
+
+module.exports = {
+  UNITS: UNITS
+, formatDuration: formatDuration
+, formatISODuration: formatISODuration
+, parseDuration: parseDuration
+, toMilliseconds: toMilliseconds
+}
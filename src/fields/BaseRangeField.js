@@ -0,0 +1,67 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var HiddenRangeWidget = require('../widgets/HiddenRangeWidget')
+var MultiValueField = require('./MultiValueField')
+var RangeWidget = require('../widgets/RangeWidget')
+
+var {ValidationError} = require('validators')
+
+/**
+ * A MultiValueField which cleans lower and upper bounds using two instances of
+ * a base field to a {lower, upper} range. Either bound may be left empty if
+ * the field isn't required.
+ * @constructor
+ * @extends {MultiValueField}
+ * @param {Object=} kwargs
+ */
+var BaseRangeField = MultiValueField.extend({
+  /** Field constructor used for each bound. */
+  baseField: null
+  /** Names of kwargs which are passed to the base fields. */
+, baseFieldKwargs: []
+, hiddenWidget: HiddenRangeWidget
+, defaultErrorMessages: {
+    invalid: 'Enter two valid values.'
+  , boundOrdering: 'The start of the range must not exceed the end of the range.'
+  }
+
+, constructor: function BaseRangeField(kwargs) {
+    kwargs = object.extend({widget: null}, kwargs)
+    var fieldKwargs = {required: false}
+    this.baseFieldKwargs.forEach(function(name) {
+      if (object.hasOwn(kwargs, name)) {
+        fieldKwargs[name] = object.pop(kwargs, name)
+      }
+    })
+    kwargs.fields = [new this.baseField(fieldKwargs),
+                     new this.baseField(fieldKwargs)]
+    if (kwargs.widget === null) {
+      // Use the base field's widget, which has any attributes it added
+      kwargs.widget = new RangeWidget(kwargs.fields[0].widget)
+    }
+    MultiValueField.call(this, kwargs)
+  }
+})
+
+/**
+ * Validates that the lower bound doesn't exceed the upper bound.
+ * @param {?Array} dataList cleaned lower and upper bounds.
+ * @return {?{lower: *, upper: *}} the range, or null for empty values.
+ * @throws {ValidationError} if the bounds are out of order.
+ */
+BaseRangeField.prototype.compress = function(dataList) {
+  if (is.Array(dataList) && dataList.length > 0) {
+    var lower = dataList[0]
+    var upper = dataList[1]
+    if (lower !== null && upper !== null && Number(lower) > Number(upper)) {
+      throw ValidationError(this.errorMessages.boundOrdering, {code: 'boundOrdering'})
+    }
+    return {lower: lower, upper: upper}
+  }
+  return null
+}
+
+module.exports = BaseRangeField
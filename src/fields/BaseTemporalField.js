@@ -38,12 +38,12 @@ BaseTemporalField.prototype.toJavaScript = function(value) {
     value = strip(value)
   }
   if (is.String(value)) {
-    if (this.inputFormats === null) {
-      this.inputFormats = formats.getFormat(this.inputFormatType)
-    }
-    for (var i = 0, l = this.inputFormats.length; i < l; i++) {
+    var inputFormats = (this.inputFormats !== null
+                        ? this.inputFormats
+                        : formats.getFormat(this.inputFormatType, this.locale))
+    for (var i = 0, l = inputFormats.length; i < l; i++) {
       try {
-        return this.strpdate(value, this.inputFormats[i])
+        return this.strpdate(value, inputFormats[i])
       }
       catch (e) {
         // pass
@@ -60,7 +60,8 @@ BaseTemporalField.prototype.toJavaScript = function(value) {
  * @return {Date}
  */
 BaseTemporalField.prototype.strpdate = function(value, format) {
-  return time.strpdate(value, format, locales.getDefaultLocale())
+  var lang = this.locale || locales.getDefaultLocale()
+  return time.strpdate(value, format, lang)
 }
 
 BaseTemporalField.prototype._hasChanged = function(initial, data) {
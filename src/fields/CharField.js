@@ -7,6 +7,7 @@ var PasswordInput = require('../widgets/PasswordInput')
 var TextInput = require('../widgets/TextInput')
 
 var {MinLengthValidator, MaxLengthValidator} = require('validators')
+var {strip} = require('../util')
 
 /**
  * Validates that its input is a valid String.
@@ -17,9 +18,15 @@ var {MinLengthValidator, MaxLengthValidator} = require('validators')
 var CharField = Field.extend({
   constructor: function CharField(kwargs) {
     if (!(this instanceof CharField)) { return new CharField(kwargs) }
-    kwargs = object.extend({maxLength: null, minLength: null}, kwargs)
+    kwargs = object.extend({
+      maxLength: null, minLength: null, stripWhitespace: false, emptyValue: ''
+    }, kwargs)
     this.maxLength = kwargs.maxLength
     this.minLength = kwargs.minLength
+    // Should leading and trailing whitespace be stripped from input?
+    this.stripWhitespace = kwargs.stripWhitespace
+    // Value empty input is cleaned to
+    this.emptyValue = kwargs.emptyValue
     Field.call(this, kwargs)
     if (this.minLength !== null) {
       this.validators.push(MinLengthValidator(this.minLength))
@@ -31,13 +38,18 @@ var CharField = Field.extend({
 })
 
 /**
- * @return {string}
+ * @return {*} the input as a String, stripped of leading and trailing
+ *   whitespace if configured to do so, or the field's emptyValue for empty
+ *   input.
  */
 CharField.prototype.toJavaScript = function(value) {
+  if (!this.isEmptyValue(value)) {
+    value = (this.stripWhitespace ? strip(value) : ''+value)
+  }
   if (this.isEmptyValue(value)) {
-    return ''
+    return this.emptyValue
   }
-  return ''+value
+  return value
 }
 
 /**
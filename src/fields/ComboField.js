@@ -24,6 +24,17 @@ var ComboField = Field.extend({
   }
 })
 
+/**
+ * Also sets the locale of each of the fields this field combines.
+ * @param {?string} lang a language code, or null for the default locale.
+ */
+ComboField.prototype.setLocale = function(lang) {
+  Field.prototype.setLocale.call(this, lang)
+  for (var i = 0, l = this.fields.length; i < l; i++) {
+    this.fields[i].setLocale(lang)
+  }
+}
+
 ComboField.prototype.clean = function(value) {
   Field.prototype.clean.call(this, value)
   for (var i = 0, l = this.fields.length; i < l; i++) {
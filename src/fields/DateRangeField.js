@@ -0,0 +1,25 @@
+'use strict';
+
+var BaseRangeField = require('./BaseRangeField')
+var DateField = require('./DateField')
+
+/**
+ * Validates that its input is a range of dates.
+ * @constructor
+ * @extends {BaseRangeField}
+ * @param {Object=} kwargs
+ */
+var DateRangeField = BaseRangeField.extend({
+  baseField: DateField
+, baseFieldKwargs: ['inputFormats']
+, defaultErrorMessages: {
+    invalid: 'Enter two valid dates.'
+  }
+
+, constructor: function DateRangeField(kwargs) {
+    if (!(this instanceof DateRangeField)) { return new DateRangeField(kwargs) }
+    BaseRangeField.call(this, kwargs)
+  }
+})
+
+module.exports = DateRangeField
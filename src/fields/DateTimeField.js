@@ -1,6 +1,11 @@
 'use strict';
 
 var is = require('isomorph/is')
+var object = require('isomorph/object')
+var time = require('isomorph/time')
+
+var locales = require('../locales')
+var timezones = require('../timezones')
 
 var BaseTemporalField = require('./BaseTemporalField')
 var DateTimeInput = require('../widgets/DateTimeInput')
@@ -8,7 +13,8 @@ var DateTimeInput = require('../widgets/DateTimeInput')
 var {ValidationError} = require('validators')
 
 /**
- * Validates that its input is a date/time.
+ * Validates that its input is a date/time, optionally interpreting it in a
+ * timezone.
  * @constructor
  * @extends {BaseTemporalField}
  * @param {Object=} kwargs
@@ -22,13 +28,36 @@ var DateTimeField = BaseTemporalField.extend({
 
 , constructor: function DateTimeField(kwargs) {
     if (!(this instanceof DateTimeField)) { return new DateTimeField(kwargs) }
+    kwargs = object.extend({timezone: null}, kwargs)
     BaseTemporalField.call(this, kwargs)
+    // Timezone input is interpreted in - null for local time
+    this.timezone = null
+    if (kwargs.timezone !== null) {
+      this.setTimezone(kwargs.timezone)
+    }
   }
 })
 
+/**
+ * Sets the timezone input is interpreted in, also setting it on the field's
+ * widget. Forms call this for fields which don't have a timezone when given a
+ * timezone.
+ * @param {?(string|number|Object)} timezone an IANA timezone name, a fixed
+ *   offset or a timezone object, or null for local time.
+ * @throws {Error} if the timezone is unknown.
+ */
+DateTimeField.prototype.setTimezone = function(timezone) {
+  if (timezone !== null) {
+    timezones.getTimezone(timezone)
+  }
+  this.timezone = timezone
+  this.widget.timezone = timezone
+}
+
 /**
  * @param {?(string|Date|Array.<string>)} value user input.
- * @return {?Date}
+ * @return {?Date} the instant the input represents in the field's timezone.
+ *   Dates are assumed to already represent an instant.
  * @throws {ValidationError} if the input is invalid.
  */
 DateTimeField.prototype.toJavaScript = function(value) {
@@ -52,5 +81,23 @@ DateTimeField.prototype.toJavaScript = function(value) {
   return BaseTemporalField.prototype.toJavaScript.call(this, value)
 }
 
+/**
+ * Creates a Date from the given input if it's valid based on a format,
+ * interpreting it in the field's timezone if it has one.
+ * @param {string} value
+ * @param {string} format
+ * @return {Date}
+ */
+DateTimeField.prototype.strpdate = function(value, format) {
+  if (this.timezone === null) {
+    return BaseTemporalField.prototype.strpdate.call(this, value, format)
+  }
+  var lang = this.locale || locales.getDefaultLocale()
+  var t = time.strptime(value, format, lang)
+  // Carry the date and time in UTC fields, as they may not exist in local time
+  var wallTime = new Date(Date.UTC(t[0], t[1] - 1, t[2], t[3], t[4], t[5]))
+  return timezones.fromZonedTime(wallTime, this.timezone)
+}
+
 
 module.exports = DateTimeField
\ No newline at end of file
@@ -0,0 +1,48 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var BaseRangeField = require('./BaseRangeField')
+var DateTimeField = require('./DateTimeField')
+
+/**
+ * Validates that its input is a range of date/times.
+ * @constructor
+ * @extends {BaseRangeField}
+ * @param {Object=} kwargs
+ */
+var DateTimeRangeField = BaseRangeField.extend({
+  baseField: DateTimeField
+, baseFieldKwargs: ['inputFormats']
+, defaultErrorMessages: {
+    invalid: 'Enter two valid date/times.'
+  }
+
+, constructor: function DateTimeRangeField(kwargs) {
+    if (!(this instanceof DateTimeRangeField)) { return new DateTimeRangeField(kwargs) }
+    kwargs = object.extend({timezone: null}, kwargs)
+    var timezone = object.pop(kwargs, 'timezone')
+    BaseRangeField.call(this, kwargs)
+    // Timezone input is interpreted in - null for local time
+    this.timezone = null
+    if (timezone !== null) {
+      this.setTimezone(timezone)
+    }
+  }
+})
+
+/**
+ * Sets the timezone both bounds are interpreted in, also setting it on their
+ * widgets.
+ * @param {?(string|number|Object)} timezone
+ * @throws {Error} if the timezone is unknown.
+ */
+DateTimeRangeField.prototype.setTimezone = function(timezone) {
+  for (var i = 0, l = this.fields.length; i < l; i++) {
+    this.fields[i].setTimezone(timezone)
+    this.widget.widgets[i].timezone = timezone
+  }
+  this.timezone = timezone
+}
+
+module.exports = DateTimeRangeField
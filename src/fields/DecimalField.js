@@ -2,6 +2,8 @@
 
 var object = require('isomorph/object')
 
+var formats = require('../formats')
+
 var Field = require('../Field')
 var IntegerField = require('./IntegerField')
 
@@ -51,8 +53,9 @@ DecimalField.prototype.clean = function(value) {
     return null
   }
 
-  // Coerce to string and validate that it looks Decimal-like
-  value = strip(''+value)
+  // Coerce to string, normalise localised separators and validate that it
+  // looks Decimal-like
+  value = strip(formats.sanitizeSeparators(''+value, this.locale))
   if (!DecimalField.DECIMAL_REGEXP.test(value)) {
     throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
   }
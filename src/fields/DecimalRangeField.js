@@ -0,0 +1,25 @@
+'use strict';
+
+var BaseRangeField = require('./BaseRangeField')
+var DecimalField = require('./DecimalField')
+
+/**
+ * Validates that its input is a range of decimal numbers.
+ * @constructor
+ * @extends {BaseRangeField}
+ * @param {Object=} kwargs
+ */
+var DecimalRangeField = BaseRangeField.extend({
+  baseField: DecimalField
+, baseFieldKwargs: ['maxValue', 'minValue', 'maxDigits', 'decimalPlaces']
+, defaultErrorMessages: {
+    invalid: 'Enter two numbers.'
+  }
+
+, constructor: function DecimalRangeField(kwargs) {
+    if (!(this instanceof DecimalRangeField)) { return new DecimalRangeField(kwargs) }
+    BaseRangeField.call(this, kwargs)
+  }
+})
+
+module.exports = DecimalRangeField
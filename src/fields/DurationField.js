@@ -0,0 +1,83 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var durations = require('../durations')
+
+var DurationInput = require('../widgets/DurationInput')
+var Field = require('../Field')
+
+var {ValidationError} = require('validators')
+
+/**
+ * Validates that its input is a duration, given in [D ][HH:[MM:]]SS, unit
+ * (e.g. '1d 2h') or ISO 8601 (e.g. 'P1DT2H') format.
+ * @constructor
+ * @extends {Field}
+ * @param {Object=} kwargs
+ */
+var DurationField = Field.extend({
+  widget: DurationInput
+, defaultErrorMessages: {
+    invalid: 'Enter a valid duration.'
+  , minValue: 'Ensure this duration is at least {limitValue}.'
+  , maxValue: 'Ensure this duration is at most {limitValue}.'
+  }
+
+, constructor: function DurationField(kwargs) {
+    if (!(this instanceof DurationField)) { return new DurationField(kwargs) }
+    kwargs = object.extend({maxValue: null, minValue: null}, kwargs)
+    // Limits in milliseconds
+    this.maxValue = durations.toMilliseconds(kwargs.maxValue)
+    this.minValue = durations.toMilliseconds(kwargs.minValue)
+    Field.call(this, kwargs)
+  }
+})
+
+/**
+ * @param {?(string|number)} value user input or a duration in milliseconds.
+ * @return {?number} the duration in milliseconds, or null for empty values.
+ * @throws {ValidationError} if the input is invalid.
+ */
+DurationField.prototype.toJavaScript = function(value) {
+  if (this.isEmptyValue(value)) {
+    return null
+  }
+  if (is.Number(value)) {
+    return value
+  }
+  var duration = durations.parseDuration(''+value)
+  if (duration === null) {
+    throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
+  }
+  return duration
+}
+
+/**
+ * Validates that the duration is within this field's limits, which are
+ * displayed in error messages as durations.
+ * @param {?number} value a duration in milliseconds.
+ * @throws {ValidationError} if the duration is required and missing, or out of
+ *   range.
+ */
+DurationField.prototype.validate = function(value) {
+  Field.prototype.validate.call(this, value)
+  if (value === null) {
+    return
+  }
+  if (this.minValue !== null && value < this.minValue) {
+    throw ValidationError(this.errorMessages.minValue, {
+      code: 'minValue'
+    , params: {limitValue: durations.formatDuration(this.minValue)}
+    })
+  }
+  if (this.maxValue !== null && value > this.maxValue) {
+    throw ValidationError(this.errorMessages.maxValue, {
+      code: 'maxValue'
+    , params: {limitValue: durations.formatDuration(this.maxValue)}
+    })
+  }
+}
+
+module.exports = DurationField
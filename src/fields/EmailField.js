@@ -24,7 +24,10 @@ var EmailField = CharField.extend({
 })
 
 EmailField.prototype.clean = function(value) {
-  value = util.strip(this.toJavaScript(value))
+  value = this.toJavaScript(value)
+  if (value !== this.emptyValue) {
+    value = util.strip(value)
+  }
   return CharField.prototype.clean.call(this, value)
 }
 
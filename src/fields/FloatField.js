@@ -2,6 +2,8 @@
 
 var object = require('isomorph/object')
 
+var formats = require('../formats')
+
 var Field = require('../Field')
 var IntegerField = require('./IntegerField')
 
@@ -30,7 +32,8 @@ FloatField.FLOAT_REGEXP = /^[-+]?(?:\d+(?:\.\d*)?|(?:\d+)?\.\d+)$/
 
 /**
  * Validates that the input looks like valid input for parseFloat() and the
- * result of calling it isn't NaN.
+ * result of calling it isn't NaN. Separators in the input are normalised
+ * according to the field's locale first.
  * @param {*} value user input.
  * @return a Number obtained from parseFloat(), or null for empty values.
  * @throws {ValidationError} if the input is invalid.
@@ -40,7 +43,7 @@ FloatField.prototype.toJavaScript = function(value) {
   if (this.isEmptyValue(value)) {
     return null
   }
-  value = strip(value)
+  value = strip(formats.sanitizeSeparators(value, this.locale))
   if (!FloatField.FLOAT_REGEXP.test(value)) {
     throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
   }
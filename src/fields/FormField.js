@@ -0,0 +1,89 @@
+'use strict';
+
+var is = require('isomorph/is')
+var {formatObj} = require('isomorph/format')
+var object = require('isomorph/object')
+
+var ErrorObject = require('../ErrorObject')
+var Field = require('../Field')
+var isFormAsync = require('../forms/isFormAsync')
+
+/**
+ * Embeds a Form as a single field of another Form. The nested form's fields are
+ * prefixed with the field's name, it's validated as part of its parent form and
+ * its cleaned data is an object in its parent's cleanedData.
+ * @constructor
+ * @extends {Field}
+ * @param {Object=} kwargs
+ */
+var FormField = Field.extend({
+  constructor: function FormField(kwargs) {
+    if (!(this instanceof FormField)) { return new FormField(kwargs) }
+    kwargs = object.extend({form: null}, kwargs)
+    if (!is.Function(kwargs.form)) {
+      throw new Error(
+        'A FormField must be given a Form constructor to use via its `form` ' +
+        'option.'
+      )
+    }
+    this.form = object.pop(kwargs, 'form')
+    Field.call(this, kwargs)
+  }
+})
+
+/**
+ * Creates the nested form for a parent form.
+ * @param {Object} kwargs form options provided by the parent form.
+ * @return {Form}
+ */
+FormField.prototype.createNested = function(kwargs) {
+  return new this.form(object.extend({emptyPermitted: !this.required}, kwargs))
+}
+
+/**
+ * @param {Form} form the nested form.
+ * @return {ErrorObject} the nested form's errors.
+ */
+FormField.prototype.nestedErrors = function(form) {
+  return form.errors() || new ErrorObject()
+}
+
+/**
+ * @param {Form} form the nested form.
+ * @return {?Object} the nested form's cleaned data, or null if it was allowed
+ *   to be empty and nothing was entered.
+ */
+FormField.prototype.nestedCleanedData = function(form) {
+  if (form.emptyPermitted && !form.hasChanged()) {
+    return null
+  }
+  return object.extend({}, form.cleanedData)
+}
+
+/**
+ * Flattens an object of unprefixed input data for the nested form into the
+ * prefixed input data its fields will use.
+ * @param {string} prefix the nested form's prefix.
+ * @param {Object.<string,*>} data unprefixed input data.
+ * @return {Object.<string,*>}
+ */
+FormField.prototype.prefixData = function(prefix, data) {
+  var prefixFormat = this.form.prototype.prefixFormat
+  var prefixedData = {}
+  var fieldNames = Object.keys(data || {})
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    prefixedData[formatObj(prefixFormat, {prefix: prefix, name: fieldNames[i]})] =
+        data[fieldNames[i]]
+  }
+  return prefixedData
+}
+
+/**
+ * @return {boolean} true if the nested form needs a callback argument for
+ *   final validation.
+ */
+FormField.prototype.isAsync = function() {
+  return isFormAsync(this.form)
+}
+
+module.exports = FormField
@@ -0,0 +1,133 @@
+'use strict';
+
+var is = require('isomorph/is')
+var {formatObj} = require('isomorph/format')
+var object = require('isomorph/object')
+
+var env = require('../env')
+var ErrorObject = require('../ErrorObject')
+var Form = require('../Form')
+var FormField = require('./FormField')
+var FormSet = require('../FormSet')
+var isFormAsync = require('../forms/isFormAsync')
+
+var {NON_FIELD_ERRORS} = require('../constants')
+var {getProps} = require('../util')
+
+// FormSet options which may be given when creating a FormSetField
+var FORMSET_OPTIONS = ['form', 'extra', 'canOrder', 'canDelete', 'maxNum',
+                       'validateMax', 'minNum', 'validateMin']
+
+/**
+ * Embeds a FormSet as a single field of a Form, for a list of nested forms. Its
+ * cleaned data is a list of objects in its parent's cleanedData.
+ * @constructor
+ * @extends {FormField}
+ * @param {Object=} kwargs
+ */
+var FormSetField = FormField.extend({
+  constructor: function FormSetField(kwargs) {
+    if (!(this instanceof FormSetField)) { return new FormSetField(kwargs) }
+    kwargs = object.extend({formset: FormSet}, kwargs)
+    this.formset = object.pop(kwargs, 'formset')
+    this.formsetKwargs = getProps(kwargs, FORMSET_OPTIONS)
+    FORMSET_OPTIONS.forEach(function(option) { delete kwargs[option] })
+    this.form = this.formsetKwargs.form || this.formset.prototype.form
+    if (!is.Function(this.form)) {
+      throw new Error(
+        'A FormSetField must be given a Form constructor to use, either via ' +
+        'its `form` option or via its `formset` option\'s prototype.'
+      )
+    }
+    kwargs.form = this.form
+    FormField.call(this, kwargs)
+  }
+})
+
+/**
+ * Creates the nested formset for a parent form.
+ * @param {Object} kwargs formset options provided by the parent form.
+ * @return {FormSet}
+ */
+FormSetField.prototype.createNested = function(kwargs) {
+  var formset = new this.formset(object.extend({}, this.formsetKwargs, kwargs))
+  // In the browser, form counts aren't taken from management form data, so
+  // use its total form count to make sure all the given input data is used.
+  if (env.browser && !formset.isInitialRender) {
+    var totalFormCount = parseInt(
+      formset.data[this.managementName(formset.prefix, 'TOTAL_FORMS')], 10)
+    if (!isNaN(totalFormCount)) {
+      formset.extra = Math.max(0, totalFormCount - formset.initialFormCount())
+    }
+  }
+  return formset
+}
+
+/**
+ * @param {string} prefix the nested formset's prefix.
+ * @param {string} name a management form field name.
+ * @return {string} the name of the management form field's input data.
+ */
+FormSetField.prototype.managementName = function(prefix, name) {
+  return formatObj(Form.prototype.prefixFormat, {prefix: prefix, name: name})
+}
+
+/**
+ * @param {FormSet} formset the nested formset.
+ * @return {ErrorObject} the nested formset's errors, with form errors keyed by
+ *   form index and non-form errors keyed as non-field errors.
+ */
+FormSetField.prototype.nestedErrors = function(formset) {
+  var errors = new ErrorObject()
+  var forms = formset.forms()
+  var formErrors = formset.errors()
+  for (var i = 0, l = formErrors.length; i < l; i++) {
+    if (!formErrors[i].isPopulated()) { continue }
+    // Errors for forms which are going to be deleted don't count
+    if (formset.canDelete && formset._shouldDeleteForm(forms[i])) { continue }
+    errors.set(''+i, formErrors[i])
+  }
+  if (formset.nonFormErrors().isPopulated()) {
+    errors.set(NON_FIELD_ERRORS, formset.nonFormErrors())
+  }
+  return errors
+}
+
+/**
+ * @param {FormSet} formset the nested formset.
+ * @return {Array.<Object>} the nested formset's cleaned data.
+ */
+FormSetField.prototype.nestedCleanedData = function(formset) {
+  return formset.cleanedData()
+}
+
+/**
+ * Flattens a list of objects of unprefixed input data for the nested formset's
+ * forms into the prefixed input data their fields will use, along with
+ * management form data. Each object is treated as input for an extra form.
+ * @param {string} prefix the nested formset's prefix.
+ * @param {Array.<Object.<string,*>>} data unprefixed input data for each form.
+ * @return {Object.<string,*>}
+ */
+FormSetField.prototype.prefixData = function(prefix, data) {
+  data = data || []
+  var formsetPrefixFormat = this.formset.prototype.prefixFormat
+  var prefixedData = {}
+  prefixedData[this.managementName(prefix, 'TOTAL_FORMS')] = data.length
+  prefixedData[this.managementName(prefix, 'INITIAL_FORMS')] = 0
+  for (var i = 0, l = data.length; i < l; i++) {
+    var formPrefix = formatObj(formsetPrefixFormat, {prefix: prefix, index: i})
+    object.extend(prefixedData, FormField.prototype.prefixData.call(this, formPrefix, data[i]))
+  }
+  return prefixedData
+}
+
+/**
+ * @return {boolean} true if the nested formset needs a callback argument for
+ *   final validation.
+ */
+FormSetField.prototype.isAsync = function() {
+  return (this.formset.prototype.clean.length == 1 || isFormAsync(this.form))
+}
+
+module.exports = FormSetField
@@ -1,6 +1,9 @@
 'use strict';
 
 var object = require('isomorph/object')
+
+var formats = require('../formats')
+
 var Field = require('../Field')
 var NumberInput = require('../widgets/NumberInput')
 
@@ -36,7 +39,8 @@ var IntegerField = Field.extend({
 
 /**
  * Validates that Number() can be called on the input with a result that isn't
- * NaN and doesn't contain any decimal points.
+ * NaN and doesn't contain any decimal points. Separators in the input are
+ * normalised according to the field's locale first.
  * @param {*} value user input.
  * @return {?number} the result of Number(), or null for empty values.
  * @throws {ValidationError} if the input is invalid.
@@ -46,7 +50,7 @@ IntegerField.prototype.toJavaScript = function(value) {
   if (this.isEmptyValue(value)) {
     return null
   }
-  value = Number(value)
+  value = Number(formats.sanitizeSeparators(value, this.locale))
   if (isNaN(value) || value.toString().indexOf('.') != -1) {
     throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
   }
@@ -0,0 +1,25 @@
+'use strict';
+
+var BaseRangeField = require('./BaseRangeField')
+var IntegerField = require('./IntegerField')
+
+/**
+ * Validates that its input is a range of integers.
+ * @constructor
+ * @extends {BaseRangeField}
+ * @param {Object=} kwargs
+ */
+var IntegerRangeField = BaseRangeField.extend({
+  baseField: IntegerField
+, baseFieldKwargs: ['maxValue', 'minValue']
+, defaultErrorMessages: {
+    invalid: 'Enter two whole numbers.'
+  }
+
+, constructor: function IntegerRangeField(kwargs) {
+    if (!(this instanceof IntegerRangeField)) { return new IntegerRangeField(kwargs) }
+    BaseRangeField.call(this, kwargs)
+  }
+})
+
+module.exports = IntegerRangeField
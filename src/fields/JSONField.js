@@ -0,0 +1,85 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var CharField = require('./CharField')
+var Textarea = require('../widgets/Textarea')
+
+var {ValidationError} = require('validators')
+
+/**
+ * Validates that its input is JSON, cleaning it to the value it represents.
+ * @constructor
+ * @extends {CharField}
+ * @param {Object=} kwargs
+ */
+var JSONField = CharField.extend({
+  widget: Textarea
+, defaultErrorMessages: {
+    invalid: 'Enter a valid JSON.'
+  }
+
+, constructor: function JSONField(kwargs) {
+    if (!(this instanceof JSONField)) { return new JSONField(kwargs) }
+    kwargs = object.extend({indent: 2, stripWhitespace: true}, kwargs)
+    // Indentation used when displaying values as JSON
+    this.indent = kwargs.indent
+    CharField.call(this, kwargs)
+  }
+})
+
+/**
+ * @param {*} value user input, or an already-parsed value.
+ * @return {*} the value the JSON input represents, or null for empty values.
+ * @throws {ValidationError} if the input isn't valid JSON.
+ */
+JSONField.prototype.toJavaScript = function(value) {
+  if (!is.String(value)) {
+    return (value === undefined ? null : value)
+  }
+  value = CharField.prototype.toJavaScript.call(this, value)
+  if (this.isEmptyValue(value)) {
+    return null
+  }
+  try {
+    return JSON.parse(value)
+  }
+  catch (e) {
+    throw ValidationError(this.errorMessages.invalid, {
+      code: 'invalid'
+    , params: {value: value, error: e.message}
+    })
+  }
+}
+
+/**
+ * Displays values as pretty-printed JSON. Strings are assumed to be JSON input
+ * and are displayed as they are.
+ * @param {*} value
+ * @return {?string}
+ */
+JSONField.prototype.prepareValue = function(value) {
+  if (value === null || is.String(value)) {
+    return value
+  }
+  return JSON.stringify(value, null, this.indent)
+}
+
+/**
+ * Compares the JSON representations of the initial value and input.
+ * @return {boolean} true if data has changed from initial.
+ */
+JSONField.prototype._hasChanged = function(initial, data) {
+  try {
+    data = this.toJavaScript(data)
+    initial = this.toJavaScript(initial)
+  }
+  catch (e) {
+    if (!(e instanceof ValidationError)) { throw e }
+    return true
+  }
+  return JSON.stringify(initial) !== JSON.stringify(data)
+}
+
+module.exports = JSONField
@@ -0,0 +1,98 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var currencies = require('../currencies')
+
+var ChoiceField = require('./ChoiceField')
+var DecimalField = require('./DecimalField')
+var MoneyWidget = require('../widgets/MoneyWidget')
+var MultiValueField = require('./MultiValueField')
+
+var {ValidationError} = require('validators')
+
+/**
+ * A MultiValueField consisting of a DecimalField for an amount and a
+ * ChoiceField for its ISO 4217 currency code, which validates that the amount
+ * has no more decimal places than the currency uses.
+ * @constructor
+ * @extends {MultiValueField}
+ * @param {Object=} kwargs
+ */
+var MoneyField = MultiValueField.extend({
+  defaultErrorMessages: {
+    maxDecimalPlaces: 'Ensure that there are no more than {max} decimal places for {currency}.'
+  }
+
+, constructor: function MoneyField(kwargs) {
+    if (!(this instanceof MoneyField)) { return new MoneyField(kwargs) }
+    kwargs = object.extend({
+      currencies: currencies.CURRENCY_CODES, defaultCurrency: null
+    , maxDigits: null, maxValue: null, minValue: null, widget: null
+    }, kwargs)
+    var amountKwargs = {
+      maxDigits: object.pop(kwargs, 'maxDigits')
+    , maxValue: object.pop(kwargs, 'maxValue')
+    , minValue: object.pop(kwargs, 'minValue')
+    }
+    var codes = object.pop(kwargs, 'currencies')
+    var defaultCurrency = object.pop(kwargs, 'defaultCurrency')
+    kwargs.fields = [
+      DecimalField(amountKwargs)
+    , ChoiceField({choices: codes.map(function(code) { return [code, code] })})
+    ]
+    if (kwargs.widget === null) {
+      kwargs.widget = MoneyWidget({currencies: codes, defaultCurrency: defaultCurrency})
+    }
+    kwargs.requireAllFields = false
+    MultiValueField.call(this, kwargs)
+  }
+})
+
+/**
+ * Treats input without an amount as empty, as a currency will usually have
+ * been selected regardless.
+ * @param {Array} value user input for the amount and currency.
+ * @return {?{amount: string, currency: string}}
+ * @throws {ValidationError} if the input is invalid.
+ */
+MoneyField.prototype.clean = function(value) {
+  if (is.Array(value) && this.isEmptyValue(value[0])) {
+    value = null
+  }
+  return MultiValueField.prototype.clean.call(this, value)
+}
+
+/**
+ * Validates the number of decimal places in the amount for its currency and
+ * pads the amount to that number of decimal places.
+ * @param {?Array.<string>} dataList a normalised decimal amount and a currency
+ *   code.
+ * @return {?{amount: string, currency: string}} the amount and currency, or
+ *   null for empty values.
+ * @throws {ValidationError} if the amount has too many decimal places.
+ */
+MoneyField.prototype.compress = function(dataList) {
+  if (is.Array(dataList) && dataList.length > 0) {
+    var currency = dataList[1]
+    var places = currencies.getDecimalPlaces(currency)
+    var pieces = dataList[0].split('.')
+    var decimals = (pieces.length == 2 ? pieces[1] : '')
+    // Trailing zeros beyond the currency's decimal places are allowed
+    if (/[^0]/.test(decimals.substr(places))) {
+      throw ValidationError(this.errorMessages.maxDecimalPlaces, {
+        code: 'maxDecimalPlaces'
+      , params: {max: places, currency: currency}
+      })
+    }
+    decimals = (decimals + new Array(places + 1).join('0')).substr(0, places)
+    return {
+      amount: pieces[0] + (places > 0 ? '.' + decimals : '')
+    , currency: currency
+    }
+  }
+  return null
+}
+
+module.exports = MoneyField
@@ -52,6 +52,17 @@ var MultiValueField = Field.extend({
 
 MultiValueField.prototype.validate = function() {}
 
+/**
+ * Also sets the locale of each of the fields this field is made up of.
+ * @param {?string} lang a language code, or null for the default locale.
+ */
+MultiValueField.prototype.setLocale = function(lang) {
+  Field.prototype.setLocale.call(this, lang)
+  for (var i = 0, l = this.fields.length; i < l; i++) {
+    this.fields[i].setLocale(lang)
+  }
+}
+
 /**
  * Validates every value in the given list. A value is validated against the
  * corresponding Field in this.fields.
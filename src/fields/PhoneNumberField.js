@@ -0,0 +1,59 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var phonenumbers = require('../phonenumbers')
+
+var CharField = require('./CharField')
+var TelInput = require('../widgets/TelInput')
+
+var {ValidationError} = require('validators')
+
+/**
+ * Validates that its input is a phone number, normalising it to E.164 format.
+ * @constructor
+ * @extends {CharField}
+ * @param {Object=} kwargs
+ */
+var PhoneNumberField = CharField.extend({
+  widget: TelInput
+, defaultErrorMessages: {
+    invalid: 'Enter a valid phone number.'
+  }
+
+, constructor: function PhoneNumberField(kwargs) {
+    if (!(this instanceof PhoneNumberField)) { return new PhoneNumberField(kwargs) }
+    kwargs = object.extend({defaultRegion: null, stripWhitespace: true}, kwargs)
+    if (kwargs.defaultRegion !== null && !phonenumbers.hasRegion(kwargs.defaultRegion)) {
+      throw new Error("Unknown region: '" + kwargs.defaultRegion + "'")
+    }
+    // Region national numbers are assumed to be in
+    this.defaultRegion = kwargs.defaultRegion
+    CharField.call(this, kwargs)
+  }
+})
+
+/** Phone numbers in E.164 format, which this field cleans to. */
+PhoneNumberField.E164_REGEXP = /^\+[1-9]\d{1,14}$/
+
+/**
+ * Accepts international numbers starting with '+' or '00', or national
+ * numbers in the default region, formatted with any spaces, hyphens, dots,
+ * slashes or parentheses.
+ * @param {*} value user input.
+ * @return {string} the phone number in E.164 format, e.g. '+442079460000'.
+ * @throws {ValidationError} if the input is invalid.
+ */
+PhoneNumberField.prototype.toJavaScript = function(value) {
+  value = CharField.prototype.toJavaScript.call(this, value)
+  if (value === this.emptyValue) {
+    return value
+  }
+  var number = phonenumbers.normalise(value, this.defaultRegion)
+  if (number === null) {
+    throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
+  }
+  return number
+}
+
+module.exports = PhoneNumberField
@@ -0,0 +1,92 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var postalcodes = require('../postalcodes')
+
+var CharField = require('./CharField')
+
+var {ValidationError} = require('validators')
+
+// Input pattern which makes mobile browsers display a numeric keypad
+var NUMERIC_PATTERN = '[0-9]*'
+
+/**
+ * Validates that its input is a postal code in the format used by a country,
+ * which is either given or taken from another field in the same form.
+ * @constructor
+ * @extends {CharField}
+ * @param {Object=} kwargs
+ */
+var PostalCodeField = CharField.extend({
+  defaultErrorMessages: {
+    invalid: 'Enter a valid postal code.'
+  }
+
+, constructor: function PostalCodeField(kwargs) {
+    if (!(this instanceof PostalCodeField)) { return new PostalCodeField(kwargs) }
+    kwargs = object.extend({
+      country: null, countryField: null, stripWhitespace: true
+    }, kwargs)
+    // ISO 3166-1 alpha-2 code of the country postal codes are validated for
+    this.country = kwargs.country
+    // Name of a field in the same form which provides the country - when set,
+    // this.country is set from its input data before cleaning and rendering.
+    this.countryField = kwargs.countryField
+    CharField.call(this, kwargs)
+  }
+})
+
+/**
+ * Normalises input to upper case with single spaces, validating it against
+ * the country's postal code format if it's known.
+ * @param {*} value user input.
+ * @return {string} the normalised postal code.
+ * @throws {ValidationError} if the input is invalid.
+ */
+PostalCodeField.prototype.toJavaScript = function(value) {
+  value = CharField.prototype.toJavaScript.call(this, value)
+  if (value === this.emptyValue) {
+    return value
+  }
+  value = postalcodes.normalise(value)
+  var pattern = (this.country ? postalcodes.getPattern(this.country) : null)
+  if (pattern !== null && !pattern.test(value)) {
+    throw ValidationError(this.errorMessages.invalid, {
+      code: 'invalid'
+    , params: {country: this.country}
+    })
+  }
+  return value
+}
+
+PostalCodeField.prototype.getWidgetAttrs = function(widget) {
+  var attrs = CharField.prototype.getWidgetAttrs.call(this, widget)
+  if (this.country && postalcodes.isNumeric(this.country)) {
+    object.setDefault(attrs, 'pattern', NUMERIC_PATTERN)
+  }
+  return attrs
+}
+
+PostalCodeField.prototype.getDependencies = function() {
+  return (this.countryField !== null ? [this.countryField] : [])
+}
+
+/**
+ * Sets the country from the input for the country field, updating the numeric
+ * keypad hint for the widget.
+ * @param {Object.<string,*>} data
+ */
+PostalCodeField.prototype.setDependencyData = function(data) {
+  var country = data[this.countryField]
+  this.country = (country ? ''+country : null)
+  var attrs = this.widget.attrs
+  if (this.country && postalcodes.isNumeric(this.country)) {
+    object.setDefault(attrs, 'pattern', NUMERIC_PATTERN)
+  }
+  else if (attrs.pattern === NUMERIC_PATTERN) {
+    delete attrs.pattern
+  }
+}
+
+module.exports = PostalCodeField
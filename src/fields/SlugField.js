@@ -1,5 +1,6 @@
 'use strict';
 
+var object = require('isomorph/object')
 var validators = require('validators')
 
 var CharField = require('./CharField')
@@ -16,13 +17,40 @@ var SlugField = CharField.extend({
   defaultValidators: [validators.validateSlug]
 , constructor: function SlugField(kwargs) {
     if (!(this instanceof SlugField)) { return new SlugField(kwargs) }
+    kwargs = object.extend({allowUnicode: false}, kwargs)
+    this.allowUnicode = kwargs.allowUnicode
+    if (this.allowUnicode) {
+      this.defaultValidators = [SlugField.validateUnicodeSlug]
+    }
     CharField.call(this, kwargs)
   }
 })
 
+/**
+ * Unicode slug validation regular expression. In lieu of Unicode character
+ * classes, this excludes whitespace, control characters, punctuation and
+ * symbols other than hyphens and underscores from the ASCII, Latin-1 and
+ * common punctuation blocks, allowing letters and numbers in any script.
+ */
+SlugField.UNICODE_SLUG_REGEXP = new RegExp(
+  '^[^\\x00-\\x2c\\x2e\\x2f\\x3a-\\x40\\x5b-\\x5e\\x60\\x7b-\\xbf\\xd7\\xf7' +
+  '\\u2000-\\u206f\\u2e00-\\u2e7f\\u3000-\\u303f\\ufeff\\uff01-\\uff0f' +
+  '\\uff1a-\\uff20\\uff3b-\\uff40\\uff5b-\\uff65]+$'
+)
+
+/** Validates that input is a valid slug which may contain Unicode letters. */
+SlugField.validateUnicodeSlug = validators.RegexValidator({
+  regex: SlugField.UNICODE_SLUG_REGEXP
+, message: 'Enter a valid "slug" consisting of Unicode letters, numbers, underscores, or hyphens.'
+, code: 'invalid'
+})
+
 SlugField.prototype.clean = function(value) {
-  value = strip(this.toJavaScript(value))
+  value = this.toJavaScript(value)
+  if (value !== this.emptyValue) {
+    value = strip(value)
+  }
   return CharField.prototype.clean.call(this, value)
 }
 
-module.exports = SlugField
\ No newline at end of file
+module.exports = SlugField
@@ -3,6 +3,8 @@
 var is = require('isomorph/is')
 var object = require('isomorph/object')
 
+var timezones = require('../timezones')
+
 var DateField = require('./DateField')
 var MultiValueField = require('./MultiValueField')
 var SplitDateTimeWidget = require('../widgets/SplitDateTimeWidget')
@@ -28,7 +30,7 @@ var SplitDateTimeField = MultiValueField.extend({
 , constructor: function SplitDateTimeField(kwargs) {
     if (!(this instanceof SplitDateTimeField)) { return new SplitDateTimeField(kwargs) }
     kwargs = object.extend({
-      inputDateFormats: null, inputTimeFormats: null
+      inputDateFormats: null, inputTimeFormats: null, timezone: null
     }, kwargs)
     var errors = object.extend({}, this.defaultErrorMessages)
     if (typeof kwargs.errorMessages != 'undefined') {
@@ -41,9 +43,28 @@ var SplitDateTimeField = MultiValueField.extend({
                  errorMessages: {invalid: errors.invalidTime}})
     ]
     MultiValueField.call(this, kwargs)
+    // Timezone input is interpreted in - null for local time
+    this.timezone = null
+    if (kwargs.timezone !== null) {
+      this.setTimezone(kwargs.timezone)
+    }
   }
 })
 
+/**
+ * Sets the timezone input is interpreted in, also setting it on the field's
+ * widget.
+ * @param {?(string|number|Object)} timezone
+ * @throws {Error} if the timezone is unknown.
+ */
+SplitDateTimeField.prototype.setTimezone = function(timezone) {
+  if (timezone !== null) {
+    timezones.getTimezone(timezone)
+  }
+  this.timezone = timezone
+  this.widget.timezone = timezone
+}
+
 /**
  * Validates that, if given, its input does not contain empty values.
  * @param {?Array.<Date>} dataList a two-item list consisting of two Date
@@ -63,6 +84,11 @@ SplitDateTimeField.prototype.compress = function(dataList) {
     if (this.isEmptyValue(t)) {
       throw ValidationError(this.errorMessages.invalidTime, {code: 'invalidTime'})
     }
+    if (this.timezone !== null) {
+      var wallTime = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(),
+                                       t.getHours(), t.getMinutes(), t.getSeconds()))
+      return timezones.fromZonedTime(wallTime, this.timezone)
+    }
     return new Date(d.getFullYear(), d.getMonth(), d.getDate(),
                     t.getHours(), t.getMinutes(), t.getSeconds())
   }
@@ -0,0 +1,65 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var durations = require('../durations')
+
+var DurationField = require('./DurationField')
+var IntegerField = require('./IntegerField')
+var MultiValueField = require('./MultiValueField')
+var SplitDurationWidget = require('../widgets/SplitDurationWidget')
+
+/**
+ * A MultiValueField consisting of IntegerFields for days, hours, minutes and
+ * seconds, any of which may be left empty.
+ * @constructor
+ * @extends {MultiValueField}
+ * @param {Object=} kwargs
+ */
+var SplitDurationField = MultiValueField.extend({
+  widget: SplitDurationWidget
+, defaultErrorMessages: {
+    minValue: 'Ensure this duration is at least {limitValue}.'
+  , maxValue: 'Ensure this duration is at most {limitValue}.'
+  }
+
+, constructor: function SplitDurationField(kwargs) {
+    if (!(this instanceof SplitDurationField)) { return new SplitDurationField(kwargs) }
+    kwargs = object.extend({maxValue: null, minValue: null}, kwargs)
+    // Limits in milliseconds
+    this.maxValue = durations.toMilliseconds(kwargs.maxValue)
+    this.minValue = durations.toMilliseconds(kwargs.minValue)
+    kwargs.fields = [
+      IntegerField({required: false, minValue: 0})
+    , IntegerField({required: false, minValue: 0})
+    , IntegerField({required: false, minValue: 0})
+    , IntegerField({required: false, minValue: 0})
+    ]
+    kwargs.requireAllFields = false
+    MultiValueField.call(this, kwargs)
+  }
+})
+
+/**
+ * Validates that the duration is within this field's limits.
+ */
+SplitDurationField.prototype.validate = DurationField.prototype.validate
+
+/**
+ * @param {?Array.<?number>} dataList numbers of days, hours, minutes and
+ *   seconds.
+ * @return {?number} the duration in milliseconds, or null for empty values.
+ */
+SplitDurationField.prototype.compress = function(dataList) {
+  if (is.Array(dataList) && dataList.length > 0) {
+    var UNITS = durations.UNITS
+    return ((dataList[0] || 0) * UNITS.d +
+            (dataList[1] || 0) * UNITS.h +
+            (dataList[2] || 0) * UNITS.m +
+            (dataList[3] || 0) * UNITS.s)
+  }
+  return null
+}
+
+module.exports = SplitDurationField
@@ -51,7 +51,8 @@ TimeField.prototype.toJavaScript = function(value) {
  * @return {Date}
  */
 TimeField.prototype.strpdate = function(value, format) {
-  var t = time.strptime(value, format, locales.getDefaultLocale())
+  var lang = this.locale || locales.getDefaultLocale()
+  var t = time.strptime(value, format, lang)
   return new Date(1900, 0, 1, t[3], t[4], t[5])
 }
 
@@ -44,7 +44,10 @@ URLField.prototype.toJavaScript = function(value) {
 }
 
 URLField.prototype.clean = function(value) {
-  value = strip(this.toJavaScript(value))
+  value = this.toJavaScript(value)
+  if (value !== this.emptyValue) {
+    value = strip(value)
+  }
   return CharField.prototype.clean.call(this, value)
 }
 
@@ -0,0 +1,54 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var CharField = require('./CharField')
+
+var {ValidationError} = require('validators')
+
+/**
+ * Validates that its input is a UUID.
+ * @constructor
+ * @extends {CharField}
+ * @param {Object=} kwargs
+ */
+var UUIDField = CharField.extend({
+  defaultErrorMessages: {
+    invalid: 'Enter a valid UUID.'
+  }
+
+, constructor: function UUIDField(kwargs) {
+    if (!(this instanceof UUIDField)) { return new UUIDField(kwargs) }
+    kwargs = object.extend({stripWhitespace: true}, kwargs)
+    CharField.call(this, kwargs)
+  }
+})
+
+/** 32 hex digits, once braces, hyphens and any URN prefix are removed. */
+UUIDField.UUID_REGEXP = /^[0-9a-f]{32}$/
+
+/**
+ * Accepts UUIDs in any of the forms accepted by Python's uuid.UUID(), e.g.
+ * with or without hyphens, in braces or as a URN.
+ * @param {*} value user input.
+ * @return {?string} the UUID in canonical lower-case, hyphenated form, or null
+ *   for empty values.
+ * @throws {ValidationError} if the input is invalid.
+ */
+UUIDField.prototype.toJavaScript = function(value) {
+  value = CharField.prototype.toJavaScript.call(this, value)
+  if (this.isEmptyValue(value)) {
+    return null
+  }
+  var hex = value.toLowerCase()
+                 .replace(/^urn:uuid:/, '')
+                 .replace(/^\{(.*)\}$/, '$1')
+                 .replace(/-/g, '')
+  if (!UUIDField.UUID_REGEXP.test(hex)) {
+    throw ValidationError(this.errorMessages.invalid, {code: 'invalid'})
+  }
+  return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4),
+          hex.substr(16, 4), hex.substr(20)].join('-')
+}
+
+module.exports = UUIDField
@@ -1,9 +1,12 @@
 'use strict';
 
+var is = require('isomorph/is')
 var object = require('isomorph/object')
 
 var locales = require('./locales')
 
+var {strip} = require('./util')
+
 /**
  * Standard input formats which will always be accepted.
  */
@@ -37,8 +40,11 @@ function getFormat(formatType, lang) {
     lang = locales.getDefaultLocale()
   }
   var cacheKey = formatType + ':' + lang
-  if (!object.hasOwn(formatCache, cacheKey)) {
-    var langLocales = locales.getLocales(lang)
+  var langLocales = locales.getLocales(lang)
+  // Locale modules may be loaded after a language's formats were first
+  // requested, in which case the formats cached for it will be stale.
+  if (!object.hasOwn(formatCache, cacheKey) ||
+      !sameLocales(formatCache[cacheKey].locales, langLocales)) {
     var localeFormats = []
     for (var i = 0, l = langLocales.length; i < l; i++) {
       var locale = langLocales[i]
@@ -57,11 +63,119 @@ function getFormat(formatType, lang) {
         }
       }
     }
-    formatCache[cacheKey] = localeFormats
+    formatCache[cacheKey] = {locales: langLocales, formats: localeFormats}
+  }
+  return formatCache[cacheKey].formats
+}
+
+/**
+ * @param {Array.<Object>} a
+ * @param {Array.<Object>} b
+ * @return {boolean} true if both lists contain the same locale objects.
+ */
+function sameLocales(a, b) {
+  if (a.length != b.length) {
+    return false
+  }
+  for (var i = 0, l = a.length; i < l; i++) {
+    if (a[i] !== b[i]) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Gets a setting for a particular language code, falling back through less
+ * specific locales.
+ * @param {string} setting
+ * @param {string=} lang
+ * @return {*} the setting's value, or null if no locale configures it.
+ */
+function getSetting(setting, lang) {
+  var langLocales = locales.getLocales(lang || locales.getDefaultLocale())
+  for (var i = 0, l = langLocales.length; i < l; i++) {
+    if (object.hasOwn(langLocales[i], setting)) {
+      return langLocales[i][setting]
+    }
+  }
+  return null
+}
+
+/**
+ * Gets the format values of a certain type (e.g. DATE_FORMAT) should be
+ * displayed with for a particular language code.
+ * @param {string} formatType
+ * @param {string=} lang language code - if not given, the default locale's
+ *   format will be returned.
+ * @return {?string} a format, or null if no locale configures it.
+ */
+function getDisplayFormat(formatType, lang) {
+  return getSetting(formatType, lang)
+}
+
+/**
+ * Gets a number formatting setting (e.g. DECIMAL_SEPARATOR) for a particular
+ * language code, falling back through less specific locales.
+ * @param {string} setting
+ * @param {string=} lang language code - if not given, the default locale's
+ *   setting will be returned.
+ * @return {*} the setting's value, or null if no locale configures it.
+ */
+function getNumberFormat(setting, lang) {
+  return getSetting(setting, lang)
+}
+
+/**
+ * Converts a localised number String to one which uses '.' as the decimal
+ * separator and has no thousand separators, based on the DECIMAL_SEPARATOR,
+ * THOUSAND_SEPARATOR and NUMBER_GROUPING settings of the given language's
+ * locale. Thousand separators are only removed if the groups they separate
+ * have the expected number of digits. Non-String values and input for locales
+ * which don't configure number formats are returned as given.
+ * @param {*} value
+ * @param {string=} lang language code.
+ * @return {*}
+ */
+function sanitizeSeparators(value, lang) {
+  if (!is.String(value)) {
+    return value
+  }
+  var decimalSeparator = getNumberFormat('DECIMAL_SEPARATOR', lang)
+  var thousandSeparator = getNumberFormat('THOUSAND_SEPARATOR', lang)
+  if (!decimalSeparator && !thousandSeparator) {
+    return value
+  }
+  value = strip(value)
+  var decimals = null
+  if (decimalSeparator && value.indexOf(decimalSeparator) != -1) {
+    var index = value.indexOf(decimalSeparator)
+    decimals = value.substr(index + decimalSeparator.length)
+    value = value.substr(0, index)
+  }
+  if (thousandSeparator) {
+    // Users can't be expected to type non-breaking spaces
+    if (/^\s$/.test(thousandSeparator)) {
+      value = value.replace(/\s/g, thousandSeparator)
+    }
+    if (value.indexOf(thousandSeparator) != -1) {
+      var grouping = getNumberFormat('NUMBER_GROUPING', lang) || 3
+      var groups = value.replace(/^[-+]/, '').split(thousandSeparator)
+      var valid = (groups[0].length > 0 && groups[0].length <= grouping)
+      for (var i = 1, l = groups.length; valid && i < l; i++) {
+        valid = (groups[i].length == grouping)
+      }
+      if (valid) {
+        value = value.split(thousandSeparator).join('')
+      }
+    }
   }
-  return formatCache[cacheKey]
+  return (decimals !== null ? value + '.' + decimals : value)
 }
 
 module.exports = {
-  getFormat: getFormat
+  getDisplayFormat: getDisplayFormat
+, getFormat: getFormat
+, getNumberFormat: getNumberFormat
+, sanitizeSeparators: sanitizeSeparators
 }
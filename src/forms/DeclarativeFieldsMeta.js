@@ -39,6 +39,9 @@ function DeclarativeFieldsMeta(prototypeProps) {
     object.extend(declaredFields, this.declaredFields)
   }
 
+  // Named cross-field validators are inherited in the same order of precedence
+  var crossFieldValidators = object.extend({}, this.crossFieldValidators)
+
   // If any mixins which look like Form constructors were given, inherit their
   // declaredFields and check for shadowed fields.
   if (object.hasOwn(prototypeProps, '__mixins__')) {
@@ -53,6 +56,7 @@ function DeclarativeFieldsMeta(prototypeProps) {
         // then delete any fields which have been shadowed by a non-Field
         // property in its prototype.
         object.extend(declaredFields, mixin.prototype.declaredFields)
+        object.extend(crossFieldValidators, mixin.prototype.crossFieldValidators)
         Object.keys(mixin.prototype).forEach(function(name) {
           if (object.hasOwn(declaredFields, name)) {
             delete declaredFields[name]
@@ -65,6 +69,7 @@ function DeclarativeFieldsMeta(prototypeProps) {
         var mixinPrototype = object.extend({}, mixin.prototype)
         delete mixinPrototype.baseFields
         delete mixinPrototype.declaredFields
+        delete mixinPrototype.crossFieldValidators
         delete mixinPrototype.constructor
         mixins[i] = mixinPrototype
       }
@@ -95,6 +100,23 @@ function DeclarativeFieldsMeta(prototypeProps) {
     clean.fields = object.lookup(prototypeProps.clean)
     prototypeProps.clean = clean
   }
+
+  // Cross-field validators specified as [field1, field2, ..., validatorFunction]
+  // are normalised the same way. Inherited validators can be removed by
+  // setting them to null.
+  object.extend(crossFieldValidators, prototypeProps.crossFieldValidators)
+  Object.keys(crossFieldValidators).forEach(function(name) {
+    var validator = crossFieldValidators[name]
+    if (validator === null) {
+      delete crossFieldValidators[name]
+    }
+    else if (is.Array(validator)) {
+      var validatorFunction = validator[validator.length - 1]
+      validatorFunction.fields = object.lookup(validator.slice(0, -1))
+      crossFieldValidators[name] = validatorFunction
+    }
+  })
+  prototypeProps.crossFieldValidators = crossFieldValidators
 }
 
 module.exports = DeclarativeFieldsMeta
\ No newline at end of file
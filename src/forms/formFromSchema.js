@@ -0,0 +1,466 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+var validators = require('validators')
+
+var Form = require('../Form')
+
+// Field constructors available to specs by name
+var fieldTypes = {
+  BooleanField: require('../fields/BooleanField')
+, CharField: require('../fields/CharField')
+, ChoiceField: require('../fields/ChoiceField')
+, ComboField: require('../fields/ComboField')
+, DateField: require('../fields/DateField')
+, DateRangeField: require('../fields/DateRangeField')
+, DateTimeField: require('../fields/DateTimeField')
+, DateTimeRangeField: require('../fields/DateTimeRangeField')
+, DecimalField: require('../fields/DecimalField')
+, DecimalRangeField: require('../fields/DecimalRangeField')
+, DurationField: require('../fields/DurationField')
+, EmailField: require('../fields/EmailField')
+, Field: require('../Field')
+, FileField: require('../fields/FileField')
+, FilePathField: require('../fields/FilePathField')
+, FloatField: require('../fields/FloatField')
+, FormField: require('../fields/FormField')
+, FormSetField: require('../fields/FormSetField')
+, GenericIPAddressField: require('../fields/GenericIPAddressField')
+, ImageField: require('../fields/ImageField')
+, IntegerField: require('../fields/IntegerField')
+, IntegerRangeField: require('../fields/IntegerRangeField')
+, IPAddressField: require('../fields/IPAddressField')
+, JSONField: require('../fields/JSONField')
+, MoneyField: require('../fields/MoneyField')
+, MultipleChoiceField: require('../fields/MultipleChoiceField')
+, MultipleFileField: require('../fields/MultipleFileField')
+, NullBooleanField: require('../fields/NullBooleanField')
+, PhoneNumberField: require('../fields/PhoneNumberField')
+, PostalCodeField: require('../fields/PostalCodeField')
+, RegexField: require('../fields/RegexField')
+, SlugField: require('../fields/SlugField')
+, SplitDateTimeField: require('../fields/SplitDateTimeField')
+, SplitDurationField: require('../fields/SplitDurationField')
+, TimeField: require('../fields/TimeField')
+, TypedChoiceField: require('../fields/TypedChoiceField')
+, TypedMultipleChoiceField: require('../fields/TypedMultipleChoiceField')
+, URLField: require('../fields/URLField')
+, UUIDField: require('../fields/UUIDField')
+}
+
+// Widget constructors available to specs by name
+var widgetTypes = {
+  CheckboxInput: require('../widgets/CheckboxInput')
+, CheckboxSelectMultiple: require('../widgets/CheckboxSelectMultiple')
+, ClearableFileInput: require('../widgets/ClearableFileInput')
+, DateInput: require('../widgets/DateInput')
+, DateTimeInput: require('../widgets/DateTimeInput')
+, DurationInput: require('../widgets/DurationInput')
+, EmailInput: require('../widgets/EmailInput')
+, FileInput: require('../widgets/FileInput')
+, HiddenInput: require('../widgets/HiddenInput')
+, MoneyWidget: require('../widgets/MoneyWidget')
+, MultipleHiddenInput: require('../widgets/MultipleHiddenInput')
+, NullBooleanSelect: require('../widgets/NullBooleanSelect')
+, NumberInput: require('../widgets/NumberInput')
+, PasswordInput: require('../widgets/PasswordInput')
+, RadioSelect: require('../widgets/RadioSelect')
+, Select: require('../widgets/Select')
+, SelectMultiple: require('../widgets/SelectMultiple')
+, SplitDateTimeWidget: require('../widgets/SplitDateTimeWidget')
+, SplitDurationWidget: require('../widgets/SplitDurationWidget')
+, SplitHiddenDateTimeWidget: require('../widgets/SplitHiddenDateTimeWidget')
+, TelInput: require('../widgets/TelInput')
+, Textarea: require('../widgets/Textarea')
+, TextInput: require('../widgets/TextInput')
+, TimeInput: require('../widgets/TimeInput')
+, URLInput: require('../widgets/URLInput')
+}
+
+// Validators which can be named in specs - validation functions are used as
+// they are, validator constructors are given the rest of the spec's properties.
+var VALIDATOR_FUNCTIONS = [
+  'validateCommaSeparatedIntegerList', 'validateEmail', 'validateIPv4Address'
+, 'validateIPv46Address', 'validateIPv6Address', 'validateSlug'
+]
+var VALIDATOR_CONSTRUCTORS = [
+  'EmailValidator', 'RegexValidator', 'URLValidator'
+]
+var LIMIT_VALIDATOR_CONSTRUCTORS = [
+  'MaxLengthValidator', 'MaxValueValidator', 'MinLengthValidator'
+, 'MinValueValidator'
+]
+
+// Field types for JSON Schema string formats
+var FORMAT_TYPES = {
+  'binary': 'FileField'
+, 'date': 'DateField'
+, 'date-time': 'DateTimeField'
+, 'email': 'EmailField'
+, 'ipv4': 'IPAddressField'
+, 'time': 'TimeField'
+, 'uri': 'URLField'
+, 'uuid': 'UUIDField'
+}
+
+// JSON Schema keywords which are used to create fields
+var SUPPORTED_KEYWORDS = [
+  'anyOf', 'default', 'description', 'enum', 'format', 'items', 'maximum'
+, 'maxItems', 'maxLength', 'minimum', 'minItems', 'minLength', 'multipleOf'
+, 'pattern', 'properties', 'required', 'title', 'type', 'uniqueItems'
+]
+
+var SLUG_PATTERN = '^[-a-zA-Z0-9_]+$'
+
+/**
+ * Makes a Field constructor available to form specs by name.
+ * @param {string} name a type name, which may also be used as a JSON Schema
+ *   string format.
+ * @param {function} Field a Field constructor.
+ */
+function addFieldType(name, Field) {
+  fieldTypes[name] = Field
+}
+
+/**
+ * Makes a Widget constructor available to form specs by name.
+ * @param {string} name
+ * @param {function} Widget a Widget constructor.
+ */
+function addWidgetType(name, Widget) {
+  widgetTypes[name] = Widget
+}
+
+/**
+ * Removes a Field constructor registered with addFieldType().
+ * @param {string} name
+ */
+function removeFieldType(name) {
+  delete fieldTypes[name]
+}
+
+/**
+ * Removes a Widget constructor registered with addWidgetType().
+ * @param {string} name
+ */
+function removeWidgetType(name) {
+  delete widgetTypes[name]
+}
+
+/**
+ * @param {string} type
+ * @param {string} name the name of the field the type was given for.
+ * @return {function} the Field constructor registered for a type name.
+ */
+function getFieldType(type, name) {
+  if (!object.hasOwn(fieldTypes, type)) {
+    throw new Error("Unknown field type '" + type + "' for field '" + name +
+                    "' - custom types must be registered with addFieldType()")
+  }
+  return fieldTypes[type]
+}
+
+/**
+ * Creates a widget from a type name or a {type, ...kwargs} spec.
+ * @param {(string|Object)} spec
+ * @param {string} name the name of the field the widget was given for.
+ * @return {(function|Widget)}
+ */
+function widgetFromSpec(spec, name) {
+  if (is.Function(spec) || (is.Object(spec) && !is.String(spec.type))) {
+    // Widget constructors and instances can be given directly
+    return spec
+  }
+  var type = (is.String(spec) ? spec : spec.type)
+  if (!object.hasOwn(widgetTypes, type)) {
+    throw new Error("Unknown widget type '" + type + "' for field '" + name +
+                    "' - custom types must be registered with addWidgetType()")
+  }
+  if (is.String(spec)) {
+    return widgetTypes[type]
+  }
+  var kwargs = object.extend({}, spec)
+  delete kwargs.type
+  return new widgetTypes[type](kwargs)
+}
+
+/**
+ * Creates a validator from a validation function name or a {type, ...kwargs}
+ * spec for one of the validators module's validator constructors.
+ * @param {(string|Object|function)} spec
+ * @param {string} name the name of the field the validator was given for.
+ * @return {function}
+ */
+function validatorFromSpec(spec, name) {
+  if (is.Function(spec)) {
+    return spec
+  }
+  var type = (is.String(spec) ? spec : spec.type)
+  if (is.String(spec)) {
+    if (VALIDATOR_FUNCTIONS.indexOf(type) != -1) {
+      return validators[type]
+    }
+  }
+  else if (VALIDATOR_CONSTRUCTORS.indexOf(type) != -1) {
+    var kwargs = object.extend({}, spec)
+    delete kwargs.type
+    return validators[type](kwargs)
+  }
+  else if (LIMIT_VALIDATOR_CONSTRUCTORS.indexOf(type) != -1) {
+    return validators[type](spec.limitValue)
+  }
+  throw new Error("Unknown validator '" + type + "' for field '" + name + "'")
+}
+
+/**
+ * Creates a field from a spec containing its type name and kwargs.
+ * @param {Object} spec
+ * @return {Field}
+ */
+function fieldFromSpec(spec) {
+  var name = spec.name
+  if (!is.String(spec.type)) {
+    throw new Error("Spec for field '" + name + "' must have a 'type'")
+  }
+  var Field = getFieldType(spec.type, name)
+  var kwargs = object.extend({}, spec)
+  delete kwargs.name
+  delete kwargs.type
+  if (kwargs.widget) {
+    kwargs.widget = widgetFromSpec(kwargs.widget, name)
+  }
+  if (is.Array(kwargs.validators)) {
+    kwargs.validators = kwargs.validators.map(function(validator) {
+      return validatorFromSpec(validator, name)
+    })
+  }
+  if (kwargs.form && !is.Function(kwargs.form)) {
+    kwargs.form = formFromSchema(kwargs.form)
+  }
+  if (is.Array(kwargs.fields)) {
+    kwargs.fields = kwargs.fields.map(function(fieldSpec, i) {
+      return fieldFromSpec(object.extend({name: name + '[' + i + ']'}, fieldSpec))
+    })
+  }
+  if (Field === fieldTypes.RegexField) {
+    var regex = kwargs.regex
+    delete kwargs.regex
+    return new Field(regex, kwargs)
+  }
+  return new Field(kwargs)
+}
+
+/**
+ * Creates a string field spec from a JSON Schema's string properties.
+ */
+function stringSpec(spec, schema, name) {
+  if (schema.format) {
+    if (object.hasOwn(FORMAT_TYPES, schema.format)) {
+      spec.type = FORMAT_TYPES[schema.format]
+    }
+    else if (schema.format == 'ipv6') {
+      spec.type = 'GenericIPAddressField'
+      spec.protocol = 'ipv6'
+    }
+    else if (object.hasOwn(fieldTypes, schema.format)) {
+      spec.type = schema.format
+    }
+    else {
+      throw new Error("Unsupported JSON Schema format '" + schema.format +
+                      "' for field '" + name + "' - custom formats must be " +
+                      'registered with addFieldType()')
+    }
+  }
+  else if (schema.pattern == SLUG_PATTERN) {
+    spec.type = 'SlugField'
+  }
+  else if (schema.pattern) {
+    spec.type = 'RegexField'
+    spec.regex = schema.pattern
+  }
+  else {
+    spec.type = 'CharField'
+  }
+  if (spec.type != 'FileField') {
+    if (is.Number(schema.minLength)) {
+      spec.minLength = schema.minLength
+    }
+    if (is.Number(schema.maxLength)) {
+      spec.maxLength = schema.maxLength
+    }
+  }
+}
+
+/**
+ * Creates a field spec from a JSON Schema property.
+ * @param {string} name
+ * @param {Object} schema
+ * @param {boolean} required true if the property is in its object's required
+ *   list.
+ * @return {Object}
+ */
+function specFromJSONSchema(name, schema, required) {
+  Object.keys(schema).forEach(function(keyword) {
+    if (SUPPORTED_KEYWORDS.indexOf(keyword) == -1 && keyword.indexOf('x-') !== 0) {
+      throw new Error("Unsupported JSON Schema keyword '" + keyword +
+                      "' for field '" + name + "'")
+    }
+  })
+
+  var spec = {name: name}
+  if (is.String(schema.title)) {
+    spec.label = schema.title
+  }
+  if (is.String(schema.description)) {
+    spec.helpText = schema.description
+  }
+  if (typeof schema.default != 'undefined') {
+    spec.initial = schema.default
+  }
+
+  var types = (is.Array(schema.type) ? schema.type.slice()
+               : schema.type ? [schema.type]
+               : [])
+  var nullable = (types.indexOf('null') != -1)
+  types = types.filter(function(type) { return type != 'null' }).sort()
+  var choices = null
+  if (is.Array(schema.enum)) {
+    nullable = nullable || schema.enum.indexOf(null) != -1
+    choices = schema.enum.filter(function(value) { return value !== null })
+  }
+  spec.required = (required && !nullable)
+
+  var type = types.join(',')
+  if (type == 'boolean') {
+    spec.type = 'BooleanField'
+    // Booleans which must be true are required
+    spec.required = (choices !== null && choices.length == 1 && choices[0] === true)
+  }
+  else if (choices !== null) {
+    if (choices.length > 0 && choices.every(is.Number)) {
+      spec.type = 'TypedChoiceField'
+      spec.coerce = Number
+    }
+    else {
+      spec.type = 'ChoiceField'
+    }
+    spec.choices = choices
+  }
+  else if (type == 'object') {
+    spec.type = 'FormField'
+    spec.form = schema
+  }
+  else if (type == 'array') {
+    var items = schema.items || {}
+    if (is.Array(items.enum)) {
+      spec.type = 'MultipleChoiceField'
+      spec.choices = items.enum
+    }
+    else if (items.type == 'object') {
+      spec.type = 'FormSetField'
+      spec.form = items
+      spec.extra = 0
+      if (is.Number(schema.minItems)) {
+        spec.minNum = schema.minItems
+        spec.validateMin = true
+      }
+      if (is.Number(schema.maxItems)) {
+        spec.maxNum = schema.maxItems
+        spec.validateMax = true
+      }
+    }
+    else if (items.type == 'string' && items.format == 'binary') {
+      spec.type = 'MultipleFileField'
+    }
+    else {
+      throw new Error("Unsupported JSON Schema array items for field '" +
+                      name + "' - items must be an enum, object or binary " +
+                      'string schema')
+    }
+  }
+  else if (type == 'integer' || type == 'number' || type == 'number,string') {
+    spec.type = (type == 'integer' ? 'IntegerField'
+                 : type == 'number,string' || is.Number(schema.multipleOf) ? 'DecimalField'
+                 : 'FloatField')
+    if (is.Number(schema.minimum)) {
+      spec.minValue = schema.minimum
+    }
+    if (is.Number(schema.maximum)) {
+      spec.maxValue = schema.maximum
+    }
+    if (is.Number(schema.multipleOf)) {
+      spec.decimalPlaces = Math.max(0, -Math.round(Math.log(schema.multipleOf) / Math.LN10))
+    }
+  }
+  else if ((type == 'string' || type === '') && is.Array(schema.anyOf) &&
+           schema.anyOf.every(function(s) { return s.format == 'ipv4' || s.format == 'ipv6' })) {
+    // IP addresses are exported as a string with a choice of formats
+    spec.type = 'GenericIPAddressField'
+  }
+  else if (type == 'string') {
+    stringSpec(spec, schema, name)
+  }
+  else if (type === '') {
+    throw new Error("JSON Schema for field '" + name + "' must have a 'type'")
+  }
+  else {
+    throw new Error("Unsupported JSON Schema type '" + types.join("', '") +
+                    "' for field '" + name + "'")
+  }
+  return spec
+}
+
+/**
+ * @param {Object} schema a JSON Schema object schema.
+ * @return {Array.<Object>} field specs for the schema's properties.
+ */
+function specsFromJSONSchema(schema) {
+  var properties = schema.properties || {}
+  var required = schema.required || []
+  return Object.keys(properties).map(function(name) {
+    return specFromJSONSchema(name, properties[name], required.indexOf(name) != -1)
+  })
+}
+
+/**
+ * Creates a Form constructor from a list of field specs or a JSON Schema.
+ * @param {(Array.<Object>|Object)} schema a list of {name, type, ...kwargs}
+ *   field specs, a {fields: [...]} object containing them, or a JSON Schema
+ *   object schema.
+ * @param {Object=} options form creation options.
+ * @return {function}
+ */
+function formFromSchema(schema, options) {
+  options = object.extend({form: Form, props: null}, options)
+  var specs
+  if (is.Array(schema)) {
+    specs = schema
+  }
+  else if (is.Object(schema) && is.Array(schema.fields)) {
+    specs = schema.fields
+  }
+  else if (is.Object(schema) && (schema.type == 'object' || is.Object(schema.properties))) {
+    specs = specsFromJSONSchema(schema)
+  }
+  else {
+    throw new Error('formFromSchema() expects a list of field specs or a ' +
+                    "JSON Schema with 'type': 'object'")
+  }
+  var props = object.extend({}, options.props)
+  specs.forEach(function(spec) {
+    if (!is.Object(spec) || !is.String(spec.name)) {
+      throw new Error("Field specs must have a 'name': " + JSON.stringify(spec))
+    }
+    props[spec.name] = fieldFromSpec(spec)
+  })
+  return options.form.extend(props)
+}
+
+module.exports = {
+  addFieldType: addFieldType
+, addWidgetType: addWidgetType
+, formFromSchema: formFromSchema
+, removeFieldType: removeFieldType
+, removeWidgetType: removeWidgetType
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+// Property used to mark encoded Dates in serialized state
+var DATE_PROPERTY = '__date__'
+
+/**
+ * Converts a value to a JSON-safe form - Dates are encoded so they can be
+ * revived by fromJSONSafe(), and values which can't be represented in JSON,
+ * such as Files, are dropped.
+ * @param {*} value
+ * @return {*}
+ */
+function toJSONSafe(value) {
+  if (value === null || is.String(value) || is.Boolean(value)) {
+    return value
+  }
+  if (is.Number(value)) {
+    return (isFinite(value) ? value : null)
+  }
+  if (is.Date(value)) {
+    var encoded = {}
+    encoded[DATE_PROPERTY] = value.toISOString()
+    return encoded
+  }
+  if (is.Array(value)) {
+    return value.map(function(item) {
+      var safeItem = toJSONSafe(item)
+      return (typeof safeItem == 'undefined' ? null : safeItem)
+    })
+  }
+  if (is.Object(value)) {
+    var safe = {}
+    Object.keys(value).forEach(function(prop) {
+      var safeValue = toJSONSafe(value[prop])
+      if (typeof safeValue != 'undefined') {
+        safe[prop] = safeValue
+      }
+    })
+    return safe
+  }
+}
+
+/**
+ * Reverses the encoding performed by toJSONSafe().
+ * @param {*} value
+ * @return {*}
+ */
+function fromJSONSafe(value) {
+  if (is.Array(value)) {
+    return value.map(fromJSONSafe)
+  }
+  if (is.Object(value)) {
+    var props = Object.keys(value)
+    if (props.length == 1 && props[0] == DATE_PROPERTY) {
+      return new Date(value[DATE_PROPERTY])
+    }
+    var revived = {}
+    props.forEach(function(prop) {
+      revived[prop] = fromJSONSafe(value[prop])
+    })
+    return revived
+  }
+  return value
+}
+
+/**
+ * Fills in missing properties of serialized state with default values, so
+ * state which was created by hand or by an older version can be restored.
+ * @param {Object} state
+ * @param {Object} defaults
+ * @return {Object} a new state object.
+ */
+function stateWithDefaults(state, defaults) {
+  var filled = object.extend({}, state)
+  Object.keys(defaults).forEach(function(prop) {
+    if (filled[prop] == null) {
+      filled[prop] = defaults[prop]
+    }
+  })
+  return filled
+}
+
+/**
+ * Normalises an autosave option, which may be a storage adapter or an object
+ * with storage and key properties.
+ * @param {(Object|null)} autosave
+ * @param {?string} defaultKey key to use if the option doesn't specify one.
+ * @param {string} name display name of the form or formset being autosaved.
+ * @return {?{storage: Object, key: string}}
+ */
+function normaliseAutosave(autosave, defaultKey, name) {
+  if (!autosave) { return null }
+  var storage = (is.Function(autosave.get) ? autosave : autosave.storage)
+  var key = (storage === autosave ? null : autosave.key) || defaultKey
+  if (!storage || !is.Function(storage.get)) {
+    throw new Error('The autosave option for ' + name + ' must be a storage ' +
+                    'adapter or an object with a storage property.')
+  }
+  if (!key) {
+    throw new Error('An autosaved ' + name + ' must have a prefix or an ' +
+                    'autosave key to store its state under.')
+  }
+  return {storage: storage, key: key}
+}
+
+module.exports = {
+  fromJSONSafe: fromJSONSafe
+, normaliseAutosave: normaliseAutosave
+, stateWithDefaults: stateWithDefaults
+, toJSONSafe: toJSONSafe
+}
@@ -5,12 +5,23 @@ var is = require('isomorph/is')
 function isFormAsync(constructor) {
   var proto = constructor.prototype
   if (proto.clean.length == 1) { return true }
+  var validatorNames = Object.keys(proto.crossFieldValidators)
+  for (var j = 0, m = validatorNames.length; j < m; j++) {
+    if (proto.crossFieldValidators[validatorNames[j]].length == 1) {
+      return true
+    }
+  }
   var fieldNames = Object.keys(proto.baseFields)
   for (var i = 0, l = fieldNames.length; i < l ; i++) {
     var customClean = proto._getCustomClean(fieldNames[i])
     if (is.Function(customClean) && customClean.length == 1) {
       return true
     }
+    // Fields which nest forms know if their forms are async
+    var field = proto.baseFields[fieldNames[i]]
+    if (is.Function(field.isAsync) && field.isAsync()) {
+      return true
+    }
   }
   return false
 }
@@ -0,0 +1,486 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+var validators = require('validators')
+
+var postalcodes = require('../postalcodes')
+
+var BooleanField = require('../fields/BooleanField')
+var CharField = require('../fields/CharField')
+var ChoiceField = require('../fields/ChoiceField')
+var ComboField = require('../fields/ComboField')
+var DateField = require('../fields/DateField')
+var DateTimeField = require('../fields/DateTimeField')
+var DecimalField = require('../fields/DecimalField')
+var DurationField = require('../fields/DurationField')
+var EmailField = require('../fields/EmailField')
+var Field = require('../Field')
+var FileField = require('../fields/FileField')
+var FloatField = require('../fields/FloatField')
+var FormField = require('../fields/FormField')
+var IntegerField = require('../fields/IntegerField')
+var JSONField = require('../fields/JSONField')
+var MoneyField = require('../fields/MoneyField')
+var MultipleChoiceField = require('../fields/MultipleChoiceField')
+var MultipleFileField = require('../fields/MultipleFileField')
+var MultiValueField = require('../fields/MultiValueField')
+var NullBooleanField = require('../fields/NullBooleanField')
+var PhoneNumberField = require('../fields/PhoneNumberField')
+var PostalCodeField = require('../fields/PostalCodeField')
+var RegexField = require('../fields/RegexField')
+var SlugField = require('../fields/SlugField')
+var SplitDateTimeField = require('../fields/SplitDateTimeField')
+var SplitDurationField = require('../fields/SplitDurationField')
+var TimeField = require('../fields/TimeField')
+var URLField = require('../fields/URLField')
+var UUIDField = require('../fields/UUIDField')
+
+var {prettyName} = require('../util')
+
+var JSON_SCHEMA = 'http://json-schema.org/draft-04/schema#'
+
+// Schemas for the validators module's validation functions, which may be used
+// by fields by default or passed as custom validators.
+var VALIDATOR_SCHEMAS = [
+  [validators.validateEmail, {format: 'email'}]
+, [validators.validateSlug, {pattern: '^[-a-zA-Z0-9_]+$'}]
+, [SlugField.validateUnicodeSlug, {pattern: SlugField.UNICODE_SLUG_REGEXP.source}]
+, [validators.validateIPv4Address, {format: 'ipv4'}]
+, [validators.validateIPv6Address, {format: 'ipv6'}]
+, [validators.validateIPv46Address, {anyOf: [{format: 'ipv4'}, {format: 'ipv6'}]}]
+]
+
+/**
+ * @param {function} validator
+ * @return {?Object} schema properties for a validation function, or null if
+ *   it can't be represented.
+ */
+function validatorSchema(validator) {
+  for (var i = 0, l = VALIDATOR_SCHEMAS.length; i < l; i++) {
+    if (VALIDATOR_SCHEMAS[i][0] === validator) {
+      return object.extend({}, VALIDATOR_SCHEMAS[i][1])
+    }
+  }
+  return null
+}
+
+/**
+ * Gets the validators which were passed to a field, as opposed to those it
+ * uses by default or creates based on its own options.
+ * @param {Field} field
+ * @return {Array.<function>}
+ */
+function customValidators(field) {
+  var builtIn = 0
+  if (field instanceof CharField) {
+    builtIn += (field.minLength !== null) + (field.maxLength !== null)
+  }
+  if (field instanceof RegexField) {
+    builtIn += 1
+  }
+  if (field instanceof IntegerField) {
+    builtIn += (field.minValue !== null) + (field.maxValue !== null)
+  }
+  return field.validators.slice(field.defaultValidators.length,
+                                field.validators.length - builtIn)
+}
+
+/**
+ * @param {ChoiceField} field
+ * @return {Array} a flat list of a choice field's (coerced, if applicable)
+ *   choice values.
+ */
+function choiceValues(field) {
+  var values = []
+  var addValues = function(choices) {
+    for (var i = 0, l = choices.length; i < l; i++) {
+      if (is.Array(choices[i][1])) {
+        addValues(choices[i][1])
+        continue
+      }
+      var value = choices[i][0]
+      if (is.Function(field.coerce)) {
+        try {
+          value = field.coerce(value)
+        }
+        catch (e) {
+          // Leave uncoercable values as they are
+        }
+      }
+      values.push(value)
+    }
+  }
+  addValues(field.choices())
+  return values
+}
+
+/**
+ * Adds numeric minimum and maximum properties to a schema.
+ */
+function addLimits(schema, field) {
+  if (field.minValue !== null) {
+    schema.minimum = field.minValue
+  }
+  if (field.maxValue !== null) {
+    schema.maximum = field.maxValue
+  }
+  return schema
+}
+
+/**
+ * Adds string length properties to a schema.
+ */
+function addLengths(schema, field) {
+  if (field.minLength !== null) {
+    schema.minLength = field.minLength
+  }
+  if (field.maxLength !== null) {
+    schema.maxLength = field.maxLength
+  }
+  return schema
+}
+
+/**
+ * Creates a pattern for decimal strings which also enforces a DecimalField's
+ * digit limits. As with the field's own validation, leading zeros don't count
+ * towards its maxDigits.
+ * @param {DecimalField} field
+ * @return {string}
+ */
+function decimalPattern(field) {
+  var maxDigits = field.maxDigits
+  var decimalPlaces = field.decimalPlaces
+  if (maxDigits === null && decimalPlaces === null) {
+    return DecimalField.DECIMAL_REGEXP.source
+  }
+  var wholeDigits = '+'
+  if (maxDigits !== null && decimalPlaces !== null) {
+    wholeDigits = '{1,' + Math.max(0, maxDigits - decimalPlaces) + '}'
+  }
+  var alternatives = []
+  if (wholeDigits != '{1,0}') {
+    alternatives.push('\\d' + wholeDigits + '(?:\\.\\d' +
+                      (decimalPlaces !== null ? '{0,' + decimalPlaces + '}' : '*') + ')?')
+  }
+  if (decimalPlaces !== 0) {
+    alternatives.push('\\.\\d' + (decimalPlaces !== null ? '{1,' + decimalPlaces + '}' : '+'))
+  }
+  // Fail if there are more than maxDigits digits after any leading zeros
+  var digitLimit = (maxDigits !== null ? '(?!(?:\\.?\\d){' + (maxDigits + 1) + '})' : '')
+  return '^[-+]?0*' + digitLimit + '(?:' + alternatives.join('|') + ')$'
+}
+
+/**
+ * Creates a schema for the type of data a field cleans to, based on the field's
+ * class and options.
+ * @param {Field} field
+ * @param {Array.<Object>} unsupported reported validation which can't be
+ *   represented.
+ * @param {string} path the field's path for reporting.
+ * @return {Object}
+ */
+function typeSchema(field, unsupported, path) {
+  var schema
+  // FormSetFields are identified by their formset, as requiring FormSetField
+  // here would create a circular import via FormSet and Form.
+  if (field instanceof FormField && is.Function(field.formset)) {
+    var formset = new field.formset(object.extend({}, field.formsetKwargs, {
+      form: field.form
+    }))
+    return _formsetSchema(formset, unsupported, path)
+  }
+  if (field instanceof FormField) {
+    return _formSchema(field.form.prototype, field.form.prototype.baseFields,
+                       unsupported, path)
+  }
+  if (field instanceof ComboField) {
+    return {allOf: field.fields.map(function(subField) {
+      return constraintSchema(subField, unsupported, path)
+    })}
+  }
+  if (field instanceof SplitDateTimeField) {
+    return {type: 'string', format: 'date-time'}
+  }
+  if (field instanceof SplitDurationField || field instanceof DurationField) {
+    // Durations are cleaned to milliseconds
+    return addLimits({type: 'integer'}, field)
+  }
+  if (field instanceof MoneyField) {
+    return {
+      type: 'object'
+    , properties: {
+        amount: {type: 'string', pattern: DecimalField.DECIMAL_REGEXP.source}
+      , currency: {enum: choiceValues(field.fields[1])}
+      }
+    , required: ['amount', 'currency']
+    }
+  }
+  if (field instanceof MultiValueField) {
+    // The type of data compress() creates from the fields can't be known
+    unsupported.push({field: path, validator: 'compress'})
+    return {}
+  }
+  if (field instanceof MultipleChoiceField) {
+    return {type: 'array', items: {enum: choiceValues(field)}, uniqueItems: true}
+  }
+  if (field instanceof ChoiceField) {
+    return {enum: choiceValues(field)}
+  }
+  if (field instanceof NullBooleanField) {
+    return {type: ['boolean', 'null']}
+  }
+  if (field instanceof BooleanField) {
+    // Required boolean fields must be checked
+    return (field.required ? {type: 'boolean', enum: [true]} : {type: 'boolean'})
+  }
+  if (field instanceof DecimalField) {
+    // Decimals are cleaned to strings in lieu of a Decimal type
+    schema = addLimits({
+      type: ['number', 'string']
+    , pattern: decimalPattern(field)
+    }, field)
+    if (field.decimalPlaces !== null) {
+      schema.multipleOf = Math.pow(10, -field.decimalPlaces)
+    }
+    if (field.maxDigits !== null) {
+      // The pattern only applies to strings - numbers can't be limited to a
+      // number of digits.
+      unsupported.push({field: path, validator: 'maxDigits'})
+    }
+    return schema
+  }
+  if (field instanceof FloatField) {
+    return addLimits({type: 'number'}, field)
+  }
+  if (field instanceof IntegerField) {
+    return addLimits({type: 'integer'}, field)
+  }
+  if (field instanceof DateTimeField) {
+    return {type: 'string', format: 'date-time'}
+  }
+  if (field instanceof DateField) {
+    return {type: 'string', format: 'date'}
+  }
+  if (field instanceof TimeField) {
+    return {type: 'string', format: 'time'}
+  }
+  if (field instanceof MultipleFileField) {
+    return {type: 'array', items: {type: 'string', format: 'binary'}}
+  }
+  if (field instanceof FileField) {
+    return {type: 'string', format: 'binary'}
+  }
+  if (field instanceof JSONField) {
+    // Any JSON value is valid
+    return {}
+  }
+  if (field instanceof UUIDField) {
+    return {type: 'string', format: 'uuid'}
+  }
+  if (field instanceof PhoneNumberField) {
+    return {type: 'string', pattern: PhoneNumberField.E164_REGEXP.source}
+  }
+  if (field instanceof PostalCodeField) {
+    schema = addLengths({type: 'string'}, field)
+    if (field.countryField !== null) {
+      // The format depends on another field's value
+      unsupported.push({field: path, validator: 'countryField'})
+    }
+    else if (field.country && postalcodes.getPattern(field.country) !== null) {
+      schema.pattern = postalcodes.getPattern(field.country).source
+    }
+    return schema
+  }
+  if (field instanceof CharField) {
+    schema = addLengths({type: 'string'}, field)
+    if (field instanceof EmailField) {
+      schema.format = 'email'
+    }
+    else if (field instanceof URLField) {
+      schema.format = 'uri'
+    }
+    else if (field instanceof RegexField) {
+      schema.pattern = field.regex.source
+    }
+    else {
+      field.defaultValidators.forEach(function(validator) {
+        object.extend(schema, validatorSchema(validator))
+      })
+    }
+    return schema
+  }
+  if (field.constructor !== Field) {
+    // Custom Field subclasses may do their own validation
+    unsupported.push({field: path, validator: field.constructor.name || 'Field'})
+  }
+  return {}
+}
+
+/**
+ * Creates a schema for a field's type and any custom validators which can be
+ * represented.
+ */
+function constraintSchema(field, unsupported, path) {
+  var schema = typeSchema(field, unsupported, path)
+  customValidators(field).forEach(function(validator) {
+    var properties = validatorSchema(validator)
+    if (properties === null) {
+      unsupported.push({field: path, validator: validator.name || 'anonymous'})
+    }
+    else {
+      object.extend(schema, properties)
+    }
+  })
+  return schema
+}
+
+/**
+ * Creates a schema for a field, including its display details.
+ */
+function fieldSchema(field, name, unsupported, path) {
+  var schema = object.extend({
+    title: (field.label !== null ? field.label : prettyName(name))
+  }, constraintSchema(field, unsupported, path))
+  if (field.helpText) {
+    schema.description = field.helpText
+  }
+  if (field.initial !== null && !is.Function(field.initial)) {
+    schema.default = field.initial
+  }
+  if (field.showIf !== null) {
+    unsupported.push({field: path, validator: 'showIf'})
+  }
+  if (field.requiredIf !== null) {
+    unsupported.push({field: path, validator: 'requiredIf'})
+  }
+  // Optional fields accept null as an empty value
+  if (!field.required) {
+    if (is.String(schema.type)) {
+      schema.type = [schema.type, 'null']
+    }
+    else if (is.Array(schema.type) && schema.type.indexOf('null') == -1) {
+      schema.type = schema.type.concat('null')
+    }
+    if (is.Array(schema.enum)) {
+      schema.enum = schema.enum.concat(null)
+    }
+  }
+  return schema
+}
+
+/**
+ * @param {Form} form a form prototype or instance, for custom cleaning methods.
+ * @param {Object.<string,Field>} fields
+ * @param {Array.<Object>} unsupported
+ * @param {string} path
+ * @return {Object}
+ */
+function _formSchema(form, fields, unsupported, path) {
+  var Form = require('../Form')
+  var schema = {type: 'object', properties: {}}
+  var required = []
+  var fieldNames = Object.keys(fields)
+  for (var i = 0, l = fieldNames.length; i < l; i++) {
+    var name = fieldNames[i]
+    var field = fields[name]
+    var fieldPath = (path ? path + '.' + name : name)
+    schema.properties[name] = fieldSchema(field, name, unsupported, fieldPath)
+    if (field.required && field.showIf === null && field.requiredIf === null) {
+      required.push(name)
+    }
+    var cleanName = 'clean' + name.charAt(0).toUpperCase() + name.substr(1)
+    if (!is.Function(form[cleanName])) {
+      cleanName = 'clean_' + name
+    }
+    if (is.Function(form[cleanName])) {
+      unsupported.push({field: fieldPath, validator: cleanName})
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required
+  }
+  if (form.clean !== Form.prototype.clean) {
+    unsupported.push({field: path || null, validator: 'clean'})
+  }
+  Object.keys(form.crossFieldValidators).forEach(function(name) {
+    unsupported.push({field: path || null, validator: name})
+  })
+  return schema
+}
+
+/**
+ * @param {FormSet} formset
+ * @param {Array.<Object>} unsupported
+ * @param {string} path
+ * @return {Object}
+ */
+function _formsetSchema(formset, unsupported, path) {
+  var FormSet = require('../FormSet')
+  var form = {fields: object.extend({}, formset.form.prototype.baseFields)}
+  formset.addFields(form, null)
+  var schema = {
+    type: 'array'
+  , items: _formSchema(formset.form.prototype, form.fields, unsupported,
+                       (path ? path + '.*' : '*'))
+  }
+  if (formset.validateMin) {
+    schema.minItems = formset.minNum
+  }
+  if (formset.validateMax) {
+    schema.maxItems = formset.maxNum
+  }
+  if (formset.clean !== FormSet.prototype.clean) {
+    unsupported.push({field: path || null, validator: 'clean'})
+  }
+  return schema
+}
+
+/**
+ * Adds top-level schema properties and reports unsupported validation.
+ */
+function documentSchema(schema, unsupported, kwargs) {
+  var result = {$schema: JSON_SCHEMA}
+  if (kwargs.title) {
+    result.title = kwargs.title
+  }
+  object.extend(result, schema)
+  if (unsupported.length > 0) {
+    result['x-unsupported'] = unsupported
+  }
+  return result
+}
+
+/**
+ * Creates a JSON Schema document describing the data a form cleans to.
+ * Validation which can't be represented by JSON Schema is listed as
+ * {field, validator} objects in an 'x-unsupported' property.
+ * @param {Form} form a form prototype or instance.
+ * @param {Object.<string,Field>} fields
+ * @param {Object=} kwargs schema options.
+ * @return {Object}
+ */
+function formSchema(form, fields, kwargs) {
+  kwargs = object.extend({title: null}, kwargs)
+  var unsupported = []
+  return documentSchema(_formSchema(form, fields, unsupported, ''),
+                        unsupported, kwargs)
+}
+
+/**
+ * Creates a JSON Schema document describing the data a formset cleans to.
+ * @param {FormSet} formset
+ * @param {Object=} kwargs schema options.
+ * @return {Object}
+ */
+function formsetSchema(formset, kwargs) {
+  kwargs = object.extend({title: null}, kwargs)
+  var unsupported = []
+  return documentSchema(_formsetSchema(formset, unsupported, ''),
+                        unsupported, kwargs)
+}
+
+module.exports = {
+  formSchema: formSchema
+, formsetSchema: formsetSchema
+}
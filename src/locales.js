@@ -26,6 +26,9 @@ var localeCache = {
     , '%m/%d/%y %H:%M'                  // '10/25/06 14:30'
     , '%m/%d/%y'                        // '10/25/06'
     ]
+  , DATE_FORMAT: '%Y-%m-%d'             // '2006-10-25'
+  , TIME_FORMAT: '%H:%M:%S'             // '14:30:59'
+  , DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S' // '2006-10-25 14:30:59'
   }
 , en_GB: {
     DATE_INPUT_FORMATS: [
@@ -46,18 +49,25 @@ var localeCache = {
     , '%d/%m/%y %H:%M'                  // '25/10/06 14:30'
     , '%d/%m/%y'                        // '25/10/06'
     ]
+  , DATE_FORMAT: '%d/%m/%Y'             // '25/10/2006'
+  , TIME_FORMAT: '%H:%M:%S'             // '14:30:59'
+  , DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S' // '25/10/2006 14:30:59'
   }
 }
 
 /**
  * Adds a locale object to our own cache (for formats) and isomorph.time's cache
- * (for time parsing/formatting).
+ * (for time parsing/formatting). The locale's name is set to the language
+ * code, as isomorph.time caches parsing patterns by locale name.
  * @param {string} lang
- * @param {string=} locale
+ * @param {Object} locale
+ * @return {Object} the locale.
  */
 function addLocale(lang, locale) {
+  locale.name = lang
   localeCache[lang] = locale
   time.locales[lang] = locale
+  return locale
 }
 
 /**
@@ -105,6 +115,47 @@ function getLocales(lang) {
   return [localeCache[defaultLocale.lang]]
 }
 
+/**
+ * Translates a message using the MESSAGES catalogs of all applicable locales,
+ * with translations from the most specific locale taking precedence. Catalogs
+ * are keyed by the English message being translated.
+ * @param {string} message
+ * @param {string=} lang
+ * @return {string} the translated message, or the given message if it hasn't
+ *   been translated.
+ */
+function translate(message, lang) {
+  var locales = getLocales(lang)
+  for (var i = 0, l = locales.length; i < l; i++) {
+    var catalog = locales[i].MESSAGES
+    if (catalog && object.hasOwn(catalog, message)) {
+      return catalog[message]
+    }
+  }
+  return message
+}
+
+/**
+ * Translates the messages of a ValidationError in place. Any params are
+ * interpolated into the translated messages when they're displayed.
+ * @param {ValidationError} error
+ * @param {string=} lang
+ * @return {ValidationError} the given error.
+ */
+function translateError(error, lang) {
+  var errorLists = (object.hasOwn(error, 'errorObj')
+                    ? Object.keys(error.errorObj).map(function(field) {
+                        return error.errorObj[field]
+                      })
+                    : [error.errorList])
+  errorLists.forEach(function(errorList) {
+    errorList.forEach(function(e) {
+      e.message = translate(e.message, lang)
+    })
+  })
+  return error
+}
+
 /**
  * Sets the language code for the default locale.
  * @param {string} lang
@@ -129,4 +180,6 @@ module.exports = {
 , getLocale: getLocale
 , getLocales: getLocales
 , setDefaultLocale: setDefaultLocale
+, translate: translate
+, translateError: translateError
 }
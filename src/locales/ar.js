@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Arabic locale.
+ */
+module.exports = addLocale('ar', {
+  a: ['الأحد', 'الإثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت']
+, A: ['الأحد', 'الإثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت']
+, AM: 'ص'
+, b: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس',
+      'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر']
+, B: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس',
+      'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر']
+, PM: 'م'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'هذا الحقل مطلوب.'
+  , 'Enter a valid value.': 'أدخل قيمة صحيحة.'
+  , 'Enter a whole number.': 'أدخل رقماً صحيحاً.'
+  , 'Enter a number.': 'أدخل رقماً.'
+  , 'Enter a valid date.': 'أدخل تاريخاً صحيحاً.'
+  , 'Enter a valid time.': 'أدخل وقتاً صحيحاً.'
+  , 'Enter a valid date/time.': 'أدخل تاريخاً/وقتاً صحيحاً.'
+  , 'Enter a valid email address.': 'أدخل عنوان بريد إلكتروني صحيح.'
+  , 'Enter a valid URL.': 'أدخل رابطاً صحيحاً.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'تأكد أن هذه القيمة تحتوي على {limitValue} حرفاً أو رمزاً على الأكثر (حالياً تحتوي على {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'تأكد أن هذه القيمة تحتوي على {limitValue} حرفاً أو رمزاً على الأقل (حالياً تحتوي على {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'تأكد من أن هذه القيمة أصغر من أو تساوي {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'تأكد من أن هذه القيمة أكبر من أو تساوي {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'انتق خياراً صحيحاً. {value} ليست ضمن الخيارات المتاحة.'
+  , 'No file was submitted.': 'لم يتم إرسال أي ملف.'
+  , 'Please submit {maxNum} or fewer forms.': 'الرجاء إرسال {maxNum} نموذجاً أو أقل.'
+  , 'Please submit {minNum} or more forms.': 'الرجاء إرسال {minNum} نموذجاً أو أكثر.'
+  , 'Unknown': 'مجهول'
+  , 'Yes': 'نعم'
+  , 'No': 'لا'
+  , 'Currently': 'حالياً'
+  , 'Change': 'عدّل'
+  , 'Clear': 'امسح'
+  , 'Days': 'أيام'
+  , 'Hours': 'ساعات'
+  , 'Minutes': 'دقائق'
+  , 'Seconds': 'ثوانٍ'
+  }
+})
@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Bulgarian locale.
+ */
+module.exports = addLocale('bg', {
+  a: ['нд', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб']
+, A: ['неделя', 'понеделник', 'вторник', 'сряда', 'четвъртък', 'петък',
+      'събота']
+, AM: 'пр.об.'
+, b: ['ян', 'февр', 'март', 'апр', 'май', 'юни', 'юли', 'авг', 'септ', 'окт',
+      'ноем', 'дек']
+, B: ['януари', 'февруари', 'март', 'април', 'май', 'юни', 'юли', 'август',
+      'септември', 'октомври', 'ноември', 'декември']
+, PM: 'сл.об.'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Това поле е задължително.'
+  , 'Enter a valid value.': 'Въведете валидна стойност.'
+  , 'Enter a whole number.': 'Въведете цяло число.'
+  , 'Enter a number.': 'Въведете число.'
+  , 'Enter a valid date.': 'Въведете валидна дата.'
+  , 'Enter a valid time.': 'Въведете валиден час.'
+  , 'Enter a valid date/time.': 'Въведете валидна дата и час.'
+  , 'Enter a valid email address.': 'Въведете валиден имейл адрес.'
+  , 'Enter a valid URL.': 'Въведете валиден URL адрес.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Уверете се, че тази стойност има най-много {limitValue} знака (тя има {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Уверете се, че тази стойност има най-малко {limitValue} знака (тя има {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Уверете се, че тази стойност е по-малка или равна на {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Уверете се, че тази стойност е по-голяма или равна на {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Направете валиден избор. {value} не е един от възможните избори.'
+  , 'No file was submitted.': 'Няма изпратен файл.'
+  , 'Please submit {maxNum} or fewer forms.': 'Моля, изпратете {maxNum} или по-малко форми.'
+  , 'Please submit {minNum} or more forms.': 'Моля, изпратете {minNum} или повече форми.'
+  , 'Unknown': 'Неизвестно'
+  , 'Yes': 'Да'
+  , 'No': 'Не'
+  , 'Currently': 'Сега'
+  , 'Change': 'Промени'
+  , 'Clear': 'Изчисти'
+  , 'Days': 'Дни'
+  , 'Hours': 'Часове'
+  , 'Minutes': 'Минути'
+  , 'Seconds': 'Секунди'
+  }
+})
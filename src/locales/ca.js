@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Catalan locale.
+ */
+module.exports = addLocale('ca', {
+  a: ['dg.', 'dl.', 'dt.', 'dc.', 'dj.', 'dv.', 'ds.']
+, A: ['diumenge', 'dilluns', 'dimarts', 'dimecres', 'dijous', 'divendres',
+      'dissabte']
+, AM: 'a. m.'
+, b: ['gen.', 'febr.', 'març', 'abr.', 'maig', 'juny', 'jul.', 'ag.', 'set.',
+      'oct.', 'nov.', 'des.']
+, B: ['gener', 'febrer', 'març', 'abril', 'maig', 'juny', 'juliol', 'agost',
+      'setembre', 'octubre', 'novembre', 'desembre']
+, PM: 'p. m.'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Aquest camp és obligatori.'
+  , 'Enter a valid value.': 'Introduïu un valor vàlid.'
+  , 'Enter a whole number.': 'Introduïu un número enter.'
+  , 'Enter a number.': 'Introduïu un número.'
+  , 'Enter a valid date.': 'Introduïu una data vàlida.'
+  , 'Enter a valid time.': 'Introduïu una hora vàlida.'
+  , 'Enter a valid date/time.': 'Introduïu una data/hora vàlides.'
+  , 'Enter a valid email address.': 'Introduïu una adreça de correu electrònic vàlida.'
+  , 'Enter a valid URL.': 'Introduïu una URL vàlida.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Assegureu-vos que aquest valor té com a màxim {limitValue} caràcters (en té {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Assegureu-vos que aquest valor té com a mínim {limitValue} caràcters (en té {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Assegureu-vos que aquest valor és menor o igual que {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Assegureu-vos que aquest valor és més gran o igual que {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Escolliu una opció vàlida. {value} no és una de les opcions vàlides.'
+  , 'No file was submitted.': 'No s\'ha enviat cap fitxer.'
+  , 'Please submit {maxNum} or fewer forms.': 'Envieu {maxNum} formularis o menys.'
+  , 'Please submit {minNum} or more forms.': 'Envieu {minNum} formularis o més.'
+  , 'Unknown': 'Desconegut'
+  , 'Yes': 'Sí'
+  , 'No': 'No'
+  , 'Currently': 'Actualment'
+  , 'Change': 'Modificar'
+  , 'Clear': 'Netejar'
+  , 'Days': 'Dies'
+  , 'Hours': 'Hores'
+  , 'Minutes': 'Minuts'
+  , 'Seconds': 'Segons'
+  }
+})
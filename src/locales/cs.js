@@ -0,0 +1,81 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Czech locale.
+ */
+module.exports = addLocale('cs', {
+  a: ['ne', 'po', 'út', 'st', 'čt', 'pá', 'so']
+, A: ['neděle', 'pondělí', 'úterý', 'středa', 'čtvrtek', 'pátek', 'sobota']
+, AM: 'dop.'
+, b: ['led', 'úno', 'bře', 'dub', 'kvě', 'čvn', 'čvc', 'srp', 'zář', 'říj',
+      'lis', 'pro']
+, B: ['leden', 'únor', 'březen', 'duben', 'květen', 'červen', 'červenec',
+      'srpen', 'září', 'říjen', 'listopad', 'prosinec']
+, PM: 'odp.'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  , '%d. %m. %Y'                        // '25. 10. 2006'
+  , '%d. %m. %y'                        // '25. 10. 06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H.%M'                             // '14.30'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H.%M'                    // '25.10.2006 14.30'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H.%M'                    // '25.10.06 14.30'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  , '%d. %m. %Y %H:%M:%S'               // '25. 10. 2006 14:30:59'
+  , '%d. %m. %Y %H.%M'                  // '25. 10. 2006 14.30'
+  , '%d. %m. %Y %H:%M'                  // '25. 10. 2006 14:30'
+  , '%d. %m. %Y'                        // '25. 10. 2006'
+  , '%d. %m. %y %H:%M:%S'               // '25. 10. 06 14:30:59'
+  , '%d. %m. %y %H.%M'                  // '25. 10. 06 14.30'
+  , '%d. %m. %y %H:%M'                  // '25. 10. 06 14:30'
+  , '%d. %m. %y'                        // '25. 10. 06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Toto pole je třeba vyplnit.'
+  , 'Enter a valid value.': 'Zadejte platnou hodnotu.'
+  , 'Enter a whole number.': 'Zadejte celé číslo.'
+  , 'Enter a number.': 'Zadejte číslo.'
+  , 'Enter a valid date.': 'Zadejte platné datum.'
+  , 'Enter a valid time.': 'Zadejte platný čas.'
+  , 'Enter a valid date/time.': 'Zadejte platné datum a čas.'
+  , 'Enter a valid email address.': 'Zadejte platnou e-mailovou adresu.'
+  , 'Enter a valid URL.': 'Zadejte platnou adresu URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Tato hodnota má mít nejvýše {limitValue} znaků (nyní má {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Tato hodnota má mít nejméně {limitValue} znaků (nyní má {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Hodnota musí být menší nebo rovna {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Hodnota musí být větší nebo rovna {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Vyberte platnou možnost. {value} není k dispozici.'
+  , 'No file was submitted.': 'Soubor nebyl odeslán.'
+  , 'Please submit {maxNum} or fewer forms.': 'Odešlete nejvýše {maxNum} formulářů.'
+  , 'Please submit {minNum} or more forms.': 'Odešlete nejméně {minNum} formulářů.'
+  , 'Unknown': 'Neznámé'
+  , 'Yes': 'Ano'
+  , 'No': 'Ne'
+  , 'Currently': 'Aktuálně'
+  , 'Change': 'Změnit'
+  , 'Clear': 'Zrušit'
+  , 'Days': 'Dny'
+  , 'Hours': 'Hodiny'
+  , 'Minutes': 'Minuty'
+  , 'Seconds': 'Sekundy'
+  }
+})
@@ -0,0 +1,64 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Danish locale.
+ */
+module.exports = addLocale('da', {
+  a: ['søn', 'man', 'tir', 'ons', 'tor', 'fre', 'lør']
+, A: ['søndag', 'mandag', 'tirsdag', 'onsdag', 'torsdag', 'fredag', 'lørdag']
+, AM: 'AM'
+, b: ['jan', 'feb', 'mar', 'apr', 'maj', 'jun', 'jul', 'aug', 'sep', 'okt',
+      'nov', 'dec']
+, B: ['januar', 'februar', 'marts', 'april', 'maj', 'juni', 'juli', 'august',
+      'september', 'oktober', 'november', 'december']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Dette felt er påkrævet.'
+  , 'Enter a valid value.': 'Indtast en gyldig værdi.'
+  , 'Enter a whole number.': 'Indtast et heltal.'
+  , 'Enter a number.': 'Indtast et tal.'
+  , 'Enter a valid date.': 'Indtast en gyldig dato.'
+  , 'Enter a valid time.': 'Indtast et gyldigt tidspunkt.'
+  , 'Enter a valid date/time.': 'Indtast gyldig dato/tidspunkt.'
+  , 'Enter a valid email address.': 'Indtast en gyldig e-mail-adresse.'
+  , 'Enter a valid URL.': 'Indtast en gyldig URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Sikr dig at denne værdi højst indeholder {limitValue} tegn (den har {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Sikr dig at denne værdi mindst indeholder {limitValue} tegn (den har {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Denne værdi skal være mindre end eller lig {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Denne værdi skal være større end eller lig {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Marker en gyldig valgmulighed. {value} er ikke en af de tilgængelige valgmuligheder.'
+  , 'No file was submitted.': 'Ingen fil blev indsendt.'
+  , 'Please submit {maxNum} or fewer forms.': 'Send venligst {maxNum} eller færre formularer.'
+  , 'Please submit {minNum} or more forms.': 'Send venligst {minNum} eller flere formularer.'
+  , 'Unknown': 'Ukendt'
+  , 'Yes': 'Ja'
+  , 'No': 'Nej'
+  , 'Currently': 'Aktuelt'
+  , 'Change': 'Ret'
+  , 'Clear': 'Ryd'
+  , 'Days': 'Dage'
+  , 'Hours': 'Timer'
+  , 'Minutes': 'Minutter'
+  , 'Seconds': 'Sekunder'
+  }
+})
@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * German locale.
+ */
+module.exports = addLocale('de', {
+  a: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa']
+, A: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag',
+      'Samstag']
+, AM: 'AM'
+, b: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt',
+      'Nov', 'Dez']
+, B: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August',
+      'September', 'Oktober', 'November', 'Dezember']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Dieses Feld ist zwingend erforderlich.'
+  , 'Enter a valid value.': 'Bitte einen gültigen Wert eingeben.'
+  , 'Enter a whole number.': 'Bitte eine ganze Zahl eingeben.'
+  , 'Enter a number.': 'Bitte eine Zahl eingeben.'
+  , 'Enter a valid date.': 'Bitte ein gültiges Datum eingeben.'
+  , 'Enter a valid time.': 'Bitte eine gültige Uhrzeit eingeben.'
+  , 'Enter a valid date/time.': 'Bitte ein gültiges Datum und eine gültige Uhrzeit eingeben.'
+  , 'Enter a valid email address.': 'Bitte eine gültige E-Mail-Adresse eingeben.'
+  , 'Enter a valid URL.': 'Bitte eine gültige URL eingeben.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Bitte sicherstellen, dass der Text höchstens {limitValue} Zeichen hat (er hat {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Bitte sicherstellen, dass der Text mindestens {limitValue} Zeichen hat (er hat {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Dieser Wert muss kleiner oder gleich {limitValue} sein.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Dieser Wert muss größer oder gleich {limitValue} sein.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Bitte eine gültige Auswahl treffen. {value} ist keine gültige Auswahl.'
+  , 'No file was submitted.': 'Es wurde keine Datei übertragen.'
+  , 'Please submit {maxNum} or fewer forms.': 'Bitte höchstens {maxNum} Formulare abschicken.'
+  , 'Please submit {minNum} or more forms.': 'Bitte mindestens {minNum} Formulare abschicken.'
+  , 'Unknown': 'Unbekannt'
+  , 'Yes': 'Ja'
+  , 'No': 'Nein'
+  , 'Currently': 'Derzeit'
+  , 'Change': 'Ändern'
+  , 'Clear': 'Zurücksetzen'
+  , 'Days': 'Tage'
+  , 'Hours': 'Stunden'
+  , 'Minutes': 'Minuten'
+  , 'Seconds': 'Sekunden'
+  }
+})
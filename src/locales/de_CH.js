@@ -0,0 +1,14 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {addLocale} = require('../locales')
+var de = require('./de')
+
+/**
+ * Swiss German locale.
+ */
+module.exports = addLocale('de_CH', object.extend({}, de, {
+  DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: '\u00a0'
+}))
@@ -0,0 +1,74 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Greek locale.
+ */
+module.exports = addLocale('el', {
+  a: ['Κυρ', 'Δευ', 'Τρί', 'Τετ', 'Πέμ', 'Παρ', 'Σάβ']
+, A: ['Κυριακή', 'Δευτέρα', 'Τρίτη', 'Τετάρτη', 'Πέμπτη', 'Παρασκευή',
+      'Σάββατο']
+, AM: 'π.μ.'
+, b: ['Ιαν', 'Φεβ', 'Μάρ', 'Απρ', 'Μάι', 'Ιούν', 'Ιούλ', 'Αύγ', 'Σεπ', 'Οκτ',
+      'Νοέ', 'Δεκ']
+, B: ['Ιανουάριος', 'Φεβρουάριος', 'Μάρτιος', 'Απρίλιος', 'Μάιος', 'Ιούνιος',
+      'Ιούλιος', 'Αύγουστος', 'Σεπτέμβριος', 'Οκτώβριος', 'Νοέμβριος',
+      'Δεκέμβριος']
+, PM: 'μ.μ.'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Αυτό το πεδίο είναι απαραίτητο.'
+  , 'Enter a valid value.': 'Εισάγετε μια έγκυρη τιμή.'
+  , 'Enter a whole number.': 'Εισάγετε έναν ακέραιο αριθμό.'
+  , 'Enter a number.': 'Εισάγετε έναν αριθμό.'
+  , 'Enter a valid date.': 'Εισάγετε μια έγκυρη ημερομηνία.'
+  , 'Enter a valid time.': 'Εισάγετε μια έγκυρη ώρα.'
+  , 'Enter a valid date/time.': 'Εισάγετε μια έγκυρη ημερομηνία/ώρα.'
+  , 'Enter a valid email address.': 'Εισάγετε μια έγκυρη διεύθυνση ηλ. ταχυδρομείου.'
+  , 'Enter a valid URL.': 'Εισάγετε ένα έγκυρο URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Βεβαιωθείτε ότι η τιμή έχει το πολύ {limitValue} χαρακτήρες (έχει {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Βεβαιωθείτε ότι η τιμή έχει τουλάχιστον {limitValue} χαρακτήρες (έχει {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Βεβαιωθείτε ότι η τιμή είναι μικρότερη ή ίση από {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Βεβαιωθείτε ότι η τιμή είναι μεγαλύτερη ή ίση από {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Επιλέξτε μια έγκυρη επιλογή. Η επιλογή {value} δεν είναι μία από τις διαθέσιμες.'
+  , 'No file was submitted.': 'Δεν έχει υποβληθεί κάποιο αρχείο.'
+  , 'Please submit {maxNum} or fewer forms.': 'Παρακαλούμε υποβάλλετε {maxNum} ή λιγότερες φόρμες.'
+  , 'Please submit {minNum} or more forms.': 'Παρακαλούμε υποβάλλετε {minNum} ή περισσότερες φόρμες.'
+  , 'Unknown': 'Άγνωστο'
+  , 'Yes': 'Ναι'
+  , 'No': 'Όχι'
+  , 'Currently': 'Τώρα'
+  , 'Change': 'Αλλαγή'
+  , 'Clear': 'Εκκαθάριση'
+  , 'Days': 'Ημέρες'
+  , 'Hours': 'Ώρες'
+  , 'Minutes': 'Λεπτά'
+  , 'Seconds': 'Δευτερόλεπτα'
+  }
+})
@@ -0,0 +1,51 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Australian English locale.
+ */
+module.exports = addLocale('en_AU', {
+  a: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+, A: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+      'Saturday']
+, AM: 'AM'
+, b: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct',
+      'Nov', 'Dec']
+, B: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+      'September', 'October', 'November', 'December']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%b %d %Y'                          // 'Oct 25 2006'
+  , '%b %d, %Y'                         // 'Oct 25, 2006'
+  , '%d %b %Y'                          // '25 Oct 2006'
+  , '%d %b, %Y'                         // '25 Oct, 2006'
+  , '%B %d %Y'                          // 'October 25 2006'
+  , '%B %d, %Y'                         // 'October 25, 2006'
+  , '%d %B %Y'                          // '25 October 2006'
+  , '%d %B, %Y'                         // '25 October, 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+})
@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Spanish locale.
+ */
+module.exports = addLocale('es', {
+  a: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb']
+, A: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado']
+, AM: 'a. m.'
+, b: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct',
+      'nov', 'dic']
+, B: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+      'septiembre', 'octubre', 'noviembre', 'diciembre']
+, PM: 'p. m.'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Este campo es obligatorio.'
+  , 'Enter a valid value.': 'Introduzca un valor válido.'
+  , 'Enter a whole number.': 'Introduzca un número entero.'
+  , 'Enter a number.': 'Introduzca un número.'
+  , 'Enter a valid date.': 'Introduzca una fecha válida.'
+  , 'Enter a valid time.': 'Introduzca una hora válida.'
+  , 'Enter a valid date/time.': 'Introduzca una fecha y hora válidas.'
+  , 'Enter a valid email address.': 'Introduzca una dirección de correo electrónico válida.'
+  , 'Enter a valid URL.': 'Introduzca una URL válida.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Asegúrese de que este valor tenga como máximo {limitValue} caracteres (tiene {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Asegúrese de que este valor tenga al menos {limitValue} caracteres (tiene {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Asegúrese de que este valor sea menor o igual a {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Asegúrese de que este valor sea mayor o igual a {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Escoja una opción válida. {value} no es una de las opciones disponibles.'
+  , 'No file was submitted.': 'No se ha enviado ningún fichero.'
+  , 'Please submit {maxNum} or fewer forms.': 'Por favor, envíe {maxNum} formularios o menos.'
+  , 'Please submit {minNum} or more forms.': 'Por favor, envíe {minNum} formularios o más.'
+  , 'Unknown': 'Desconocido'
+  , 'Yes': 'Sí'
+  , 'No': 'No'
+  , 'Currently': 'Actualmente'
+  , 'Change': 'Cambiar'
+  , 'Clear': 'Limpiar'
+  , 'Days': 'Días'
+  , 'Hours': 'Horas'
+  , 'Minutes': 'Minutos'
+  , 'Seconds': 'Segundos'
+  }
+})
@@ -0,0 +1,30 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {addLocale} = require('../locales')
+var es = require('./es')
+
+/**
+ * Argentinian Spanish locale.
+ */
+module.exports = addLocale('es_AR', object.extend({}, es, {
+  DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y%m%d'                            // '20061025'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y%m%d %H:%M:%S'                   // '20061025 14:30:59'
+  , '%Y%m%d %H:%M'                      // '20061025 14:30'
+  , '%Y%m%d'                            // '20061025'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+}))
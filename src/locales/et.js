@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Estonian locale.
+ */
+module.exports = addLocale('et', {
+  a: ['P', 'E', 'T', 'K', 'N', 'R', 'L']
+, A: ['pühapäev', 'esmaspäev', 'teisipäev', 'kolmapäev', 'neljapäev', 'reede',
+      'laupäev']
+, AM: 'AM'
+, b: ['jaan', 'veebr', 'märts', 'apr', 'mai', 'juuni', 'juuli', 'aug', 'sept',
+      'okt', 'nov', 'dets']
+, B: ['jaanuar', 'veebruar', 'märts', 'aprill', 'mai', 'juuni', 'juuli',
+      'august', 'september', 'oktoober', 'november', 'detsember']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'See lahter on nõutav.'
+  , 'Enter a valid value.': 'Sisestage korrektne väärtus.'
+  , 'Enter a whole number.': 'Sisestage täisarv.'
+  , 'Enter a number.': 'Sisestage arv.'
+  , 'Enter a valid date.': 'Sisestage korrektne kuupäev.'
+  , 'Enter a valid time.': 'Sisestage korrektne kellaaeg.'
+  , 'Enter a valid date/time.': 'Sisestage korrektne kuupäev ja kellaaeg.'
+  , 'Enter a valid email address.': 'Sisestage korrektne e-posti aadress.'
+  , 'Enter a valid URL.': 'Sisestage korrektne URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Veenduge, et see väärtus on maksimaalselt {limitValue} tähemärki pikk (hetkel on {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Veenduge, et see väärtus on vähemalt {limitValue} tähemärki pikk (hetkel on {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Veenduge, et see väärtus on väiksem või võrdne kui {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Veenduge, et see väärtus on suurem või võrdne kui {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Valige korrektne väärtus. {value} ei ole valitav.'
+  , 'No file was submitted.': 'Ühtegi faili ei saadetud.'
+  , 'Please submit {maxNum} or fewer forms.': 'Palun saatke {maxNum} või vähem vormi.'
+  , 'Please submit {minNum} or more forms.': 'Palun saatke {minNum} või rohkem vormi.'
+  , 'Unknown': 'Tundmatu'
+  , 'Yes': 'Jah'
+  , 'No': 'Ei'
+  , 'Currently': 'Hetkel'
+  , 'Change': 'Muuda'
+  , 'Clear': 'Tühjenda'
+  , 'Days': 'Päevad'
+  , 'Hours': 'Tunnid'
+  , 'Minutes': 'Minutid'
+  , 'Seconds': 'Sekundid'
+  }
+})
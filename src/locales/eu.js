@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Basque locale.
+ */
+module.exports = addLocale('eu', {
+  a: ['ig.', 'al.', 'ar.', 'az.', 'og.', 'or.', 'lr.']
+, A: ['igandea', 'astelehena', 'asteartea', 'asteazkena', 'osteguna',
+      'ostirala', 'larunbata']
+, AM: 'AM'
+, b: ['urt.', 'ots.', 'mar.', 'api.', 'mai.', 'eka.', 'uzt.', 'abu.', 'ira.',
+      'urr.', 'aza.', 'abe.']
+, B: ['urtarrila', 'otsaila', 'martxoa', 'apirila', 'maiatza', 'ekaina',
+      'uztaila', 'abuztua', 'iraila', 'urria', 'azaroa', 'abendua']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y/%m/%d %H:%M:%S'                 // '2006/10/25 14:30:59'
+  , '%Y/%m/%d %H:%M'                    // '2006/10/25 14:30'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, DATE_FORMAT: '%Y/%m/%d'               // '2006/10/25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y/%m/%d %H:%M:%S'  // '2006/10/25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Eremu hau beharrezkoa da.'
+  , 'Enter a valid value.': 'Idatzi baleko balio bat.'
+  , 'Enter a whole number.': 'Idatzi zenbaki oso bat.'
+  , 'Enter a number.': 'Idatzi zenbaki bat.'
+  , 'Enter a valid date.': 'Idatzi baleko data bat.'
+  , 'Enter a valid time.': 'Idatzi baleko ordu bat.'
+  , 'Enter a valid date/time.': 'Idatzi baleko data/ordu bat.'
+  , 'Enter a valid email address.': 'Idatzi baleko helbide elektroniko bat.'
+  , 'Enter a valid URL.': 'Idatzi baleko URL bat.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Ziurtatu balio honek gehienez {limitValue} karaktere dituela (orain {showValue} ditu).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Ziurtatu balio honek gutxienez {limitValue} karaktere dituela (orain {showValue} ditu).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Ziurtatu balio hau {limitValue} baino txikiagoa edo berdina dela.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Ziurtatu balio hau {limitValue} baino handiagoa edo berdina dela.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Hautatu baleko aukera bat. {value} ez dago aukeren artean.'
+  , 'No file was submitted.': 'Ez da fitxategirik bidali.'
+  , 'Please submit {maxNum} or fewer forms.': 'Bidali {maxNum} formulario edo gutxiago.'
+  , 'Please submit {minNum} or more forms.': 'Bidali {minNum} formulario edo gehiago.'
+  , 'Unknown': 'Ezezaguna'
+  , 'Yes': 'Bai'
+  , 'No': 'Ez'
+  , 'Currently': 'Orain'
+  , 'Change': 'Aldatu'
+  , 'Clear': 'Garbitu'
+  , 'Days': 'Egunak'
+  , 'Hours': 'Orduak'
+  , 'Minutes': 'Minutuak'
+  , 'Seconds': 'Segundoak'
+  }
+})
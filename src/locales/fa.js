@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Persian locale.
+ */
+module.exports = addLocale('fa', {
+  a: ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه']
+, A: ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه']
+, AM: 'ق.ظ.'
+, b: ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن', 'ژوئیه', 'اوت',
+      'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر']
+, B: ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن', 'ژوئیه', 'اوت',
+      'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر']
+, PM: 'ب.ظ.'
+, DATE_INPUT_FORMATS: [
+    '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y/%m/%d %H:%M:%S'                 // '2006/10/25 14:30:59'
+  , '%Y/%m/%d %H:%M'                    // '2006/10/25 14:30'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  ]
+, DATE_FORMAT: '%Y/%m/%d'               // '2006/10/25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y/%m/%d %H:%M:%S'  // '2006/10/25 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'این فیلد لازم است.'
+  , 'Enter a valid value.': 'یک مقدار معتبر وارد کنید.'
+  , 'Enter a whole number.': 'یک عدد صحیح وارد کنید.'
+  , 'Enter a number.': 'یک عدد وارد کنید.'
+  , 'Enter a valid date.': 'یک تاریخ معتبر وارد کنید.'
+  , 'Enter a valid time.': 'یک زمان معتبر وارد کنید.'
+  , 'Enter a valid date/time.': 'یک تاریخ/زمان معتبر وارد کنید.'
+  , 'Enter a valid email address.': 'یک نشانی ایمیل معتبر وارد کنید.'
+  , 'Enter a valid URL.': 'یک نشانی اینترنتی معتبر وارد کنید.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'طول این مقدار باید حداکثر {limitValue} کاراکتر باشد (طولش {showValue} است).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'طول این مقدار باید حداقل {limitValue} کاراکتر باشد (طولش {showValue} است).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'مطمئن شوید این مقدار کوچکتر یا مساوی {limitValue} است.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'مطمئن شوید این مقدار بزرگتر یا مساوی {limitValue} است.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'یک گزینهٔ معتبر انتخاب کنید. {value} از گزینه‌های موجود نیست.'
+  , 'No file was submitted.': 'هیچ فایلی ارسال نشده است.'
+  , 'Please submit {maxNum} or fewer forms.': 'لطفاً {maxNum} فرم یا کمتر بفرستید.'
+  , 'Please submit {minNum} or more forms.': 'لطفاً {minNum} فرم یا بیشتر بفرستید.'
+  , 'Unknown': 'ناشناخته'
+  , 'Yes': 'بله'
+  , 'No': 'خیر'
+  , 'Currently': 'در حال حاضر'
+  , 'Change': 'تغییر'
+  , 'Clear': 'پاک کردن'
+  , 'Days': 'روزها'
+  , 'Hours': 'ساعت‌ها'
+  , 'Minutes': 'دقیقه‌ها'
+  , 'Seconds': 'ثانیه‌ها'
+  }
+})
@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Finnish locale.
+ */
+module.exports = addLocale('fi', {
+  a: ['su', 'ma', 'ti', 'ke', 'to', 'pe', 'la']
+, A: ['sunnuntai', 'maanantai', 'tiistai', 'keskiviikko', 'torstai',
+      'perjantai', 'lauantai']
+, AM: 'ap.'
+, b: ['tammi', 'helmi', 'maalis', 'huhti', 'touko', 'kesä', 'heinä', 'elo',
+      'syys', 'loka', 'marras', 'joulu']
+, B: ['tammikuu', 'helmikuu', 'maaliskuu', 'huhtikuu', 'toukokuu', 'kesäkuu',
+      'heinäkuu', 'elokuu', 'syyskuu', 'lokakuu', 'marraskuu', 'joulukuu']
+, PM: 'ip.'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H.%M.%S'                          // '14.30.59'
+  , '%H.%M'                             // '14.30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H.%M.%S'                 // '25.10.2006 14.30.59'
+  , '%d.%m.%Y %H.%M'                    // '25.10.2006 14.30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H.%M.%S'                 // '25.10.06 14.30.59'
+  , '%d.%m.%y %H.%M'                    // '25.10.06 14.30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H.%M.%S'               // '14.30.59'
+, DATETIME_FORMAT: '%d.%m.%Y %H.%M.%S'  // '25.10.2006 14.30.59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Tämä kenttä vaaditaan.'
+  , 'Enter a valid value.': 'Syötä oikea arvo.'
+  , 'Enter a whole number.': 'Syötä kokonaisluku.'
+  , 'Enter a number.': 'Syötä numero.'
+  , 'Enter a valid date.': 'Syötä oikea päivämäärä.'
+  , 'Enter a valid time.': 'Syötä oikea kellonaika.'
+  , 'Enter a valid date/time.': 'Syötä oikea pvm/kellonaika.'
+  , 'Enter a valid email address.': 'Syötä kelvollinen sähköpostiosoite.'
+  , 'Enter a valid URL.': 'Syötä oikea URL-osoite.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Varmista, että tämä arvo on enintään {limitValue} merkkiä pitkä (tällä hetkellä {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Varmista, että tämä arvo on vähintään {limitValue} merkkiä pitkä (tällä hetkellä {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Tämän arvon on oltava enintään {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Tämän arvon on oltava vähintään {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Valitse oikea vaihtoehto. {value} ei ole vaihtoehtojen joukossa.'
+  , 'No file was submitted.': 'Tiedostoa ei lähetetty.'
+  , 'Please submit {maxNum} or fewer forms.': 'Lähetä enintään {maxNum} lomaketta.'
+  , 'Please submit {minNum} or more forms.': 'Lähetä vähintään {minNum} lomaketta.'
+  , 'Unknown': 'Tuntematon'
+  , 'Yes': 'Kyllä'
+  , 'No': 'Ei'
+  , 'Currently': 'Tällä hetkellä'
+  , 'Change': 'Muokkaa'
+  , 'Clear': 'Poista'
+  , 'Days': 'Päivät'
+  , 'Hours': 'Tunnit'
+  , 'Minutes': 'Minuutit'
+  , 'Seconds': 'Sekunnit'
+  }
+})
@@ -0,0 +1,77 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * French locale.
+ */
+module.exports = addLocale('fr', {
+  a: ['dim.', 'lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.']
+, A: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi']
+, AM: 'AM'
+, b: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août',
+      'sept.', 'oct.', 'nov.', 'déc.']
+, B: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août',
+      'septembre', 'octobre', 'novembre', 'décembre']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  , '%d %B %Y'                          // '25 octobre 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Ce champ est obligatoire.'
+  , 'Enter a valid value.': 'Saisissez une valeur valide.'
+  , 'Enter a whole number.': 'Saisissez un nombre entier.'
+  , 'Enter a number.': 'Saisissez un nombre.'
+  , 'Enter a valid date.': 'Saisissez une date valide.'
+  , 'Enter a valid time.': 'Saisissez une heure valide.'
+  , 'Enter a valid date/time.': 'Saisissez une date et une heure valides.'
+  , 'Enter a valid email address.': 'Saisissez une adresse e-mail valide.'
+  , 'Enter a valid URL.': 'Saisissez une URL valide.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Assurez-vous que cette valeur comporte au plus {limitValue} caractères (actuellement {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Assurez-vous que cette valeur comporte au moins {limitValue} caractères (actuellement {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Assurez-vous que cette valeur est inférieure ou égale à {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Assurez-vous que cette valeur est supérieure ou égale à {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Sélectionnez un choix valide. {value} n\'en fait pas partie.'
+  , 'No file was submitted.': 'Aucun fichier n\'a été soumis.'
+  , 'Please submit {maxNum} or fewer forms.': 'Veuillez soumettre au plus {maxNum} formulaires.'
+  , 'Please submit {minNum} or more forms.': 'Veuillez soumettre au moins {minNum} formulaires.'
+  , 'Unknown': 'Inconnu'
+  , 'Yes': 'Oui'
+  , 'No': 'Non'
+  , 'Currently': 'Actuellement'
+  , 'Change': 'Modifier'
+  , 'Clear': 'Effacer'
+  , 'Days': 'Jours'
+  , 'Hours': 'Heures'
+  , 'Minutes': 'Minutes'
+  , 'Seconds': 'Secondes'
+  }
+})
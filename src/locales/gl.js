@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Galician locale.
+ */
+module.exports = addLocale('gl', {
+  a: ['dom.', 'luns', 'mar.', 'mér.', 'xov.', 'ven.', 'sáb.']
+, A: ['domingo', 'luns', 'martes', 'mércores', 'xoves', 'venres', 'sábado']
+, AM: 'a.m.'
+, b: ['xan.', 'feb.', 'mar.', 'abr.', 'maio', 'xuño', 'xul.', 'ago.', 'set.',
+      'out.', 'nov.', 'dec.']
+, B: ['xaneiro', 'febreiro', 'marzo', 'abril', 'maio', 'xuño', 'xullo',
+      'agosto', 'setembro', 'outubro', 'novembro', 'decembro']
+, PM: 'p.m.'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Requírese este campo.'
+  , 'Enter a valid value.': 'Insira un valor válido.'
+  , 'Enter a whole number.': 'Insira un número enteiro.'
+  , 'Enter a number.': 'Insira un número.'
+  , 'Enter a valid date.': 'Insira unha data válida.'
+  , 'Enter a valid time.': 'Insira unha hora válida.'
+  , 'Enter a valid date/time.': 'Insira unha data/hora válida.'
+  , 'Enter a valid email address.': 'Insira un enderezo de correo electrónico válido.'
+  , 'Enter a valid URL.': 'Insira un URL válido.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Asegúrese de que este valor ten como máximo {limitValue} caracteres (ten {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Asegúrese de que este valor ten polo menos {limitValue} caracteres (ten {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Asegúrese de que este valor é menor ou igual a {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Asegúrese de que este valor é maior ou igual a {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Escolla unha opción válida. {value} non se atopa entre as opcións dispoñibles.'
+  , 'No file was submitted.': 'Non se enviou ningún ficheiro.'
+  , 'Please submit {maxNum} or fewer forms.': 'Por favor, envíe {maxNum} formularios ou menos.'
+  , 'Please submit {minNum} or more forms.': 'Por favor, envíe {minNum} formularios ou máis.'
+  , 'Unknown': 'Descoñecido'
+  , 'Yes': 'Si'
+  , 'No': 'Non'
+  , 'Currently': 'Actualmente'
+  , 'Change': 'Modificar'
+  , 'Clear': 'Limpar'
+  , 'Days': 'Días'
+  , 'Hours': 'Horas'
+  , 'Minutes': 'Minutos'
+  , 'Seconds': 'Segundos'
+  }
+})
@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Hebrew locale.
+ */
+module.exports = addLocale('he', {
+  a: ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳']
+, A: ['יום ראשון', 'יום שני', 'יום שלישי', 'יום רביעי', 'יום חמישי',
+      'יום שישי', 'שבת']
+, AM: 'לפנה״צ'
+, b: ['ינו׳', 'פבר׳', 'מרץ', 'אפר׳', 'מאי', 'יוני', 'יולי', 'אוג׳', 'ספט׳',
+      'אוק׳', 'נוב׳', 'דצמ׳']
+, B: ['ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני', 'יולי', 'אוגוסט',
+      'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר']
+, PM: 'אחה״צ'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'יש להזין תוכן בשדה זה.'
+  , 'Enter a valid value.': 'יש להזין ערך חוקי.'
+  , 'Enter a whole number.': 'יש להזין מספר שלם.'
+  , 'Enter a number.': 'יש להזין מספר.'
+  , 'Enter a valid date.': 'יש להזין תאריך חוקי.'
+  , 'Enter a valid time.': 'יש להזין שעה חוקית.'
+  , 'Enter a valid date/time.': 'יש להזין תאריך ושעה חוקיים.'
+  , 'Enter a valid email address.': 'נא להזין כתובת דוא"ל חוקית.'
+  , 'Enter a valid URL.': 'יש להזין URL חוקי.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'נא לוודא שערך זה מכיל {limitValue} תווים לכל היותר (מכיל {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'נא לוודא שערך זה מכיל {limitValue} תווים לפחות (מכיל {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'יש לוודא שערך זה קטן או שווה ל־{limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'יש לוודא שערך זה גדול או שווה ל־{limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'יש לבחור אפשרות חוקית. {value} אינו בין האפשרויות הזמינות.'
+  , 'No file was submitted.': 'לא נשלח שום קובץ.'
+  , 'Please submit {maxNum} or fewer forms.': 'נא לשלוח {maxNum} טפסים או פחות.'
+  , 'Please submit {minNum} or more forms.': 'נא לשלוח {minNum} טפסים או יותר.'
+  , 'Unknown': 'לא ידוע'
+  , 'Yes': 'כן'
+  , 'No': 'לא'
+  , 'Currently': 'עכשיו'
+  , 'Change': 'שינוי'
+  , 'Clear': 'ניקוי'
+  , 'Days': 'ימים'
+  , 'Hours': 'שעות'
+  , 'Minutes': 'דקות'
+  , 'Seconds': 'שניות'
+  }
+})
@@ -0,0 +1,77 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Croatian locale.
+ */
+module.exports = addLocale('hr', {
+  a: ['ned', 'pon', 'uto', 'sri', 'čet', 'pet', 'sub']
+, A: ['nedjelja', 'ponedjeljak', 'utorak', 'srijeda', 'četvrtak', 'petak',
+      'subota']
+, AM: 'AM'
+, b: ['sij', 'velj', 'ožu', 'tra', 'svi', 'lip', 'srp', 'kol', 'ruj', 'lis',
+      'stu', 'pro']
+, B: ['siječanj', 'veljača', 'ožujak', 'travanj', 'svibanj', 'lipanj',
+      'srpanj', 'kolovoz', 'rujan', 'listopad', 'studeni', 'prosinac']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y.'                         // '25.10.2006.'
+  , '%d.%m.%y.'                         // '25.10.06.'
+  , '%d. %m. %Y.'                       // '25. 10. 2006.'
+  , '%d. %m. %y.'                       // '25. 10. 06.'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y. %H:%M:%S'                // '25.10.2006. 14:30:59'
+  , '%d.%m.%Y. %H:%M'                   // '25.10.2006. 14:30'
+  , '%d.%m.%Y.'                         // '25.10.2006.'
+  , '%d.%m.%y. %H:%M:%S'                // '25.10.06. 14:30:59'
+  , '%d.%m.%y. %H:%M'                   // '25.10.06. 14:30'
+  , '%d.%m.%y.'                         // '25.10.06.'
+  , '%d. %m. %Y. %H:%M:%S'              // '25. 10. 2006. 14:30:59'
+  , '%d. %m. %Y. %H:%M'                 // '25. 10. 2006. 14:30'
+  , '%d. %m. %Y.'                       // '25. 10. 2006.'
+  , '%d. %m. %y. %H:%M:%S'              // '25. 10. 06. 14:30:59'
+  , '%d. %m. %y. %H:%M'                 // '25. 10. 06. 14:30'
+  , '%d. %m. %y.'                       // '25. 10. 06.'
+  ]
+, DATE_FORMAT: '%d.%m.%Y.'              // '25.10.2006.'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y. %H:%M:%S' // '25.10.2006. 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Unos za ovo polje je obavezan.'
+  , 'Enter a valid value.': 'Unesite ispravnu vrijednost.'
+  , 'Enter a whole number.': 'Unesite cijeli broj.'
+  , 'Enter a number.': 'Unesite broj.'
+  , 'Enter a valid date.': 'Unesite ispravan datum.'
+  , 'Enter a valid time.': 'Unesite ispravno vrijeme.'
+  , 'Enter a valid date/time.': 'Unesite ispravan datum/vrijeme.'
+  , 'Enter a valid email address.': 'Unesite ispravnu e-mail adresu.'
+  , 'Enter a valid URL.': 'Unesite ispravan URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Osigurajte da ova vrijednost ima najviše {limitValue} znakova (trenutno ima {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Osigurajte da ova vrijednost ima najmanje {limitValue} znakova (trenutno ima {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Osigurajte da je ova vrijednost manja ili jednaka {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Osigurajte da je ova vrijednost veća ili jednaka {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Odaberite iz ponuđenog. {value} nije ponuđen kao opcija.'
+  , 'No file was submitted.': 'Datoteka nije poslana.'
+  , 'Please submit {maxNum} or fewer forms.': 'Molimo unesite {maxNum} ili manje obrazaca.'
+  , 'Please submit {minNum} or more forms.': 'Molimo unesite {minNum} ili više obrazaca.'
+  , 'Unknown': 'Nepoznato'
+  , 'Yes': 'Da'
+  , 'No': 'Ne'
+  , 'Currently': 'Trenutno'
+  , 'Change': 'Promijeni'
+  , 'Clear': 'Očisti'
+  , 'Days': 'Dani'
+  , 'Hours': 'Sati'
+  , 'Minutes': 'Minute'
+  , 'Seconds': 'Sekunde'
+  }
+})
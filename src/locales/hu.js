@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Hungarian locale.
+ */
+module.exports = addLocale('hu', {
+  a: ['V', 'H', 'K', 'Sze', 'Cs', 'P', 'Szo']
+, A: ['vasárnap', 'hétfő', 'kedd', 'szerda', 'csütörtök', 'péntek', 'szombat']
+, AM: 'de.'
+, b: ['jan.', 'febr.', 'márc.', 'ápr.', 'máj.', 'jún.', 'júl.', 'aug.',
+      'szept.', 'okt.', 'nov.', 'dec.']
+, B: ['január', 'február', 'március', 'április', 'május', 'június', 'július',
+      'augusztus', 'szeptember', 'október', 'november', 'december']
+, PM: 'du.'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y.%m.%d.'                         // '2006.10.25.'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y.%m.%d. %H:%M:%S'                // '2006.10.25. 14:30:59'
+  , '%Y.%m.%d. %H:%M'                   // '2006.10.25. 14:30'
+  , '%Y.%m.%d.'                         // '2006.10.25.'
+  ]
+, DATE_FORMAT: '%Y.%m.%d.'              // '2006.10.25.'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y.%m.%d. %H:%M:%S' // '2006.10.25. 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Ennek a mezőnek a megadása kötelező.'
+  , 'Enter a valid value.': 'Adjon meg egy érvényes értéket.'
+  , 'Enter a whole number.': 'Adjon meg egy egész számot.'
+  , 'Enter a number.': 'Adjon meg egy számot.'
+  , 'Enter a valid date.': 'Adjon meg egy érvényes dátumot.'
+  , 'Enter a valid time.': 'Adjon meg egy érvényes időt.'
+  , 'Enter a valid date/time.': 'Adjon meg egy érvényes dátumot/időt.'
+  , 'Enter a valid email address.': 'Adjon meg egy érvényes e-mail címet.'
+  , 'Enter a valid URL.': 'Adjon meg egy érvényes URL-t.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Bizonyosodjon meg arról, hogy ez az érték legfeljebb {limitValue} karaktert tartalmaz (jelenleg {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Bizonyosodjon meg arról, hogy ez az érték legalább {limitValue} karaktert tartalmaz (jelenleg {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Bizonyosodjon meg arról, hogy az érték {limitValue} vagy kisebb.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Bizonyosodjon meg arról, hogy az érték {limitValue} vagy nagyobb.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Válasszon érvényes elemet. {value} nincs az elérhető lehetőségek között.'
+  , 'No file was submitted.': 'Semmilyen fájl sem került feltöltésre.'
+  , 'Please submit {maxNum} or fewer forms.': 'Legfeljebb {maxNum} űrlapot küldjön be.'
+  , 'Please submit {minNum} or more forms.': 'Legalább {minNum} űrlapot küldjön be.'
+  , 'Unknown': 'Ismeretlen'
+  , 'Yes': 'Igen'
+  , 'No': 'Nem'
+  , 'Currently': 'Jelenleg'
+  , 'Change': 'Módosítás'
+  , 'Clear': 'Törlés'
+  , 'Days': 'Napok'
+  , 'Hours': 'Órák'
+  , 'Minutes': 'Percek'
+  , 'Seconds': 'Másodpercek'
+  }
+})
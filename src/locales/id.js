@@ -0,0 +1,78 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Indonesian locale.
+ */
+module.exports = addLocale('id', {
+  a: ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab']
+, A: ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu']
+, AM: 'AM'
+, b: ['Jan', 'Feb', 'Mar', 'Apr', 'Mei', 'Jun', 'Jul', 'Agu', 'Sep', 'Okt',
+      'Nov', 'Des']
+, B: ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni', 'Juli',
+      'Agustus', 'September', 'Oktober', 'November', 'Desember']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d-%m-%Y'                          // '25-10-2006'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d-%m-%y'                          // '25-10-06'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%d %b %Y'                          // '25 Okt 2006'
+  , '%d %B %Y'                          // '25 Oktober 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H.%M.%S'                          // '14.30.59'
+  , '%H.%M'                             // '14.30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d-%m-%Y %H.%M.%S'                 // '25-10-2006 14.30.59'
+  , '%d-%m-%Y %H.%M'                    // '25-10-2006 14.30'
+  , '%d-%m-%Y'                          // '25-10-2006'
+  , '%d/%m/%Y %H.%M.%S'                 // '25/10/2006 14.30.59'
+  , '%d/%m/%Y %H.%M'                    // '25/10/2006 14.30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d-%m-%y %H.%M.%S'                 // '25-10-06 14.30.59'
+  , '%d-%m-%y %H.%M'                    // '25-10-06 14.30'
+  , '%d-%m-%y'                          // '25-10-06'
+  , '%d/%m/%y %H.%M.%S'                 // '25/10/06 14.30.59'
+  , '%d/%m/%y %H.%M'                    // '25/10/06 14.30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d-%m-%Y'               // '25-10-2006'
+, TIME_FORMAT: '%H.%M.%S'               // '14.30.59'
+, DATETIME_FORMAT: '%d-%m-%Y %H.%M.%S'  // '25-10-2006 14.30.59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Bidang ini tidak boleh kosong.'
+  , 'Enter a valid value.': 'Masukkan nilai yang valid.'
+  , 'Enter a whole number.': 'Masukkan bilangan bulat.'
+  , 'Enter a number.': 'Masukkan sebuah bilangan.'
+  , 'Enter a valid date.': 'Masukkan tanggal yang valid.'
+  , 'Enter a valid time.': 'Masukkan waktu yang valid.'
+  , 'Enter a valid date/time.': 'Masukkan tanggal/waktu yang valid.'
+  , 'Enter a valid email address.': 'Masukkan alamat email yang valid.'
+  , 'Enter a valid URL.': 'Masukkan URL yang valid.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Pastikan nilai ini memiliki paling banyak {limitValue} karakter (saat ini {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Pastikan nilai ini memiliki paling sedikit {limitValue} karakter (saat ini {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Pastikan nilai ini lebih kecil dari atau sama dengan {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Pastikan nilai ini lebih besar dari atau sama dengan {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Masukkan pilihan yang valid. {value} bukan salah satu dari pilihan yang tersedia.'
+  , 'No file was submitted.': 'Tidak ada berkas yang dikirimkan.'
+  , 'Please submit {maxNum} or fewer forms.': 'Kirimkan {maxNum} formulir atau kurang.'
+  , 'Please submit {minNum} or more forms.': 'Kirimkan {minNum} formulir atau lebih.'
+  , 'Unknown': 'Tidak diketahui'
+  , 'Yes': 'Ya'
+  , 'No': 'Tidak'
+  , 'Currently': 'Saat ini'
+  , 'Change': 'Ubah'
+  , 'Clear': 'Hapus'
+  , 'Days': 'Hari'
+  , 'Hours': 'Jam'
+  , 'Minutes': 'Menit'
+  , 'Seconds': 'Detik'
+  }
+})
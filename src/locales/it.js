@@ -0,0 +1,82 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Italian locale.
+ */
+module.exports = addLocale('it', {
+  a: ['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab']
+, A: ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì',
+      'sabato']
+, AM: 'AM'
+, b: ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott',
+      'nov', 'dic']
+, B: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio',
+      'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%d-%m-%Y'                          // '25-10-2006'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d-%m-%y'                          // '25-10-06'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d-%m-%Y %H:%M:%S'                 // '25-10-2006 14:30:59'
+  , '%d-%m-%Y %H:%M'                    // '25-10-2006 14:30'
+  , '%d-%m-%Y'                          // '25-10-2006'
+  , '%d-%m-%y %H:%M:%S'                 // '25-10-06 14:30:59'
+  , '%d-%m-%y %H:%M'                    // '25-10-06 14:30'
+  , '%d-%m-%y'                          // '25-10-06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Questo campo è obbligatorio.'
+  , 'Enter a valid value.': 'Inserisci un valore valido.'
+  , 'Enter a whole number.': 'Inserisci un numero intero.'
+  , 'Enter a number.': 'Inserisci un numero.'
+  , 'Enter a valid date.': 'Inserisci una data valida.'
+  , 'Enter a valid time.': 'Inserisci un orario valido.'
+  , 'Enter a valid date/time.': 'Inserisci una data e un orario validi.'
+  , 'Enter a valid email address.': 'Inserisci un indirizzo email valido.'
+  , 'Enter a valid URL.': 'Inserisci un URL valido.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Assicurati che questo valore non contenga più di {limitValue} caratteri (ne ha {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Assicurati che questo valore contenga almeno {limitValue} caratteri (ne ha {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Assicurati che questo valore sia minore o uguale a {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Assicurati che questo valore sia maggiore o uguale a {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Scegli un\'opzione valida. {value} non è tra quelle disponibili.'
+  , 'No file was submitted.': 'Nessun file è stato inviato.'
+  , 'Please submit {maxNum} or fewer forms.': 'Invia al massimo {maxNum} moduli.'
+  , 'Please submit {minNum} or more forms.': 'Invia almeno {minNum} moduli.'
+  , 'Unknown': 'Sconosciuto'
+  , 'Yes': 'Sì'
+  , 'No': 'No'
+  , 'Currently': 'Attualmente'
+  , 'Change': 'Cambia'
+  , 'Clear': 'Svuota'
+  , 'Days': 'Giorni'
+  , 'Hours': 'Ore'
+  , 'Minutes': 'Minuti'
+  , 'Seconds': 'Secondi'
+  }
+})
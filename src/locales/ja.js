@@ -0,0 +1,72 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Japanese locale.
+ */
+module.exports = addLocale('ja', {
+  a: ['日', '月', '火', '水', '木', '金', '土']
+, A: ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日']
+, AM: '午前'
+, b: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月',
+      '12月']
+, B: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月',
+      '12月']
+, PM: '午後'
+, DATE_INPUT_FORMATS: [
+    '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y年%m月%d日'                         // '2006年10月25日'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y/%m/%d %H:%M:%S'                 // '2006/10/25 14:30:59'
+  , '%Y/%m/%d %H:%M'                    // '2006/10/25 14:30'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y年%m月%d日 %H:%M:%S'                // '2006年10月25日 14:30:59'
+  , '%Y年%m月%d日 %H:%M'                   // '2006年10月25日 14:30'
+  , '%Y年%m月%d日'                         // '2006年10月25日'
+  ]
+, DATE_FORMAT: '%Y/%m/%d'               // '2006/10/25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y/%m/%d %H:%M:%S'  // '2006/10/25 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'このフィールドは必須です。'
+  , 'Enter a valid value.': '正しい値を入力してください。'
+  , 'Enter a whole number.': '整数を入力してください。'
+  , 'Enter a number.': '数値を入力してください。'
+  , 'Enter a valid date.': '正しい日付を入力してください。'
+  , 'Enter a valid time.': '正しい時間を入力してください。'
+  , 'Enter a valid date/time.': '正しい日時を入力してください。'
+  , 'Enter a valid email address.': '有効なメールアドレスを入力してください。'
+  , 'Enter a valid URL.': '正しいURLを入力してください。'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'この値は {limitValue} 文字以下でなければなりません ({showValue} 文字になっています)。'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'この値は {limitValue} 文字以上でなければなりません ({showValue} 文字になっています)。'
+  , 'Ensure this value is less than or equal to {limitValue}.': '{limitValue} 以下の値を入力してください。'
+  , 'Ensure this value is greater than or equal to {limitValue}.': '{limitValue} 以上の値を入力してください。'
+  , 'Select a valid choice. {value} is not one of the available choices.': '正しく選択してください。{value} は候補にありません。'
+  , 'No file was submitted.': 'ファイルが送信されていません。'
+  , 'Please submit {maxNum} or fewer forms.': '{maxNum} 個以下のフォームを送信してください。'
+  , 'Please submit {minNum} or more forms.': '{minNum} 個以上のフォームを送信してください。'
+  , 'Unknown': '不明'
+  , 'Yes': 'はい'
+  , 'No': 'いいえ'
+  , 'Currently': '現在'
+  , 'Change': '変更'
+  , 'Clear': 'クリア'
+  , 'Days': '日'
+  , 'Hours': '時間'
+  , 'Minutes': '分'
+  , 'Seconds': '秒'
+  }
+})
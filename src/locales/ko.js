@@ -0,0 +1,81 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Korean locale.
+ */
+module.exports = addLocale('ko', {
+  a: ['일', '월', '화', '수', '목', '금', '토']
+, A: ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일']
+, AM: '오전'
+, b: ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월',
+      '12월']
+, B: ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월',
+      '12월']
+, PM: '오후'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%m/%d/%Y'                          // '10/25/2006'
+  , '%m/%d/%y'                          // '10/25/06'
+  , '%Y년 %m월 %d일'                       // '2006년 10월 25일'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  , '%H시 %M분 %S초'                       // '14시 30분 59초'
+  , '%H시 %M분'                           // '14시 30분'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d %H시 %M분 %S초'              // '2006-10-25 14시 30분 59초'
+  , '%Y-%m-%d %H시 %M분'                  // '2006-10-25 14시 30분'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%m/%d/%Y %H:%M:%S'                 // '10/25/2006 14:30:59'
+  , '%m/%d/%Y %H:%M'                    // '10/25/2006 14:30'
+  , '%m/%d/%Y %H시 %M분 %S초'              // '10/25/2006 14시 30분 59초'
+  , '%m/%d/%Y %H시 %M분'                  // '10/25/2006 14시 30분'
+  , '%m/%d/%Y'                          // '10/25/2006'
+  , '%m/%d/%y %H:%M:%S'                 // '10/25/06 14:30:59'
+  , '%m/%d/%y %H:%M'                    // '10/25/06 14:30'
+  , '%m/%d/%y %H시 %M분 %S초'              // '10/25/06 14시 30분 59초'
+  , '%m/%d/%y %H시 %M분'                  // '10/25/06 14시 30분'
+  , '%m/%d/%y'                          // '10/25/06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': '필수 항목입니다.'
+  , 'Enter a valid value.': '올바른 값을 입력하세요.'
+  , 'Enter a whole number.': '정수를 입력하세요.'
+  , 'Enter a number.': '숫자를 입력하세요.'
+  , 'Enter a valid date.': '올바른 날짜를 입력하세요.'
+  , 'Enter a valid time.': '올바른 시각을 입력하세요.'
+  , 'Enter a valid date/time.': '올바른 날짜/시각을 입력하세요.'
+  , 'Enter a valid email address.': '올바른 이메일 주소를 입력하세요.'
+  , 'Enter a valid URL.': '올바른 URL을 입력하세요.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': '이 값이 최대 {limitValue}자인지 확인하세요 (입력값 {showValue}자).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': '이 값이 최소 {limitValue}자인지 확인하세요 (입력값 {showValue}자).'
+  , 'Ensure this value is less than or equal to {limitValue}.': '{limitValue} 이하의 값을 입력해 주세요.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': '{limitValue} 이상의 값을 입력해 주세요.'
+  , 'Select a valid choice. {value} is not one of the available choices.': '올바르게 선택해 주세요. {value}은(는) 선택 가능한 항목이 아닙니다.'
+  , 'No file was submitted.': '등록된 파일이 없습니다.'
+  , 'Please submit {maxNum} or fewer forms.': '{maxNum}개 이하의 양식을 제출하세요.'
+  , 'Please submit {minNum} or more forms.': '{minNum}개 이상의 양식을 제출하세요.'
+  , 'Unknown': '알 수 없음'
+  , 'Yes': '예'
+  , 'No': '아니오'
+  , 'Currently': '현재'
+  , 'Change': '변경'
+  , 'Clear': '지우기'
+  , 'Days': '일'
+  , 'Hours': '시간'
+  , 'Minutes': '분'
+  , 'Seconds': '초'
+  }
+})
@@ -0,0 +1,81 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Lithuanian locale.
+ */
+module.exports = addLocale('lt', {
+  a: ['sk', 'pr', 'an', 'tr', 'kt', 'pn', 'št']
+, A: ['sekmadienis', 'pirmadienis', 'antradienis', 'trečiadienis',
+      'ketvirtadienis', 'penktadienis', 'šeštadienis']
+, AM: 'priešpiet'
+, b: ['saus.', 'vas.', 'kov.', 'bal.', 'geg.', 'birž.', 'liep.', 'rugp.',
+      'rugs.', 'spal.', 'lapkr.', 'gruod.']
+, B: ['sausis', 'vasaris', 'kovas', 'balandis', 'gegužė', 'birželis', 'liepa',
+      'rugpjūtis', 'rugsėjis', 'spalis', 'lapkritis', 'gruodis']
+, PM: 'popiet'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  , '%H.%M.%S'                          // '14.30.59'
+  , '%H.%M'                             // '14.30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d %H.%M.%S'                 // '2006-10-25 14.30.59'
+  , '%Y-%m-%d %H.%M'                    // '2006-10-25 14.30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y %H.%M.%S'                 // '25.10.2006 14.30.59'
+  , '%d.%m.%Y %H.%M'                    // '25.10.2006 14.30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y %H.%M.%S'                 // '25.10.06 14.30.59'
+  , '%d.%m.%y %H.%M'                    // '25.10.06 14.30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Šis laukas yra privalomas.'
+  , 'Enter a valid value.': 'Įveskite tinkamą reikšmę.'
+  , 'Enter a whole number.': 'Įveskite sveikąjį skaičių.'
+  , 'Enter a number.': 'Įveskite skaičių.'
+  , 'Enter a valid date.': 'Įveskite tinkamą datą.'
+  , 'Enter a valid time.': 'Įveskite tinkamą laiką.'
+  , 'Enter a valid date/time.': 'Įveskite tinkamą datą/laiką.'
+  , 'Enter a valid email address.': 'Įveskite teisingą el. pašto adresą.'
+  , 'Enter a valid URL.': 'Įveskite tinkamą URL adresą.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Įsitikinkite, kad reikšmę sudaro ne daugiau kaip {limitValue} simbolių (dabar {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Įsitikinkite, kad reikšmę sudaro bent {limitValue} simbolių (dabar {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Įsitikinkite, kad reikšmė yra mažesnė arba lygi {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Įsitikinkite, kad reikšmė yra didesnė arba lygi {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Pasirinkite tinkamą reikšmę. {value} nėra vienas iš galimų pasirinkimų.'
+  , 'No file was submitted.': 'Nebuvo nurodytas failas.'
+  , 'Please submit {maxNum} or fewer forms.': 'Pateikite ne daugiau kaip {maxNum} formų.'
+  , 'Please submit {minNum} or more forms.': 'Pateikite bent {minNum} formų.'
+  , 'Unknown': 'Nežinomas'
+  , 'Yes': 'Taip'
+  , 'No': 'Ne'
+  , 'Currently': 'Šiuo metu'
+  , 'Change': 'Pakeisti'
+  , 'Clear': 'Išvalyti'
+  , 'Days': 'Dienos'
+  , 'Hours': 'Valandos'
+  , 'Minutes': 'Minutės'
+  , 'Seconds': 'Sekundės'
+  }
+})
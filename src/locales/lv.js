@@ -0,0 +1,81 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Latvian locale.
+ */
+module.exports = addLocale('lv', {
+  a: ['Sv', 'Pr', 'Ot', 'Tr', 'Ce', 'Pk', 'Se']
+, A: ['svētdiena', 'pirmdiena', 'otrdiena', 'trešdiena', 'ceturtdiena',
+      'piektdiena', 'sestdiena']
+, AM: 'priekšpusdienā'
+, b: ['janv.', 'febr.', 'marts', 'apr.', 'maijs', 'jūn.', 'jūl.', 'aug.',
+      'sept.', 'okt.', 'nov.', 'dec.']
+, B: ['janvāris', 'februāris', 'marts', 'aprīlis', 'maijs', 'jūnijs', 'jūlijs',
+      'augusts', 'septembris', 'oktobris', 'novembris', 'decembris']
+, PM: 'pēcpusdienā'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  , '%H.%M.%S'                          // '14.30.59'
+  , '%H.%M'                             // '14.30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d %H.%M.%S'                 // '2006-10-25 14.30.59'
+  , '%Y-%m-%d %H.%M'                    // '2006-10-25 14.30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y %H.%M.%S'                 // '25.10.2006 14.30.59'
+  , '%d.%m.%Y %H.%M'                    // '25.10.2006 14.30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y %H.%M.%S'                 // '25.10.06 14.30.59'
+  , '%d.%m.%y %H.%M'                    // '25.10.06 14.30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Šis lauks ir obligāts.'
+  , 'Enter a valid value.': 'Ievadiet korektu vērtību.'
+  , 'Enter a whole number.': 'Ievadiet veselu skaitli.'
+  , 'Enter a number.': 'Ievadiet skaitli.'
+  , 'Enter a valid date.': 'Ievadiet korektu datumu.'
+  , 'Enter a valid time.': 'Ievadiet korektu laiku.'
+  , 'Enter a valid date/time.': 'Ievadiet korektu datumu/laiku.'
+  , 'Enter a valid email address.': 'Ievadiet korektu e-pasta adresi.'
+  , 'Enter a valid URL.': 'Ievadiet korektu URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Vērtībai jābūt ne vairāk kā {limitValue} simbolus garai (tai ir {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Vērtībai jābūt vismaz {limitValue} simbolus garai (tai ir {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Vērtībai jābūt mazākai vai vienādai ar {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Vērtībai jābūt lielākai vai vienādai ar {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Izvēlieties korektu izvēli. {value} nav pieejamo izvēļu sarakstā.'
+  , 'No file was submitted.': 'Netika iesniegts fails.'
+  , 'Please submit {maxNum} or fewer forms.': 'Lūdzu iesniedziet {maxNum} vai mazāk formas.'
+  , 'Please submit {minNum} or more forms.': 'Lūdzu iesniedziet {minNum} vai vairāk formas.'
+  , 'Unknown': 'Nezināms'
+  , 'Yes': 'Jā'
+  , 'No': 'Nē'
+  , 'Currently': 'Pašlaik'
+  , 'Change': 'Mainīt'
+  , 'Clear': 'Notīrīt'
+  , 'Days': 'Dienas'
+  , 'Hours': 'Stundas'
+  , 'Minutes': 'Minūtes'
+  , 'Seconds': 'Sekundes'
+  }
+})
@@ -0,0 +1,72 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Norwegian Bokmål locale.
+ */
+module.exports = addLocale('nb', {
+  a: ['søn.', 'man.', 'tir.', 'ons.', 'tor.', 'fre.', 'lør.']
+, A: ['søndag', 'mandag', 'tirsdag', 'onsdag', 'torsdag', 'fredag', 'lørdag']
+, AM: 'a.m.'
+, b: ['jan.', 'feb.', 'mar.', 'apr.', 'mai', 'jun.', 'jul.', 'aug.', 'sep.',
+      'okt.', 'nov.', 'des.']
+, B: ['januar', 'februar', 'mars', 'april', 'mai', 'juni', 'juli', 'august',
+      'september', 'oktober', 'november', 'desember']
+, PM: 'p.m.'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Feltet er påkrevet.'
+  , 'Enter a valid value.': 'Oppgi en gyldig verdi.'
+  , 'Enter a whole number.': 'Oppgi et heltall.'
+  , 'Enter a number.': 'Oppgi et tall.'
+  , 'Enter a valid date.': 'Oppgi en gyldig dato.'
+  , 'Enter a valid time.': 'Oppgi et gyldig tidspunkt.'
+  , 'Enter a valid date/time.': 'Oppgi gyldig dato og tidspunkt.'
+  , 'Enter a valid email address.': 'Oppgi en gyldig e-postadresse.'
+  , 'Enter a valid URL.': 'Oppgi en gyldig URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Verdien kan ikke ha mer enn {limitValue} tegn (den har {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Verdien må ha minst {limitValue} tegn (den har {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Verdien må være mindre enn eller lik {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Verdien må være større enn eller lik {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Velg et gyldig valg. {value} er ikke et av de tilgjengelige valgene.'
+  , 'No file was submitted.': 'Ingen fil ble sendt.'
+  , 'Please submit {maxNum} or fewer forms.': 'Send inn {maxNum} eller færre skjemaer.'
+  , 'Please submit {minNum} or more forms.': 'Send inn {minNum} eller flere skjemaer.'
+  , 'Unknown': 'Ukjent'
+  , 'Yes': 'Ja'
+  , 'No': 'Nei'
+  , 'Currently': 'Nåværende'
+  , 'Change': 'Endre'
+  , 'Clear': 'Fjern'
+  , 'Days': 'Dager'
+  , 'Hours': 'Timer'
+  , 'Minutes': 'Minutter'
+  , 'Seconds': 'Sekunder'
+  }
+})
@@ -0,0 +1,89 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Dutch locale.
+ */
+module.exports = addLocale('nl', {
+  a: ['zo', 'ma', 'di', 'wo', 'do', 'vr', 'za']
+, A: ['zondag', 'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag',
+      'zaterdag']
+, AM: 'a.m.'
+, b: ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt',
+      'nov', 'dec']
+, B: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli',
+      'augustus', 'september', 'oktober', 'november', 'december']
+, PM: 'p.m.'
+, DATE_INPUT_FORMATS: [
+    '%d-%m-%Y'                          // '25-10-2006'
+  , '%d-%m-%y'                          // '25-10-06'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%d %b %Y'                          // '25 okt 2006'
+  , '%d %B %Y'                          // '25 oktober 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  , '%H.%M'                             // '14.30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d-%m-%Y %H:%M:%S'                 // '25-10-2006 14:30:59'
+  , '%d-%m-%Y %H:%M'                    // '25-10-2006 14:30'
+  , '%d-%m-%Y %H.%M'                    // '25-10-2006 14.30'
+  , '%d-%m-%Y'                          // '25-10-2006'
+  , '%d-%m-%y %H:%M:%S'                 // '25-10-06 14:30:59'
+  , '%d-%m-%y %H:%M'                    // '25-10-06 14:30'
+  , '%d-%m-%y %H.%M'                    // '25-10-06 14.30'
+  , '%d-%m-%y'                          // '25-10-06'
+  , '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y %H.%M'                    // '25/10/2006 14.30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y %H.%M'                    // '25/10/06 14.30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%Y/%m/%d %H:%M:%S'                 // '2006/10/25 14:30:59'
+  , '%Y/%m/%d %H:%M'                    // '2006/10/25 14:30'
+  , '%Y/%m/%d %H.%M'                    // '2006/10/25 14.30'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  ]
+, DATE_FORMAT: '%d-%m-%Y'               // '25-10-2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d-%m-%Y %H:%M:%S'  // '25-10-2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Dit veld is verplicht.'
+  , 'Enter a valid value.': 'Voer een geldige waarde in.'
+  , 'Enter a whole number.': 'Voer een geheel getal in.'
+  , 'Enter a number.': 'Voer een getal in.'
+  , 'Enter a valid date.': 'Voer een geldige datum in.'
+  , 'Enter a valid time.': 'Voer een geldige tijd in.'
+  , 'Enter a valid date/time.': 'Voer een geldige datum/tijd in.'
+  , 'Enter a valid email address.': 'Voer een geldig e-mailadres in.'
+  , 'Enter a valid URL.': 'Voer een geldige URL in.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Zorg ervoor dat deze waarde hoogstens {limitValue} tekens heeft (nu {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Zorg ervoor dat deze waarde minstens {limitValue} tekens heeft (nu {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Zorg ervoor dat deze waarde kleiner of gelijk is aan {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Zorg ervoor dat deze waarde groter of gelijk is aan {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Selecteer een geldige keuze. {value} is geen beschikbare keuze.'
+  , 'No file was submitted.': 'Er is geen bestand verstuurd.'
+  , 'Please submit {maxNum} or fewer forms.': 'Verstuur {maxNum} of minder formulieren.'
+  , 'Please submit {minNum} or more forms.': 'Verstuur {minNum} of meer formulieren.'
+  , 'Unknown': 'Onbekend'
+  , 'Yes': 'Ja'
+  , 'No': 'Nee'
+  , 'Currently': 'Huidige'
+  , 'Change': 'Wijzigen'
+  , 'Clear': 'Wissen'
+  , 'Days': 'Dagen'
+  , 'Hours': 'Uren'
+  , 'Minutes': 'Minuten'
+  , 'Seconds': 'Seconden'
+  }
+})
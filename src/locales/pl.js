@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Polish locale.
+ */
+module.exports = addLocale('pl', {
+  a: ['niedz.', 'pon.', 'wt.', 'śr.', 'czw.', 'pt.', 'sob.']
+, A: ['niedziela', 'poniedziałek', 'wtorek', 'środa', 'czwartek', 'piątek',
+      'sobota']
+, AM: 'AM'
+, b: ['sty', 'lut', 'mar', 'kwi', 'maj', 'cze', 'lip', 'sie', 'wrz', 'paź',
+      'lis', 'gru']
+, B: ['styczeń', 'luty', 'marzec', 'kwiecień', 'maj', 'czerwiec', 'lipiec',
+      'sierpień', 'wrzesień', 'październik', 'listopad', 'grudzień']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'To pole jest wymagane.'
+  , 'Enter a valid value.': 'Wpisz poprawną wartość.'
+  , 'Enter a whole number.': 'Wpisz liczbę całkowitą.'
+  , 'Enter a number.': 'Wpisz liczbę.'
+  , 'Enter a valid date.': 'Wpisz poprawną datę.'
+  , 'Enter a valid time.': 'Wpisz poprawną godzinę.'
+  , 'Enter a valid date/time.': 'Wpisz poprawną datę/godzinę.'
+  , 'Enter a valid email address.': 'Wprowadź poprawny adres email.'
+  , 'Enter a valid URL.': 'Wpisz poprawny URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Upewnij się, że ta wartość ma co najwyżej {limitValue} znaków (obecnie ma {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Upewnij się, że ta wartość ma co najmniej {limitValue} znaków (obecnie ma {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Upewnij się, że ta wartość jest mniejsza lub równa {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Upewnij się, że ta wartość jest większa lub równa {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Wybierz poprawną wartość. {value} nie jest jednym z dostępnych wyborów.'
+  , 'No file was submitted.': 'Żaden plik nie został przesłany.'
+  , 'Please submit {maxNum} or fewer forms.': 'Proszę wysłać co najwyżej {maxNum} formularzy.'
+  , 'Please submit {minNum} or more forms.': 'Proszę wysłać co najmniej {minNum} formularzy.'
+  , 'Unknown': 'Nieznany'
+  , 'Yes': 'Tak'
+  , 'No': 'Nie'
+  , 'Currently': 'Teraz'
+  , 'Change': 'Zmień'
+  , 'Clear': 'Wyczyść'
+  , 'Days': 'Dni'
+  , 'Hours': 'Godziny'
+  , 'Minutes': 'Minuty'
+  , 'Seconds': 'Sekundy'
+  }
+})
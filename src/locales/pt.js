@@ -0,0 +1,73 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Portuguese locale.
+ */
+module.exports = addLocale('pt', {
+  a: ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb']
+, A: ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira',
+      'quinta-feira', 'sexta-feira', 'sábado']
+, AM: 'AM'
+, b: ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out',
+      'nov', 'dez']
+, B: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho',
+      'agosto', 'setembro', 'outubro', 'novembro', 'dezembro']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Este campo é obrigatório.'
+  , 'Enter a valid value.': 'Introduza um valor válido.'
+  , 'Enter a whole number.': 'Introduza um número inteiro.'
+  , 'Enter a number.': 'Introduza um número.'
+  , 'Enter a valid date.': 'Introduza uma data válida.'
+  , 'Enter a valid time.': 'Introduza uma hora válida.'
+  , 'Enter a valid date/time.': 'Introduza uma data e hora válidas.'
+  , 'Enter a valid email address.': 'Introduza um endereço de e-mail válido.'
+  , 'Enter a valid URL.': 'Introduza um URL válido.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Garanta que este valor tem no máximo {limitValue} caracteres (tem {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Garanta que este valor tem pelo menos {limitValue} caracteres (tem {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Garanta que este valor é menor ou igual a {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Garanta que este valor é maior ou igual a {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Selecione uma opção válida. {value} não é uma das opções disponíveis.'
+  , 'No file was submitted.': 'Nenhum ficheiro foi submetido.'
+  , 'Please submit {maxNum} or fewer forms.': 'Por favor submeta {maxNum} ou menos formulários.'
+  , 'Please submit {minNum} or more forms.': 'Por favor submeta {minNum} ou mais formulários.'
+  , 'Unknown': 'Desconhecido'
+  , 'Yes': 'Sim'
+  , 'No': 'Não'
+  , 'Currently': 'Atualmente'
+  , 'Change': 'Alterar'
+  , 'Clear': 'Limpar'
+  , 'Days': 'Dias'
+  , 'Hours': 'Horas'
+  , 'Minutes': 'Minutos'
+  , 'Seconds': 'Segundos'
+  }
+})
@@ -0,0 +1,55 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {addLocale} = require('../locales')
+var pt = require('./pt')
+
+/**
+ * Brazilian Portuguese locale.
+ */
+module.exports = addLocale('pt_BR', object.extend({}, pt, {
+  DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, MESSAGES: {
+    'This field is required.': 'Este campo é obrigatório.'
+  , 'Enter a valid value.': 'Informe um valor válido.'
+  , 'Enter a whole number.': 'Informe um número inteiro.'
+  , 'Enter a number.': 'Informe um número.'
+  , 'Enter a valid date.': 'Informe uma data válida.'
+  , 'Enter a valid time.': 'Informe uma hora válida.'
+  , 'Enter a valid date/time.': 'Informe uma data/hora válida.'
+  , 'Enter a valid email address.': 'Informe um endereço de email válido.'
+  , 'Enter a valid URL.': 'Informe uma URL válida.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Certifique-se de que o valor tenha no máximo {limitValue} caracteres (ele possui {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Certifique-se de que o valor tenha no mínimo {limitValue} caracteres (ele possui {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Certifique-se que este valor seja menor ou igual a {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Certifique-se que este valor seja maior ou igual a {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Faça uma escolha válida. {value} não é uma das escolhas disponíveis.'
+  , 'No file was submitted.': 'Nenhum arquivo foi enviado.'
+  , 'Please submit {maxNum} or fewer forms.': 'Por favor envie {maxNum} ou menos formulários.'
+  , 'Please submit {minNum} or more forms.': 'Por favor envie {minNum} ou mais formulários.'
+  , 'Unknown': 'Desconhecido'
+  , 'Yes': 'Sim'
+  , 'No': 'Não'
+  , 'Currently': 'Atualmente'
+  , 'Change': 'Modificar'
+  , 'Clear': 'Limpar'
+  , 'Days': 'Dias'
+  , 'Hours': 'Horas'
+  , 'Minutes': 'Minutos'
+  , 'Seconds': 'Segundos'
+  }
+}))
@@ -0,0 +1,65 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Romanian locale.
+ */
+module.exports = addLocale('ro', {
+  a: ['dum.', 'lun.', 'mar.', 'mie.', 'joi', 'vin.', 'sâm.']
+, A: ['duminică', 'luni', 'marți', 'miercuri', 'joi', 'vineri', 'sâmbătă']
+, AM: 'a.m.'
+, b: ['ian.', 'feb.', 'mar.', 'apr.', 'mai', 'iun.', 'iul.', 'aug.', 'sept.',
+      'oct.', 'nov.', 'dec.']
+, B: ['ianuarie', 'februarie', 'martie', 'aprilie', 'mai', 'iunie', 'iulie',
+      'august', 'septembrie', 'octombrie', 'noiembrie', 'decembrie']
+, PM: 'p.m.'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d %B %Y'                          // '25 octombrie 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Acest câmp este obligatoriu.'
+  , 'Enter a valid value.': 'Introduceți o valoare validă.'
+  , 'Enter a whole number.': 'Introduceți un număr întreg.'
+  , 'Enter a number.': 'Introduceți un număr.'
+  , 'Enter a valid date.': 'Introduceți o dată validă.'
+  , 'Enter a valid time.': 'Introduceți o oră validă.'
+  , 'Enter a valid date/time.': 'Introduceți o dată/oră validă.'
+  , 'Enter a valid email address.': 'Introduceți o adresă de email validă.'
+  , 'Enter a valid URL.': 'Introduceți un URL valid.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Asigurați-vă că această valoare are cel mult {limitValue} caractere (are {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Asigurați-vă că această valoare are cel puțin {limitValue} caractere (are {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Asigurați-vă că această valoare este mai mică sau egală cu {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Asigurați-vă că această valoare este mai mare sau egală cu {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Selectați o opțiune validă. {value} nu face parte din opțiunile disponibile.'
+  , 'No file was submitted.': 'Niciun fișier nu a fost trimis.'
+  , 'Please submit {maxNum} or fewer forms.': 'Trimiteți cel mult {maxNum} formulare.'
+  , 'Please submit {minNum} or more forms.': 'Trimiteți cel puțin {minNum} formulare.'
+  , 'Unknown': 'Necunoscut'
+  , 'Yes': 'Da'
+  , 'No': 'Nu'
+  , 'Currently': 'În prezent'
+  , 'Change': 'Schimbă'
+  , 'Clear': 'Șterge'
+  , 'Days': 'Zile'
+  , 'Hours': 'Ore'
+  , 'Minutes': 'Minute'
+  , 'Seconds': 'Secunde'
+  }
+})
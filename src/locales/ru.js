@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Russian locale.
+ */
+module.exports = addLocale('ru', {
+  a: ['вс', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб']
+, A: ['воскресенье', 'понедельник', 'вторник', 'среда', 'четверг', 'пятница',
+      'суббота']
+, AM: 'AM'
+, b: ['янв.', 'февр.', 'март', 'апр.', 'май', 'июнь', 'июль', 'авг.', 'сент.',
+      'окт.', 'нояб.', 'дек.']
+, B: ['январь', 'февраль', 'март', 'апрель', 'май', 'июнь', 'июль', 'август',
+      'сентябрь', 'октябрь', 'ноябрь', 'декабрь']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Обязательное поле.'
+  , 'Enter a valid value.': 'Введите правильное значение.'
+  , 'Enter a whole number.': 'Введите целое число.'
+  , 'Enter a number.': 'Введите число.'
+  , 'Enter a valid date.': 'Введите правильную дату.'
+  , 'Enter a valid time.': 'Введите правильное время.'
+  , 'Enter a valid date/time.': 'Введите правильную дату и время.'
+  , 'Enter a valid email address.': 'Введите правильный адрес электронной почты.'
+  , 'Enter a valid URL.': 'Введите правильный URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Убедитесь, что это значение содержит не более {limitValue} символов (сейчас {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Убедитесь, что это значение содержит не менее {limitValue} символов (сейчас {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Убедитесь, что это значение меньше либо равно {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Убедитесь, что это значение больше либо равно {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Выберите корректный вариант. {value} нет среди допустимых значений.'
+  , 'No file was submitted.': 'Ни одного файла не было отправлено.'
+  , 'Please submit {maxNum} or fewer forms.': 'Пожалуйста, отправьте не более {maxNum} форм.'
+  , 'Please submit {minNum} or more forms.': 'Пожалуйста, отправьте не менее {minNum} форм.'
+  , 'Unknown': 'Неизвестно'
+  , 'Yes': 'Да'
+  , 'No': 'Нет'
+  , 'Currently': 'На данный момент'
+  , 'Change': 'Изменить'
+  , 'Clear': 'Очистить'
+  , 'Days': 'Дни'
+  , 'Hours': 'Часы'
+  , 'Minutes': 'Минуты'
+  , 'Seconds': 'Секунды'
+  }
+})
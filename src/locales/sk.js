@@ -0,0 +1,68 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Slovak locale.
+ */
+module.exports = addLocale('sk', {
+  a: ['ne', 'po', 'ut', 'st', 'št', 'pi', 'so']
+, A: ['nedeľa', 'pondelok', 'utorok', 'streda', 'štvrtok', 'piatok', 'sobota']
+, AM: 'AM'
+, b: ['jan', 'feb', 'mar', 'apr', 'máj', 'jún', 'júl', 'aug', 'sep', 'okt',
+      'nov', 'dec']
+, B: ['január', 'február', 'marec', 'apríl', 'máj', 'jún', 'júl', 'august',
+      'september', 'október', 'november', 'december']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Toto pole je povinné.'
+  , 'Enter a valid value.': 'Zadajte platnú hodnotu.'
+  , 'Enter a whole number.': 'Zadajte celé číslo.'
+  , 'Enter a number.': 'Zadajte číslo.'
+  , 'Enter a valid date.': 'Zadajte platný dátum.'
+  , 'Enter a valid time.': 'Zadajte platný čas.'
+  , 'Enter a valid date/time.': 'Zadajte platný dátum a čas.'
+  , 'Enter a valid email address.': 'Zadajte platnú e-mailovú adresu.'
+  , 'Enter a valid URL.': 'Zadajte platnú URL adresu.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Uistite sa, že táto hodnota má najviac {limitValue} znakov (má {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Uistite sa, že táto hodnota má najmenej {limitValue} znakov (má {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Uistite sa, že táto hodnota je menšia alebo rovná {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Uistite sa, že táto hodnota je väčšia alebo rovná {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Vyberte platnú voľbu. {value} nepatrí medzi dostupné možnosti.'
+  , 'No file was submitted.': 'Súbor nebol odoslaný.'
+  , 'Please submit {maxNum} or fewer forms.': 'Odošlite najviac {maxNum} formulárov.'
+  , 'Please submit {minNum} or more forms.': 'Odošlite najmenej {minNum} formulárov.'
+  , 'Unknown': 'Neznámy'
+  , 'Yes': 'Áno'
+  , 'No': 'Nie'
+  , 'Currently': 'Súčasne'
+  , 'Change': 'Zmeniť'
+  , 'Clear': 'Vymazať'
+  , 'Days': 'Dni'
+  , 'Hours': 'Hodiny'
+  , 'Minutes': 'Minúty'
+  , 'Seconds': 'Sekundy'
+  }
+})
@@ -0,0 +1,76 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Slovenian locale.
+ */
+module.exports = addLocale('sl', {
+  a: ['ned.', 'pon.', 'tor.', 'sre.', 'čet.', 'pet.', 'sob.']
+, A: ['nedelja', 'ponedeljek', 'torek', 'sreda', 'četrtek', 'petek', 'sobota']
+, AM: 'dop.'
+, b: ['jan.', 'feb.', 'mar.', 'apr.', 'maj', 'jun.', 'jul.', 'avg.', 'sep.',
+      'okt.', 'nov.', 'dec.']
+, B: ['januar', 'februar', 'marec', 'april', 'maj', 'junij', 'julij', 'avgust',
+      'september', 'oktober', 'november', 'december']
+, PM: 'pop.'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  , '%d. %m. %Y'                        // '25. 10. 2006'
+  , '%d. %m. %y'                        // '25. 10. 06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  , '%d. %m. %Y %H:%M:%S'               // '25. 10. 2006 14:30:59'
+  , '%d. %m. %Y %H:%M'                  // '25. 10. 2006 14:30'
+  , '%d. %m. %Y'                        // '25. 10. 2006'
+  , '%d. %m. %y %H:%M:%S'               // '25. 10. 06 14:30:59'
+  , '%d. %m. %y %H:%M'                  // '25. 10. 06 14:30'
+  , '%d. %m. %y'                        // '25. 10. 06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'To polje je obvezno.'
+  , 'Enter a valid value.': 'Vnesite veljavno vrednost.'
+  , 'Enter a whole number.': 'Vnesite celo število.'
+  , 'Enter a number.': 'Vnesite število.'
+  , 'Enter a valid date.': 'Vnesite veljaven datum.'
+  , 'Enter a valid time.': 'Vnesite veljaven čas.'
+  , 'Enter a valid date/time.': 'Vnesite veljaven datum/čas.'
+  , 'Enter a valid email address.': 'Vnesite veljaven e-poštni naslov.'
+  , 'Enter a valid URL.': 'Vnesite veljaven URL naslov.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Poskrbite, da bo ta vrednost imela največ {limitValue} znakov (trenutno jih ima {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Poskrbite, da bo ta vrednost imela vsaj {limitValue} znakov (trenutno jih ima {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Poskrbite, da bo ta vrednost manjša ali enaka {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Poskrbite, da bo ta vrednost večja ali enaka {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Izberite veljavno možnost. {value} ni med ponujenimi izbirami.'
+  , 'No file was submitted.': 'Datoteka ni bila poslana.'
+  , 'Please submit {maxNum} or fewer forms.': 'Pošljite največ {maxNum} obrazcev.'
+  , 'Please submit {minNum} or more forms.': 'Pošljite vsaj {minNum} obrazcev.'
+  , 'Unknown': 'Neznano'
+  , 'Yes': 'Da'
+  , 'No': 'Ne'
+  , 'Currently': 'Trenutno'
+  , 'Change': 'Spremeni'
+  , 'Clear': 'Počisti'
+  , 'Days': 'Dnevi'
+  , 'Hours': 'Ure'
+  , 'Minutes': 'Minute'
+  , 'Seconds': 'Sekunde'
+  }
+})
@@ -0,0 +1,76 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Serbian locale.
+ */
+module.exports = addLocale('sr', {
+  a: ['нед', 'пон', 'уто', 'сре', 'чет', 'пет', 'суб']
+, A: ['недеља', 'понедељак', 'уторак', 'среда', 'четвртак', 'петак', 'субота']
+, AM: 'AM'
+, b: ['јан', 'феб', 'мар', 'апр', 'мај', 'јун', 'јул', 'авг', 'сеп', 'окт',
+      'нов', 'дец']
+, B: ['јануар', 'фебруар', 'март', 'април', 'мај', 'јун', 'јул', 'август',
+      'септембар', 'октобар', 'новембар', 'децембар']
+, PM: 'PM'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y.'                         // '25.10.2006.'
+  , '%d.%m.%y.'                         // '25.10.06.'
+  , '%d. %m. %Y.'                       // '25. 10. 2006.'
+  , '%d. %m. %y.'                       // '25. 10. 06.'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y. %H:%M:%S'                // '25.10.2006. 14:30:59'
+  , '%d.%m.%Y. %H:%M'                   // '25.10.2006. 14:30'
+  , '%d.%m.%Y.'                         // '25.10.2006.'
+  , '%d.%m.%y. %H:%M:%S'                // '25.10.06. 14:30:59'
+  , '%d.%m.%y. %H:%M'                   // '25.10.06. 14:30'
+  , '%d.%m.%y.'                         // '25.10.06.'
+  , '%d. %m. %Y. %H:%M:%S'              // '25. 10. 2006. 14:30:59'
+  , '%d. %m. %Y. %H:%M'                 // '25. 10. 2006. 14:30'
+  , '%d. %m. %Y.'                       // '25. 10. 2006.'
+  , '%d. %m. %y. %H:%M:%S'              // '25. 10. 06. 14:30:59'
+  , '%d. %m. %y. %H:%M'                 // '25. 10. 06. 14:30'
+  , '%d. %m. %y.'                       // '25. 10. 06.'
+  ]
+, DATE_FORMAT: '%d.%m.%Y.'              // '25.10.2006.'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y. %H:%M:%S' // '25.10.2006. 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Ово поље се мора попунити.'
+  , 'Enter a valid value.': 'Унесите исправну вредност.'
+  , 'Enter a whole number.': 'Унесите цео број.'
+  , 'Enter a number.': 'Унесите број.'
+  , 'Enter a valid date.': 'Унесите исправан датум.'
+  , 'Enter a valid time.': 'Унесите исправно време.'
+  , 'Enter a valid date/time.': 'Унесите исправан датум/време.'
+  , 'Enter a valid email address.': 'Унесите исправну адресу електронске поште.'
+  , 'Enter a valid URL.': 'Унесите исправан URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Ово поље може имати највише {limitValue} знакова (тренутно има {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Ово поље мора имати најмање {limitValue} знакова (тренутно има {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Ова вредност мора бити мања или једнака {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Ова вредност мора бити већа или једнака {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Одаберите исправну опцију. {value} није међу понуђеним вредностима.'
+  , 'No file was submitted.': 'Фајл није послат.'
+  , 'Please submit {maxNum} or fewer forms.': 'Пошаљите {maxNum} или мање формулара.'
+  , 'Please submit {minNum} or more forms.': 'Пошаљите {minNum} или више формулара.'
+  , 'Unknown': 'Непознато'
+  , 'Yes': 'Да'
+  , 'No': 'Не'
+  , 'Currently': 'Тренутно'
+  , 'Change': 'Измени'
+  , 'Clear': 'Очисти'
+  , 'Days': 'Дани'
+  , 'Hours': 'Сати'
+  , 'Minutes': 'Минути'
+  , 'Seconds': 'Секунде'
+  }
+})
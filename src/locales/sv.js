@@ -0,0 +1,72 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Swedish locale.
+ */
+module.exports = addLocale('sv', {
+  a: ['sön', 'mån', 'tis', 'ons', 'tors', 'fre', 'lör']
+, A: ['söndag', 'måndag', 'tisdag', 'onsdag', 'torsdag', 'fredag', 'lördag']
+, AM: 'fm'
+, b: ['jan.', 'feb.', 'mars', 'apr.', 'maj', 'juni', 'juli', 'aug.', 'sep.',
+      'okt.', 'nov.', 'dec.']
+, B: ['januari', 'februari', 'mars', 'april', 'maj', 'juni', 'juli', 'augusti',
+      'september', 'oktober', 'november', 'december']
+, PM: 'em'
+, DATE_INPUT_FORMATS: [
+    '%Y-%m-%d'                          // '2006-10-25'
+  , '%m/%d/%Y'                          // '10/25/2006'
+  , '%m/%d/%y'                          // '10/25/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%m/%d/%Y %H:%M:%S'                 // '10/25/2006 14:30:59'
+  , '%m/%d/%Y %H:%M'                    // '10/25/2006 14:30'
+  , '%m/%d/%Y'                          // '10/25/2006'
+  , '%m/%d/%y %H:%M:%S'                 // '10/25/06 14:30:59'
+  , '%m/%d/%y %H:%M'                    // '10/25/06 14:30'
+  , '%m/%d/%y'                          // '10/25/06'
+  ]
+, DATE_FORMAT: '%Y-%m-%d'               // '2006-10-25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y-%m-%d %H:%M:%S'  // '2006-10-25 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Detta fält måste fyllas i.'
+  , 'Enter a valid value.': 'Fyll i ett giltigt värde.'
+  , 'Enter a whole number.': 'Fyll i ett heltal.'
+  , 'Enter a number.': 'Fyll i ett nummer.'
+  , 'Enter a valid date.': 'Fyll i ett giltigt datum.'
+  , 'Enter a valid time.': 'Fyll i en giltig tid.'
+  , 'Enter a valid date/time.': 'Fyll i ett giltigt datum/tid.'
+  , 'Enter a valid email address.': 'Fyll i en giltig e-postadress.'
+  , 'Enter a valid URL.': 'Fyll i en giltig URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Säkerställ att detta värde har som mest {limitValue} tecken (det har {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Säkerställ att detta värde har minst {limitValue} tecken (det har {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Säkerställ att detta värde är mindre än eller lika med {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Säkerställ att detta värde är större än eller lika med {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Välj ett giltigt alternativ. {value} finns inte bland tillgängliga alternativ.'
+  , 'No file was submitted.': 'Ingen fil skickades.'
+  , 'Please submit {maxNum} or fewer forms.': 'Vänligen skicka {maxNum} eller färre formulär.'
+  , 'Please submit {minNum} or more forms.': 'Vänligen skicka {minNum} eller fler formulär.'
+  , 'Unknown': 'Okänt'
+  , 'Yes': 'Ja'
+  , 'No': 'Nej'
+  , 'Currently': 'Nuvarande'
+  , 'Change': 'Ändra'
+  , 'Clear': 'Rensa'
+  , 'Days': 'Dagar'
+  , 'Hours': 'Timmar'
+  , 'Minutes': 'Minuter'
+  , 'Seconds': 'Sekunder'
+  }
+})
@@ -0,0 +1,67 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Thai locale.
+ */
+module.exports = addLocale('th', {
+  a: ['อา.', 'จ.', 'อ.', 'พ.', 'พฤ.', 'ศ.', 'ส.']
+, A: ['วันอาทิตย์', 'วันจันทร์', 'วันอังคาร', 'วันพุธ', 'วันพฤหัสบดี',
+      'วันศุกร์', 'วันเสาร์']
+, AM: 'ก่อนเที่ยง'
+, b: ['ม.ค.', 'ก.พ.', 'มี.ค.', 'เม.ย.', 'พ.ค.', 'มิ.ย.', 'ก.ค.', 'ส.ค.',
+      'ก.ย.', 'ต.ค.', 'พ.ย.', 'ธ.ค.']
+, B: ['มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
+      'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม']
+, PM: 'หลังเที่ยง'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d %b %Y'                          // '25 ต.ค. 2006'
+  , '%d %B %Y'                          // '25 ตุลาคม 2006'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ','
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'ฟิลด์นี้จำเป็น'
+  , 'Enter a valid value.': 'กรุณาใส่ค่าที่ถูกต้อง'
+  , 'Enter a whole number.': 'กรุณาใส่จำนวนเต็ม'
+  , 'Enter a number.': 'กรุณาใส่ตัวเลข'
+  , 'Enter a valid date.': 'กรุณาใส่วันที่ที่ถูกต้อง'
+  , 'Enter a valid time.': 'กรุณาใส่เวลาที่ถูกต้อง'
+  , 'Enter a valid date/time.': 'กรุณาใส่วันที่และเวลาที่ถูกต้อง'
+  , 'Enter a valid email address.': 'กรุณาใส่อีเมลที่ถูกต้อง'
+  , 'Enter a valid URL.': 'กรุณาใส่ URL ที่ถูกต้อง'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'ค่านี้ต้องมีความยาวไม่เกิน {limitValue} ตัวอักษร (ปัจจุบันมี {showValue})'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'ค่านี้ต้องมีความยาวอย่างน้อย {limitValue} ตัวอักษร (ปัจจุบันมี {showValue})'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'ค่านี้ต้องน้อยกว่าหรือเท่ากับ {limitValue}'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'ค่านี้ต้องมากกว่าหรือเท่ากับ {limitValue}'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'กรุณาเลือกตัวเลือกที่ถูกต้อง {value} ไม่ใช่หนึ่งในตัวเลือกที่มี'
+  , 'No file was submitted.': 'ไม่มีไฟล์ใดถูกส่ง'
+  , 'Please submit {maxNum} or fewer forms.': 'กรุณาส่งฟอร์มไม่เกิน {maxNum} ฟอร์ม'
+  , 'Please submit {minNum} or more forms.': 'กรุณาส่งฟอร์มอย่างน้อย {minNum} ฟอร์ม'
+  , 'Unknown': 'ไม่ทราบ'
+  , 'Yes': 'ใช่'
+  , 'No': 'ไม่ใช่'
+  , 'Currently': 'ปัจจุบัน'
+  , 'Change': 'เปลี่ยน'
+  , 'Clear': 'ล้าง'
+  , 'Days': 'วัน'
+  , 'Hours': 'ชั่วโมง'
+  , 'Minutes': 'นาที'
+  , 'Seconds': 'วินาที'
+  }
+})
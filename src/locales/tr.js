@@ -0,0 +1,73 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Turkish locale.
+ */
+module.exports = addLocale('tr', {
+  a: ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt']
+, A: ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma',
+      'Cumartesi']
+, AM: 'ÖÖ'
+, b: ['Oca', 'Şub', 'Mar', 'Nis', 'May', 'Haz', 'Tem', 'Ağu', 'Eyl', 'Eki',
+      'Kas', 'Ara']
+, B: ['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran', 'Temmuz',
+      'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık']
+, PM: 'ÖS'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%y-%m-%d'                          // '06-10-25'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  , '%y-%m-%d %H:%M:%S'                 // '06-10-25 14:30:59'
+  , '%y-%m-%d %H:%M'                    // '06-10-25 14:30'
+  , '%y-%m-%d'                          // '06-10-25'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Bu alan zorunludur.'
+  , 'Enter a valid value.': 'Geçerli bir değer girin.'
+  , 'Enter a whole number.': 'Tam bir sayı girin.'
+  , 'Enter a number.': 'Bir sayı girin.'
+  , 'Enter a valid date.': 'Geçerli bir tarih girin.'
+  , 'Enter a valid time.': 'Geçerli bir saat girin.'
+  , 'Enter a valid date/time.': 'Geçerli bir tarih/saat girin.'
+  , 'Enter a valid email address.': 'Geçerli bir e-posta adresi girin.'
+  , 'Enter a valid URL.': 'Geçerli bir URL girin.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Bu değerin en fazla {limitValue} karaktere sahip olduğundan emin olun (şu an {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Bu değerin en az {limitValue} karaktere sahip olduğundan emin olun (şu an {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Bu değerin {limitValue} değerinden küçük ya da eşit olduğundan emin olun.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Bu değerin {limitValue} değerinden büyük ya da eşit olduğundan emin olun.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Geçerli bir seçim yapın. {value} mevcut seçeneklerden biri değil.'
+  , 'No file was submitted.': 'Hiç dosya gönderilmedi.'
+  , 'Please submit {maxNum} or fewer forms.': 'Lütfen {maxNum} ya da daha az form gönderin.'
+  , 'Please submit {minNum} or more forms.': 'Lütfen {minNum} ya da daha fazla form gönderin.'
+  , 'Unknown': 'Bilinmiyor'
+  , 'Yes': 'Evet'
+  , 'No': 'Hayır'
+  , 'Currently': 'Şu anki'
+  , 'Change': 'Değiştir'
+  , 'Clear': 'Temizle'
+  , 'Days': 'Günler'
+  , 'Hours': 'Saatler'
+  , 'Minutes': 'Dakikalar'
+  , 'Seconds': 'Saniyeler'
+  }
+})
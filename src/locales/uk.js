@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Ukrainian locale.
+ */
+module.exports = addLocale('uk', {
+  a: ['нд', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб']
+, A: ['неділя', 'понеділок', 'вівторок', 'середа', 'четвер', 'пʼятниця',
+      'субота']
+, AM: 'дп'
+, b: ['січ.', 'лют.', 'бер.', 'квіт.', 'трав.', 'черв.', 'лип.', 'серп.',
+      'вер.', 'жовт.', 'лист.', 'груд.']
+, B: ['січень', 'лютий', 'березень', 'квітень', 'травень', 'червень', 'липень',
+      'серпень', 'вересень', 'жовтень', 'листопад', 'грудень']
+, PM: 'пп'
+, DATE_INPUT_FORMATS: [
+    '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d.%m.%Y %H:%M:%S'                 // '25.10.2006 14:30:59'
+  , '%d.%m.%Y %H:%M'                    // '25.10.2006 14:30'
+  , '%d.%m.%Y'                          // '25.10.2006'
+  , '%d.%m.%y %H:%M:%S'                 // '25.10.06 14:30:59'
+  , '%d.%m.%y %H:%M'                    // '25.10.06 14:30'
+  , '%d.%m.%y'                          // '25.10.06'
+  ]
+, DATE_FORMAT: '%d.%m.%Y'               // '25.10.2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d.%m.%Y %H:%M:%S'  // '25.10.2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '\u00a0'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Це поле обов\'язкове.'
+  , 'Enter a valid value.': 'Введіть коректне значення.'
+  , 'Enter a whole number.': 'Введіть ціле число.'
+  , 'Enter a number.': 'Введіть число.'
+  , 'Enter a valid date.': 'Введіть коректну дату.'
+  , 'Enter a valid time.': 'Введіть коректний час.'
+  , 'Enter a valid date/time.': 'Введіть коректну дату і час.'
+  , 'Enter a valid email address.': 'Введіть коректну адресу електронної пошти.'
+  , 'Enter a valid URL.': 'Введіть коректний URL.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Переконайтеся, що це значення містить не більше {limitValue} символів (зараз {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Переконайтеся, що це значення містить не менше {limitValue} символів (зараз {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Переконайтеся, що це значення менше чи дорівнює {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Переконайтеся, що це значення більше чи дорівнює {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Виберіть коректний варіант. {value} немає серед доступних варіантів.'
+  , 'No file was submitted.': 'Файл не було надіслано.'
+  , 'Please submit {maxNum} or fewer forms.': 'Будь ласка, надішліть не більше {maxNum} форм.'
+  , 'Please submit {minNum} or more forms.': 'Будь ласка, надішліть не менше {minNum} форм.'
+  , 'Unknown': 'Невідомо'
+  , 'Yes': 'Так'
+  , 'No': 'Ні'
+  , 'Currently': 'Наразі'
+  , 'Change': 'Змінити'
+  , 'Clear': 'Очистити'
+  , 'Days': 'Дні'
+  , 'Hours': 'Години'
+  , 'Minutes': 'Хвилини'
+  , 'Seconds': 'Секунди'
+  }
+})
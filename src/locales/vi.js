@@ -0,0 +1,69 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Vietnamese locale.
+ */
+module.exports = addLocale('vi', {
+  a: ['CN', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7']
+, A: ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu',
+      'Thứ bảy']
+, AM: 'SA'
+, b: ['thg 1', 'thg 2', 'thg 3', 'thg 4', 'thg 5', 'thg 6', 'thg 7', 'thg 8',
+      'thg 9', 'thg 10', 'thg 11', 'thg 12']
+, B: ['tháng 1', 'tháng 2', 'tháng 3', 'tháng 4', 'tháng 5', 'tháng 6',
+      'tháng 7', 'tháng 8', 'tháng 9', 'tháng 10', 'tháng 11', 'tháng 12']
+, PM: 'CH'
+, DATE_INPUT_FORMATS: [
+    '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%d/%m/%Y %H:%M:%S'                 // '25/10/2006 14:30:59'
+  , '%d/%m/%Y %H:%M'                    // '25/10/2006 14:30'
+  , '%d/%m/%Y'                          // '25/10/2006'
+  , '%d/%m/%y %H:%M:%S'                 // '25/10/06 14:30:59'
+  , '%d/%m/%y %H:%M'                    // '25/10/06 14:30'
+  , '%d/%m/%y'                          // '25/10/06'
+  ]
+, DATE_FORMAT: '%d/%m/%Y'               // '25/10/2006'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%d/%m/%Y %H:%M:%S'  // '25/10/2006 14:30:59'
+, DECIMAL_SEPARATOR: ','
+, THOUSAND_SEPARATOR: '.'
+, NUMBER_GROUPING: 3
+, MESSAGES: {
+    'This field is required.': 'Trường này là bắt buộc.'
+  , 'Enter a valid value.': 'Nhập một giá trị hợp lệ.'
+  , 'Enter a whole number.': 'Nhập một số nguyên.'
+  , 'Enter a number.': 'Nhập một số.'
+  , 'Enter a valid date.': 'Nhập một ngày hợp lệ.'
+  , 'Enter a valid time.': 'Nhập một thời gian hợp lệ.'
+  , 'Enter a valid date/time.': 'Nhập ngày/giờ hợp lệ.'
+  , 'Enter a valid email address.': 'Nhập một địa chỉ email hợp lệ.'
+  , 'Enter a valid URL.': 'Nhập một URL hợp lệ.'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': 'Hãy đảm bảo giá trị này có nhiều nhất {limitValue} ký tự (hiện có {showValue}).'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': 'Hãy đảm bảo giá trị này có ít nhất {limitValue} ký tự (hiện có {showValue}).'
+  , 'Ensure this value is less than or equal to {limitValue}.': 'Hãy đảm bảo giá trị này nhỏ hơn hoặc bằng {limitValue}.'
+  , 'Ensure this value is greater than or equal to {limitValue}.': 'Hãy đảm bảo giá trị này lớn hơn hoặc bằng {limitValue}.'
+  , 'Select a valid choice. {value} is not one of the available choices.': 'Hãy chọn một lựa chọn hợp lệ. {value} không nằm trong các lựa chọn có sẵn.'
+  , 'No file was submitted.': 'Không có tập tin nào được gửi.'
+  , 'Please submit {maxNum} or fewer forms.': 'Vui lòng gửi {maxNum} biểu mẫu hoặc ít hơn.'
+  , 'Please submit {minNum} or more forms.': 'Vui lòng gửi {minNum} biểu mẫu hoặc nhiều hơn.'
+  , 'Unknown': 'Chưa xác định'
+  , 'Yes': 'Có'
+  , 'No': 'Không'
+  , 'Currently': 'Hiện nay'
+  , 'Change': 'Thay đổi'
+  , 'Clear': 'Xóa'
+  , 'Days': 'Ngày'
+  , 'Hours': 'Giờ'
+  , 'Minutes': 'Phút'
+  , 'Seconds': 'Giây'
+  }
+})
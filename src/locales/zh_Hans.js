@@ -0,0 +1,71 @@
+'use strict';
+
+var {addLocale} = require('../locales')
+
+/**
+ * Simplified Chinese locale.
+ */
+module.exports = addLocale('zh_Hans', {
+  a: ['周日', '周一', '周二', '周三', '周四', '周五', '周六']
+, A: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六']
+, AM: '上午'
+, b: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月',
+      '12月']
+, B: ['一月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '十一月', '十二月']
+, PM: '下午'
+, DATE_INPUT_FORMATS: [
+    '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y年%m月%d日'                         // '2006年10月25日'
+  ]
+, TIME_INPUT_FORMATS: [
+    '%H:%M:%S'                          // '14:30:59'
+  , '%H:%M'                             // '14:30'
+  ]
+, DATETIME_INPUT_FORMATS: [
+    '%Y/%m/%d %H:%M:%S'                 // '2006/10/25 14:30:59'
+  , '%Y/%m/%d %H:%M'                    // '2006/10/25 14:30'
+  , '%Y/%m/%d'                          // '2006/10/25'
+  , '%Y-%m-%d %H:%M:%S'                 // '2006-10-25 14:30:59'
+  , '%Y-%m-%d %H:%M'                    // '2006-10-25 14:30'
+  , '%Y-%m-%d'                          // '2006-10-25'
+  , '%Y年%m月%d日 %H:%M:%S'                // '2006年10月25日 14:30:59'
+  , '%Y年%m月%d日 %H:%M'                   // '2006年10月25日 14:30'
+  , '%Y年%m月%d日'                         // '2006年10月25日'
+  ]
+, DATE_FORMAT: '%Y/%m/%d'               // '2006/10/25'
+, TIME_FORMAT: '%H:%M:%S'               // '14:30:59'
+, DATETIME_FORMAT: '%Y/%m/%d %H:%M:%S'  // '2006/10/25 14:30:59'
+, DECIMAL_SEPARATOR: '.'
+, THOUSAND_SEPARATOR: ''
+, NUMBER_GROUPING: 4
+, MESSAGES: {
+    'This field is required.': '这个字段是必填项。'
+  , 'Enter a valid value.': '输入一个有效的值。'
+  , 'Enter a whole number.': '输入整数。'
+  , 'Enter a number.': '输入一个数字。'
+  , 'Enter a valid date.': '输入一个有效的日期。'
+  , 'Enter a valid time.': '输入一个有效的时间。'
+  , 'Enter a valid date/time.': '输入一个有效的日期/时间。'
+  , 'Enter a valid email address.': '输入一个有效的 Email 地址。'
+  , 'Enter a valid URL.': '输入一个有效的 URL。'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': '确保该值不超过 {limitValue} 个字符（现在有 {showValue} 个）。'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': '确保该值不少于 {limitValue} 个字符（现在有 {showValue} 个）。'
+  , 'Ensure this value is less than or equal to {limitValue}.': '确保该值小于或等于 {limitValue}。'
+  , 'Ensure this value is greater than or equal to {limitValue}.': '确保该值大于或等于 {limitValue}。'
+  , 'Select a valid choice. {value} is not one of the available choices.': '选择一个有效的选项。{value} 不在可用的选项中。'
+  , 'No file was submitted.': '没有提交文件。'
+  , 'Please submit {maxNum} or fewer forms.': '请提交不超过 {maxNum} 个表单。'
+  , 'Please submit {minNum} or more forms.': '请提交至少 {minNum} 个表单。'
+  , 'Unknown': '未知'
+  , 'Yes': '是'
+  , 'No': '否'
+  , 'Currently': '目前'
+  , 'Change': '修改'
+  , 'Clear': '清除'
+  , 'Days': '天'
+  , 'Hours': '小时'
+  , 'Minutes': '分钟'
+  , 'Seconds': '秒'
+  }
+})
@@ -0,0 +1,42 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {addLocale} = require('../locales')
+var zhHans = require('./zh_Hans')
+
+/**
+ * Traditional Chinese locale.
+ */
+module.exports = addLocale('zh_Hant', object.extend({}, zhHans, {
+  a: ['週日', '週一', '週二', '週三', '週四', '週五', '週六']
+, MESSAGES: {
+    'This field is required.': '這個欄位是必須的。'
+  , 'Enter a valid value.': '請輸入有效的值。'
+  , 'Enter a whole number.': '輸入整數。'
+  , 'Enter a number.': '輸入一個數字。'
+  , 'Enter a valid date.': '輸入有效的日期。'
+  , 'Enter a valid time.': '輸入有效的時間。'
+  , 'Enter a valid date/time.': '輸入有效的日期/時間。'
+  , 'Enter a valid email address.': '輸入有效的電子郵件地址。'
+  , 'Enter a valid URL.': '輸入有效的 URL。'
+  , 'Ensure this value has at most {limitValue} characters (it has {showValue}).': '請確認這個值最多只包含 {limitValue} 個字元（目前是 {showValue} 個）。'
+  , 'Ensure this value has at least {limitValue} characters (it has {showValue}).': '請確認這個值至少包含 {limitValue} 個字元（目前是 {showValue} 個）。'
+  , 'Ensure this value is less than or equal to {limitValue}.': '請確認此數值小於或等於 {limitValue}。'
+  , 'Ensure this value is greater than or equal to {limitValue}.': '請確認此數值大於或等於 {limitValue}。'
+  , 'Select a valid choice. {value} is not one of the available choices.': '請選擇有效的項目，{value} 不是一個可用的選擇。'
+  , 'No file was submitted.': '沒有檔案被送出。'
+  , 'Please submit {maxNum} or fewer forms.': '請送出不多於 {maxNum} 個表單。'
+  , 'Please submit {minNum} or more forms.': '請送出至少 {minNum} 個表單。'
+  , 'Unknown': '未知'
+  , 'Yes': '是'
+  , 'No': '否'
+  , 'Currently': '目前'
+  , 'Change': '變更'
+  , 'Clear': '清除'
+  , 'Days': '天'
+  , 'Hours': '小時'
+  , 'Minutes': '分鐘'
+  , 'Seconds': '秒'
+  }
+}))
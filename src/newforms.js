@@ -2,12 +2,18 @@
 
 var validators = require('validators')
 
+var formFromSchema = require('./forms/formFromSchema')
 var locales = require('./locales')
+var timezones = require('./timezones')
 var util = require('./util')
 
 module.exports = {
-  addLocale: locales.addLocale
+  addFieldType: formFromSchema.addFieldType
+, addLocale: locales.addLocale
+, addTimezone: timezones.addTimezone
+, addWidgetType: formFromSchema.addWidgetType
 , allValid: util.allValid
+, BaseRangeField: require('./fields/BaseRangeField')
 , BaseTemporalField: require('./fields/BaseTemporalField')
 , BooleanField: require('./fields/BooleanField')
 , BoundField: require('./BoundField')
@@ -21,12 +27,19 @@ module.exports = {
 , ChoiceInput: require('./widgets/inputs/ChoiceInput')
 , ClearableFileInput: require('./widgets/ClearableFileInput')
 , ComboField: require('./fields/ComboField')
+, currencies: require('./currencies')
 , DateField: require('./fields/DateField')
 , DateInput: require('./widgets/DateInput')
+, DateRangeField: require('./fields/DateRangeField')
 , DateTimeBaseInput: require('./widgets/DateTimeBaseInput')
 , DateTimeField: require('./fields/DateTimeField')
 , DateTimeInput: require('./widgets/DateTimeInput')
+, DateTimeRangeField: require('./fields/DateTimeRangeField')
 , DecimalField: require('./fields/DecimalField')
+, DecimalRangeField: require('./fields/DecimalRangeField')
+, DurationField: require('./fields/DurationField')
+, DurationInput: require('./widgets/DurationInput')
+, durations: require('./durations')
 , EmailField: require('./fields/EmailField')
 , EmailInput: require('./widgets/EmailInput')
 , env: require('./env')
@@ -38,18 +51,28 @@ module.exports = {
 , FilePathField: require('./fields/FilePathField')
 , FloatField: require('./fields/FloatField')
 , Form: require('./Form')
+, FormField: require('./fields/FormField')
 , formats: require('./formats')
+, formFromSchema: formFromSchema.formFromSchema
 , FormRow: require('./components/FormRow')
 , FormSet: require('./FormSet')
+, FormSetField: require('./fields/FormSetField')
 , GenericIPAddressField: require('./fields/GenericIPAddressField')
 , getFormData: util.getFormData
 , HiddenInput: require('./widgets/HiddenInput')
+, HiddenRangeWidget: require('./widgets/HiddenRangeWidget')
 , ImageField: require('./fields/ImageField')
 , Input: require('./widgets/Input')
 , IntegerField: require('./fields/IntegerField')
+, IntegerRangeField: require('./fields/IntegerRangeField')
 , IPAddressField: require('./fields/IPAddressField')
+, JSONField: require('./fields/JSONField')
 , isFormAsync: require('./forms/isFormAsync')
 , locales: locales
+, LocalStorage: require('./storage/LocalStorage')
+, MemoryStorage: require('./storage/MemoryStorage')
+, MoneyField: require('./fields/MoneyField')
+, MoneyWidget: require('./widgets/MoneyWidget')
 , MultipleChoiceField: require('./fields/MultipleChoiceField')
 , MultipleFileField: require('./fields/MultipleFileField')
 , MultipleHiddenInput: require('./widgets/MultipleHiddenInput')
@@ -59,28 +82,41 @@ module.exports = {
 , NullBooleanSelect: require('./widgets/NullBooleanSelect')
 , NumberInput: require('./widgets/NumberInput')
 , PasswordInput: require('./widgets/PasswordInput')
+, PhoneNumberField: require('./fields/PhoneNumberField')
+, phonenumbers: require('./phonenumbers')
+, PostalCodeField: require('./fields/PostalCodeField')
+, postalcodes: require('./postalcodes')
 , RadioChoiceInput: require('./widgets/inputs/RadioChoiceInput')
 , RadioFieldRenderer: require('./widgets/renderers/RadioFieldRenderer')
 , RadioSelect: require('./widgets/RadioSelect')
+, RangeWidget: require('./widgets/RangeWidget')
 , RegexField: require('./fields/RegexField')
+, removeFieldType: formFromSchema.removeFieldType
+, removeWidgetType: formFromSchema.removeWidgetType
 , RendererMixin: require('./widgets/renderers/RendererMixin')
 , RenderForm: require('./components/RenderForm')
 , RenderFormSet: require('./components/RenderFormSet')
 , Select: require('./widgets/Select')
 , SelectMultiple: require('./widgets/SelectMultiple')
 , setDefaultLocale: locales.setDefaultLocale
+, setTimezoneResolver: timezones.setTimezoneResolver
 , SlugField: require('./fields/SlugField')
 , SplitDateTimeField: require('./fields/SplitDateTimeField')
 , SplitDateTimeWidget: require('./widgets/SplitDateTimeWidget')
+, SplitDurationField: require('./fields/SplitDurationField')
+, SplitDurationWidget: require('./widgets/SplitDurationWidget')
 , SplitHiddenDateTimeWidget: require('./widgets/SplitHiddenDateTimeWidget')
 , SubWidget: require('./widgets/SubWidget')
+, TelInput: require('./widgets/TelInput')
 , Textarea: require('./widgets/Textarea')
 , TextInput: require('./widgets/TextInput')
 , TimeField: require('./fields/TimeField')
 , TimeInput: require('./widgets/TimeInput')
+, timezones: timezones
 , TypedChoiceField: require('./fields/TypedChoiceField')
 , TypedMultipleChoiceField: require('./fields/TypedMultipleChoiceField')
 , URLField: require('./fields/URLField')
+, UUIDField: require('./fields/UUIDField')
 , util: util
 , validateAll: util.validateAll
 , ValidationError: validators.ValidationError
@@ -0,0 +1,150 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {strip} = require('./util')
+
+/**
+ * Phone number metadata for regions, keyed by ISO 3166-1 alpha-2 code, as
+ * [country calling code, national trunk prefix, minimum national number
+ * length, maximum national number length].
+ */
+var REGIONS = {
+  AE: ['971', '0', 8, 9]
+, AR: ['54', '0', 10, 11]
+, AT: ['43', '0', 4, 13]
+, AU: ['61', '0', 9, 9]
+, BE: ['32', '0', 8, 9]
+, BR: ['55', '0', 10, 11]
+, CA: ['1', '1', 10, 10]
+, CH: ['41', '0', 9, 9]
+, CL: ['56', null, 9, 9]
+, CN: ['86', '0', 7, 12]
+, CO: ['57', '0', 8, 10]
+, CZ: ['420', null, 9, 9]
+, DE: ['49', '0', 5, 15]
+, DK: ['45', null, 8, 8]
+, EG: ['20', '0', 8, 10]
+, ES: ['34', null, 9, 9]
+, FI: ['358', '0', 5, 12]
+, FR: ['33', '0', 9, 9]
+, GB: ['44', '0', 7, 10]
+, GR: ['30', null, 10, 10]
+, HK: ['852', null, 8, 8]
+, HU: ['36', '06', 8, 9]
+, ID: ['62', '0', 7, 12]
+, IE: ['353', '0', 7, 9]
+, IL: ['972', '0', 8, 9]
+, IN: ['91', '0', 10, 10]
+, IT: ['39', null, 6, 11]
+, JP: ['81', '0', 9, 10]
+, KE: ['254', '0', 9, 9]
+, KR: ['82', '0', 8, 10]
+, MX: ['52', null, 10, 10]
+, MY: ['60', '0', 8, 10]
+, NG: ['234', '0', 8, 10]
+, NL: ['31', '0', 9, 9]
+, NO: ['47', null, 8, 8]
+, NZ: ['64', '0', 8, 10]
+, PH: ['63', '0', 8, 10]
+, PK: ['92', '0', 9, 10]
+, PL: ['48', null, 9, 9]
+, PT: ['351', null, 9, 9]
+, RO: ['40', '0', 9, 9]
+, RU: ['7', '8', 10, 10]
+, SA: ['966', '0', 9, 9]
+, SE: ['46', '0', 7, 10]
+, SG: ['65', null, 8, 8]
+, TH: ['66', '0', 8, 9]
+, TR: ['90', '0', 10, 10]
+, TW: ['886', '0', 8, 9]
+, UA: ['380', '0', 9, 9]
+, US: ['1', '1', 10, 10]
+, VN: ['84', '0', 9, 10]
+, ZA: ['27', '0', 9, 9]
+}
+
+/**
+ * National number lengths for country calling codes, combined from the
+ * regions which share each code.
+ */
+var CALLING_CODES = {}
+Object.keys(REGIONS).forEach(function(region) {
+  var metadata = REGIONS[region]
+  var lengths = object.get(CALLING_CODES, metadata[0], [metadata[2], metadata[3]])
+  CALLING_CODES[metadata[0]] = [Math.min(lengths[0], metadata[2]),
+                                Math.max(lengths[1], metadata[3])]
+})
+
+/** Characters commonly used to format phone numbers. */
+var SEPARATORS_RE = /[\s\-.()\/]/g
+
+/**
+ * Checks if phone number metadata is available for a region.
+ * @param {string} region an ISO 3166-1 alpha-2 code.
+ * @return {boolean}
+ */
+function hasRegion(region) {
+  return object.hasOwn(REGIONS, region)
+}
+
+/**
+ * Normalises a phone number to E.164 format, e.g. '+442079460000'.
+ * Numbers starting with '+' or '00' are international. Other numbers are
+ * national numbers in the default region, which may include its trunk prefix.
+ * Numbers for calling codes which aren't in the bundled metadata are only
+ * checked for E.164's maximum length.
+ * @param {string} value
+ * @param {?string} defaultRegion an ISO 3166-1 alpha-2 code.
+ * @return {?string} the E.164 phone number, or null if the input isn't a valid
+ *   phone number.
+ */
+function normalise(value, defaultRegion) {
+  value = strip(value).replace(SEPARATORS_RE, '')
+  var international = false
+  if (value.charAt(0) == '+') {
+    international = true
+    value = value.substr(1)
+  }
+  else if (value.substr(0, 2) == '00') {
+    international = true
+    value = value.substr(2)
+  }
+  if (!/^\d+$/.test(value)) {
+    return null
+  }
+
+  if (!international) {
+    if (!defaultRegion) {
+      return null
+    }
+    var metadata = REGIONS[defaultRegion]
+    var trunkPrefix = metadata[1]
+    if (trunkPrefix !== null &&
+        value.substr(0, trunkPrefix.length) == trunkPrefix) {
+      value = value.substr(trunkPrefix.length)
+    }
+    if (value.length < metadata[2] || value.length > metadata[3]) {
+      return null
+    }
+    return '+' + metadata[0] + value
+  }
+
+  // Calling codes are prefix-free, so at most one of these can match
+  for (var i = 1; i <= 3; i++) {
+    var code = value.substr(0, i)
+    if (object.hasOwn(CALLING_CODES, code)) {
+      var length = value.length - i
+      if (length < CALLING_CODES[code][0] || length > CALLING_CODES[code][1]) {
+        return null
+      }
+      return '+' + value
+    }
+  }
+  return (value.length >= 8 && value.length <= 15 ? '+' + value : null)
+}
+
+module.exports = {
+  hasRegion: hasRegion
+, normalise: normalise
+}
@@ -0,0 +1,98 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var {strip} = require('./util')
+
+/**
+ * Postal code formats for countries, keyed by ISO 3166-1 alpha-2 code.
+ * Patterns match normalised input, which is upper case with single spaces.
+ */
+var PATTERNS = {
+  AR: /^[A-Z]?\d{4}(?:[A-Z]{3})?$/
+, AT: /^\d{4}$/
+, AU: /^\d{4}$/
+, BE: /^\d{4}$/
+, BR: /^\d{5}-?\d{3}$/
+, CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/
+, CH: /^\d{4}$/
+, CL: /^\d{7}$/
+, CN: /^\d{6}$/
+, CO: /^\d{6}$/
+, CZ: /^\d{3} ?\d{2}$/
+, DE: /^\d{5}$/
+, DK: /^\d{4}$/
+, EG: /^\d{5}$/
+, ES: /^\d{5}$/
+, FI: /^\d{5}$/
+, FR: /^\d{5}$/
+, GB: /^(?:GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/
+, GR: /^\d{3} ?\d{2}$/
+, HU: /^\d{4}$/
+, ID: /^\d{5}$/
+, IE: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) ?[\dAC-FHKNPRTV-Y]{4}$/
+, IL: /^\d{5}(?:\d{2})?$/
+, IN: /^\d{3} ?\d{3}$/
+, IT: /^\d{5}$/
+, JP: /^\d{3}-?\d{4}$/
+, KE: /^\d{5}$/
+, KR: /^\d{5}$/
+, MX: /^\d{5}$/
+, MY: /^\d{5}$/
+, NG: /^\d{6}$/
+, NL: /^\d{4} ?[A-Z]{2}$/
+, NO: /^\d{4}$/
+, NZ: /^\d{4}$/
+, PH: /^\d{4}$/
+, PK: /^\d{5}$/
+, PL: /^\d{2}-\d{3}$/
+, PT: /^\d{4}-\d{3}$/
+, RO: /^\d{6}$/
+, RU: /^\d{6}$/
+, SA: /^\d{5}(?:-?\d{4})?$/
+, SE: /^\d{3} ?\d{2}$/
+, SG: /^\d{6}$/
+, TH: /^\d{5}$/
+, TR: /^\d{5}$/
+, TW: /^\d{3}(?:\d{2,3})?$/
+, UA: /^\d{5}$/
+, US: /^\d{5}(?:-\d{4})?$/
+, VN: /^\d{6}$/
+, ZA: /^\d{4}$/
+}
+
+/**
+ * Normalises postal code input to upper case with single spaces.
+ * @param {string} value
+ * @return {string}
+ */
+function normalise(value) {
+  return strip(value).toUpperCase().replace(/\s+/g, ' ')
+}
+
+/**
+ * Gets the format of a country's postal codes.
+ * @param {string} country an ISO 3166-1 alpha-2 code.
+ * @return {?RegExp} a pattern for normalised postal codes, or null if the
+ *   country's format isn't known.
+ */
+function getPattern(country) {
+  return object.get(PATTERNS, country, null)
+}
+
+/**
+ * Determines if a country's postal codes only contain digits, so can be
+ * entered with a numeric keypad.
+ * @param {string} country an ISO 3166-1 alpha-2 code.
+ * @return {boolean}
+ */
+function isNumeric(country) {
+  return (object.hasOwn(PATTERNS, country) &&
+          /^[\^$\\d{}0-9,()?:]*$/.test(PATTERNS[country].source))
+}
+
+module.exports = {
+  getPattern: getPattern
+, isNumeric: isNumeric
+, normalise: normalise
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+var Concur = require('Concur')
+var object = require('isomorph/object')
+
+/**
+ * A storage adapter which keeps serialized form state in the browser's
+ * localStorage, so it survives page reloads.
+ * @constructor
+ * @param {Object=} kwargs
+ */
+var LocalStorage = Concur.extend({
+  constructor: function LocalStorage(kwargs) {
+    if (!(this instanceof LocalStorage)) { return new LocalStorage(kwargs) }
+    kwargs = object.extend({storage: null, keyPrefix: 'newforms:'}, kwargs)
+    // Anything implementing the Web Storage API can be used in place of
+    // localStorage, e.g. sessionStorage.
+    this.storage = kwargs.storage
+    this.keyPrefix = kwargs.keyPrefix
+  }
+})
+
+/**
+ * Resolves the Web Storage implementation to use when it's needed, as
+ * localStorage isn't available when rendering on the server, and accessing it
+ * can throw if the user has disabled it.
+ * @return {Object}
+ */
+LocalStorage.prototype._getStorage = function() {
+  return this.storage || window.localStorage
+}
+
+/**
+ * @param {string} key
+ * @return {?Object} state stored under the given key, or null if there is none
+ *   or it can't be parsed.
+ */
+LocalStorage.prototype.get = function(key) {
+  try {
+    var json = this._getStorage().getItem(this.keyPrefix + key)
+    return (json === null ? null : JSON.parse(json))
+  }
+  catch (e) {
+    return null
+  }
+}
+
+/**
+ * Storage errors, such as exceeding the storage quota, are ignored - failing to
+ * save a draft shouldn't break the form.
+ * @param {string} key
+ * @param {Object} state JSON-safe state to be stored under the given key.
+ */
+LocalStorage.prototype.set = function(key, state) {
+  try {
+    this._getStorage().setItem(this.keyPrefix + key, JSON.stringify(state))
+  }
+  catch (e) {
+    // Storage is unavailable or full
+  }
+}
+
+/**
+ * @param {string} key
+ */
+LocalStorage.prototype.remove = function(key) {
+  try {
+    this._getStorage().removeItem(this.keyPrefix + key)
+  }
+  catch (e) {
+    // Storage is unavailable or full
+  }
+}
+
+module.exports = LocalStorage
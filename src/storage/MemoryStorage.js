@@ -0,0 +1,43 @@
+'use strict';
+
+var Concur = require('Concur')
+
+/**
+ * A storage adapter which keeps serialized form state in memory, for the
+ * lifetime of the adapter. State is stored as JSON, so retrieved state never
+ * shares objects with the form it was saved from.
+ * @constructor
+ */
+var MemoryStorage = Concur.extend({
+  constructor: function MemoryStorage() {
+    if (!(this instanceof MemoryStorage)) { return new MemoryStorage() }
+    this._items = {}
+  }
+})
+
+/**
+ * @param {string} key
+ * @return {?Object} state stored under the given key, or null if there is none.
+ */
+MemoryStorage.prototype.get = function(key) {
+  return (Object.prototype.hasOwnProperty.call(this._items, key)
+          ? JSON.parse(this._items[key])
+          : null)
+}
+
+/**
+ * @param {string} key
+ * @param {Object} state JSON-safe state to be stored under the given key.
+ */
+MemoryStorage.prototype.set = function(key, state) {
+  this._items[key] = JSON.stringify(state)
+}
+
+/**
+ * @param {string} key
+ */
+MemoryStorage.prototype.remove = function(key) {
+  delete this._items[key]
+}
+
+module.exports = MemoryStorage
@@ -0,0 +1,301 @@
+'use strict';
+
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+var time = require('isomorph/time')
+
+/**
+ * Daylight saving time rules, as functions which take a UTC time in
+ * milliseconds, its UTC year and a zone's standard offset in minutes, returning
+ * true if daylight saving time is in effect. Only current rules are
+ * implemented.
+ */
+var DST_RULES = {
+  // 01:00 UTC on the last Sunday in March to 01:00 UTC on the last Sunday in
+  // October.
+  EU: function(time, year) {
+    return (time >= Date.UTC(year, 2, sunday(year, 2, -1), 1) &&
+            time < Date.UTC(year, 9, sunday(year, 9, -1), 1))
+  }
+  // 02:00 local time on the second Sunday in March to 02:00 local time on the
+  // first Sunday in November.
+, US: function(time, year, offset) {
+    return (time >= transition(year, 2, sunday(year, 2, 2), 2, offset) &&
+            time < transition(year, 10, sunday(year, 10, 1), 2, offset + 60))
+  }
+  // Southern hemisphere - 02:00 local time on the first Sunday in October to
+  // 03:00 local time on the first Sunday in April.
+, AU: function(time, year, offset) {
+    return (time < transition(year, 3, sunday(year, 3, 1), 3, offset + 60) ||
+            time >= transition(year, 9, sunday(year, 9, 1), 2, offset))
+  }
+  // Southern hemisphere - 02:00 local time on the last Sunday in September to
+  // 03:00 local time on the first Sunday in April.
+, NZ: function(time, year, offset) {
+    return (time < transition(year, 3, sunday(year, 3, 1), 3, offset + 60) ||
+            time >= transition(year, 8, sunday(year, 8, -1), 2, offset))
+  }
+}
+
+/**
+ * Standard offsets in minutes east of UTC and daylight saving time rules for
+ * commonly-used IANA timezones.
+ */
+var TIMEZONES = {
+  'Africa/Johannesburg': [120, null]
+, 'Africa/Lagos': [60, null]
+, 'Africa/Nairobi': [180, null]
+, 'America/Anchorage': [-540, 'US']
+, 'America/Argentina/Buenos_Aires': [-180, null]
+, 'America/Bogota': [-300, null]
+, 'America/Chicago': [-360, 'US']
+, 'America/Denver': [-420, 'US']
+, 'America/Halifax': [-240, 'US']
+, 'America/Lima': [-300, null]
+, 'America/Los_Angeles': [-480, 'US']
+, 'America/Mexico_City': [-360, null]
+, 'America/New_York': [-300, 'US']
+, 'America/Phoenix': [-420, null]
+, 'America/Sao_Paulo': [-180, null]
+, 'America/St_Johns': [-210, 'US']
+, 'America/Toronto': [-300, 'US']
+, 'America/Vancouver': [-480, 'US']
+, 'Asia/Bangkok': [420, null]
+, 'Asia/Dhaka': [360, null]
+, 'Asia/Dubai': [240, null]
+, 'Asia/Hong_Kong': [480, null]
+, 'Asia/Jakarta': [420, null]
+, 'Asia/Karachi': [300, null]
+, 'Asia/Kathmandu': [345, null]
+, 'Asia/Kolkata': [330, null]
+, 'Asia/Manila': [480, null]
+, 'Asia/Riyadh': [180, null]
+, 'Asia/Seoul': [540, null]
+, 'Asia/Shanghai': [480, null]
+, 'Asia/Singapore': [480, null]
+, 'Asia/Taipei': [480, null]
+, 'Asia/Tehran': [210, null]
+, 'Asia/Tokyo': [540, null]
+, 'Atlantic/Reykjavik': [0, null]
+, 'Australia/Adelaide': [570, 'AU']
+, 'Australia/Brisbane': [600, null]
+, 'Australia/Darwin': [570, null]
+, 'Australia/Hobart': [600, 'AU']
+, 'Australia/Melbourne': [600, 'AU']
+, 'Australia/Perth': [480, null]
+, 'Australia/Sydney': [600, 'AU']
+, 'Europe/Amsterdam': [60, 'EU']
+, 'Europe/Athens': [120, 'EU']
+, 'Europe/Berlin': [60, 'EU']
+, 'Europe/Brussels': [60, 'EU']
+, 'Europe/Bucharest': [120, 'EU']
+, 'Europe/Budapest': [60, 'EU']
+, 'Europe/Copenhagen': [60, 'EU']
+, 'Europe/Dublin': [0, 'EU']
+, 'Europe/Helsinki': [120, 'EU']
+, 'Europe/Istanbul': [180, null]
+, 'Europe/Kiev': [120, 'EU']
+, 'Europe/Kyiv': [120, 'EU']
+, 'Europe/Lisbon': [0, 'EU']
+, 'Europe/London': [0, 'EU']
+, 'Europe/Madrid': [60, 'EU']
+, 'Europe/Moscow': [180, null]
+, 'Europe/Oslo': [60, 'EU']
+, 'Europe/Paris': [60, 'EU']
+, 'Europe/Prague': [60, 'EU']
+, 'Europe/Rome': [60, 'EU']
+, 'Europe/Sofia': [120, 'EU']
+, 'Europe/Stockholm': [60, 'EU']
+, 'Europe/Vienna': [60, 'EU']
+, 'Europe/Warsaw': [60, 'EU']
+, 'Europe/Zurich': [60, 'EU']
+, 'Pacific/Auckland': [720, 'NZ']
+, 'Pacific/Honolulu': [-600, null]
+}
+
+/** Fixed UTC offsets, e.g. '+05:30', '-0800'. */
+var OFFSET_RE = /^(?:UTC|GMT)?([-+])(\d\d):?(\d\d)$/
+
+// Timezones added with addTimezone()
+var customTimezones = {}
+
+// Function which resolves timezone names not otherwise known
+var timezoneResolver = null
+
+/**
+ * Gets the day of the month of the nth Sunday in a month, or the last Sunday
+ * if n is -1.
+ * @param {number} year
+ * @param {number} month
+ * @param {number} n
+ * @return {number}
+ */
+function sunday(year, month, n) {
+  if (n == -1) {
+    var last = new Date(Date.UTC(year, month + 1, 0))
+    return last.getUTCDate() - last.getUTCDay()
+  }
+  var first = new Date(Date.UTC(year, month, 1))
+  return 1 + (7 - first.getUTCDay()) % 7 + (n - 1) * 7
+}
+
+/**
+ * Gets the UTC time of a transition which happens at an hour of local time.
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} offset local time's offset in minutes east of UTC.
+ * @return {number}
+ */
+function transition(year, month, day, hour, offset) {
+  return Date.UTC(year, month, day, hour) - offset * 60000
+}
+
+/**
+ * Creates a timezone with a fixed offset.
+ * @param {number} offset minutes east of UTC.
+ * @return {{offset: function(Date): number}}
+ */
+function fixedTimezone(offset) {
+  return {offset: function() { return offset }}
+}
+
+/**
+ * Creates a timezone from a standard offset and daylight saving time rule.
+ * @param {number} offset minutes east of UTC.
+ * @param {?string} rule name of a daylight saving time rule.
+ * @return {{offset: function(Date): number}}
+ */
+function ruleTimezone(offset, rule) {
+  if (rule === null) {
+    return fixedTimezone(offset)
+  }
+  return {offset: function(date) {
+    var time = date.getTime()
+    var dst = DST_RULES[rule](time, date.getUTCFullYear(), offset)
+    return (dst ? offset + 60 : offset)
+  }}
+}
+
+/**
+ * Adds a timezone which can be referred to by name.
+ * @param {string} name
+ * @param {{offset: function(Date): number}} timezone an object with an
+ *   offset() function which takes a Date and returns the timezone's offset in
+ *   minutes east of UTC at that instant.
+ */
+function addTimezone(name, timezone) {
+  customTimezones[name] = timezone
+}
+
+/**
+ * Sets a function used to resolve timezone names which haven't been added and
+ * aren't in the bundled table, e.g. using a full timezone database.
+ * @param {?function(string): ?{offset: function(Date): number}} resolver a
+ *   function which takes a timezone name and returns a timezone object, or
+ *   null if it doesn't know the timezone.
+ */
+function setTimezoneResolver(resolver) {
+  timezoneResolver = resolver
+}
+
+/**
+ * Gets a timezone object.
+ * @param {(string|number|Object)} timezone an IANA timezone name, a fixed
+ *   offset such as '+05:30' or 'UTC', a number of minutes east of UTC or a
+ *   timezone object.
+ * @return {{offset: function(Date): number}}
+ * @throws {Error} if the timezone is unknown.
+ */
+function getTimezone(timezone) {
+  if (is.Number(timezone)) {
+    return fixedTimezone(timezone)
+  }
+  if (!is.String(timezone)) {
+    return timezone
+  }
+  if (timezone == 'UTC' || timezone == 'GMT' || timezone == 'Z') {
+    return fixedTimezone(0)
+  }
+  var match = OFFSET_RE.exec(timezone)
+  if (match) {
+    var offset = Number(match[2]) * 60 + Number(match[3])
+    return fixedTimezone(match[1] == '-' ? -offset : offset)
+  }
+  if (object.hasOwn(customTimezones, timezone)) {
+    return customTimezones[timezone]
+  }
+  if (timezoneResolver !== null) {
+    var resolved = timezoneResolver(timezone)
+    if (resolved) {
+      return resolved
+    }
+  }
+  if (object.hasOwn(TIMEZONES, timezone)) {
+    return ruleTimezone(TIMEZONES[timezone][0], TIMEZONES[timezone][1])
+  }
+  throw new Error("Unknown timezone: '" + timezone + "'")
+}
+
+/**
+ * Converts a Date representing a time in a timezone to the Date for the
+ * instant it represents. The input Date's UTC date and time fields are treated
+ * as the date and time in the timezone, so the result doesn't depend on the
+ * timezone the code is running in.
+ * @param {Date} date
+ * @param {(string|number|Object)} timezone
+ * @return {Date}
+ */
+function fromZonedTime(date, timezone) {
+  var zone = getTimezone(timezone)
+  var wallTime = date.getTime()
+  // Use the offset in effect at the first guess, as the offset may differ on
+  // either side of a daylight saving time transition.
+  var guess = wallTime - zone.offset(new Date(wallTime)) * 60000
+  return new Date(wallTime - zone.offset(new Date(guess)) * 60000)
+}
+
+/**
+ * Converts a Date to one whose UTC date and time fields are the date and time
+ * in a timezone at the same instant, for display.
+ * @param {Date} date
+ * @param {(string|number|Object)} timezone
+ * @return {Date}
+ */
+function toZonedTime(date, timezone) {
+  var zone = getTimezone(timezone)
+  return new Date(date.getTime() + zone.offset(date) * 60000)
+}
+
+/**
+ * Formats a Date's UTC date and time fields, e.g. those of a Date returned by
+ * toZonedTime().
+ * @param {Date} date
+ * @param {string} format
+ * @param {string=} lang
+ * @return {string}
+ */
+function strftimeUTC(date, format, lang) {
+  // isomorph.time.strftime reads local date and time fields, so give it an
+  // object which reads UTC fields in their place.
+  var fields = {
+    getDay: function() { return date.getUTCDay() }
+  , getDate: function() { return date.getUTCDate() }
+  , getMonth: function() { return date.getUTCMonth() }
+  , getFullYear: function() { return date.getUTCFullYear() }
+  , getHours: function() { return date.getUTCHours() }
+  , getMinutes: function() { return date.getUTCMinutes() }
+  , getSeconds: function() { return date.getUTCSeconds() }
+  }
+  return time.strftime(fields, format, lang)
+}
+
+module.exports = {
+  addTimezone: addTimezone
+, fromZonedTime: fromZonedTime
+, getTimezone: getTimezone
+, setTimezoneResolver: setTimezoneResolver
+, strftimeUTC: strftimeUTC
+, toZonedTime: toZonedTime
+}
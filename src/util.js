@@ -5,6 +5,8 @@ var getFormData = require('get-form-data')
 var is = require('isomorph/is')
 var object = require('isomorph/object')
 
+var {ValidationError} = require('validators')
+
 /**
  * Replaces String {placeholders} with properties of a given object, but
  * interpolates into and returns an Array instead of a String.
@@ -41,6 +43,17 @@ function getProps(src, props) {
   return result
 }
 
+/**
+ * Creates an object which inherits from another, with some of its properties
+ * overridden, without modifying the original.
+ * @param obj {Object}
+ * @param props {Object}
+ * @return {Object}
+ */
+function inheritWith(obj, props) {
+  return object.extend(Object.create(obj), props)
+}
+
 /**
  * Get a named property from an object, calling it and returning its result if
  * it's a function.
@@ -146,6 +159,10 @@ function normaliseValidation(validation) {
     return normaliseValidationString(validation)
   }
   else if (is.Object(validation)) {
+    // Already normalised, e.g. when passed on to a nested form
+    if (is.Array(validation.events)) {
+      return validation
+    }
     var normalised
     if (is.String(validation.on)) {
       normalised = normaliseValidationString(validation.on)
@@ -288,6 +305,60 @@ function cancellable(func) {
   return cancellabled
 }
 
+/**
+ * @param {*} obj
+ * @return {boolean} true if the given object looks like a Promise.
+ */
+function isPromise(obj) {
+  return (!!obj && typeof obj.then == 'function')
+}
+
+/**
+ * Calls a custom cleaning callback when a Promise returned by a custom cleaning
+ * method is settled. Rejection with a ValidationError is treated as invalid
+ * input, any other rejection reason is treated as an error.
+ * @param {Promise} promise
+ * @param {function(Error, ValidationError)} callback
+ */
+function settleWithPromise(promise, callback) {
+  promise.then(function() {
+    callback(null)
+  }, function(e) {
+    if (e instanceof ValidationError) {
+      callback(null, e)
+    }
+    else {
+      callback(e)
+    }
+  })
+}
+
+/**
+ * Creates a Promise for the result of validation, for use when validate() is
+ * called without a callback.
+ * @param {function(function(Error, boolean))} validate a function which takes
+ *   a validation callback.
+ * @param {string} subject a description of what's being validated, for use in
+ *   error messages.
+ * @return {Promise} a Promise which will be resolved with true if validation
+ *   passed, false if it didn't, or rejected if an error occurred.
+ * @throws if Promise is not available.
+ */
+function validationPromise(validate, subject) {
+  if (typeof Promise != 'function') {
+    throw new Error(
+      'You must provide a callback to validate() when ' + subject + ' has ' +
+      'asynchronous validation and Promise is not available.'
+    )
+  }
+  return new Promise(function(resolve, reject) {
+    validate(function(err, isValid) {
+      if (err) { return reject(err) }
+      resolve(isValid)
+    })
+  })
+}
+
 /**
  * Wrapper for getFormData which allows you to pass a React form ref.
  * @param {HTMLFormElement|ReactElement} form a form element.
@@ -367,11 +438,15 @@ module.exports = {
 , formatToArray: formatToArray
 , getFormData: getMaybeReactFormData
 , getProps: getProps
+, inheritWith: inheritWith
+, isPromise: isPromise
 , makeChoices: makeChoices
 , normaliseChoices: normaliseChoices
 , normaliseValidation: normaliseValidation
 , prettyName: prettyName
+, settleWithPromise: settleWithPromise
 , strip: strip
 , validateAll: validateAll
+, validationPromise: validationPromise
 , warning: warning
 }
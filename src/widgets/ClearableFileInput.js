@@ -6,6 +6,7 @@ var React = require('react')
 var CheckboxInput = require('./CheckboxInput')
 var FileInput = require('./FileInput')
 
+var {translate} = require('../locales')
 var {formatToArray} = require('../util')
 
 var FILE_INPUT_CONTRADICTION = {}
@@ -77,14 +78,14 @@ ClearableFileInput.prototype.render = function(name, value, kwargs) {
       clearTemplate = this.templateWithClear({
         checkbox: CheckboxInput().render(clearCheckboxName, false, {attrs: {'id': clearCheckboxId}})
       , checkboxId: clearCheckboxId
-      , label: this.clearCheckboxLabel
+      , label: translate(this.clearCheckboxLabel, this.locale)
       })
     }
     var contents = this.templateWithInitial({
-      initialText: this.initialText
+      initialText: translate(this.initialText, this.locale)
     , initial: this.urlMarkupTemplate(initialValue.url, ''+initialValue)
     , clearTemplate: clearTemplate
-    , inputText: this.inputText
+    , inputText: translate(this.inputText, this.locale)
     , input: input
     })
     return React.createElement('span', null, contents)
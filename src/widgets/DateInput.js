@@ -9,6 +9,7 @@ var DateTimeBaseInput = require('./DateTimeBaseInput')
  */
 var DateInput = DateTimeBaseInput.extend({
   formatType: 'DATE_INPUT_FORMATS'
+, displayFormatType: 'DATE_FORMAT'
 , constructor: function DateInput(kwargs) {
     if (!(this instanceof DateInput)) { return new DateInput(kwargs) }
     DateTimeBaseInput.call(this, kwargs)
@@ -17,6 +17,7 @@ var TextInput = require('./TextInput')
  */
 var DateTimeBaseInput = TextInput.extend({
   formatType: ''
+, displayFormatType: ''
 , constructor: function DateTimeBaseInput(kwargs) {
     kwargs = object.extend({format: null}, kwargs)
     TextInput.call(this, kwargs)
@@ -24,14 +25,31 @@ var DateTimeBaseInput = TextInput.extend({
   }
 })
 
+/**
+ * Formats Dates using the widget's format, falling back to its locale's display
+ * format, then to the first of its locale's input formats.
+ */
 DateTimeBaseInput.prototype._formatValue = function(value) {
   if (is.Date(value)) {
-    if (this.format === null) {
-      this.format = formats.getFormat(this.formatType)[0]
-    }
-    return time.strftime(value, this.format, locales.getDefaultLocale())
+    var lang = this.locale || locales.getDefaultLocale()
+    return time.strftime(value, this._getFormat(lang), lang)
   }
   return value
 }
 
+/**
+ * @param {string} lang
+ * @return {string} the format Dates should be displayed in.
+ */
+DateTimeBaseInput.prototype._getFormat = function(lang) {
+  var format = this.format
+  if (format === null) {
+    format = formats.getDisplayFormat(this.displayFormatType, lang)
+  }
+  if (format === null) {
+    format = formats.getFormat(this.formatType, lang)[0]
+  }
+  return format
+}
+
 module.exports = DateTimeBaseInput
\ No newline at end of file
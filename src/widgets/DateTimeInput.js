@@ -1,18 +1,36 @@
 'use strict';
 
+var is = require('isomorph/is')
+var object = require('isomorph/object')
+
+var locales = require('../locales')
+var timezones = require('../timezones')
 var DateTimeBaseInput = require('./DateTimeBaseInput')
 
 /**
+ * Displays Dates as a date/time, optionally in a timezone.
  * @constructor
  * @extends {DateTimeBaseInput}
  * @param {Object=} kwargs
  */
 var DateTimeInput = DateTimeBaseInput.extend({
   formatType: 'DATETIME_INPUT_FORMATS'
+, displayFormatType: 'DATETIME_FORMAT'
 , constructor: function DateTimeInput(kwargs) {
     if (!(this instanceof DateTimeInput)) { return new DateTimeInput(kwargs) }
+    kwargs = object.extend({timezone: null}, kwargs)
     DateTimeBaseInput.call(this, kwargs)
+    this.timezone = kwargs.timezone
   }
 })
 
+DateTimeInput.prototype._formatValue = function(value) {
+  if (this.timezone !== null && is.Date(value)) {
+    var lang = this.locale || locales.getDefaultLocale()
+    return timezones.strftimeUTC(timezones.toZonedTime(value, this.timezone),
+                                 this._getFormat(lang), lang)
+  }
+  return DateTimeBaseInput.prototype._formatValue.call(this, value)
+}
+
 module.exports = DateTimeInput
\ No newline at end of file
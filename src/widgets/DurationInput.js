@@ -0,0 +1,30 @@
+'use strict';
+
+var is = require('isomorph/is')
+
+var durations = require('../durations')
+
+var TextInput = require('./TextInput')
+
+/**
+ * An <input type="text"> which, if given a duration in milliseconds to display,
+ * formats it as a [D ]HH:MM:SS String.
+ * @constructor
+ * @extends {TextInput}
+ * @param {Object=} kwargs
+ */
+var DurationInput = TextInput.extend({
+  constructor: function DurationInput(kwargs) {
+    if (!(this instanceof DurationInput)) { return new DurationInput(kwargs) }
+    TextInput.call(this, kwargs)
+  }
+})
+
+DurationInput.prototype._formatValue = function(value) {
+  if (is.Number(value)) {
+    return durations.formatDuration(value)
+  }
+  return value
+}
+
+module.exports = DurationInput
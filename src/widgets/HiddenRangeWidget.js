@@ -0,0 +1,20 @@
+'use strict';
+
+var HiddenInput = require('./HiddenInput')
+var RangeWidget = require('./RangeWidget')
+
+/**
+ * Splits a {lower, upper} range into two <input type="hidden"> elements.
+ * @constructor
+ * @extends {RangeWidget}
+ * @param {Object=} kwargs
+ */
+var HiddenRangeWidget = RangeWidget.extend({
+  constructor: function HiddenRangeWidget(kwargs) {
+    if (!(this instanceof HiddenRangeWidget)) { return new HiddenRangeWidget(kwargs) }
+    RangeWidget.call(this, HiddenInput, kwargs)
+  }
+, isHidden: true
+})
+
+module.exports = HiddenRangeWidget
@@ -0,0 +1,42 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var currencies = require('../currencies')
+
+var MultiWidget = require('./MultiWidget')
+var Select = require('./Select')
+var TextInput = require('./TextInput')
+
+/**
+ * Splits an {amount, currency} value into a text input for the amount and a
+ * <select> for the currency.
+ * @constructor
+ * @extends {MultiWidget}
+ * @param {Object=} kwargs
+ */
+var MoneyWidget = MultiWidget.extend({
+  constructor: function MoneyWidget(kwargs) {
+    if (!(this instanceof MoneyWidget)) { return new MoneyWidget(kwargs) }
+    kwargs = object.extend({
+      currencies: currencies.CURRENCY_CODES, defaultCurrency: null
+    }, kwargs)
+    // Currency selected when there's no value
+    this.defaultCurrency = kwargs.defaultCurrency
+    var choices = kwargs.currencies.map(function(code) { return [code, code] })
+    MultiWidget.call(this, [TextInput(), Select({choices: choices})], kwargs)
+  }
+})
+
+/**
+ * @param {?{amount: string, currency: string}} value
+ * @return {Array} the amount and currency code.
+ */
+MoneyWidget.prototype.decompress = function(value) {
+  if (value) {
+    return [value.amount, value.currency]
+  }
+  return [null, this.defaultCurrency]
+}
+
+module.exports = MoneyWidget
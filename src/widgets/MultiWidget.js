@@ -29,6 +29,17 @@ var MultiWidget = Widget.extend({
   }
 })
 
+/**
+ * Also sets the locale of each of the widgets this widget is made up of.
+ * @param {?string} lang a language code, or null for the default locale.
+ */
+MultiWidget.prototype.setLocale = function(lang) {
+  Widget.prototype.setLocale.call(this, lang)
+  for (var i = 0, l = this.widgets.length; i < l; i++) {
+    this.widgets[i].setLocale(lang)
+  }
+}
+
 /**
  * This method is different than other widgets', because it has to figure out
  * how to split a single value for display in multiple widgets.
@@ -2,6 +2,8 @@
 
 var Select = require('./Select')
 
+var {translate} = require('../locales')
+
 /**
  * A <select> widget intended to be used with NullBooleanField.
  * @constructor
@@ -18,6 +20,14 @@ var NullBooleanSelect = Select.extend({
   }
 })
 
+/**
+ * Translates choice labels for the widget's locale.
+ */
+NullBooleanSelect.prototype.renderOption = function(selectedValuesLookup, optValue, optLabel) {
+  return Select.prototype.renderOption.call(this, selectedValuesLookup, optValue,
+                                            translate(optLabel, this.locale))
+}
+
 NullBooleanSelect.prototype.render = function(name, value, kwargs) {
   if (value === true || value == '2') {
     value = '2'
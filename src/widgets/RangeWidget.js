@@ -0,0 +1,38 @@
+'use strict';
+
+var copy = require('isomorph/copy')
+
+var MultiWidget = require('./MultiWidget')
+var Widget = require('../Widget')
+
+/**
+ * Splits a {lower, upper} range into two widgets of the same type.
+ * @constructor
+ * @extends {MultiWidget}
+ * @param {(function|Widget)} baseWidget a Widget constructor or instance used
+ *   for each bound.
+ * @param {Object=} kwargs
+ */
+var RangeWidget = MultiWidget.extend({
+  constructor: function RangeWidget(baseWidget, kwargs) {
+    if (!(this instanceof RangeWidget)) { return new RangeWidget(baseWidget, kwargs) }
+    // Each bound needs its own widget instance
+    var upperWidget = (baseWidget instanceof Widget
+                       ? copy.deepCopy(baseWidget)
+                       : baseWidget)
+    MultiWidget.call(this, [baseWidget, upperWidget], kwargs)
+  }
+})
+
+/**
+ * @param {?{lower: *, upper: *}} value
+ * @return {Array} lower and upper bounds.
+ */
+RangeWidget.prototype.decompress = function(value) {
+  if (value) {
+    return [value.lower, value.upper]
+  }
+  return [null, null]
+}
+
+module.exports = RangeWidget
@@ -2,6 +2,8 @@
 
 var object = require('isomorph/object')
 
+var timezones = require('../timezones')
+
 var DateInput = require('./DateInput')
 var MultiWidget = require('./MultiWidget')
 var TimeInput = require('./TimeInput')
@@ -15,17 +17,28 @@ var TimeInput = require('./TimeInput')
 var SplitDateTimeWidget = MultiWidget.extend({
   constructor: function SplitDateTimeWidget(kwargs) {
     if (!(this instanceof SplitDateTimeWidget)) { return new SplitDateTimeWidget(kwargs) }
-    kwargs = object.extend({dateFormat: null, timeFormat: null}, kwargs)
+    kwargs = object.extend({
+      dateFormat: null, timeFormat: null, timezone: null
+    }, kwargs)
     var widgets = [
       DateInput({attrs: kwargs.attrs, format: kwargs.dateFormat})
     , TimeInput({attrs: kwargs.attrs, format: kwargs.timeFormat})
     ]
     MultiWidget.call(this, widgets, kwargs.attrs)
+    // Timezone Dates are displayed in - null for local time
+    this.timezone = kwargs.timezone
   }
 })
 
 SplitDateTimeWidget.prototype.decompress = function(value) {
   if (value) {
+    if (this.timezone !== null) {
+      value = timezones.toZonedTime(value, this.timezone)
+      return [
+        new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate())
+      , new Date(1900, 0, 1, value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds())
+      ]
+    }
     return [
       new Date(value.getFullYear(), value.getMonth(), value.getDate())
     , new Date(1900, 0, 1, value.getHours(), value.getMinutes(), value.getSeconds())
@@ -0,0 +1,44 @@
+'use strict';
+
+var object = require('isomorph/object')
+
+var durations = require('../durations')
+
+var MultiWidget = require('./MultiWidget')
+var NumberInput = require('./NumberInput')
+
+// Placeholders for the days, hours, minutes and seconds inputs
+var PLACEHOLDERS = ['Days', 'Hours', 'Minutes', 'Seconds']
+
+/**
+ * Splits a duration in milliseconds into <input type="number"> elements for
+ * days, hours, minutes and seconds.
+ * @constructor
+ * @extends {MultiWidget}
+ * @param {Object=} kwargs
+ */
+var SplitDurationWidget = MultiWidget.extend({
+  constructor: function SplitDurationWidget(kwargs) {
+    if (!(this instanceof SplitDurationWidget)) { return new SplitDurationWidget(kwargs) }
+    kwargs = object.extend({attrs: null}, kwargs)
+    var widgets = PLACEHOLDERS.map(function(placeholder) {
+      return NumberInput({attrs: object.extend({min: 0, placeholder: placeholder}, kwargs.attrs)})
+    })
+    MultiWidget.call(this, widgets, kwargs)
+  }
+})
+
+SplitDurationWidget.prototype.decompress = function(value) {
+  if (value || value === 0) {
+    var UNITS = durations.UNITS
+    return [
+      Math.floor(value / UNITS.d)
+    , Math.floor(value % UNITS.d / UNITS.h)
+    , Math.floor(value % UNITS.h / UNITS.m)
+    , value % UNITS.m / UNITS.s
+    ]
+  }
+  return [null, null, null, null]
+}
+
+module.exports = SplitDurationWidget
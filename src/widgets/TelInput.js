@@ -0,0 +1,19 @@
+'use strict';
+
+var TextInput = require('./TextInput')
+
+/**
+ * An HTML <input type="tel"> widget.
+ * @constructor
+ * @extends {TextInput}
+ * @param {Object=} kwargs
+ */
+var TelInput = TextInput.extend({
+  constructor: function TelInput(kwargs) {
+    if (!(this instanceof TelInput)) { return new TelInput(kwargs) }
+    TextInput.call(this, kwargs)
+  }
+, inputType: 'tel'
+})
+
+module.exports = TelInput
\ No newline at end of file
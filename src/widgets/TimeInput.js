@@ -9,6 +9,7 @@ var DateTimeBaseInput = require('./DateTimeBaseInput')
  */
 var TimeInput = DateTimeBaseInput.extend({
   formatType: 'TIME_INPUT_FORMATS'
+, displayFormatType: 'TIME_FORMAT'
 , constructor: function TimeInput(kwargs) {
     if (!(this instanceof TimeInput)) { return new TimeInput(kwargs) }
     DateTimeBaseInput.call(this, kwargs)
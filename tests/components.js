@@ -73,4 +73,148 @@ QUnit.test('RenderFormSet', function() {
   'With a FormSet instance')
 })
 
+QUnit.test('RenderFormSet - ordering controls', 2, function() {
+  var ItemForm = forms.Form.extend({name: forms.CharField()})
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 1})
+  var formset = new ItemFormSet({canOrder: true, autoId: false,
+                                 initial: [{name: 'A'}, {name: 'B'}]})
+  formset.moveFormInOrder(1, 0)
+  reactHTMLEqual(React.createElement(forms.RenderFormSet, {formset: formset, orderingControls: true}),
+'<div>\
+<div><div>\
+<span aria-hidden="true" draggable="true" title="Drag to reorder">\u2630</span>\
+<button type="button" disabled>Move up</button><button type="button">Move down</button>\
+</div><div>\
+<div>Name: <input type="text" name="form-1-name" value="B"></div>\
+<div style="display:none;"><input type="hidden" name="form-1-ORDER" value="1"></div>\
+</div></div>\
+<div><div>\
+<span aria-hidden="true" draggable="true" title="Drag to reorder">\u2630</span>\
+<button type="button">Move up</button><button type="button">Move down</button>\
+</div><div>\
+<div>Name: <input type="text" name="form-0-name" value="A"></div>\
+<div style="display:none;"><input type="hidden" name="form-0-ORDER" value="2"></div>\
+</div></div>\
+<div><div>\
+<span aria-hidden="true" draggable="true" title="Drag to reorder">\u2630</span>\
+<button type="button">Move up</button><button type="button" disabled>Move down</button>\
+</div><div>\
+<div>Name: <input type="text" name="form-2-name"></div>\
+<div style="display:none;"><input type="hidden" name="form-2-ORDER" value=""></div>\
+</div></div>\
+</div>',
+  'Forms are rendered in order with controls instead of ORDER inputs')
+
+  reactHTMLEqual(React.createElement(forms.RenderFormSet, {
+    formset: ItemFormSet
+  , orderingControls: true
+  , autoId: false
+  }),
+'<div><div><div>\
+<span aria-hidden="true" draggable="true" title="Drag to reorder">\u2630</span>\
+<button type="button" disabled>Move up</button><button type="button" disabled>Move down</button>\
+</div><div>\
+<div>Name: <input type="text" name="form-0-name"></div>\
+<div style="display:none;"><input type="hidden" name="form-0-ORDER" value=""></div>\
+</div></div></div>',
+  'Ordering controls set up ordering for a formset created by the component')
+})
+
+QUnit.test('RenderFormSet - deleted forms', 1, function() {
+  var ItemForm = forms.Form.extend({name: forms.CharField()})
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 0, canDelete: true})
+  var formset = new ItemFormSet({autoId: false, initial: [{name: 'A'}, {name: 'B'}]})
+  formset.setFormDeleted(0, true)
+  reactHTMLEqual(React.createElement(forms.RenderFormSet, {formset: formset}),
+'<div>\
+<div>\
+<div><button type="button">Undo delete</button></div>\
+<div style="display:none;">\
+<input type="hidden" name="form-0-name" value="A">\
+<input type="hidden" name="form-0-DELETE" value="true">\
+</div>\
+</div>\
+<div>\
+<div>Name: <input type="text" name="form-1-name" value="B"></div>\
+<div>Delete: <input type="checkbox" name="form-1-DELETE"></div>\
+</div>\
+</div>',
+  'Forms marked for deletion are collapsed, keeping their data in hidden fields')
+})
+
+QUnit.test('RenderForm - hydration', 2, function() {
+  var serverForm = new PersonForm({autoId: false, data: {name: 'Ada', dob: 'x'}})
+  serverForm.validate()
+  var serverMarkup = React.renderToStaticMarkup(
+    React.createElement(forms.RenderForm, {form: serverForm}))
+  var payload = JSON.parse(JSON.stringify(serverForm.serializeState()))
+  var clientMarkup = React.renderToStaticMarkup(
+    React.createElement(forms.RenderForm, {form: PersonForm, autoId: false, hydrate: payload}))
+  equal(clientMarkup, serverMarkup, 'Hydrated form renders the same as the server')
+
+  var serverFormSet = new PersonFormSet({autoId: false, data: {
+    'form-TOTAL_FORMS': '1', 'form-INITIAL_FORMS': '0', 'form-0-name': 'Ada', 'form-0-dob': 'x'
+  }})
+  serverFormSet.validate()
+  payload = JSON.parse(JSON.stringify(serverFormSet.serializeState()))
+  equal(
+    React.renderToStaticMarkup(
+      React.createElement(forms.RenderFormSet, {formset: PersonFormSet, autoId: false, hydrate: payload}))
+  , React.renderToStaticMarkup(
+      React.createElement(forms.RenderFormSet, {formset: serverFormSet}))
+  , 'Hydrated formset renders the same as the server')
+})
+
+QUnit.test('RenderForm - nested forms', 2, function() {
+  var PhoneForm = forms.Form.extend({
+    number: forms.CharField()
+  })
+  var ContactForm = forms.Form.extend({
+    email: forms.EmailField()
+  , person: forms.FormField({form: PersonForm})
+  , phones: forms.FormSetField({form: PhoneForm, extra: 1})
+  })
+
+  reactHTMLEqual(React.createElement(forms.RenderForm, {
+    form: ContactForm
+  , autoId: false
+  }),
+'<div>\
+<div>Email: <input type="email" name="email"></div>\
+<div><fieldset><legend>Person</legend><div>\
+<div>Name: <input type="text" name="person-name"></div>\
+<div>Dob: <input type="text" name="person-dob"></div>\
+</div></fieldset></div>\
+<div><fieldset><legend>Phones</legend><div>\
+<div>\
+<div>Number: <input type="text" name="phones-0-number"></div>\
+</div>\
+<div><div style="display:none;">\
+<input type="hidden" name="phones-TOTAL_FORMS" value="1">\
+<input type="hidden" name="phones-INITIAL_FORMS" value="0">\
+<input type="hidden" name="phones-MIN_NUM_FORMS" value="0">\
+<input type="hidden" name="phones-MAX_NUM_FORMS" value="1000">\
+</div></div>\
+</div></fieldset></div>\
+</div>',
+  'Nested forms and formsets are rendered inline')
+
+  var form = new ContactForm({autoId: false, data: {
+    'email': 'alan@example.com'
+  , 'person-name': 'Alan'
+  , 'phones-TOTAL_FORMS': '1'
+  , 'phones-INITIAL_FORMS': '0'
+  }})
+  form.validate()
+  reactHTMLEqual(React.createElement(forms.RenderForm, {
+    form: form.nestedForm('person')
+  }),
+'<div>\
+<div>Name: <input type="text" name="person-name" value="Alan"></div>\
+<div>Dob: <input type="text" name="person-dob">\
+<ul class="errorlist"><li>This field is required.</li></ul></div>\
+</div>',
+  'Nested forms display their own errors')
+})
+
 }()
\ No newline at end of file
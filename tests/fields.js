@@ -15,7 +15,7 @@ QUnit.test("Field provides given widgetAttrs", 1, function() {
   deepEqual(new forms.Field({widgetAttrs: {autoFocus: true}}).getWidgetAttrs(), {autoFocus: true})
 })
 
-QUnit.test("CharField", 35, function() {
+QUnit.test("CharField", 43, function() {
   var f = forms.CharField({widgetAttrs: {placeholder: 'test'}})
   widgetRendersTo(f, '<input placeholder="test" type="text" name="f" id="id_f">')
   strictEqual(f.clean(1), "1")
@@ -71,6 +71,24 @@ QUnit.test("CharField", 35, function() {
   // Otherwise, return a maxLength attribute equal to maxLength
   deepEqual(f.getWidgetAttrs(forms.TextInput()), {maxLength: '10'})
   deepEqual(f.getWidgetAttrs(forms.PasswordInput()), {maxLength: '10'})
+
+  // Whitespace is kept by default
+  f = forms.CharField()
+  strictEqual(f.clean(" hello "), " hello ")
+  strictEqual(f.clean(" "), " ")
+
+  // CharField accepts an optional stripWhitespace parameter
+  f = forms.CharField({stripWhitespace: true, minLength: 5})
+  strictEqual(f.clean(" hello "), "hello")
+  cleanErrorEqual(f, "This field is required.", "  ")
+  cleanErrorEqual(f, "Ensure this value has at least 5 characters (it has 4).", " hell ")
+
+  // CharField accepts an optional emptyValue parameter
+  f = forms.CharField({required: false, emptyValue: null})
+  strictEqual(f.clean(""), null)
+  strictEqual(f.clean(null), null)
+  f = forms.EmailField({required: false, emptyValue: null})
+  strictEqual(f.clean(""), null)
 })
 
 QUnit.test("IntegerField", 55, function() {
@@ -971,6 +989,251 @@ QUnit.test("SplitDateTimeField", 24, function() {
   strictEqual(f._hasChanged(new Date(2008, 4, 6, 12, 40, 0), ["06/05/2008", "12:41"]), true)
 })
 
+QUnit.test("DurationField", 27, function() {
+  var HOUR = 3600000
+  var f = forms.DurationField()
+  // Clock format, as displayed by DurationInput
+  strictEqual(f.clean("30"), 30000)
+  strictEqual(f.clean("10:30"), 630000)
+  strictEqual(f.clean("02:10:30"), 2 * HOUR + 630000)
+  strictEqual(f.clean("1 02:00:00"), 26 * HOUR)
+  strictEqual(f.clean("3 days, 02:00:00"), 74 * HOUR)
+  strictEqual(f.clean("00:00:01.5"), 1500)
+  strictEqual(f.clean("-01:00:00"), -HOUR)
+  // Unit format
+  strictEqual(f.clean("1d 2h"), 26 * HOUR)
+  strictEqual(f.clean("1h30m"), 1.5 * HOUR)
+  strictEqual(f.clean("1.5 hours"), 1.5 * HOUR)
+  strictEqual(f.clean("2 days, 3 hours, 4 minutes"), 51 * HOUR + 240000)
+  strictEqual(f.clean(" 250ms "), 250)
+  // ISO 8601 format
+  strictEqual(f.clean("P1DT2H"), 26 * HOUR)
+  strictEqual(f.clean("PT0.5S"), 500)
+  strictEqual(f.clean("P2W"), 336 * HOUR)
+  strictEqual(f.clean("pt90m"), 1.5 * HOUR)
+  // Milliseconds
+  strictEqual(f.clean(HOUR), HOUR)
+  cleanErrorEqual(f, "This field is required.", "")
+  cleanErrorEqual(f, "This field is required.", null)
+  cleanErrorEqual(f, "Enter a valid duration.", "P1Y")
+  cleanErrorEqual(f, "Enter a valid duration.", "PT")
+  cleanErrorEqual(f, "Enter a valid duration.", "1 fortnight")
+  cleanErrorEqual(f, "Enter a valid duration.", "1:2:3:4")
+
+  // Limits may be given as durations or milliseconds
+  f = forms.DurationField({required: false, minValue: "PT15M", maxValue: 2 * HOUR})
+  strictEqual(f.clean(""), null)
+  strictEqual(f.clean("2h"), 2 * HOUR)
+  cleanErrorEqual(f, "Ensure this duration is at least 00:15:00.", "14m")
+  cleanErrorEqual(f, "Ensure this duration is at most 02:00:00.", "2h 1s")
+})
+
+QUnit.test("SplitDurationField", 10, function() {
+  var f = forms.SplitDurationField()
+  strictEqual(f.clean(["1", "2", "3", "4"]), 93784000)
+  strictEqual(f.clean(["", "2", "", ""]), 7200000, "Empty components are zero")
+  cleanErrorEqual(f, "This field is required.", ["", "", "", ""])
+  cleanErrorEqual(f, "Enter a whole number.", ["", "1.5", "", ""])
+  cleanErrorEqual(f, "Ensure this value is greater than or equal to 0.", ["", "-1", "", ""])
+
+  f = forms.SplitDurationField({required: false, maxValue: "1d"})
+  strictEqual(f.clean(["", "", "", ""]), null)
+  strictEqual(f.clean(["", "24", "", ""]), 86400000)
+  cleanErrorEqual(f, "Ensure this duration is at most 1 00:00:00.", ["1", "", "", "1"])
+  strictEqual(f._hasChanged(7200000, ["0", "2", "0", "0"]), false)
+  strictEqual(f._hasChanged(7200000, ["0", "2", "30", "0"]), true)
+})
+
+QUnit.test("SlugField", 8, function() {
+  var f = forms.SlugField()
+  strictEqual(f.clean(" a-slug_1 "), "a-slug_1")
+  cleanErrorEqual(f, 'Enter a valid "slug" consisting of letters, numbers, underscores or hyphens.', "caf\u00e9")
+  strictEqual(f.allowUnicode, false)
+
+  // SlugField accepts an optional allowUnicode parameter
+  f = forms.SlugField({allowUnicode: true})
+  strictEqual(f.clean("caf\u00e9-\u4f60\u597d_1"), "caf\u00e9-\u4f60\u597d_1")
+  strictEqual(f.clean("\u043f\u0440\u0438\u0432\u0435\u0442"), "\u043f\u0440\u0438\u0432\u0435\u0442")
+  cleanErrorEqual(f, 'Enter a valid "slug" consisting of Unicode letters, numbers, underscores, or hyphens.', "caf\u00e9 au lait")
+  cleanErrorEqual(f, 'Enter a valid "slug" consisting of Unicode letters, numbers, underscores, or hyphens.', "a.slug")
+  cleanErrorEqual(f, 'Enter a valid "slug" consisting of Unicode letters, numbers, underscores, or hyphens.', "\u00bfqu\u00e9?")
+})
+
+QUnit.test("UUIDField", 12, function() {
+  var f = forms.UUIDField()
+  widgetRendersTo(f, '<input type="text" name="f" id="id_f">')
+  strictEqual(f.clean("550e8400-e29b-41d4-a716-446655440000"), "550e8400-e29b-41d4-a716-446655440000")
+  strictEqual(f.clean("550E8400E29B41D4A716446655440000"), "550e8400-e29b-41d4-a716-446655440000")
+  strictEqual(f.clean("{550e8400-e29b-41d4-a716-446655440000}"), "550e8400-e29b-41d4-a716-446655440000")
+  strictEqual(f.clean(" urn:uuid:550e8400-e29b-41d4-a716-446655440000 "), "550e8400-e29b-41d4-a716-446655440000")
+  cleanErrorEqual(f, "This field is required.", "")
+  cleanErrorEqual(f, "This field is required.", "  ", "Whitespace is stripped before checking for empty input")
+  cleanErrorEqual(f, "Enter a valid UUID.", "550e8400-e29b-41d4-a716-44665544000")
+  cleanErrorEqual(f, "Enter a valid UUID.", "550e8400-e29b-41d4-a716-44665544000g")
+
+  f = forms.UUIDField({required: false})
+  strictEqual(f.clean(""), null)
+  strictEqual(f.clean(" "), null)
+  strictEqual(f.clean(null), null)
+})
+
+QUnit.test("JSONField", 16, function() {
+  var f = forms.JSONField()
+  widgetRendersTo(f, '<textarea rows="3" cols="40" name="f" id="id_f">\n</textarea>')
+  deepEqual(f.clean('{"a": [1, true, null]}'), {a: [1, true, null]})
+  strictEqual(f.clean('"text"'), "text")
+  strictEqual(f.clean(" 3.5 "), 3.5)
+  strictEqual(f.clean("false"), false)
+  cleanErrorEqual(f, "This field is required.", "")
+  cleanErrorEqual(f, "This field is required.", " \n ")
+  cleanErrorEqual(f, "This field is required.", "null")
+  cleanErrorEqual(f, "Enter a valid JSON.", "{a: 1}")
+  cleanErrorEqual(f, "Enter a valid JSON.", "'text'")
+
+  // Parse errors are available to custom messages
+  f = forms.JSONField({errorMessages: {invalid: "Invalid JSON: {value}"}})
+  cleanErrorEqual(f, "Invalid JSON: [1,", "[1,")
+
+  // Values are displayed as pretty-printed JSON, input as it was given
+  f = forms.JSONField({required: false, indent: 1})
+  strictEqual(f.prepareValue({a: [1]}), '{\n "a": [\n  1\n ]\n}')
+  strictEqual(f.prepareValue("[1,"), "[1,")
+  strictEqual(f.prepareValue(null), null)
+  strictEqual(f._hasChanged({a: 1}, '{ "a" : 1 }'), false)
+  strictEqual(f._hasChanged({a: 1}, '{"a": 2}'), true)
+})
+
+QUnit.test("IntegerRangeField", 13, function() {
+  var f = forms.IntegerRangeField()
+  widgetRendersTo(f, '<div><input type="number" name="f_0" data-newforms-field="f" id="id_f_0"><input type="number" name="f_1" data-newforms-field="f" id="id_f_1"></div>')
+  deepEqual(f.clean(["1", "10"]), {lower: 1, upper: 10})
+  deepEqual(f.clean(["5", "5"]), {lower: 5, upper: 5})
+  cleanErrorEqual(f, "This field is required.", ["", ""])
+  cleanErrorEqual(f, "This field is required.", ["1", ""], "Both bounds are required")
+  cleanErrorEqual(f, "Enter a whole number.", ["1", "a"])
+  cleanErrorEqual(f, "The start of the range must not exceed the end of the range.", ["10", "2"])
+  cleanErrorEqual(f, "Enter two whole numbers.", "1-10")
+
+  // Bounds may be left open if the field isn't required
+  f = forms.IntegerRangeField({required: false, minValue: 1, maxValue: 100})
+  strictEqual(f.clean(["", ""]), null)
+  deepEqual(f.clean(["", "10"]), {lower: null, upper: 10})
+  deepEqual(f.clean(["10", ""]), {lower: 10, upper: null})
+  // The base field's options are used for each bound
+  cleanErrorEqual(f, "Ensure this value is less than or equal to 100.", ["", "101"])
+  widgetRendersTo(f, '<div><input min="1" max="100" type="number" name="f_0" data-newforms-field="f" id="id_f_0"><input min="1" max="100" type="number" name="f_1" data-newforms-field="f" id="id_f_1"></div>')
+})
+
+QUnit.test("DecimalRangeField", 4, function() {
+  var f = forms.DecimalRangeField({decimalPlaces: 2})
+  deepEqual(f.clean(["1.5", "10.25"]), {lower: "1.5", upper: "10.25"})
+  cleanErrorEqual(f, "The start of the range must not exceed the end of the range.", ["10.5", "9.75"])
+  cleanErrorEqual(f, "Ensure that there are no more than 2 decimal places.", ["1.5", "10.255"])
+  cleanErrorEqual(f, "Enter two numbers.", "1.5")
+})
+
+QUnit.test("DateRangeField", 5, function() {
+  var f = forms.DateRangeField({inputFormats: ["%d/%m/%Y"]})
+  var range = f.clean(["01/02/2015", "28/02/2015"])
+  deepEqual([range.lower.valueOf(), range.upper.valueOf()],
+            [new Date(2015, 1, 1).valueOf(), new Date(2015, 1, 28).valueOf()])
+  cleanErrorEqual(f, "Enter a valid date.", ["2015-02-01", "28/02/2015"])
+  cleanErrorEqual(f, "The start of the range must not exceed the end of the range.", ["28/02/2015", "01/02/2015"])
+  strictEqual(f._hasChanged({lower: new Date(2015, 1, 1), upper: new Date(2015, 1, 28)}, ["01/02/2015", "28/02/2015"]), false)
+  strictEqual(f._hasChanged({lower: new Date(2015, 1, 1), upper: new Date(2015, 1, 28)}, ["01/02/2015", "27/02/2015"]), true)
+})
+
+QUnit.test("DateTimeRangeField", 4, function() {
+  var f = forms.DateTimeRangeField({required: false})
+  var range = f.clean(["2015-02-01 09:00", ""])
+  deepEqual([range.lower.valueOf(), range.upper], [new Date(2015, 1, 1, 9).valueOf(), null])
+  cleanErrorEqual(f, "The start of the range must not exceed the end of the range.", ["2015-02-01 09:00", "2015-02-01 08:59"])
+
+  // Both bounds are interpreted in the field's timezone
+  f = forms.DateTimeRangeField({timezone: "+01:00"})
+  range = f.clean(["2015-02-01 09:00", "2015-02-01 17:00"])
+  deepEqual([range.lower.toISOString(), range.upper.toISOString()],
+            ["2015-02-01T08:00:00.000Z", "2015-02-01T16:00:00.000Z"])
+  strictEqual(f.widget.widgets[1].timezone, "+01:00")
+})
+
+QUnit.test("MoneyField", 15, function() {
+  var f = forms.MoneyField({currencies: ["EUR", "JPY", "KWD"], defaultCurrency: "EUR"})
+  widgetRendersTo(f, '<div><input type="text" name="f_0" data-newforms-field="f" id="id_f_0"><select name="f_1" data-newforms-field="f" id="id_f_1"><option value="EUR" selected>EUR</option><option value="JPY">JPY</option><option value="KWD">KWD</option></select></div>')
+  deepEqual(f.clean(["12.5", "EUR"]), {amount: "12.50", currency: "EUR"})
+  deepEqual(f.clean(["1000", "JPY"]), {amount: "1000", currency: "JPY"})
+  deepEqual(f.clean(["1.5", "KWD"]), {amount: "1.500", currency: "KWD"})
+  cleanErrorEqual(f, "This field is required.", ["", "EUR"])
+  cleanErrorEqual(f, "Enter a complete value.", ["12.5", ""])
+  cleanErrorEqual(f, "Enter a number.", ["12.5.0", "EUR"])
+  cleanErrorEqual(f, "Select a valid choice. USD is not one of the available choices.", ["12.5", "USD"])
+
+  // Currency-specific decimal places are enforced, ignoring trailing zeros
+  cleanErrorEqual(f, "Ensure that there are no more than 2 decimal places for EUR.", ["12.505", "EUR"])
+  cleanErrorEqual(f, "Ensure that there are no more than 0 decimal places for JPY.", ["1000.5", "JPY"])
+  deepEqual(f.clean(["1000.00", "JPY"]), {amount: "1000", currency: "JPY"})
+
+  // An empty amount is an empty value, even though a currency is selected
+  f = forms.MoneyField({required: false, minValue: 0})
+  strictEqual(f.clean(["", "EUR"]), null)
+  cleanErrorEqual(f, "Ensure this value is greater than or equal to 0.", ["-1", "EUR"])
+
+  // Amounts may be formatted for the field's locale
+  forms.addLocale('de', {DECIMAL_SEPARATOR: ',', THOUSAND_SEPARATOR: '.', NUMBER_GROUPING: 3})
+  f.setLocale('de')
+  deepEqual(f.clean(["1.234,5", "EUR"]), {amount: "1234.50", currency: "EUR"})
+  f.setLocale(null)
+
+  strictEqual(forms.currencies.getDecimalPlaces("USD"), 2)
+})
+
+QUnit.test("PhoneNumberField", 15, function() {
+  var f = forms.PhoneNumberField({defaultRegion: "GB"})
+  widgetRendersTo(f, '<input type="tel" name="f" id="id_f">')
+  strictEqual(f.clean("+44 20 7946 0000"), "+442079460000")
+  strictEqual(f.clean("0044 20 7946 0000"), "+442079460000")
+  strictEqual(f.clean("020 7946 0000"), "+442079460000", "National numbers are in the default region")
+  strictEqual(f.clean("+1 (212) 555-0123"), "+12125550123")
+  cleanErrorEqual(f, "This field is required.", "")
+  cleanErrorEqual(f, "This field is required.", "  ")
+  cleanErrorEqual(f, "Enter a valid phone number.", "020 7946")
+  cleanErrorEqual(f, "Enter a valid phone number.", "+1 212 555 01234", "National number lengths are checked for known calling codes")
+  cleanErrorEqual(f, "Enter a valid phone number.", "call me")
+
+  // Without a default region, numbers must be international
+  f = forms.PhoneNumberField({required: false})
+  strictEqual(f.clean(""), "")
+  strictEqual(f.clean(" "), "")
+  cleanErrorEqual(f, "Enter a valid phone number.", "020 7946 0000")
+  strictEqual(f.clean("+999 1234 5678"), "+99912345678", "Unknown calling codes are checked for E.164 length")
+
+  throws(function() { forms.PhoneNumberField({defaultRegion: "XX"}) }, /Unknown region: 'XX'/)
+})
+
+QUnit.test("PostalCodeField", 13, function() {
+  var f = forms.PostalCodeField({country: "GB"})
+  widgetRendersTo(f, '<input type="text" name="f" id="id_f">')
+  strictEqual(f.clean(" sw1a  1aa "), "SW1A 1AA", "Input is normalised")
+  strictEqual(f.clean("EC1A1BB"), "EC1A1BB")
+  cleanErrorEqual(f, "Enter a valid postal code.", "12345")
+  cleanErrorEqual(f, "This field is required.", "")
+  cleanErrorEqual(f, "This field is required.", "  ")
+
+  f = forms.PostalCodeField({country: "DE"})
+  widgetRendersTo(f, '<input pattern="[0-9]*" type="text" name="f" id="id_f">')
+  f = forms.PostalCodeField({country: "US"})
+  strictEqual(f.clean("12345-6789"), "12345-6789")
+  cleanErrorEqual(f, "Enter a valid postal code.", "1234")
+
+  // Postal codes for countries without a known format aren't validated
+  f = forms.PostalCodeField({country: "ZZ"})
+  strictEqual(f.clean("anything"), "ANYTHING")
+  f = forms.PostalCodeField({required: false})
+  strictEqual(f.clean(" "), "")
+  strictEqual(f.clean("12345"), "12345")
+  strictEqual(typeof f.widget.attrs.pattern, "undefined")
+})
+
 QUnit.test("IPAddressField", 14, function() {
   var f = forms.IPAddressField()
   cleanErrorEqual(f, "This field is required.", "")
@@ -3,4 +3,10 @@ QUnit.module("formats")
 QUnit.test('getFormat', function() {
   var getFormat = forms.formats.getFormat
   deepEqual(getFormat('TIME_INPUT_FORMATS'), ['%H:%M:%S', '%H:%M'], 'Default TIME_INPUT_FORMATS fall back to ISO formats')
+  strictEqual(getFormat('DATE_INPUT_FORMATS', 'en'), getFormat('DATE_INPUT_FORMATS', 'en'), 'Formats are cached by locale')
+
+  // Formats cached for a locale which wasn't loaded yet are replaced once it is
+  deepEqual(getFormat('DATE_INPUT_FORMATS', 'xx_FMT'), getFormat('DATE_INPUT_FORMATS', 'en'), 'Unknown locales use the default locale')
+  forms.addLocale('xx_FMT', {DATE_INPUT_FORMATS: ['%d.%m.%Y']})
+  deepEqual(getFormat('DATE_INPUT_FORMATS', 'xx_FMT'), ['%d.%m.%Y', '%Y-%m-%d'], 'Newly added locales are used')
 })
@@ -186,6 +186,127 @@ QUnit.test('Specifying fields used by clean()', 3, function() {
   strictEqual(cleanCalled, true, 'clean() was called by updateData')
 })
 
+QUnit.test('Cross-field validators', 14, function() {
+  var calls = []
+  var SignupForm = forms.Form.extend({
+    password1: forms.CharField()
+  , password2: forms.CharField()
+  , start: forms.DateField()
+  , end: forms.DateField()
+  , crossFieldValidators: {
+      passwordsMatch: ['password1', 'password2', function() {
+        calls.push('passwordsMatch')
+        if (this.cleanedData.password1 != this.cleanedData.password2) {
+          throw forms.ValidationError({password2: 'Passwords do not match.'})
+        }
+      }]
+    , dateRange: ['start', 'end', function() {
+        calls.push('dateRange')
+        if (this.cleanedData.start > this.cleanedData.end) {
+          throw forms.ValidationError('The start date must be before the end date.')
+        }
+      }]
+    }
+  })
+  deepEqual(SignupForm.prototype.crossFieldValidators.dateRange.fields, {start: true, end: true})
+
+  var f = new SignupForm({data: {
+    password1: 'secret', password2: 'secrte', start: '2015-03-02', end: '2015-03-01'
+  }})
+  strictEqual(f.isValid(), false)
+  deepEqual(f.errors().toJSON(), {
+    password2: [{message: 'Passwords do not match.', code: ''}]
+  , __all__: [{message: 'The start date must be before the end date.', code: ''}]
+  }, 'Validators can add errors to specific fields or non-field errors')
+  deepEqual(calls, ['passwordsMatch', 'dateRange'])
+
+  // Validators are only run again when one of their fields changes, and
+  // replace any errors they previously added.
+  calls = []
+  f.updateData({password1: 'secrte'})
+  deepEqual(calls, ['passwordsMatch'])
+  deepEqual(f.errors().toJSON(), {
+    __all__: [{message: 'The start date must be before the end date.', code: ''}]
+  }, "Errors from validators which weren't run are kept")
+  calls = []
+  f.updateData({end: '2015-03-03'})
+  deepEqual(calls, ['dateRange'])
+  strictEqual(f.isValid(), true)
+
+  // Validators aren't run if any of their fields are invalid
+  calls = []
+  f.updateData({start: 'tomorrow'})
+  deepEqual(calls, [])
+
+  // Only errors a validator added are replaced, even if the same message was
+  // added by something else.
+  var UsernameForm = forms.Form.extend({
+    confirm: forms.CharField({required: false})
+  , username: forms.CharField()
+  , password: forms.CharField()
+  , cleanConfirm: function() {
+      if (this.cleanedData.confirm == 'password') {
+        throw forms.ValidationError('Choose another password.')
+      }
+    }
+  , crossFieldValidators: {
+      notUsername: ['username', 'password', function() {
+        if (this.cleanedData.username == this.cleanedData.password) {
+          throw forms.ValidationError({confirm: 'Choose another password.'})
+        }
+      }]
+    }
+  })
+  f = new UsernameForm({data: {username: 'ada', password: 'ada', confirm: 'password'}})
+  deepEqual(f.errors('confirm').messages(), ['Choose another password.'])
+  f.updateData({password: 'lovelace'})
+  deepEqual(f.errors('confirm').messages(), ['Choose another password.'])
+  f.updateData({confirm: 'lovelace'})
+  strictEqual(f.isValid(), true)
+
+  // Validators are inherited and can be removed by setting them to null
+  var ChildForm = SignupForm.extend({
+    crossFieldValidators: {passwordsMatch: null}
+  })
+  deepEqual(Object.keys(ChildForm.prototype.crossFieldValidators), ['dateRange'])
+  deepEqual(SignupForm.toJSONSchema()['x-unsupported'], [
+    {field: null, validator: 'passwordsMatch'}
+  , {field: null, validator: 'dateRange'}
+  ])
+})
+
+QUnit.asyncTest('Cross-field validators - async validation', 3, function() {
+  var UsernameForm = forms.Form.extend({
+    username: forms.CharField()
+  , domain: forms.CharField()
+  , crossFieldValidators: {
+      available: ['username', 'domain', function() {
+        var address = this.cleanedData.username + '@' + this.cleanedData.domain
+        return new Promise(function(resolve, reject) {
+          setTimeout(function() {
+            if (address == 'admin@example.com') {
+              reject(forms.ValidationError({username: 'That address is taken.'}))
+            }
+            else {
+              resolve()
+            }
+          }, 10)
+        })
+      }]
+    }
+  })
+  var f = new UsernameForm({data: {username: 'admin', domain: 'example.com'}})
+  f.validate(function(err, isValid) {
+    strictEqual(isValid, false)
+    deepEqual(f.errors('username').messages(), ['That address is taken.'])
+    f.setData({username: 'alice', domain: 'example.com'}, {validate: false})
+    f.validate(function(err, isValid) {
+      strictEqual(isValid, true)
+      start()
+    })
+  })
+})
+
 QUnit.test("Empty data object", 7, function() {
   // Empty objects are valid, too
   var p = new Person({data: {}})
@@ -2114,4 +2235,765 @@ QUnit.test('ErrorList', 4, function() {
             e.toJSON())
 })
 
+QUnit.asyncTest('Async validation with Promises', 8, function() {
+  var SignupForm = forms.Form.extend({
+    username: forms.CharField()
+  , cleanUsername: function() {
+      var username = this.cleanedData.username
+      return new Promise(function(resolve, reject) {
+        if (username == 'admin') {
+          reject(forms.ValidationError('That username is taken.'))
+        }
+        else {
+          resolve()
+        }
+      })
+    }
+  })
+
+  // Promise-returning clean methods are detected when they're called
+  var form = new SignupForm({data: {username: 'admin'}})
+  strictEqual(form.isAsync(), false)
+  var promise = form.validate()
+  strictEqual(typeof promise.then, 'function')
+  strictEqual(form.isPending(), true)
+  strictEqual(form.isAsync(), true)
+
+  promise.then(function(isValid) {
+    strictEqual(isValid, false)
+    deepEqual(form.errors('username').messages(), ['That username is taken.'])
+    // A callback can still be used
+    form.setData({username: 'alice'}, {validate: false})
+    form.validate(function(err, isValid, cleanedData) {
+      strictEqual(isValid, true)
+      deepEqual(cleanedData, {username: 'alice'})
+      start()
+    })
+  })
+})
+
+QUnit.asyncTest('Async validation with Promises - callback-style clean', 3, function() {
+  var AsyncForm = forms.Form.extend({
+    name: forms.CharField()
+  , clean: function(cb) {
+      setTimeout(function() {
+        cb(null, forms.ValidationError('Nope.'))
+      }, 0)
+    }
+  })
+
+  var form = new AsyncForm({data: {name: 'Bob'}})
+  form.validate().then(function(isValid) {
+    strictEqual(isValid, false)
+    deepEqual(form.nonFieldErrors().messages(), ['Nope.'])
+    strictEqual(form.isPending(), false)
+    start()
+  })
+})
+
+QUnit.asyncTest('Async validation with Promises - errors and cancellation', 3, function() {
+  var cancelled = []
+  var calls = 0
+  var ErrorForm = forms.Form.extend({
+    name: forms.CharField()
+  , cleanName: function() {
+      var call = ++calls
+      var promise = new Promise(function(resolve, reject) {
+        setTimeout(function() {
+          reject(new Error('Failed ' + call))
+        }, 0)
+      })
+      promise.onCancel = function() { cancelled.push(call) }
+      return promise
+    }
+  })
+
+  function errorMessage(err) { return err.message }
+
+  var form = new ErrorForm({data: {name: 'Bob'}})
+  var first = form.validate()
+  // Revalidating cancels pending async validation, and the superseded
+  // validation gets the result of the latest.
+  var second = form.validate()
+  Promise.all([first.then(null, errorMessage), second.then(null, errorMessage)])
+    .then(function(messages) {
+      deepEqual(cancelled, [1])
+      deepEqual(messages, ['Failed 2', 'Failed 2'])
+      strictEqual(form.isPending(), false)
+      start()
+    })
+})
+
+QUnit.test('Conditional fields', 21, function() {
+  var ContactForm = forms.Form.extend({
+    reason: forms.ChoiceField({choices: ['sales', 'support', 'other']})
+  , other: forms.CharField({showIf: {reason: 'other'}})
+  , phone: forms.CharField({required: false})
+  , callMe: forms.BooleanField({required: false})
+  , callTime: forms.CharField({requiredIf: function(data) { return data.callMe }})
+  })
+
+  // Hidden-by-condition fields aren't rendered
+  var f = new ContactForm({autoId: false})
+  deepEqual(f.visibleFields().map(function(bf) { return bf.name }),
+            ['reason', 'phone', 'callMe', 'callTime'])
+  strictEqual(f.isFieldShown('other'), false)
+  strictEqual(f.isFieldRequired('other'), false)
+  strictEqual(f.isFieldRequired('callTime'), false)
+
+  // ...and aren't validated or included in cleanedData
+  f = new ContactForm({data: {reason: 'sales', other: 'ignored'}})
+  strictEqual(f.isValid(), true)
+  deepEqual(f.cleanedData, {reason: 'sales', phone: '', callMe: false, callTime: ''})
+
+  // Conditions which have been met
+  f = new ContactForm({data: {reason: 'other', callMe: true}})
+  strictEqual(f.isFieldShown('other'), true)
+  strictEqual(f.isFieldRequired('callTime'), true)
+  strictEqual(f.isValid(), false)
+  deepEqual(f.errors().toJSON(), {
+    other: [{code: 'required', message: 'This field is required.'}]
+  , callTime: [{code: 'required', message: 'This field is required.'}]
+  })
+  strictEqual(f.fields.callTime.required, false, "Conditions don't change fields")
+
+  // Required-ness is determined when rendering, without cleaning
+  var StyledContactForm = ContactForm.extend({
+    requiredCssClass: 'required'
+  , optionalCssClass: 'optional'
+  })
+  f = new StyledContactForm({data: {reason: 'sales', callMe: true}})
+  equal(f.boundField('callTime').cssClasses(), 'required')
+  f.updateData({callMe: false}, {validate: false})
+  equal(f.boundField('callTime').cssClasses(), 'optional')
+
+  // Input data for conditions is computed once per clean or render pass
+  var conditionData = []
+  var PassForm = forms.Form.extend({
+    a: forms.CharField({showIf: function(data) { conditionData.push(data); return true }})
+  , b: forms.CharField({showIf: function(data) { conditionData.push(data); return true }})
+  })
+  f = new PassForm({data: {a: '1', b: '2'}})
+  f.visibleFields()
+  strictEqual(conditionData[0], conditionData[1])
+  conditionData = []
+  f.isValid()
+  strictEqual(conditionData[0], conditionData[1])
+  f = new ContactForm({data: {reason: 'other', other: 'Feedback', callMe: true, callTime: '9am'}})
+  strictEqual(f.isValid(), true)
+  deepEqual(f.cleanedData, {reason: 'other', other: 'Feedback', phone: '', callMe: true, callTime: '9am'})
+
+  // Conditional fields which have been validated are revalidated when other
+  // fields change.
+  f = new ContactForm({data: {reason: 'other', callMe: true}})
+  strictEqual(f.isValid(), false)
+  f.updateData({reason: 'sales', callMe: false})
+  strictEqual(f.isValid(), true)
+  strictEqual(f.errors().isPopulated(), false)
+  strictEqual(typeof f.cleanedData.other, 'undefined')
+})
+
+QUnit.test('Postal codes for another field', 8, function() {
+  var AddressForm = forms.Form.extend({
+    country: forms.ChoiceField({choices: ['DE', 'GB', 'US', 'NL']})
+  , postcode: forms.PostalCodeField({countryField: 'country'})
+  })
+
+  var f = new AddressForm({data: {country: 'NL', postcode: '1012 jk'}})
+  strictEqual(f.isValid(), true)
+  strictEqual(f.cleanedData.postcode, '1012 JK')
+  f = new AddressForm({data: {country: 'US', postcode: '1012 jk'}})
+  deepEqual(f.errors().toJSON(), {
+    postcode: [{code: 'invalid', message: 'Enter a valid postal code.'}]
+  })
+
+  // Postal codes which have been validated are revalidated when the country
+  // changes.
+  f.updateData({country: 'NL'})
+  strictEqual(f.isValid(), true)
+  strictEqual(f.errors().isPopulated(), false)
+
+  // Postal codes for the selected country get a numeric keypad if they only
+  // contain digits.
+  f = new AddressForm({data: {country: 'DE'}})
+  reactHTMLEqual(f.boundField('postcode').render(),
+    '<input pattern="[0-9]*" type="text" name="postcode" id="id_postcode">')
+  f.updateData({country: 'NL'})
+  reactHTMLEqual(f.boundField('postcode').render(),
+    '<input type="text" name="postcode" id="id_postcode">')
+
+  var BrokenForm = forms.Form.extend({
+    postcode: forms.PostalCodeField({countryField: 'country'})
+  })
+  throws(function() { new BrokenForm({data: {postcode: '12345'}}).isValid() },
+         /has no field named 'country'/)
+})
+
+QUnit.test('Nested forms', 14, function() {
+  var AddressForm = forms.Form.extend({
+    street: forms.CharField()
+  , city: forms.CharField()
+  })
+  var PhoneForm = forms.Form.extend({
+    number: forms.IntegerField()
+  })
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField()
+  , address: forms.FormField({form: AddressForm})
+  , postalAddress: forms.FormField({form: AddressForm, required: false})
+  , phones: forms.FormSetField({form: PhoneForm, extra: 0})
+  , cleanAddress: function() {
+      if (this.cleanedData.address.city == 'Nowhere') {
+        throw forms.ValidationError('Unknown city.')
+      }
+    }
+  })
+
+  // Nested forms' fields are prefixed with their field's name
+  var f = new PersonForm({prefix: 'person'})
+  equal(f.nestedForm('address').addPrefix('street'), 'person-address-street')
+  equal(f.nestedForm('phones').addPrefix(0), 'person-phones-0')
+  strictEqual(f.boundField('address').nestedForm(), f.nestedForm('address'))
+
+  // Unprefixed input data for nested forms is flattened
+  f = new PersonForm()
+  f.setData({
+    name: 'Alan'
+  , address: {street: '1 Main St', city: 'Perth'}
+  , phones: [{number: '123'}, {number: '456'}]
+  })
+  equal(f.data['address-city'], 'Perth')
+  equal(f.data['phones-1-number'], '456')
+  strictEqual(f.isValid(), true)
+  deepEqual(f.cleanedData, {
+    name: 'Alan'
+  , address: {street: '1 Main St', city: 'Perth'}
+  , postalAddress: null
+  , phones: [{number: 123}, {number: 456}]
+  })
+
+  // Nested errors are nested in the parent's errors
+  f.setData({
+    name: 'Alan'
+  , address: {street: '1 Main St'}
+  , postalAddress: {city: 'Perth'}
+  , phones: [{number: '123'}, {number: 'abc'}]
+  })
+  strictEqual(f.isValid(), false)
+  deepEqual(f.errors().toJSON(), {
+    address: {city: [{code: 'required', message: 'This field is required.'}]}
+  , postalAddress: {street: [{code: 'required', message: 'This field is required.'}]}
+  , phones: {1: {number: [{code: 'invalid', message: 'Enter a whole number.'}]}}
+  })
+  equal(f.boundField('address').errorMessage(), 'This field is required.')
+  deepEqual(forms.ErrorObject.fromJSON(f.errors().toJSON()).toJSON(), f.errors().toJSON())
+
+  // Changes to nested forms update their parent's validation state
+  f.nestedForm('address').updateData({city: 'Nowhere'})
+  f.nestedForm('postalAddress').updateData({street: '2 Main St'})
+  f.nestedForm('phones').forms()[1].updateData({number: '456'})
+  deepEqual(f.errors().toJSON(), {
+    address: [{code: '', message: 'Unknown city.'}]
+  })
+  f.nestedForm('address').updateData({city: 'Perth'})
+  strictEqual(f.isValid(), true)
+  deepEqual(f.cleanedData.postalAddress, {street: '2 Main St', city: 'Perth'})
+})
+
+QUnit.asyncTest('Nested forms - async validation', 2, function() {
+  var UsernameForm = forms.Form.extend({
+    username: forms.CharField()
+  , cleanUsername: function() {
+      var username = this.cleanedData.username
+      return new Promise(function(resolve, reject) {
+        setTimeout(function() {
+          if (username == 'admin') {
+            reject(forms.ValidationError('Username is taken.'))
+          }
+          else {
+            resolve()
+          }
+        }, 0)
+      })
+    }
+  })
+  var SignupForm = forms.Form.extend({
+    account: forms.FormField({form: UsernameForm})
+  })
+
+  var form = new SignupForm({data: {'account-username': 'admin'}})
+  form.validate().then(function(isValid) {
+    deepEqual(form.errors().toJSON(), {
+      account: {username: [{code: '', message: 'Username is taken.'}]}
+    })
+    form.setData({account: {username: 'alan'}}, {validate: false})
+    return form.validate()
+  }).then(function(isValid) {
+    deepEqual(form.cleanedData, {account: {username: 'alan'}})
+    start()
+  })
+})
+
+QUnit.test('JSON Schema', 6, function() {
+  function checkTeam(value) {}
+  var AddressForm = forms.Form.extend({
+    city: forms.CharField({maxLength: 50})
+  })
+  var SignupForm = forms.Form.extend({
+    username: forms.RegexField('^[a-z]+$', {minLength: 3, label: 'Login'})
+  , email: forms.EmailField({helpText: 'We never share this.'})
+  , age: forms.IntegerField({minValue: 18, maxValue: 99, required: false})
+  , plan: forms.ChoiceField({choices: ['free', 'paid'], initial: 'free'})
+  , seats: forms.TypedChoiceField({choices: [['1', 'One'], ['2', 'Two']], coerce: Number})
+  , website: forms.URLField({required: false})
+  , birthday: forms.DateField()
+  , terms: forms.BooleanField()
+  , team: forms.SlugField({validators: [checkTeam]})
+  , address: forms.FormField({form: AddressForm})
+  , cleanEmail: function() {}
+  })
+
+  var schema = SignupForm.toJSONSchema({title: 'Signup'})
+  deepEqual(schema, {
+    $schema: 'http://json-schema.org/draft-04/schema#'
+  , title: 'Signup'
+  , type: 'object'
+  , properties: {
+      username: {title: 'Login', type: 'string', minLength: 3, pattern: '^[a-z]+$'}
+    , email: {title: 'Email', description: 'We never share this.', type: 'string', format: 'email'}
+    , age: {title: 'Age', type: ['integer', 'null'], minimum: 18, maximum: 99}
+    , plan: {title: 'Plan', enum: ['free', 'paid'], default: 'free'}
+    , seats: {title: 'Seats', enum: [1, 2]}
+    , website: {title: 'Website', type: ['string', 'null'], format: 'uri'}
+    , birthday: {title: 'Birthday', type: 'string', format: 'date'}
+    , terms: {title: 'Terms', type: 'boolean', enum: [true]}
+    , team: {title: 'Team', type: 'string', pattern: '^[-a-zA-Z0-9_]+$'}
+    , address: {
+        title: 'Address'
+      , type: 'object'
+      , properties: {city: {title: 'City', type: 'string', maxLength: 50}}
+      , required: ['city']
+      }
+    }
+  , required: ['username', 'email', 'plan', 'seats', 'birthday', 'terms', 'team', 'address']
+  , 'x-unsupported': [
+      {field: 'email', validator: 'cleanEmail'}
+    , {field: 'team', validator: 'checkTeam'}
+    ]
+  }, 'Form.toJSONSchema()')
+
+  // Schemas can be created from instances, whose fields may have been altered
+  var form = new SignupForm()
+  delete form.fields.address
+  strictEqual(form.toJSONSchema().properties.address, undefined)
+
+  // Conditional fields and cross-field validation are reported
+  var ContactForm = forms.Form.extend({
+    callMe: forms.BooleanField({required: false})
+  , phone: forms.CharField({requiredIf: {callMe: true}})
+  , clean: function() {}
+  })
+  schema = ContactForm.toJSONSchema()
+  deepEqual(schema.required, undefined)
+  deepEqual(schema['x-unsupported'], [
+    {field: 'phone', validator: 'requiredIf'}
+  , {field: null, validator: 'clean'}
+  ])
+
+  // Decimal digit limits are enforced by the pattern for strings
+  schema = forms.Form.extend({
+    price: forms.DecimalField({maxDigits: 5, decimalPlaces: 2})
+  }).toJSONSchema()
+  deepEqual([schema.properties.price.multipleOf, schema['x-unsupported']],
+            [0.01, [{field: 'price', validator: 'maxDigits'}]])
+  var inputs = ['1', '0', '00', '.5', '5.', '-0.5', '0001.50', '0.12', '.123',
+                '123.45', '1234.5', '123.456', '12345', '123456']
+  var fieldKwargs = [
+    {maxDigits: 5, decimalPlaces: 2}, {decimalPlaces: 0}, {maxDigits: 3}
+  , {maxDigits: 2, decimalPlaces: 2}
+  ]
+  var mismatches = []
+  fieldKwargs.forEach(function(kwargs) {
+    var field = forms.DecimalField(kwargs)
+    var pattern = new RegExp(forms.Form.extend({price: field}).toJSONSchema().properties.price.pattern)
+    inputs.forEach(function(input) {
+      var valid = true
+      try { field.clean(input) } catch (e) { valid = false }
+      if (pattern.test(input) !== valid) {
+        mismatches.push([JSON.stringify(kwargs), input, valid])
+      }
+    })
+  })
+  deepEqual(mismatches, [], 'Patterns match DecimalField validation')
+})
+
+QUnit.test('Forms from field specs', 14, function() {
+  var SignupForm = forms.formFromSchema([
+    {name: 'username', type: 'RegexField', regex: '^[a-z]+$', minLength: 3, label: 'Login'}
+  , {name: 'password', type: 'CharField', widget: 'PasswordInput'}
+  , {name: 'bio', type: 'CharField', required: false, widget: {type: 'Textarea', attrs: {rows: 3}}}
+  , {name: 'plan', type: 'ChoiceField', choices: [['free', 'Free'], ['paid', 'Paid']], initial: 'free'}
+  , {name: 'team', type: 'CharField', validators: ['validateSlug', {type: 'MaxLengthValidator', limitValue: 10}]}
+  , {name: 'address', type: 'FormField', form: [{name: 'city', type: 'CharField'}]}
+  ])
+  deepEqual(Object.keys(SignupForm.prototype.baseFields),
+            ['username', 'password', 'bio', 'plan', 'team', 'address'],
+            'Fields are created in spec order')
+  var fields = SignupForm.prototype.baseFields
+  ok(fields.username instanceof forms.RegexField && fields.username.label == 'Login')
+  ok(fields.password.widget instanceof forms.PasswordInput, 'Widgets by name')
+  strictEqual(fields.bio.widget.attrs.rows, 3, 'Widgets with kwargs')
+  deepEqual(fields.plan.choices(), [['free', 'Free'], ['paid', 'Paid']])
+
+  var form = new SignupForm({data: {
+    username: 'ab', password: 'secret', plan: 'free', team: 'a b'
+  , 'address-city': 'Glasgow'
+  }})
+  strictEqual(form.isValid(), false)
+  deepEqual(form.errors().toJSON(), {
+    username: [{message: 'Ensure this value has at least 3 characters (it has 2).', code: 'minLength'}]
+  , team: [{message: 'Enter a valid "slug" consisting of letters, numbers, underscores or hyphens.', code: 'invalid'}]
+  }, 'Validators by name and spec')
+
+  // Custom field and widget types can be registered
+  var ColourField = forms.CharField.extend({})
+  var ColourInput = forms.TextInput.extend({inputType: 'color'})
+  forms.addFieldType('test-colour', ColourField)
+  forms.addWidgetType('TestColourInput', ColourInput)
+  var ThemeForm = forms.formFromSchema({fields: [
+    {name: 'background', type: 'test-colour', widget: 'TestColourInput'}
+  ]})
+  ok(ThemeForm.prototype.baseFields.background instanceof ColourField)
+  ok(ThemeForm.prototype.baseFields.background.widget instanceof ColourInput)
+
+  // ...and removed again
+  forms.removeFieldType('test-colour')
+  forms.removeWidgetType('TestColourInput')
+  throws(function() { forms.formFromSchema([{name: 'x', type: 'test-colour'}]) },
+         /Unknown field type 'test-colour' for field 'x'/)
+  throws(function() { forms.formFromSchema([{name: 'x', type: 'CharField', widget: 'TestColourInput'}]) },
+         /Unknown widget type 'TestColourInput' for field 'x'/)
+
+  // Descriptive errors for specs which can't be created
+  throws(function() { forms.formFromSchema([{name: 'x', type: 'ColorField'}]) },
+         /Unknown field type 'ColorField' for field 'x'/)
+  throws(function() { forms.formFromSchema([{name: 'x', type: 'CharField', widget: 'Colour'}]) },
+         /Unknown widget type 'Colour' for field 'x'/)
+  throws(function() { forms.formFromSchema([{type: 'CharField'}]) },
+         /Field specs must have a 'name'/)
+})
+
+QUnit.test('Forms from JSON Schema', 10, function() {
+  var AddressForm = forms.Form.extend({
+    city: forms.CharField({maxLength: 50})
+  })
+  var SignupForm = forms.Form.extend({
+    username: forms.RegexField('^[a-z]+$', {minLength: 3, label: 'Login'})
+  , email: forms.EmailField({helpText: 'We never share this.'})
+  , age: forms.IntegerField({minValue: 18, maxValue: 99, required: false})
+  , plan: forms.ChoiceField({choices: ['free', 'paid'], initial: 'free'})
+  , seats: forms.TypedChoiceField({choices: [['1', 'One'], ['2', 'Two']], coerce: Number})
+  , price: forms.DecimalField({decimalPlaces: 2, required: false})
+  , website: forms.URLField({required: false})
+  , birthday: forms.DateField()
+  , terms: forms.BooleanField()
+  , team: forms.SlugField()
+  , server: forms.GenericIPAddressField({required: false})
+  , address: forms.FormField({form: AddressForm})
+  })
+
+  var schema = SignupForm.toJSONSchema()
+  var Form = forms.formFromSchema(schema)
+  var fields = Form.prototype.baseFields
+  deepEqual(Object.keys(fields).map(function(name) {
+    return fields[name].constructor.name
+  }), ['RegexField', 'EmailField', 'IntegerField', 'ChoiceField',
+       'TypedChoiceField', 'DecimalField', 'URLField', 'DateField',
+       'BooleanField', 'SlugField', 'GenericIPAddressField', 'FormField'],
+            'Fields are created for each property')
+  deepEqual(Form.toJSONSchema(), schema, 'Schemas round trip')
+
+  var form = new Form({data: {
+    username: 'alice', email: 'alice@example.com', age: '21', plan: 'paid'
+  , seats: '2', price: '1.50', birthday: '1990-01-01', terms: 'on'
+  , team: 'reds', server: '192.168.0.1', 'address-city': 'Glasgow'
+  }})
+  strictEqual(form.isValid(), true, 'Created forms validate')
+  deepEqual(form.cleanedData, {
+    username: 'alice', email: 'alice@example.com', age: 21, plan: 'paid'
+  , seats: 2, price: '1.50', website: '', birthday: new Date(1990, 0, 1)
+  , terms: true, team: 'reds', server: '192.168.0.1', address: {city: 'Glasgow'}
+  }, 'Created forms clean')
+  form.updateData({server: '256.0.0.1'})
+  deepEqual(form.errors('server').messages(), ['Enter a valid IPv4 or IPv6 address.'],
+            'IP address validation survives a round trip')
+
+  // Arrays of objects become formsets
+  Form = forms.formFromSchema({
+    type: 'object'
+  , properties: {
+      tags: {type: 'array', items: {enum: ['a', 'b']}, uniqueItems: true}
+    , items: {type: 'array', items: {type: 'object', properties: {
+        name: {type: 'string'}
+      }}, minItems: 1}
+    }
+  })
+  ok(Form.prototype.baseFields.tags instanceof forms.MultipleChoiceField)
+  ok(Form.prototype.baseFields.items instanceof forms.FormSetField)
+  strictEqual(Form.prototype.baseFields.items.formsetKwargs.minNum, 1)
+
+  throws(function() {
+    forms.formFromSchema({type: 'object', properties: {x: {type: 'string', format: 'hex-colour'}}})
+  }, /Unsupported JSON Schema format 'hex-colour' for field 'x'/)
+  throws(function() {
+    forms.formFromSchema({type: 'object', properties: {x: {type: 'string', not: {}}}})
+  }, /Unsupported JSON Schema keyword 'not' for field 'x'/)
+})
+
+QUnit.test('Undo and redo', 16, function() {
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField({maxLength: 5})
+  , age: forms.IntegerField()
+  })
+
+  // History is opt-in
+  var form = new PersonForm()
+  form.updateData({name: 'Alan'})
+  strictEqual(form.canUndo(), false)
+  strictEqual(form.undo(), false)
+
+  form = new PersonForm({history: true, initial: {age: 30}})
+  strictEqual(form.canUndo(), false)
+  form.updateData({name: 'Alan Turing'})
+  form.updateData({age: 'x'})
+  strictEqual(form.canUndo(), true)
+  deepEqual(form.errors().toJSON(), {
+    name: [{message: 'Ensure this value has at most 5 characters (it has 11).', code: 'maxLength'}]
+  , age: [{message: 'Enter a whole number.', code: 'invalid'}]
+  })
+
+  // Affected fields are re-validated after each step
+  strictEqual(form.undo(), true)
+  equal(form.data.age, 30)
+  deepEqual(Object.keys(form.errors().toJSON()), ['name'])
+  strictEqual(form.canRedo(), true)
+  form.redo()
+  equal(form.data.age, 'x')
+  deepEqual(Object.keys(form.errors().toJSON()), ['name', 'age'])
+
+  // Undoing back to the initial state returns the form to its initial render
+  form.undo()
+  form.undo()
+  strictEqual(form.isInitialRender, true)
+  strictEqual(form.canUndo(), false)
+
+  // Making a new change clears changes which could have been redone
+  form.updateData({name: 'Ada'})
+  strictEqual(form.canRedo(), false)
+
+  // Rapid changes to the same field are coalesced and history has a depth
+  function changeEvent(name, value) {
+    var element = {name: name, type: 'text', value: value, getAttribute: function() { return null }}
+    element.form = {elements: {}}
+    element.form.elements[name] = element
+    return {target: element}
+  }
+  form = new PersonForm({history: {depth: 2}, validation: 'change', onChange: function() {}})
+  var onChange = form.boundField('name').asWidget().props.onChange
+  onChange(changeEvent('name', 'A'))
+  onChange(changeEvent('name', 'Ad'))
+  onChange(changeEvent('name', 'Ada'))
+  form.undo()
+  equal(form.data.name, undefined, 'Keystrokes were coalesced')
+  form.redo()
+  form.updateData({age: '1'})
+  form.updateData({age: '2'})
+  form.undo()
+  form.undo()
+  deepEqual([form.data.name, form.undo()], ['Ada', false], 'History depth was limited')
+})
+
+QUnit.test('Touched, visited and dirty fields', 21, function() {
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField()
+  , age: forms.IntegerField({initial: 30})
+  , errorCssClass: 'error'
+  , validCssClass: 'valid'
+  , visitedCssClass: 'visited'
+  , touchedCssClass: 'touched'
+  , dirtyCssClass: 'dirty'
+  })
+
+  function fieldEvent(name, value) {
+    var element = {name: name, type: 'text', value: value, getAttribute: function() { return null }}
+    element.form = {elements: {}}
+    element.form.elements[name] = element
+    return {target: element}
+  }
+
+  var stateChanges = 0
+  var form = new PersonForm({prefix: 'p', validation: 'manual', onChange: function() { stateChanges++ }})
+  var name = form.boundField('name')
+  var age = form.boundField('age')
+  deepEqual([name.isVisited(), name.isTouched(), name.isDirty()], [false, false, false])
+  equal(name.status(), 'default')
+
+  // Focusing a field visits it, leaving it touches it
+  name.asWidget().props.onFocus(fieldEvent('p-name', ''))
+  deepEqual([name.isVisited(), name.isTouched()], [true, false])
+  equal(name.status(), 'visited')
+  equal(name.cssClasses(), 'visited')
+  name.asWidget().props.onBlur(fieldEvent('p-name', ''))
+  deepEqual([name.isVisited(), name.isTouched()], [true, true])
+  equal(name.status(), 'touched')
+  deepEqual(form.touchedFields(), ['name'])
+  equal(stateChanges, 2, 'State changes are only signalled the first time')
+  name.asWidget().props.onFocus(fieldEvent('p-name', ''))
+  name.asWidget().props.onBlur(fieldEvent('p-name', ''))
+  equal(stateChanges, 2)
+  strictEqual(form.isInitialRender, true, 'Interaction alone does not change data')
+
+  // Dirty fields have data which differs from initial data
+  form.updateData({age: '30'})
+  strictEqual(age.isDirty(), false)
+  form.updateData({age: '31'}, {validate: false})
+  strictEqual(age.isDirty(), true)
+  equal(age.status(), 'dirty')
+  equal(age.cssClasses(), 'dirty', 'Interaction statuses only get their own class')
+  form.updateData({age: '31'})
+  equal(age.status(), 'valid', 'Validation status takes precedence')
+  equal(age.cssClasses(), 'valid dirty')
+
+  // Tracking is combined with validation triggered by the same event
+  form = new PersonForm({validation: 'auto', onChange: function() {}})
+  form.boundField('age').asWidget().props.onBlur(fieldEvent('age', 'x'))
+  deepEqual(form.touchedFields(), ['age'])
+  deepEqual(Object.keys(form.errors().toJSON()), ['age'])
+  equal(form.boundField('age').cssClasses(), 'error touched dirty')
+
+  // Resetting the form clears interaction tracking
+  form.reset()
+  deepEqual(form.touchedFields(), [])
+})
+
+QUnit.test('Serializing and restoring state', 14, function() {
+  var EventForm = forms.Form.extend({
+    name: forms.CharField()
+  , date: forms.DateField()
+  , attendees: forms.IntegerField({minValue: 1})
+  })
+
+  var form = new EventForm({initial: {date: new Date(2015, 0, 1)}})
+  form.updateData({name: 'Launch', date: '2015-06-01', attendees: '0'})
+  form.boundField('name').asWidget().props.onBlur({target: {name: 'name', getAttribute: function() { return null }}})
+  var state = form.serializeState()
+  deepEqual(JSON.parse(JSON.stringify(state)), state, 'State is JSON-safe')
+
+  var restored = new EventForm()
+  restored.restoreState(JSON.parse(JSON.stringify(state)))
+  strictEqual(restored.isInitialRender, false)
+  deepEqual(restored.data, form.data)
+  deepEqual(restored.initial, {date: new Date(2015, 0, 1)}, 'Dates are revived')
+  deepEqual(restored.cleanedData, {name: 'Launch', date: new Date(2015, 5, 1)})
+  deepEqual(restored.errors().toJSON(), {
+    attendees: [{message: 'Ensure this value is greater than or equal to 1.', code: 'minValue'}]
+  })
+  deepEqual(restored.touchedFields(), ['name'])
+
+  // Autosaving stores state under the form's prefix every time it changes
+  var storage = new forms.MemoryStorage()
+  form = new EventForm({prefix: 'event', autosave: storage, onChange: function() {}})
+  form.updateData({name: 'Draft'})
+  equal(storage.get('event').data['event-name'], 'Draft')
+  form = new EventForm({prefix: 'event', autosave: storage})
+  equal(form.boundField('name').value(), 'Draft', 'Saved state is restored on construction')
+  form = new EventForm({prefix: 'event', autosave: storage, data: {'event-name': 'Posted'}})
+  equal(form.boundField('name').value(), 'Posted', 'Given data overrides saved state')
+  form.clearSavedState()
+  strictEqual(storage.get('event'), null)
+
+  throws(function() { new EventForm({autosave: storage}) },
+         /An autosaved 'childConstructor' must have a prefix or an autosave key/)
+
+  // The localStorage adapter can use any Web Storage implementation
+  var items = {}
+  var webStorage = {
+    getItem: function(key) { return (key in items ? items[key] : null) }
+  , setItem: function(key, value) { items[key] = value }
+  , removeItem: function(key) { delete items[key] }
+  }
+  form = new EventForm({autosave: {storage: new forms.LocalStorage({storage: webStorage}), key: 'event'}})
+  form.updateData({name: 'Stored'})
+  equal(JSON.parse(items['newforms:event']).data.name, 'Stored')
+
+  // Storage errors are ignored
+  webStorage.setItem = function() { throw new Error('QuotaExceededError') }
+  form.updateData({name: 'Not stored'})
+  equal(JSON.parse(items['newforms:event']).data.name, 'Stored')
+})
+
+QUnit.test('Hydrating server-rendered state', 9, function() {
+  var cleanCalls = 0
+  var SignupForm = forms.Form.extend({
+    username: forms.CharField()
+  , email: forms.EmailField()
+  , cleanUsername: function() { cleanCalls++ }
+  })
+
+  var serverForm = new SignupForm({data: {username: 'ada', email: 'ada'}})
+  serverForm.validate()
+  var payload = JSON.parse(JSON.stringify(serverForm.serializeState()))
+
+  var clientForm = new SignupForm({hydrate: payload, onChange: function() {}})
+  strictEqual(clientForm.isInitialRender, false)
+  deepEqual(clientForm.cleanedData, {username: 'ada'})
+  deepEqual(clientForm.errors().toJSON(), serverForm.errors().toJSON())
+  equal(cleanCalls, 1, 'Hydrated forms are not validated again')
+
+  // Validated fields aren't validated again until their data changes
+  function blurEvent(name, value) {
+    var element = {name: name, type: 'text', value: value, getAttribute: function() { return null }}
+    element.form = {elements: {}}
+    element.form.elements[name] = element
+    return {target: element}
+  }
+  clientForm.boundField('username').asWidget().props.onBlur(blurEvent('username', 'ada'))
+  equal(cleanCalls, 1)
+
+  // Optional state properties may be omitted
+  clientForm = new SignupForm({hydrate: {data: {username: 'ada'}}})
+  strictEqual(clientForm.isInitialRender, false)
+  strictEqual(clientForm.isPending(), false)
+  deepEqual(clientForm.touchedFields(), [])
+  deepEqual(Object.keys(clientForm.errors().toJSON()), ['email'],
+            'Forms restored without errors are validated when needed')
+})
+
+QUnit.asyncTest('Hydrating server-rendered state - pending validation', 4, function() {
+  var SignupForm = forms.Form.extend({
+    username: forms.CharField()
+  , cleanUsername: function() {
+      var username = this.cleanedData.username
+      return new Promise(function(resolve, reject) {
+        setTimeout(function() {
+          reject(forms.ValidationError('Username ' + username + ' is taken.'))
+        }, 0)
+      })
+    }
+  })
+
+  var serverForm = new SignupForm({data: {username: 'ada'}})
+  serverForm.validate(function() {})
+  var payload = JSON.parse(JSON.stringify(serverForm.serializeState()))
+  deepEqual(payload.pending, ['username'])
+
+  var clientForm = new SignupForm({hydrate: payload, onChange: function() {
+    strictEqual(clientForm.isPending(), false)
+    deepEqual(clientForm.errors('username').messages(), ['Username ada is taken.'])
+    start()
+  }})
+  strictEqual(clientForm.boundField('username').isPending(), true,
+              'Pending validation is displayed and run again')
+})
+
 }()
\ No newline at end of file
@@ -582,6 +582,42 @@ QUnit.test("Invalid deleted form with ordering", 2, function() {
   deepEqual(p.orderedForms(), [])
 })
 
+QUnit.test("Forms marked for deletion", 5, function() {
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField()
+  , age: forms.IntegerField()
+  })
+  var PeopleFormSet = forms.FormSet.extend({
+    form: PersonForm, canDelete: true, extra: 0, minNum: 3, validateMin: true
+  })
+  var data = {
+    "form-TOTAL_FORMS": "3"
+  , "form-INITIAL_FORMS": "3"
+  , "form-MAX_NUM_FORMS": "0"
+  , "form-0-name": "Alan"
+  , "form-0-age": "41"
+  , "form-1-name": "Bob"
+  , "form-1-age": "old"
+  , "form-1-DELETE": "on"
+  , "form-2-name": ""
+  , "form-2-age": "29"
+  }
+  var formset = new PeopleFormSet({data: data})
+  deepEqual(formset.errors().map(function(errors) { return errors.isPopulated() }),
+            [false, false, true], 'Errors from forms marked for deletion are ignored')
+  deepEqual(formset.forms()[1].cleanedData, {name: "Bob", DELETE: true},
+            'Forms marked for deletion keep the data which did clean')
+  deepEqual(formset.nonFormErrors().messages(), ['Please submit 3 or more forms.'],
+            'Forms marked for deletion are counted whether or not other forms are valid')
+
+  data["form-2-name"] = "Cal"
+  data["form-2-DELETE"] = "on"
+  formset = new PeopleFormSet({data: data})
+  deepEqual(formset.nonFormErrors().messages(), ['Please submit 3 or more forms.'])
+  deepEqual(formset.cleanedData(), [{name: "Alan", age: 41, DELETE: false}],
+            'Forms marked for deletion are excluded from cleanedData')
+})
+
 // FormSets have a hook for doing extra validation that shouldn't be tied to
 // any particular form. It follows the same pattern as the clean hook on
 // Forms.
@@ -991,4 +1027,21 @@ QUnit.test("Empty formset is valid", 2, function() {
   strictEqual(formset2.isValid(), false)
 })
 
+QUnit.test("Inserting and removing forms updates management data", 5, function() {
+  var formset = new forms.FormSet({form: FavouriteDrinkForm, data: {
+    "form-TOTAL_FORMS": "3"
+  , "form-INITIAL_FORMS": "2"
+  , "form-0-name": "Gin and Tonic"
+  , "form-1-name": "Bloody Mary"
+  , "form-2-name": "Long Island Iced Tea"
+  }})
+  formset.removeForm(0)
+  deepEqual([formset.data["form-TOTAL_FORMS"], formset.data["form-INITIAL_FORMS"]], ["2", "1"])
+  deepEqual([formset.initialFormCount(), formset.totalFormCount()], [1, 2])
+  formset.insertForm()
+  deepEqual([formset.initialFormCount(), formset.totalFormCount()], [1, 3])
+  strictEqual(formset.isValid(), true)
+  deepEqual(formset.cleanedData(), [{name: "Bloody Mary"}, {name: "Long Island Iced Tea"}])
+})
+
 }()
\ No newline at end of file
@@ -10,4 +10,451 @@ void function() {
 
 // TODO FormSet#setData()
 
+QUnit.asyncTest("Async validation with Promises", 5, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  , cleanName: function() {
+      var name = this.cleanedData.name
+      return new Promise(function(resolve, reject) {
+        setTimeout(function() {
+          if (name == 'dupe') {
+            reject(forms.ValidationError('Duplicate name.'))
+          }
+          else {
+            resolve()
+          }
+        }, 0)
+      })
+    }
+  })
+  var ItemFormSet = forms.FormSet.extend({
+    form: ItemForm
+  , extra: 2
+  , clean: function() {
+      return Promise.reject(forms.ValidationError('Formset-wide error.'))
+    }
+  })
+
+  var formset = new ItemFormSet({data: {'form-0-name': 'dupe', 'form-1-name': 'ok'}})
+  var promise = formset.validate()
+  strictEqual(formset.isPending(), true)
+  promise.then(function(isValid) {
+    strictEqual(isValid, false)
+    deepEqual(formset.errors()[0].get('name').messages(), ['Duplicate name.'])
+    strictEqual(formset.errors()[1].isPopulated(), false)
+    deepEqual(formset.nonFormErrors().messages(), ['Formset-wide error.'])
+    start()
+  })
+})
+
+QUnit.asyncTest("Async validation with Promises - superseded validation", 1, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  , cleanName: function() {
+      return new Promise(function(resolve) { setTimeout(resolve, 0) })
+    }
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 1})
+
+  var formset = new ItemFormSet({data: {'form-0-name': 'a'}})
+  var first = formset.validate()
+  var second = formset.validate()
+  Promise.all([first, second]).then(function(results) {
+    deepEqual(results, [true, true], 'Superseded validation gets the result of the latest')
+    start()
+  })
+})
+
+QUnit.test("JSON Schema", 3, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  , quantity: forms.IntegerField({minValue: 1})
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, canDelete: true})
+
+  var itemSchema = {
+    type: 'object'
+  , properties: {
+      name: {title: 'Name', type: 'string'}
+    , quantity: {title: 'Quantity', type: 'integer', minimum: 1}
+    , DELETE: {title: 'Delete', type: ['boolean', 'null']}
+    }
+  , required: ['name', 'quantity']
+  }
+  deepEqual(ItemFormSet.toJSONSchema(), {
+    $schema: 'http://json-schema.org/draft-04/schema#'
+  , type: 'array'
+  , items: itemSchema
+  }, 'FormSet.toJSONSchema()')
+
+  // Formset options can be given
+  var schema = forms.FormSet.toJSONSchema({
+    form: ItemForm, minNum: 1, validateMin: true, maxNum: 5, validateMax: true
+  })
+  deepEqual([schema.minItems, schema.maxItems], [1, 5])
+
+  // Nested formsets are described as arrays
+  var OrderForm = forms.Form.extend({
+    items: forms.FormSetField({formset: ItemFormSet})
+  })
+  deepEqual(OrderForm.toJSONSchema().properties.items,
+            {title: 'Items', type: 'array', items: itemSchema})
+})
+
+QUnit.test("Undo and redo", 16, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 1})
+
+  var formset = new ItemFormSet({history: true})
+  var firstForm = formset.forms()[0]
+  formset.addAnother()
+  strictEqual(formset.forms().length, 2)
+  formset.forms()[1].updateData({name: 'Item 2'})
+  strictEqual(formset.canUndo(), true, "Forms record changes in the formset's history")
+
+  formset.undo()
+  equal(formset.forms()[1].data['form-1-name'], undefined)
+  formset.undo()
+  strictEqual(formset.forms().length, 1, 'Adding a form can be undone')
+  strictEqual(formset.forms()[0], firstForm, 'Existing forms are kept')
+  strictEqual(formset.canUndo(), false)
+
+  formset.redo()
+  formset.redo()
+  strictEqual(formset.forms().length, 2)
+  equal(formset.forms()[1].data['form-1-name'], 'Item 2')
+
+  formset.removeForm(1)
+  formset.undo()
+  equal(formset.forms()[1].data['form-1-name'], 'Item 2', 'Removing a form can be undone')
+
+  // Forms keep sharing the formset's input data after undoing
+  formset = new ItemFormSet({history: true, data: {'form-0-name': 'Item 1'}})
+  formset.forms()[0].updateData({name: 'Changed'})
+  formset.undo()
+  strictEqual(formset.forms()[0].data, formset.data)
+  formset.forms()[0].updateData({name: 'Edited'})
+  equal(formset.data['form-0-name'], 'Edited')
+
+  // Setting unchanged data isn't recorded
+  formset.undo()
+  formset.setData({'form-0-name': 'Item 1'})
+  strictEqual(formset.canRedo(), true, 'Setting unchanged data keeps redo history')
+  formset.redo()
+  formset.setData({'form-0-name': 'Edited'})
+  formset.undo()
+  equal(formset.data['form-0-name'], 'Item 1', 'Setting unchanged data adds no undo step')
+
+  // Files are moved back when moving forms is undone
+  var file = {name: 'a.txt', size: 1}
+  formset = new ItemFormSet({history: true, extra: 2, files: {'form-0-name': file},
+                             data: {'form-0-name': 'A', 'form-1-name': 'B'}})
+  formset.moveForm(0, 1)
+  deepEqual(Object.keys(formset.files), ['form-1-name'])
+  formset.undo()
+  deepEqual(formset.files, {'form-0-name': file})
+  strictEqual(formset.forms()[0].files, formset.files)
+})
+
+QUnit.test("Serializing and restoring state", 11, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  })
+  var ItemFormSet = forms.FormSet.extend({
+    form: ItemForm
+  , extra: 1
+  , clean: function() {
+      throw forms.ValidationError('Formset error.')
+    }
+  })
+
+  var formset = new ItemFormSet({initial: [{name: 'Item 1'}]})
+  formset.addAnother()
+  formset.setData({'form-0-name': 'Item 1', 'form-1-name': '', 'form-2-name': 'Item 3'})
+  var state = JSON.parse(JSON.stringify(formset.serializeState()))
+  deepEqual([state.totalFormCount, state.initialFormCount], [3, 1])
+
+  var restored = new ItemFormSet()
+  restored.restoreState(state)
+  strictEqual(restored.forms().length, 3, 'Forms are restored from management form counts')
+  strictEqual(restored.forms()[2].data, restored.data, 'Forms share input data')
+  deepEqual(restored.cleanedData(), [{name: 'Item 1'}, {name: 'Item 3'}])
+  deepEqual(restored.nonFormErrors().messages(), ['Formset error.'])
+
+  // Optional state properties may be omitted
+  restored = new ItemFormSet()
+  restored.restoreState({
+    data: state.data, initial: state.initial, totalFormCount: 3, initialFormCount: 1
+  })
+  strictEqual(restored.forms().length, 3)
+  strictEqual(restored.isPending(), false)
+  deepEqual(restored.nonFormErrors().messages(), ['Formset error.'],
+            'Formsets restored without errors are validated when needed')
+  deepEqual(restored.cleanedData(), [{name: 'Item 1'}, {name: 'Item 3'}])
+
+  // Changes to forms in an autosaved formset are saved
+  var storage = new forms.MemoryStorage()
+  formset = new ItemFormSet({autosave: storage})
+  formset.forms()[0].updateData({name: 'Draft'})
+  equal(storage.get('form').forms[0].data['form-0-name'], 'Draft')
+  formset = new ItemFormSet({autosave: storage})
+  equal(formset.forms()[0].boundField('name').value(), 'Draft')
+})
+
+QUnit.test("Inserting, removing and moving forms", 20, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField({maxLength: 5})
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 2})
+
+  function names(formset) {
+    return formset.forms().map(function(form) { return form.boundField('name').value() })
+  }
+
+  var formset = new ItemFormSet({initial: [{name: 'A'}, {name: 'B'}], data: {
+    'form-0-name': 'A', 'form-1-name': 'B', 'form-2-name': 'C', 'form-3-name': 'D'
+  }})
+  strictEqual(formset.isValid(), true)
+
+  // Moving forms moves their input data so prefixes stay contiguous
+  var formC = formset.forms()[2]
+  formset.moveForm(3, 2)
+  deepEqual(names(formset), ['A', 'B', 'D', 'C'])
+  strictEqual(formset.forms()[3], formC, 'Forms are kept')
+  equal(formC.addPrefix('name'), 'form-3-name')
+  equal(formset.data['form-3-name'], 'C')
+  throws(function() { formset.moveForm(0, 3) }, /Can't move a form between initial and extra forms/)
+
+  // Initial forms can be removed, along with their initial data
+  formset.removeForm(0)
+  deepEqual(names(formset), ['B', 'D', 'C'])
+  deepEqual([formset.initialFormCount(), formset.totalFormCount()], [1, 3])
+  deepEqual(formset.initial, [{name: 'B'}])
+  strictEqual(typeof formset.data['form-3-name'], 'undefined')
+  deepEqual(formset.cleanedData(), [{name: 'B'}, {name: 'D'}, {name: 'C'}])
+
+  // New extra forms can be inserted anywhere after the initial forms
+  formset.insertForm(1)
+  deepEqual(names(formset), ['B', null, 'D', 'C'])
+  strictEqual(formset.forms()[1].emptyPermitted, true)
+  throws(function() { formset.insertForm(0) }, /Can't insert an extra form at index 0 - it must be from 1 to 4/)
+
+  // Errors move with their forms
+  formset.forms()[2].updateData({name: 'Too long'})
+  strictEqual(formset.isValid(), false)
+  formset.moveForm(2, 1)
+  deepEqual(formset.errors().map(function(errors) { return errors.isPopulated() }),
+            [false, true, false, false])
+
+  // Forms which haven't had any input yet are reindexed too
+  formset = new ItemFormSet()
+  formset.forms()[1].updateData({name: 'Second'})
+  formset.moveForm(1, 0)
+  deepEqual(names(formset), ['Second', null])
+
+  // Forms which haven't been created yet are created from the original initial data
+  formset = new ItemFormSet({initial: [{name: 'A'}, {name: 'B'}]})
+  formset.removeForm(0)
+  deepEqual(names(formset), ['B', null, null])
+  formset = new ItemFormSet({initial: [{name: 'A'}, {name: 'B'}]})
+  formset.moveForm(0, 1)
+  deepEqual(names(formset), ['B', 'A', null, null])
+  deepEqual(formset.initial, [{name: 'B'}, {name: 'A'}])
+})
+
+
+QUnit.test("Form keys", 9, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 2})
+
+  function keys(formset) {
+    return formset.forms().map(function(form) { return form.key })
+  }
+
+  var formset = new ItemFormSet({initial: [{name: 'A'}]})
+  deepEqual(keys(formset), ['0', '1', '2'], 'Forms are given keys in the order they are created')
+  strictEqual(new ItemForm().key, null, "Forms which aren't in a formset don't have a key")
+
+  // Keys stay with their forms when forms are rearranged
+  formset.moveForm(2, 1)
+  formset.removeForm(0)
+  formset.insertForm(0)
+  deepEqual(keys(formset), ['3', '2', '1'])
+  formset.addAnother()
+  deepEqual(keys(formset), ['3', '2', '1', '4'], 'Keys are never reused')
+
+  // Keys are restored with the formset's state
+  var restored = new ItemFormSet()
+  restored.restoreState(JSON.parse(JSON.stringify(formset.serializeState())))
+  deepEqual(keys(restored), ['3', '2', '1', '4'])
+  restored.addAnother()
+  strictEqual(restored.forms()[4].key, '5')
+
+  // Keys can be posted back in a hidden field
+  formset = new ItemFormSet({useKeyField: true})
+  reactHTMLEqual(formset.forms()[1].boundField('KEY').render(),
+    '<input type="hidden" name="form-1-KEY" id="id_form-1-KEY" value="1">')
+  formset = new ItemFormSet({useKeyField: true, data: {
+    'form-TOTAL_FORMS': '2', 'form-INITIAL_FORMS': '0', 'form-MAX_NUM_FORMS': '1000'
+  , 'form-0-name': 'B', 'form-0-KEY': '7', 'form-1-name': 'A', 'form-1-KEY': '3'
+  }})
+  deepEqual(formset.cleanedData(), [{name: 'B', KEY: '7'}, {name: 'A', KEY: '3'}])
+  formset.addAnother()
+  deepEqual(keys(formset), ['7', '3', '8'], 'New keys follow on from posted keys')
+})
+
+QUnit.test("Ordering forms in place", 13, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField()
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 2, canOrder: true})
+
+  function keys(forms) {
+    return forms.map(function(form) { return form.key })
+  }
+
+  // Submits the formset with its forms' current input data
+  function submit(formset) {
+    var data = {}
+    formset.forms().forEach(function(form) {
+      Object.keys(form.data).forEach(function(name) { data[name] = form.data[name] })
+    })
+    formset.setData(data)
+  }
+
+  var formset = new ItemFormSet({initial: [{name: 'A'}, {name: 'B'}]})
+  deepEqual(keys(formset.formsInOrder()), ['0', '1', '2', '3'])
+
+  // Moving forms writes their new positions to their ordering fields
+  formset.moveFormInOrder(1, 0)
+  deepEqual(keys(formset.formsInOrder()), ['1', '0', '2', '3'])
+  deepEqual([formset.forms()[0].data['form-0-ORDER'], formset.forms()[1].data['form-1-ORDER']], ['2', '1'])
+
+  // Extra forms only get a position once they've been given input
+  formset.moveFormInOrder(2, 0)
+  deepEqual(keys(formset.formsInOrder()), ['1', '0', '2', '3'])
+  strictEqual(formset.forms()[2].data['form-2-ORDER'], '')
+  formset.forms()[2].updateData({name: 'C'})
+  formset.moveFormInOrder(2, 0)
+  submit(formset)
+  deepEqual(keys(formset.orderedForms()), ['2', '1', '0'])
+
+  // Moving forms in a validated formset re-validates their ordering fields
+  formset.moveFormInOrder(2, 0)
+  deepEqual(keys(formset.orderedForms()), ['0', '2', '1'])
+
+  // Moving forms doesn't validate their other fields
+  formset = new ItemFormSet({initial: [{name: 'A'}, {name: ''}], extra: 0, history: true})
+  formset.moveFormInOrder(0, 1)
+  deepEqual(keys(formset.formsInOrder()), ['1', '0'])
+  strictEqual(formset.isInitialRender, true)
+  deepEqual(formset.forms().map(function(form) { return form.errors().isPopulated() }),
+            [false, false], 'Untouched forms have no errors')
+  strictEqual(formset.undo(), true)
+  deepEqual(keys(formset.formsInOrder()), ['0', '1'], 'Moves are undone in one step')
+
+  throws(function() { new forms.FormSet({form: ItemForm}).formsInOrder() },
+         /FormSet object has no attribute 'formsInOrder'/)
+})
+
+QUnit.test("Marking forms for deletion", 7, function() {
+  var ItemForm = forms.Form.extend({
+    name: forms.CharField({maxLength: 5})
+  })
+  var ItemFormSet = forms.FormSet.extend({form: ItemForm, extra: 0, canDelete: true})
+
+  var formset = new ItemFormSet({initial: [{name: 'A'}, {name: 'B'}]})
+  formset.forms()[1].updateData({name: 'Too long'})
+  strictEqual(formset.validate(), false)
+
+  // Forms marked for deletion stop being validated
+  formset.setFormDeleted(1, true)
+  strictEqual(formset.isFormDeleted(1), true)
+  strictEqual(formset.isValid(), true)
+  deepEqual(formset.cleanedData(), [{name: 'A', DELETE: false}])
+
+  // Unmarking a form validates it again
+  formset.setFormDeleted(1, false)
+  strictEqual(formset.isValid(), false)
+  strictEqual(formset.isFormDeleted(1), false)
+
+  throws(function() { new forms.FormSet({form: ItemForm}).setFormDeleted(0, true) },
+         /FormSet object has no attribute 'setFormDeleted'/)
+})
+
+QUnit.test("Initial data for extra forms and form kwargs", 11, function() {
+  var LineForm = forms.Form.extend({
+    line: forms.IntegerField()
+  , date: forms.DateField()
+  })
+  var LineFormSet = forms.FormSet.extend({
+    form: LineForm
+  , extra: 1
+  , initialForExtra: function(index, formset) {
+      var previous = formset.forms()[index - 1]
+      return {line: index + 1, date: previous.boundField('date').value()}
+    }
+  })
+
+  function values(formset) {
+    return formset.forms().map(function(form) {
+      return [form.boundField('line').value(), form.boundField('date').value()]
+    })
+  }
+
+  // Extra forms can be pre-populated using the forms before them
+  var formset = new LineFormSet({initial: [{line: 1, date: '2015-03-01'}]})
+  deepEqual(values(formset), [[1, '2015-03-01'], [2, '2015-03-01']])
+  formset.forms()[1].updateData({date: '2015-03-02'})
+  formset.addAnother()
+  deepEqual(values(formset)[2], [3, '2015-03-02'], 'Forms added later are pre-populated')
+  strictEqual(formset.forms()[2].hasChanged(), false, "Pre-populated forms haven't changed")
+
+  // Inserted forms are constructed with the forms before them in their new order
+  var formCount = null
+  var CountingFormSet = LineFormSet.extend({
+    initialForExtra: function(index, formset) {
+      formCount = formset.forms().length
+      return LineFormSet.prototype.initialForExtra.call(this, index, formset)
+    }
+  })
+  formset = new CountingFormSet({initial: [{line: 1, date: '2015-03-01'}]})
+  formset.insertForm(1)
+  strictEqual(formCount, 1)
+  deepEqual(values(formset), [[1, '2015-03-01'], [2, '2015-03-01'], [2, '2015-03-01']])
+
+  // Forms are constructed again if constructing them failed
+  var failing = true
+  var FailingFormSet = LineFormSet.extend({
+    formKwargs: function(index) {
+      if (failing && index === 1) { throw new Error('Not yet') }
+      return {}
+    }
+  })
+  formset = new FailingFormSet({initial: [{line: 1, date: '2015-03-01'}]})
+  throws(function() { formset.forms() }, /Not yet/)
+  failing = false
+  strictEqual(formset.forms().length, 2)
+
+  // The hook can also be passed as an option
+  formset = new forms.FormSet({form: LineForm, extra: 2, initialForExtra: function(index) {
+    return {line: index + 1}
+  }})
+  deepEqual(values(formset), [[1, null], [2, null]])
+
+  // Forms can be given their own constructor options
+  var LenientFormSet = LineFormSet.extend({
+    formKwargs: function(index) {
+      return (index === null ? {prefix: 'template'} : {emptyPermitted: true, labelSuffix: ' -'})
+    }
+  })
+  formset = new LenientFormSet({initial: [{line: 1, date: '2015-03-01'}]})
+  deepEqual(formset.forms().map(function(form) { return form.emptyPermitted }), [true, true])
+  equal(formset.forms()[0].labelSuffix, ' -')
+  strictEqual(formset.emptyForm().prefix, 'template', 'emptyForm() is given options for a null index')
+})
 }()
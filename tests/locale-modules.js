@@ -0,0 +1,144 @@
+void function() {
+
+var fs = require('fs')
+var path = require('path')
+
+// Locale modules are built to lib/locales/ and required individually
+var localeDir = path.join(__dirname, '../lib/locales')
+var langs = fs.readdirSync(localeDir).map(function(file) {
+  return file.replace(/\.js$/, '')
+})
+
+var DIRECTIVE_EXAMPLES = {
+  d: '25', m: '10', Y: '2006', y: '06', H: '14', M: '30', S: '59'
+}
+
+/**
+ * Creates example input for a format, representing 2006-10-25 14:30:59.
+ */
+function example(format, locale) {
+  return format.replace(/%(.)/g, function(match, directive) {
+    if (directive == 'b' || directive == 'B') {
+      return locale[directive][9]
+    }
+    return DIRECTIVE_EXAMPLES[directive]
+  })
+}
+
+/**
+ * Creates example number input for a locale, representing 1234567.25.
+ */
+function numberExample(lang) {
+  var getNumberFormat = forms.formats.getNumberFormat
+  var thousandSeparator = getNumberFormat('THOUSAND_SEPARATOR', lang) || ''
+  var grouping = getNumberFormat('NUMBER_GROUPING', lang) || 3
+  var groups = []
+  for (var digits = '1234567'; digits; digits = digits.slice(0, -grouping)) {
+    groups.unshift(digits.slice(-grouping))
+  }
+  return (groups.join(thousandSeparator) +
+          getNumberFormat('DECIMAL_SEPARATOR', lang) + '25')
+}
+
+QUnit.module("locale modules", {
+  setup: function() {
+    langs.forEach(function(lang) {
+      forms.addLocale(lang, require(path.join(localeDir, lang)))
+    })
+  }
+})
+
+QUnit.test('Locale modules', function() {
+  langs.forEach(function(lang) {
+    var locale = require(path.join(localeDir, lang))
+    strictEqual(locale.name, lang, lang + ' is named for its language code')
+    deepEqual([locale.a.length, locale.A.length, locale.b.length, locale.B.length],
+              [7, 7, 12, 12], lang + ' has day and month names')
+    ok(locale.AM && locale.PM, lang + ' has AM/PM names')
+  })
+})
+
+QUnit.test('Locale formats parse their own examples', function() {
+  var fieldTypes = [
+    [forms.DateField, 'DATE_INPUT_FORMATS']
+  , [forms.TimeField, 'TIME_INPUT_FORMATS']
+  , [forms.DateTimeField, 'DATETIME_INPUT_FORMATS']
+  ]
+  langs.forEach(function(lang) {
+    var locale = require(path.join(localeDir, lang))
+    fieldTypes.forEach(function(fieldType) {
+      var field = new fieldType[0]()
+      field.setLocale(lang)
+      forms.formats.getFormat(fieldType[1], lang).forEach(function(format) {
+        var input = example(format, locale)
+        var expected = (fieldType[0] === forms.TimeField
+                        ? new Date(1900, 0, 1)
+                        : new Date(2006, 9, 25))
+        if (fieldType[0] !== forms.DateField) {
+          expected.setHours(/%H/.test(format) ? 14 : 0,
+                            /%M/.test(format) ? 30 : 0,
+                            /%S/.test(format) ? 59 : 0)
+        }
+        strictEqual(field.clean(input).valueOf(), expected.valueOf(),
+                    lang + " parses '" + input + "' with " + format)
+      })
+    })
+  })
+})
+
+QUnit.test('Locale display formats parse as input', function() {
+  var displayTypes = [
+    [forms.DateField, 'DATE_FORMAT', new Date(2006, 9, 25)]
+  , [forms.TimeField, 'TIME_FORMAT', new Date(1900, 0, 1, 14, 30, 59)]
+  , [forms.DateTimeField, 'DATETIME_FORMAT', new Date(2006, 9, 25, 14, 30, 59)]
+  ]
+  langs.forEach(function(lang) {
+    displayTypes.forEach(function(displayType) {
+      var field = new displayType[0]()
+      field.setLocale(lang)
+      var format = forms.formats.getDisplayFormat(displayType[1], lang)
+      var display = isomorph.time.strftime(displayType[2], format, lang)
+      strictEqual(field.clean(display).valueOf(), displayType[2].valueOf(),
+                  lang + " parses displayed '" + display + "'")
+    })
+  })
+})
+
+QUnit.test('Locale number separators parse their own examples', function() {
+  langs.forEach(function(lang) {
+    var input = numberExample(lang)
+    var floatField = forms.FloatField()
+    var decimalField = forms.DecimalField()
+    floatField.setLocale(lang)
+    decimalField.setLocale(lang)
+    strictEqual(floatField.clean(input), 1234567.25, lang + " parses '" + input + "'")
+    strictEqual(decimalField.clean(input), '1234567.25', lang + " parses '" + input + "'")
+  })
+})
+
+QUnit.test('Locale messages', function() {
+  var MAX_LENGTH = 'Ensure this value has at most {limitValue} characters (it has {showValue}).'
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField({maxLength: 3})
+  , age: forms.IntegerField()
+  })
+  langs.forEach(function(lang) {
+    // English locales don't need translations
+    if (/^en/.test(lang)) { return }
+    var messages = require(path.join(localeDir, lang)).MESSAGES
+    Object.keys(messages).forEach(function(message) {
+      (message.match(/\{\w+\}/g) || []).forEach(function(placeholder) {
+        notStrictEqual(messages[message].indexOf(placeholder), -1,
+                       lang + " translation of '" + message + "' uses " + placeholder)
+      })
+    })
+    var form = new PersonForm({data: {name: 'Alexander', age: ''}, locale: lang})
+    deepEqual(form.errors().toJSON(), {
+      name: [{message: messages[MAX_LENGTH].replace('{limitValue}', '3').replace('{showValue}', '9'),
+              code: 'maxLength'}]
+    , age: [{message: messages['This field is required.'], code: 'required'}]
+    }, lang + ' translates error messages')
+  })
+})
+
+}()
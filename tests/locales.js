@@ -53,4 +53,219 @@ QUnit.test('Adding and using a new locale', function() {
   f = forms.DateField({input_formats: ['%d %b %Y']})
 })
 
+QUnit.test('Localised messages', 13, function() {
+  forms.addLocale('eo', {
+    MESSAGES: {
+      'This field is required.': 'Ĉi tiu kampo estas deviga.'
+    , 'Ensure this value has at most {limitValue} characters (it has {showValue}).':
+        'Certigu, ke la valoro havas maksimume {limitValue} signojn (ĝi havas {showValue}).'
+    , 'Enter a whole number.': 'Enigu entjeron.'
+    , 'Please submit {minNum} or more forms.': 'Bonvolu sendi {minNum} aŭ pli da formularoj.'
+    , 'Currently': 'Nune', 'Change': 'Ŝanĝi', 'Clear': 'Forigi'
+    , 'Unknown': 'Nekonata', 'Yes': 'Jes', 'No': 'Ne'
+    , 'Days': 'Tagoj'
+    }
+  })
+  forms.addLocale('eo_XX', {
+    MESSAGES: {
+      'This field is required.': 'Necesas.'
+    }
+  })
+
+  var PersonForm = forms.Form.extend({
+    name: forms.CharField({maxLength: 3})
+  , age: forms.IntegerField()
+  , nickname: forms.CharField({errorMessages: {required: 'Custom message.'}})
+  })
+  var data = {name: 'Alexander', age: 'x', nickname: ''}
+
+  // Forms on the same page can use different locales
+  var englishForm = new PersonForm({data: data})
+  var esperantoForm = new PersonForm({data: data, locale: 'eo'})
+  deepEqual(englishForm.errors().toJSON(), {
+    name: [{message: 'Ensure this value has at most 3 characters (it has 9).', code: 'maxLength'}]
+  , age: [{message: 'Enter a whole number.', code: 'invalid'}]
+  , nickname: [{message: 'Custom message.', code: 'required'}]
+  })
+  deepEqual(esperantoForm.errors().toJSON(), {
+    name: [{message: 'Certigu, ke la valoro havas maksimume 3 signojn (ĝi havas 9).', code: 'maxLength'}]
+  , age: [{message: 'Enigu entjeron.', code: 'invalid'}]
+  , nickname: [{message: 'Custom message.', code: 'required'}]
+  }, 'Messages are translated by their English text, leaving untranslated messages as they are')
+
+  // Messages are looked up along the locale chain
+  var form = new PersonForm({data: {name: '', age: 'x'}, locale: 'eo_XX'})
+  deepEqual(form.errors('name').messages(), ['Necesas.'])
+  deepEqual(form.errors('age').messages(), ['Enigu entjeron.'])
+
+  // Messages are translated when a form is validated, so forms without a
+  // locale follow changes to the default locale.
+  form = new PersonForm({data: data})
+  forms.setDefaultLocale('eo')
+  deepEqual(form.errors('age').messages(), ['Enigu entjeron.'],
+            'Form created before the default locale was changed')
+  form = new PersonForm({data: data})
+  forms.setDefaultLocale('en')
+  deepEqual(form.errors('age').messages(), ['Enter a whole number.'],
+            'Form created before the default locale was changed back')
+
+  // Formsets pass their locale to their forms
+  var PersonFormSet = forms.FormSet.extend({form: PersonForm, extra: 0, minNum: 2, validateMin: true})
+  var formset = new PersonFormSet({locale: 'eo', data: {
+    'form-0-name': 'Ann', 'form-0-age': 'x', 'form-0-nickname': 'A'
+  }})
+  formset.removeForm(1)
+  deepEqual(formset.nonFormErrors().messages(), ['Bonvolu sendi 2 aŭ pli da formularoj.'])
+  deepEqual(formset.forms()[0].errors('age').messages(), ['Enigu entjeron.'])
+  formset = new PersonFormSet({data: {}})
+  formset.removeForm(1)
+  deepEqual(formset.nonFormErrors().messages(), ['Please submit 2 or more forms.'])
+
+  // Widget text is translated when widgets are rendered
+  var FakeFieldFile = function() { this.url = 'something' }
+  FakeFieldFile.prototype.toString = function() { return this.url }
+  var widget = forms.ClearableFileInput()
+  widget.isRequired = false
+  widget.setLocale('eo')
+  reactHTMLEqual(widget.render('myfile', new FakeFieldFile()),
+"<span>Nune: <a href=\"something\">something</a> <input type=\"checkbox\" name=\"myfile-clear\" id=\"myfile-clear_id\"> <label for=\"myfile-clear_id\">Forigi</label><br>Ŝanĝi: <input type=\"file\" name=\"myfile\"></span>")
+  var field = forms.NullBooleanField()
+  forms.setDefaultLocale('eo')
+  reactHTMLEqual(field.widget.render('cool', true),
+"<select name=\"cool\"><option value=\"1\">Nekonata</option><option value=\"2\" selected>Jes</option><option value=\"3\">Ne</option></select>")
+  forms.setDefaultLocale('en')
+  reactHTMLEqual(field.widget.render('cool', true),
+"<select name=\"cool\"><option value=\"1\">Unknown</option><option value=\"2\" selected>Yes</option><option value=\"3\">No</option></select>")
+  var input = forms.TextInput({attrs: {placeholder: 'Days'}})
+  input.setLocale('eo')
+  reactHTMLEqual(input.render('days', null),
+                 "<input placeholder=\"Tagoj\" type=\"text\" name=\"days\">")
+})
+
+QUnit.test('Locale-specific parsing and formatting', 16, function() {
+  forms.addLocale('de', {
+    DATE_INPUT_FORMATS: ['%d.%m.%Y', '%d.%m.%y']
+  , DATETIME_INPUT_FORMATS: ['%d.%m.%Y %H:%M:%S', '%d.%m.%Y %H:%M', '%d.%m.%Y']
+  , DECIMAL_SEPARATOR: ','
+  , THOUSAND_SEPARATOR: '.'
+  , NUMBER_GROUPING: 3
+  })
+  forms.addLocale('fr_CH', {
+    DECIMAL_SEPARATOR: '.'
+  , THOUSAND_SEPARATOR: '\u00a0'
+  })
+
+  var OrderForm = forms.Form.extend({
+    date: forms.DateField()
+  , quantity: forms.IntegerField()
+  , weight: forms.FloatField()
+  , price: forms.DecimalField({maxDigits: 8, decimalPlaces: 2})
+  })
+  var data = {date: '25.10.2006', quantity: '1.234', weight: '1,5', price: '12.345,67'}
+
+  // Forms on the same page can parse input for different locales
+  var form = new OrderForm({data: data, locale: 'de'})
+  strictEqual(form.isValid(), true)
+  strictEqual(form.cleanedData.date.valueOf(), new Date(2006, 9, 25).valueOf())
+  deepEqual([form.cleanedData.quantity, form.cleanedData.weight, form.cleanedData.price],
+            [1234, 1.5, '12345.67'])
+  form = new OrderForm({data: data})
+  deepEqual(Object.keys(form.errors().toJSON()), ['date', 'quantity', 'weight', 'price'])
+
+  // Locale-independent input is still accepted
+  form = new OrderForm({locale: 'de', data: {
+    date: '2006-10-25', quantity: '1234', weight: '1.5', price: '-0,5'
+  }})
+  strictEqual(form.isValid(), true)
+  deepEqual([form.cleanedData.quantity, form.cleanedData.weight, form.cleanedData.price],
+            [1234, 1.5, '-0.5'])
+
+  // Thousand separators must separate groups of the expected size
+  form = new OrderForm({locale: 'de', data: {
+    date: '25.10.2006', quantity: '12.34', weight: '1.2.3', price: '1.23,4'
+  }})
+  deepEqual(Object.keys(form.errors().toJSON()), ['quantity', 'weight', 'price'])
+
+  // Any whitespace can be used for whitespace thousand separators
+  var f = forms.FloatField()
+  f.setLocale('fr_CH')
+  strictEqual(f.clean('1 234 567.5'), 1234567.5)
+  strictEqual(f.clean('1\u00a0234.5'), 1234.5)
+  cleanErrorEqual(f, 'Enter a number.', '1,5')
+
+  // Date widgets display values using the locale's formats
+  form = new OrderForm({locale: 'de', initial: {date: new Date(2006, 9, 25)}})
+  reactHTMLEqual(form.boundField('date').render(),
+    '<input type="text" name="date" id="id_date" value="25.10.2006">')
+  form = new OrderForm({initial: {date: new Date(2006, 9, 25)}})
+  reactHTMLEqual(form.boundField('date').render(),
+    '<input type="text" name="date" id="id_date" value="2006-10-25">')
+
+  // Formsets pass their locale to their forms
+  var OrderFormSet = forms.FormSet.extend({form: OrderForm, extra: 1})
+  var formset = new OrderFormSet({locale: 'de', data: {
+    'form-TOTAL_FORMS': '1', 'form-INITIAL_FORMS': '0'
+  , 'form-0-date': '25.10.06', 'form-0-quantity': '2', 'form-0-weight': '0,25', 'form-0-price': '1,00'
+  }})
+  strictEqual(formset.isValid(), true)
+  deepEqual(formset.cleanedData()[0].weight, 0.25)
+
+  // Fields created outside of a form use the default locale
+  forms.setDefaultLocale('de')
+  strictEqual(forms.DecimalField().clean('1.000,5'), '1000.5')
+  forms.setDefaultLocale('en')
+  cleanErrorEqual(forms.DecimalField(), 'Enter a number.', '1.000,5')
+})
+
+QUnit.test('Locale display formats', 9, function() {
+  var d = new Date(2006, 9, 25, 14, 30, 59)
+  var widget = forms.DateTimeInput()
+  reactHTMLEqual(widget.render('when', d),
+    '<input type="text" name="when" value="2006-10-25 14:30:59">',
+    'The default locale displays ISO formats')
+  widget.setLocale('en_GB')
+  reactHTMLEqual(widget.render('when', d),
+    '<input type="text" name="when" value="25/10/2006 14:30:59">',
+    "Widgets use their locale's display format")
+  widget = forms.DateTimeInput({format: '%Y-%m-%d'})
+  widget.setLocale('en_GB')
+  reactHTMLEqual(widget.render('when', d),
+    '<input type="text" name="when" value="2006-10-25">',
+    'A format given to the widget takes precedence')
+
+  // Locales without display formats use their first input format
+  forms.addLocale('eo_YY', {
+    DATE_INPUT_FORMATS: ['%d.%m.%Y']
+  })
+  widget = forms.DateInput()
+  widget.setLocale('eo_YY')
+  reactHTMLEqual(widget.render('when', d),
+    '<input type="text" name="when" value="25.10.2006">')
+
+  // Split widgets pass their locale to their date and time inputs
+  widget = forms.SplitDateTimeWidget()
+  widget.setLocale('en_GB')
+  reactHTMLEqual(widget.render('when', d),
+    '<div><input type="text" name="when_0" data-newforms-field="when" value="25/10/2006"><input type="text" name="when_1" data-newforms-field="when" value="14:30:59"></div>')
+  widget = forms.SplitDateTimeWidget({dateFormat: '%d %B %Y', timeFormat: '%H:%M'})
+  widget.setLocale('en_GB')
+  reactHTMLEqual(widget.render('when', d),
+    '<div><input type="text" name="when_0" data-newforms-field="when" value="25 October 2006"><input type="text" name="when_1" data-newforms-field="when" value="14:30"></div>')
+
+  // Forms display initial and cleaned values with their locale's formats
+  var EventForm = forms.Form.extend({
+    date: forms.DateField()
+  , start: forms.SplitDateTimeField()
+  })
+  var form = new EventForm({locale: 'en_GB', initial: {date: d, start: d}})
+  reactHTMLEqual(form.boundField('date').render(),
+    '<input type="text" name="date" id="id_date" value="25/10/2006">')
+  reactHTMLEqual(form.boundField('start').render(),
+    '<div><input type="text" name="start_0" data-newforms-field="start" id="id_start_0" value="25/10/2006"><input type="text" name="start_1" data-newforms-field="start" id="id_start_1" value="14:30:59"></div>')
+  form = new EventForm({locale: 'en_GB', data: {date: '2006-10-25'}})
+  form.isValid()
+  form.setData({date: form.cleanedData.date}, {validate: false})
+  reactHTMLEqual(form.boundField('date').render(),
+    '<input type="text" name="date" id="id_date" value="25/10/2006">')
+})
 }()
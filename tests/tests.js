@@ -14,6 +14,8 @@ global.forms = require('../dist/newforms.js')
 var tests = [ 'util.js'
             , 'formats.js'
             , 'locales.js'
+            , 'locale-modules.js'
+            , 'timezones.js'
             , 'forms.js'
             , 'forms-browser.js'
             , 'forms-server.js'
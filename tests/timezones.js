@@ -0,0 +1,109 @@
+void function() {
+
+QUnit.module("timezones")
+
+/**
+ * Gets the ISO 8601 representation of a Date's instant.
+ */
+function iso(date) {
+  return date.toISOString().replace('.000Z', 'Z')
+}
+
+QUnit.test('Resolving timezones', 10, function() {
+  var getTimezone = forms.timezones.getTimezone
+  var winter = new Date(Date.UTC(2015, 0, 15, 12))
+  var summer = new Date(Date.UTC(2015, 6, 15, 12))
+
+  strictEqual(getTimezone('UTC').offset(summer), 0)
+  strictEqual(getTimezone('+05:30').offset(summer), 330)
+  strictEqual(getTimezone('-0800').offset(summer), -480)
+  strictEqual(getTimezone(60).offset(summer), 60)
+
+  // Bundled timezones follow current daylight saving time rules
+  deepEqual([getTimezone('Europe/London').offset(winter), getTimezone('Europe/London').offset(summer)],
+            [0, 60])
+  deepEqual([getTimezone('America/New_York').offset(winter), getTimezone('America/New_York').offset(summer)],
+            [-300, -240])
+  deepEqual([getTimezone('Australia/Sydney').offset(winter), getTimezone('Australia/Sydney').offset(summer)],
+            [660, 600])
+
+  // Transitions happen at the right instant
+  var newYork = getTimezone('America/New_York')
+  deepEqual([newYork.offset(new Date(Date.UTC(2015, 2, 8, 6, 59))), newYork.offset(new Date(Date.UTC(2015, 2, 8, 7)))],
+            [-300, -240], 'DST starts at 02:00 local time on 8th March 2015')
+
+  throws(function() { getTimezone('Mars/Olympus_Mons') }, /Unknown timezone: 'Mars\/Olympus_Mons'/)
+
+  // Timezone names can be resolved by a custom resolver
+  forms.setTimezoneResolver(function(name) {
+    return (name == 'Mars/Olympus_Mons' ? {offset: function() { return 37 }} : null)
+  })
+  strictEqual(getTimezone('Mars/Olympus_Mons').offset(summer), 37)
+  forms.setTimezoneResolver(null)
+})
+
+QUnit.test('Timezone-aware date/time fields', 10, function() {
+  var f = forms.DateTimeField({timezone: 'America/New_York'})
+  strictEqual(iso(f.clean('2015-07-15 12:00')), '2015-07-15T16:00:00Z', 'Input is interpreted in the timezone')
+  strictEqual(iso(f.clean('2015-01-15 12:00')), '2015-01-15T17:00:00Z', 'Daylight saving time is taken into account')
+  strictEqual(iso(f.clean(new Date(Date.UTC(2015, 0, 15, 17)))), '2015-01-15T17:00:00Z', 'Dates are already instants')
+  reactHTMLEqual(f.widget.render('when', new Date(Date.UTC(2015, 0, 15, 17))),
+    '<input type="text" name="when" value="2015-01-15 12:00:00">',
+    'The widget displays Dates in the timezone')
+
+  f = forms.SplitDateTimeField({timezone: '+05:30'})
+  strictEqual(iso(f.clean(['2015-01-15', '12:00'])), '2015-01-15T06:30:00Z')
+  reactHTMLEqual(f.widget.render('when', new Date(Date.UTC(2015, 0, 15, 6, 30))),
+    '<div><input type="text" name="when_0" data-newforms-field="when" value="2015-01-15"><input type="text" name="when_1" data-newforms-field="when" value="12:00:00"></div>')
+
+  throws(function() { forms.DateTimeField({timezone: 'Nowhere'}) }, /Unknown timezone: 'Nowhere'/)
+
+  // Forms set a default timezone for their date/time fields
+  var EventForm = forms.Form.extend({
+    start: forms.DateTimeField()
+  , end: forms.DateTimeField({timezone: 'UTC'})
+  })
+  var form = new EventForm({timezone: 'Europe/Paris', data: {start: '2015-07-15 12:00', end: '2015-07-15 12:00'}})
+  strictEqual(form.isValid(), true)
+  deepEqual([iso(form.cleanedData.start), iso(form.cleanedData.end)],
+            ['2015-07-15T10:00:00Z', '2015-07-15T12:00:00Z'],
+            "Fields' own timezones take precedence")
+
+  // Formsets pass their timezone to their forms
+  var EventFormSet = forms.FormSet.extend({form: EventForm, extra: 1})
+  var formset = new EventFormSet({timezone: 'Asia/Tokyo', initial: [
+    {start: new Date(Date.UTC(2015, 6, 15, 3)), end: new Date(Date.UTC(2015, 6, 15, 3))}
+  ]})
+  reactHTMLEqual(formset.forms()[0].boundField('start').render(),
+    '<input type="text" name="form-0-start" id="id_form-0-start" value="2015-07-15 12:00:00">')
+})
+
+QUnit.test("Timezone-aware fields don't depend on the local timezone", 14, function() {
+  // Wall times which don't exist, or are ambiguous, in common local timezones
+  var wallTimes = [
+    '2026-03-08 02:30:00' // US spring forward
+  , '2026-03-29 01:30:00' // EU spring forward
+  , '2026-10-04 02:30:00' // AU spring forward
+  , '2026-10-25 01:30:00' // EU fall back
+  , '2026-11-01 01:30:00' // US fall back
+  ]
+  var f = forms.DateTimeField({timezone: 'UTC'})
+  wallTimes.forEach(function(wallTime) {
+    var date = f.clean(wallTime)
+    strictEqual(iso(date), wallTime.replace(' ', 'T') + 'Z')
+    reactHTMLEqual(f.widget.render('when', date),
+      '<input type="text" name="when" value="' + wallTime + '">')
+  })
+
+  f = forms.DateTimeField({timezone: 'America/New_York'})
+  strictEqual(iso(f.clean('2026-03-29 01:30:00')), '2026-03-29T05:30:00Z')
+  reactHTMLEqual(f.widget.render('when', new Date(Date.UTC(2026, 2, 29, 5, 30))),
+    '<input type="text" name="when" value="2026-03-29 01:30:00">')
+
+  f = forms.SplitDateTimeField({timezone: 'UTC'})
+  strictEqual(iso(f.clean(['2026-03-29', '01:30'])), '2026-03-29T01:30:00Z')
+  reactHTMLEqual(f.widget.render('when', new Date(Date.UTC(2026, 2, 29, 1, 30))),
+    '<div><input type="text" name="when_0" data-newforms-field="when" value="2026-03-29"><input type="text" name="when_1" data-newforms-field="when" value="01:30:00"></div>')
+})
+
+}()
@@ -1034,6 +1034,69 @@ QUnit.test("SplitHiddenDateTimeWidget", 3, function() {
         "<div><input type=\"hidden\" name=\"date_0\" data-newforms-field=\"date\" value=\"2007-09-17\"><input type=\"hidden\" name=\"date_1\" data-newforms-field=\"date\" value=\"12:51:00\"></div>")
 })
 
+QUnit.test("TelInput", 1, function() {
+  var w = forms.TelInput()
+  reactHTMLEqual(w.render("phone", "+442079460000"),
+        "<input type=\"tel\" name=\"phone\" value=\"+442079460000\">")
+})
+
+QUnit.test("DurationInput", 4, function() {
+  var w = forms.DurationInput()
+  reactHTMLEqual(w.render("duration", null),
+        "<input type=\"text\" name=\"duration\">")
+  reactHTMLEqual(w.render("duration", 93784500),
+        "<input type=\"text\" name=\"duration\" value=\"1 02:03:04.500\">")
+  reactHTMLEqual(w.render("duration", -1800000),
+        "<input type=\"text\" name=\"duration\" value=\"-00:30:00\">")
+  // Input which hasn't been cleaned is displayed as-is
+  reactHTMLEqual(w.render("duration", "1d 2h"),
+        "<input type=\"text\" name=\"duration\" value=\"1d 2h\">")
+})
+
+QUnit.test("SplitDurationWidget", 3, function() {
+  var w = forms.SplitDurationWidget()
+  reactHTMLEqual(w.render("duration", null),
+        "<div><input min=\"0\" placeholder=\"Days\" type=\"number\" name=\"duration_0\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Hours\" type=\"number\" name=\"duration_1\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Minutes\" type=\"number\" name=\"duration_2\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Seconds\" type=\"number\" name=\"duration_3\" data-newforms-field=\"duration\"></div>")
+  reactHTMLEqual(w.render("duration", 93784000),
+        "<div><input min=\"0\" placeholder=\"Days\" type=\"number\" name=\"duration_0\" data-newforms-field=\"duration\" value=\"1\"><input min=\"0\" placeholder=\"Hours\" type=\"number\" name=\"duration_1\" data-newforms-field=\"duration\" value=\"2\"><input min=\"0\" placeholder=\"Minutes\" type=\"number\" name=\"duration_2\" data-newforms-field=\"duration\" value=\"3\"><input min=\"0\" placeholder=\"Seconds\" type=\"number\" name=\"duration_3\" data-newforms-field=\"duration\" value=\"4\"></div>")
+
+  // Placeholders are translated
+  forms.addLocale('xx', {MESSAGES: {Days: 'Tage', Hours: 'Stunden'}})
+  w.setLocale('xx')
+  reactHTMLEqual(w.render("duration", null),
+        "<div><input min=\"0\" placeholder=\"Tage\" type=\"number\" name=\"duration_0\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Stunden\" type=\"number\" name=\"duration_1\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Minutes\" type=\"number\" name=\"duration_2\" data-newforms-field=\"duration\"><input min=\"0\" placeholder=\"Seconds\" type=\"number\" name=\"duration_3\" data-newforms-field=\"duration\"></div>")
+})
+
+QUnit.test("RangeWidget", 4, function() {
+  var w = forms.RangeWidget(forms.NumberInput)
+  reactHTMLEqual(w.render("range", null),
+        "<div><input type=\"number\" name=\"range_0\" data-newforms-field=\"range\"><input type=\"number\" name=\"range_1\" data-newforms-field=\"range\"></div>")
+  reactHTMLEqual(w.render("range", {lower: 1, upper: null}),
+        "<div><input type=\"number\" name=\"range_0\" data-newforms-field=\"range\" value=\"1\"><input type=\"number\" name=\"range_1\" data-newforms-field=\"range\"></div>")
+
+  // Widget instances are copied for each bound
+  w = forms.RangeWidget(forms.DateInput({format: "%d/%m/%Y"}))
+  notStrictEqual(w.widgets[0], w.widgets[1])
+  reactHTMLEqual(w.render("range", {lower: new Date(2015, 1, 1), upper: new Date(2015, 1, 28)}),
+        "<div><input type=\"text\" name=\"range_0\" data-newforms-field=\"range\" value=\"01/02/2015\"><input type=\"text\" name=\"range_1\" data-newforms-field=\"range\" value=\"28/02/2015\"></div>")
+})
+
+QUnit.test("HiddenRangeWidget", 1, function() {
+  var w = forms.HiddenRangeWidget()
+  reactHTMLEqual(w.render("range", {lower: 1, upper: 10}),
+        "<div><input type=\"hidden\" name=\"range_0\" data-newforms-field=\"range\" value=\"1\"><input type=\"hidden\" name=\"range_1\" data-newforms-field=\"range\" value=\"10\"></div>")
+})
+
+QUnit.test("MoneyWidget", 3, function() {
+  var w = forms.MoneyWidget({currencies: ["EUR", "USD"], defaultCurrency: "USD"})
+  reactHTMLEqual(w.render("price", null),
+        "<div><input type=\"text\" name=\"price_0\" data-newforms-field=\"price\"><select name=\"price_1\" data-newforms-field=\"price\"><option value=\"EUR\">EUR</option><option value=\"USD\" selected>USD</option></select></div>",
+        "The default currency is selected when there's no value")
+  reactHTMLEqual(w.render("price", {amount: "12.50", currency: "EUR"}),
+        "<div><input type=\"text\" name=\"price_0\" data-newforms-field=\"price\" value=\"12.50\"><select name=\"price_1\" data-newforms-field=\"price\"><option value=\"EUR\" selected>EUR</option><option value=\"USD\">USD</option></select></div>")
+  strictEqual(forms.MoneyWidget().widgets[1].choices.length, forms.currencies.CURRENCY_CODES.length)
+})
+
 QUnit.test("ClearableFileInput", 5, function() {
   // Quacks like a FieldFile (has a .url and string representation), but
   // doesn't require us to care about anything else.